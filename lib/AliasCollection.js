@@ -0,0 +1,77 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+
+/* Note: An alias maps a previous account ID (e.g., of an account that was
+merged into another account or that was given a new ID) to the ID the
+account now has. The account an alias refers to may itself have since been
+given another ID, so aliases may form a chain that is followed to find the
+account. */
+
+export class AliasCollection {
+  constructor({collectionName, storage} = {}) {
+    this.collectionName = collectionName;
+    this.storage = storage;
+  }
+
+  async createIndexes() {
+    const {collectionName} = this;
+    await this.storage.createIndexes({collectionName, indexes: [{
+      fields: {id: 1},
+      options: {unique: true}
+    }]});
+  }
+
+  /**
+   * Sets an alias, replacing any existing alias with the same ID.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID to alias.
+   * @param {string} options.targetId - The ID the alias refers to.
+   *
+   * @returns {Promise<object>} Resolves to the alias.
+   */
+  async set({id, targetId} = {}) {
+    assert.string(id, 'id');
+    assert.string(targetId, 'targetId');
+    const alias = {id, targetId, created: Date.now()};
+    const collection = this._getCollection();
+    await collection.updateOne({id}, {$set: alias}, {upsert: true});
+    return alias;
+  }
+
+  /**
+   * Gets an alias.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The aliased ID.
+   *
+   * @returns {Promise<object|null>} Resolves to `{id, targetId, created}` or
+   *   `null` if there is no such alias.
+   */
+  async get({id} = {}) {
+    assert.string(id, 'id');
+    const collection = this._getCollection();
+    return collection.findOne({id}, {projection: {_id: 0}});
+  }
+
+  /**
+   * Removes an alias.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The aliased ID.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the alias was removed.
+   */
+  async delete({id} = {}) {
+    assert.string(id, 'id');
+    const collection = this._getCollection();
+    const {deletedCount} = await collection.deleteOne({id});
+    return deletedCount > 0;
+  }
+
+  _getCollection() {
+    return this.storage.getCollection(this.collectionName);
+  }
+}
@@ -0,0 +1,118 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+
+/* Note: A batch coordinates the transactions of several records so that they
+are all committed or all rolled back. Each transaction in a batch has the
+batch's ID. A batch is committed by changing its status from `pending` to
+`committed`; this single write is the commit point for every transaction in
+the batch. A transaction in a batch may only be rolled back once its batch
+has been rolled back (or has been removed, which only happens once all of
+its transactions have been processed). */
+
+export class BatchCollection {
+  constructor({collectionName, storage} = {}) {
+    this.collectionName = collectionName;
+    this.storage = storage;
+  }
+
+  async createIndexes() {
+    const {collectionName} = this;
+    await this.storage.createIndexes({collectionName, indexes: [{
+      fields: {id: 1},
+      options: {unique: true}
+    }, {
+      // supports finding batches that were interrupted
+      fields: {created: 1},
+      options: {unique: false}
+    }]});
+  }
+
+  /**
+   * Inserts a new pending batch.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the batch.
+   *
+   * @returns {Promise<object>} Resolves to the batch.
+   */
+  async insert({id} = {}) {
+    assert.string(id, 'id');
+    const batch = {id, status: 'pending', created: Date.now()};
+    const collection = this._getCollection();
+    await collection.insertOne({...batch});
+    return batch;
+  }
+
+  /**
+   * Gets a batch.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the batch.
+   *
+   * @returns {Promise<object|null>} Resolves to the batch or `null` if it
+   *   does not exist.
+   */
+  async get({id} = {}) {
+    assert.string(id, 'id');
+    const collection = this._getCollection();
+    return collection.findOne({id}, {projection: {_id: 0}});
+  }
+
+  /**
+   * Gets batches that were created at least `maxAge` ms ago.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} options.maxAge - The minimum age of the batches in ms.
+   * @param {number} options.limit - The maximum number of batches to get.
+   *
+   * @returns {Promise<Array<object>>} Resolves to the batches.
+   */
+  async getStale({maxAge, limit} = {}) {
+    assert.number(maxAge, 'maxAge');
+    assert.number(limit, 'limit');
+    const collection = this._getCollection();
+    const query = {created: {$lte: Date.now() - maxAge}};
+    return collection.find(query, {projection: {_id: 0}, limit}).toArray();
+  }
+
+  /**
+   * Changes the status of a pending batch to `committed` or `rolledBack`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the batch.
+   * @param {string} options.status - The new status.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the status changed and
+   *   `false` if the batch was not pending.
+   */
+  async resolve({id, status} = {}) {
+    assert.string(id, 'id');
+    if(!(status === 'committed' || status === 'rolledBack')) {
+      throw new TypeError('"status" must be "committed" or "rolledBack".');
+    }
+    const collection = this._getCollection();
+    const result = await collection.updateOne(
+      {id, status: 'pending'}, {$set: {status}});
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Removes a batch.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the batch.
+   *
+   * @returns {Promise} Resolves once the operation completes.
+   */
+  async delete({id} = {}) {
+    assert.string(id, 'id');
+    const collection = this._getCollection();
+    await collection.deleteOne({id});
+  }
+
+  _getCollection() {
+    return this.storage.getCollection(this.collectionName);
+  }
+}
@@ -0,0 +1,93 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+
+export class HistoryCollection {
+  constructor({collectionName, dataField, storage} = {}) {
+    this.collectionName = collectionName;
+    this.dataField = dataField;
+    this.storage = storage;
+  }
+
+  async createIndexes() {
+    const {collectionName} = this;
+    await this.storage.createIndexes({collectionName, indexes: [{
+      // there is exactly one history entry per committed transaction; a
+      // record's sequence is not unique as it restarts if the record is
+      // deleted and a record with the same ID is inserted again
+      fields: {txnId: 1},
+      options: {unique: true}
+    }, {
+      fields: {recordId: 1, timestamp: 1},
+      options: {unique: false}
+    }]});
+  }
+
+  /**
+   * Inserts a history entry for a committed record change. Inserting the
+   * entry of the same transaction more than once (e.g., when a transaction
+   * is completed by more than one process) has no effect.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.entry - The history entry to insert.
+   * @param {string} options.txnId - The ID of the transaction that made the
+   *   change.
+   *
+   * @returns {Promise<object>} Resolves to the history entry.
+   */
+  async insert({entry, txnId} = {}) {
+    assert.object(entry, 'entry');
+    assert.string(entry.recordId, 'entry.recordId');
+    assert.number(entry.sequence, 'entry.sequence');
+    assert.string(txnId, 'txnId');
+
+    try {
+      const collection = this._getCollection();
+      await collection.updateOne(
+        {txnId}, {$setOnInsert: {...entry, txnId}}, {upsert: true});
+    } catch(e) {
+      // a concurrent upsert of the same entry may produce a duplicate error
+      if(!this.storage.isDuplicateError(e)) {
+        throw e;
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Retrieves the history entries for a record in the order the changes were
+   * made.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.recordId - The ID of the record.
+   * @param {number} [options.since] - Only entries with a timestamp at or
+   *   after this time (in ms since the epoch) will be retrieved.
+   * @param {number} [options.limit] - The maximum number of entries.
+   *
+   * @returns {Promise<Array<object>>} Resolves to the history entries.
+   */
+  async getAll({recordId, since, limit} = {}) {
+    assert.string(recordId, 'recordId');
+    assert.optionalNumber(since, 'since');
+    assert.optionalNumber(limit, 'limit');
+
+    const query = {recordId};
+    if(since !== undefined) {
+      query.timestamp = {$gte: since};
+    }
+    // entries are not sorted by sequence as it restarts if the record is
+    // deleted and inserted again; entries with the same timestamp are
+    // returned in the order they were written
+    const options = {projection: {_id: 0, txnId: 0}, sort: {timestamp: 1}};
+    if(limit !== undefined) {
+      options.limit = limit;
+    }
+    const collection = this._getCollection();
+    return collection.find(query, options).toArray();
+  }
+
+  _getCollection() {
+    return this.storage.getCollection(this.collectionName);
+  }
+}
@@ -0,0 +1,240 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  applyUpdate, createComparator, createUpsertDocument, getPath, matches,
+  project
+} from './mongoQuery.js';
+import {isDeepStrictEqual} from 'node:util';
+import {randomUUID} from 'node:crypto';
+
+// the error code MongoDB uses for duplicate key errors
+export const DUPLICATE_KEY_ERROR_CODE = 11000;
+
+/* Note: Every collection operation runs synchronously once called, so each
+single-document write is atomic, as it is in MongoDB. This provides the same
+conditional update semantics (a write only applies if its query matches)
+that transactions rely on. */
+
+class MemoryCursor {
+  constructor({collection, query, options} = {}) {
+    this.collection = collection;
+    this.query = query;
+    this.options = {...options};
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  async explain() {
+    // there are no query plans; every query scans the whole collection
+    const {collection, query} = this;
+    const documents = await this.toArray();
+    return {
+      queryPlanner: {
+        namespace: collection.collectionName,
+        parsedQuery: query,
+        winningPlan: {stage: 'COLLSCAN'}
+      },
+      executionStats: {
+        nReturned: documents.length,
+        totalDocsExamined: collection.documents.length,
+        totalKeysExamined: 0
+      }
+    };
+  }
+
+  async toArray() {
+    const {collection, query, options: {projection, sort, limit}} = this;
+    return collection._find({query, projection, sort, limit});
+  }
+
+  async* [Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+export class MemoryCollection {
+  /**
+   * Creates an in-memory collection that supports the subset of the MongoDB
+   * collection API that record collections use: `insertOne()`, `findOne()`,
+   * `find()` (with `limit()`, `sort()`, `toArray()`, `explain()`, and async
+   * iteration), `updateOne()` (with `upsert`), `updateMany()`, `deleteOne()`,
+   * `deleteMany()`, and `countDocuments()`. Unique indexes are enforced.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.collectionName - The name of the collection.
+   */
+  constructor({collectionName} = {}) {
+    this.collectionName = collectionName;
+    this.documents = [];
+    // as in MongoDB, `_id` is always unique
+    this.uniqueIndexes = [{name: '_id_', paths: ['_id']}];
+  }
+
+  createIndex({fields, options = {}} = {}) {
+    if(!options.unique) {
+      return;
+    }
+    const paths = Object.keys(fields);
+    if(this.uniqueIndexes.some(
+      index => isDeepStrictEqual(index.paths, paths))) {
+      return;
+    }
+    this.uniqueIndexes.push({
+      name: paths.join('_'), paths,
+      sparse: !!options.sparse,
+      partialFilterExpression: options.partialFilterExpression
+    });
+  }
+
+  async countDocuments(query = {}) {
+    return this._match({query}).length;
+  }
+
+  async deleteMany(query = {}) {
+    const matched = new Set(this._match({query}));
+    this.documents = this.documents.filter(d => !matched.has(d));
+    return {acknowledged: true, deletedCount: matched.size};
+  }
+
+  async deleteOne(query = {}) {
+    const index = this.documents.findIndex(
+      document => matches({document, query}));
+    if(index === -1) {
+      return {acknowledged: true, deletedCount: 0};
+    }
+    this.documents.splice(index, 1);
+    return {acknowledged: true, deletedCount: 1};
+  }
+
+  find(query = {}, options = {}) {
+    return new MemoryCursor({collection: this, query, options});
+  }
+
+  async findOne(query = {}, {projection, sort} = {}) {
+    const [document] = this._find({query, projection, sort, limit: 1});
+    return document ?? null;
+  }
+
+  async insertOne(document) {
+    // like the MongoDB driver, add `_id` to the given document
+    if(document._id === undefined) {
+      document._id = randomUUID();
+    }
+    const stored = structuredClone(document);
+    this._assertUnique({document: stored});
+    this.documents.push(stored);
+    return {acknowledged: true, insertedId: stored._id};
+  }
+
+  async updateOne(query, update, {upsert = false} = {}) {
+    const index = this.documents.findIndex(
+      document => matches({document, query}));
+    if(index === -1) {
+      if(!upsert) {
+        return {
+          acknowledged: true, matchedCount: 0, modifiedCount: 0,
+          upsertedCount: 0, upsertedId: null
+        };
+      }
+      const document = applyUpdate({
+        document: createUpsertDocument({query}), update, isInsert: true
+      });
+      if(document._id === undefined) {
+        document._id = randomUUID();
+      }
+      this._assertUnique({document});
+      this.documents.push(document);
+      return {
+        acknowledged: true, matchedCount: 0, modifiedCount: 0,
+        upsertedCount: 1, upsertedId: document._id
+      };
+    }
+    const existing = this.documents[index];
+    const document = applyUpdate({document: existing, update});
+    this._assertUnique({document, ignore: existing});
+    // as in MongoDB, an update that changes nothing is not a modification
+    const modified = !isDeepStrictEqual(existing, document);
+    if(modified) {
+      this.documents[index] = document;
+    }
+    return {
+      acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0,
+      upsertedCount: 0, upsertedId: null
+    };
+  }
+
+  async updateMany(query, update) {
+    const matched = this._match({query});
+    let modifiedCount = 0;
+    for(const existing of matched) {
+      const document = applyUpdate({document: existing, update});
+      this._assertUnique({document, ignore: existing});
+      if(!isDeepStrictEqual(existing, document)) {
+        this.documents[this.documents.indexOf(existing)] = document;
+        modifiedCount++;
+      }
+    }
+    return {
+      acknowledged: true, matchedCount: matched.length, modifiedCount,
+      upsertedCount: 0, upsertedId: null
+    };
+  }
+
+  _assertUnique({document, ignore} = {}) {
+    for(const index of this.uniqueIndexes) {
+      const key = this._getIndexKey({document, index});
+      if(key === undefined) {
+        continue;
+      }
+      const duplicate = this.documents.some(other => other !== ignore &&
+        isDeepStrictEqual(this._getIndexKey({document: other, index}), key));
+      if(duplicate) {
+        const error = new Error(
+          `E11000 duplicate key error collection: ${this.collectionName} ` +
+          `index: ${index.name}`);
+        error.code = DUPLICATE_KEY_ERROR_CODE;
+        throw error;
+      }
+    }
+  }
+
+  _find({query, projection, sort, limit} = {}) {
+    let documents = this._match({query});
+    if(sort) {
+      documents.sort(createComparator(sort));
+    }
+    if(limit) {
+      documents = documents.slice(0, limit);
+    }
+    return documents.map(document => project({document, projection}));
+  }
+
+  // returns the key of a document in a unique index or `undefined` if the
+  // document is not indexed
+  _getIndexKey({document, index}) {
+    const {paths, sparse, partialFilterExpression} = index;
+    if(partialFilterExpression &&
+      !matches({document, query: partialFilterExpression})) {
+      return undefined;
+    }
+    // as in MongoDB, a missing value is indexed as `null`
+    const key = paths.map(path => getPath({object: document, path}) ?? null);
+    if(sparse && key.every(value => value === null)) {
+      return undefined;
+    }
+    return key;
+  }
+
+  _match({query}) {
+    return this.documents.filter(document => matches({document, query}));
+  }
+}
@@ -0,0 +1,63 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  DUPLICATE_KEY_ERROR_CODE, MemoryCollection
+} from './MemoryCollection.js';
+
+export class MemoryStorageAdapter {
+  /**
+   * Creates a storage adapter that stores collections in memory, e.g., to
+   * test code that uses a `RecordCollection` without MongoDB. Each
+   * collection supports the subset of the MongoDB collection API that record
+   * collections use and enforces unique indexes. Nothing is persisted.
+   */
+  constructor() {
+    this.collections = new Map();
+  }
+
+  /**
+   * Creates indexes for a collection, creating the collection if needed.
+   * Only unique indexes have any effect.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.collectionName - The name of the collection.
+   * @param {Array<object>} options.indexes - The indexes to create, each as
+   *   `{fields, options}`.
+   *
+   * @returns {Promise} Resolves once the operation completes.
+   */
+  async createIndexes({collectionName, indexes} = {}) {
+    const collection = this.getCollection(collectionName);
+    for(const index of indexes) {
+      collection.createIndex(index);
+    }
+  }
+
+  /**
+   * Gets a collection, creating it if needed.
+   *
+   * @param {string} collectionName - The name of the collection.
+   *
+   * @returns {MemoryCollection} The collection.
+   */
+  getCollection(collectionName) {
+    let collection = this.collections.get(collectionName);
+    if(!collection) {
+      collection = new MemoryCollection({collectionName});
+      this.collections.set(collectionName, collection);
+    }
+    return collection;
+  }
+
+  /**
+   * Determines whether an error was caused by a unique index violation.
+   *
+   * @param {Error} error - The error.
+   *
+   * @returns {boolean} `true` if the error is a duplicate error.
+   */
+  isDuplicateError(error) {
+    return error?.code === DUPLICATE_KEY_ERROR_CODE;
+  }
+}
@@ -0,0 +1,119 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+
+export class MetricsRecorder {
+  /**
+   * Creates a metrics recorder that aggregates the metrics of record
+   * collection transactions in memory, e.g., to be exported periodically to
+   * a monitoring system or checked in tests. Counters are summed and
+   * observations (e.g., step durations) are summarized per metric name and
+   * set of attributes.
+   */
+  constructor() {
+    this.counters = new Map();
+    this.observations = new Map();
+  }
+
+  /**
+   * Increments a counter.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.name - The name of the counter.
+   * @param {number} [options.value=1] - The amount to increment by.
+   * @param {object} [options.attributes={}] - The attributes of the counter,
+   *   e.g., `{collection: 'account', type: 'insert'}`.
+   */
+  increment({name, value = 1, attributes = {}} = {}) {
+    assert.string(name, 'name');
+    assert.number(value, 'value');
+    assert.object(attributes, 'attributes');
+    const entry = _getEntry({
+      map: this.counters, name, attributes, create: () => ({value: 0})
+    });
+    entry.value += value;
+  }
+
+  /**
+   * Records an observed value, e.g., the duration of a transaction step in
+   * milliseconds.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.name - The name of the observed metric.
+   * @param {number} options.value - The observed value.
+   * @param {object} [options.attributes={}] - The attributes of the metric.
+   */
+  observe({name, value, attributes = {}} = {}) {
+    assert.string(name, 'name');
+    assert.number(value, 'value');
+    assert.object(attributes, 'attributes');
+    const entry = _getEntry({
+      map: this.observations, name, attributes,
+      create: () => ({count: 0, sum: 0, min: value, max: value})
+    });
+    entry.count++;
+    entry.sum += value;
+    entry.min = Math.min(entry.min, value);
+    entry.max = Math.max(entry.max, value);
+  }
+
+  /**
+   * Gets a copy of every metric recorded since this recorder was created or
+   * last reset.
+   *
+   * @returns {object} An object with `counters`, an array of
+   *   `{name, attributes, value}`, and `observations`, an array of
+   *   `{name, attributes, count, sum, min, max}`.
+   */
+  getSnapshot() {
+    const {counters, observations} = this;
+    return {
+      counters: [...counters.values()].map(e => structuredClone(e)),
+      observations: [...observations.values()].map(e => structuredClone(e))
+    };
+  }
+
+  /**
+   * Gets the sum of a counter over every set of attributes that includes the
+   * given attributes.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.name - The name of the counter.
+   * @param {object} [options.attributes={}] - The attributes to match.
+   *
+   * @returns {number} The sum.
+   */
+  getCount({name, attributes = {}} = {}) {
+    assert.string(name, 'name');
+    assert.object(attributes, 'attributes');
+    let sum = 0;
+    for(const entry of this.counters.values()) {
+      if(entry.name === name && Object.entries(attributes).every(
+        ([k, v]) => entry.attributes[k] === v)) {
+        sum += entry.value;
+      }
+    }
+    return sum;
+  }
+
+  /**
+   * Removes every recorded metric.
+   */
+  reset() {
+    this.counters.clear();
+    this.observations.clear();
+  }
+}
+
+function _getEntry({map, name, attributes, create}) {
+  // attributes are keyed in a stable order
+  const key = JSON.stringify(
+    [name, Object.entries(attributes).sort(([a], [b]) => a < b ? -1 : 1)]);
+  let entry = map.get(key);
+  if(!entry) {
+    entry = {name, attributes: {...attributes}, ...create()};
+    map.set(key, entry);
+  }
+  return entry;
+}
@@ -0,0 +1,56 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// `@bedrock/mongodb` is only loaded once a collection is opened so that
+// records can be stored with another adapter without MongoDB
+let database;
+
+export class MongoStorageAdapter {
+  /**
+   * Creates a storage adapter that stores collections in MongoDB via
+   * `@bedrock/mongodb`. This is the default storage adapter; its collections
+   * can only be used once `bedrock-mongodb.ready` has been emitted, which
+   * requires `@bedrock/mongodb` to have been loaded before `bedrock.init`
+   * (it is loaded by `@bedrock/account` if accounts are stored in MongoDB).
+   */
+  constructor() {}
+
+  /**
+   * Opens a collection and creates its indexes.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.collectionName - The name of the collection.
+   * @param {Array<object>} options.indexes - The indexes to create, each as
+   *   `{fields, options}`.
+   *
+   * @returns {Promise} Resolves once the operation completes.
+   */
+  async createIndexes({collectionName, indexes} = {}) {
+    database ??= await import('@bedrock/mongodb');
+    await database.openCollections([collectionName]);
+    await database.createIndexes(indexes.map(
+      ({fields, options}) => ({collection: collectionName, fields, options})));
+  }
+
+  /**
+   * Gets an open collection.
+   *
+   * @param {string} collectionName - The name of the collection.
+   *
+   * @returns {object} The MongoDB collection.
+   */
+  getCollection(collectionName) {
+    return database?.collections[collectionName];
+  }
+
+  /**
+   * Determines whether an error was caused by a unique index violation.
+   *
+   * @param {Error} error - The error.
+   *
+   * @returns {boolean} `true` if the error is a duplicate error.
+   */
+  isDuplicateError(error) {
+    return database?.isDuplicateError(error) ?? false;
+  }
+}
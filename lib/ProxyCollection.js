@@ -1,43 +1,160 @@
 /*!
- * Copyright (c) 2018-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import * as database from '@bedrock/mongodb';
 import assert from 'assert-plus';
+import {randomUUID} from 'node:crypto';
 
 const {util: {BedrockError}} = bedrock;
 
+/* Note: A unique value can be reserved for a record, e.g., while a change
+that will make the record use the value is waiting to be confirmed. A
+reservation is a mapping record with a `_reservation` instead of a `_txn`, so
+other records cannot claim the value, but it is not used to find the record.
+The reservation is claimed by a transaction that changes the record to use
+the value, which turns it into an ordinary pending insert of the mapping. An
+expired reservation is released by the next operation that needs its value
+and is also removed by the database's TTL monitor where that is supported
+(e.g., MongoDB).
+
+A mapping can also be moved from one record to another, e.g., when records
+are merged. The mapping is marked with a `move` operation by a transaction on
+the record it is moved from and is only re-pointed to the other record once
+that transaction completes, so the value is never free to be claimed by any
+other record while it is being moved. */
+
 export class ProxyCollection {
-  constructor({collectionName, dataField, uniqueField} = {}) {
+  constructor({
+    collectionName, dataField, uniqueField, sharedFields = [], normalize,
+    storage
+  } = {}) {
     this.collectionName = collectionName;
     this.dataField = dataField;
     this.uniqueField = uniqueField;
+    // other record data fields whose values are mapped in this collection
+    // along with those of `uniqueField`; each may hold an array of values
+    this.sharedFields = sharedFields;
+    this.storage = storage;
+    // function used to normalize unique values before they are stored in or
+    // looked up in this collection; the original value remains in the record
+    this.normalize = normalize ?? (value => value);
+  }
+
+  /**
+   * Normalizes a unique value using this collection's normalizer. The
+   * normalized value is what is stored in this collection.
+   *
+   * @param {string} [uniqueValue] - The unique value to normalize.
+   *
+   * @returns {string} The normalized value (or `undefined` if no value was
+   *   given).
+   */
+  normalizeValue(uniqueValue) {
+    return uniqueValue === undefined ? undefined : this.normalize(uniqueValue);
+  }
+
+  /**
+   * Checks whether a stored unique value is normalized by this collection's
+   * normalizer; a value that is not was stored with a previous normalizer.
+   *
+   * @param {string} uniqueValue - The stored unique value.
+   *
+   * @returns {boolean} `true` if the value is normalized.
+   */
+  isNormalized(uniqueValue) {
+    try {
+      return this.normalize(uniqueValue) === uniqueValue;
+    } catch(e) {
+      // the value cannot be normalized at all
+      return false;
+    }
+  }
+
+  /**
+   * Gets the unique values that record data uses in this collection, i.e.,
+   * the value of its unique field and the values of any shared fields.
+   *
+   * @param {object} [data] - The record data.
+   *
+   * @returns {Array<string>} The unique values (not normalized).
+   */
+  getValues(data) {
+    const values = [];
+    for(const field of [this.uniqueField, ...this.sharedFields]) {
+      const value = data?.[field];
+      if(Array.isArray(value)) {
+        values.push(...value);
+      } else if(value !== undefined) {
+        values.push(value);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Gets the distinct normalized unique values that record data uses in this
+   * collection.
+   *
+   * @param {object} [data] - The record data.
+   *
+   * @returns {Array<string>} The normalized unique values.
+   */
+  normalizeValues(data) {
+    const values = this.getValues(data).map(v => this.normalizeValue(v));
+    return [...new Set(values)];
+  }
+
+  /**
+   * Checks whether record data uses a unique value in this collection.
+   *
+   * @param {object} [data] - The record data.
+   * @param {string} uniqueValue - The normalized unique value.
+   *
+   * @returns {boolean} `true` if the data uses the value.
+   */
+  usesValue(data, uniqueValue) {
+    return this.normalizeValues(data).includes(uniqueValue);
+  }
+
+  /**
+   * Gets the ID of the record that a mapping record maps its unique value to.
+   *
+   * @param {object} proxyRecord - The mapping record.
+   *
+   * @returns {string} The record ID.
+   */
+  getRecordId(proxyRecord) {
+    return proxyRecord[this._getDataIdField()];
   }
 
   async createIndexes() {
     const {collectionName, uniqueField} = this;
     const idField = this._getDataIdField();
 
-    await database.openCollections([collectionName]);
-    await database.createIndexes([{
-      collection: collectionName,
+    await this.storage.createIndexes({collectionName, indexes: [{
       fields: {[uniqueField]: 1},
       options: {unique: true}
     }, {
-      collection: collectionName,
       fields: {[idField]: 1},
       options: {unique: false}
     }, {
       // this index supports scatter-gather queries to process transactions
       // that were previously interrupted or that are backgrounded; in theory,
       // this should not create hot path latencies
-      collection: collectionName,
       fields: {'_txn.id': 1},
       options: {
         partialFilterExpression: {'_txn.id': {$exists: true}},
         unique: false
       }
-    }]);
+    }, {
+      // removes expired reservations
+      fields: {'_reservation.expires': 1},
+      options: {
+        partialFilterExpression: {'_reservation.expires': {$exists: true}},
+        expireAfterSeconds: 0,
+        unique: false
+      }
+    }]});
   }
 
   /**
@@ -57,38 +174,146 @@ export class ProxyCollection {
     assert.object(txn, 'txn');
 
     // create the mapping record
-    const {dataField, uniqueField} = this;
+    const {uniqueField} = this;
     const idField = this._getDataIdField();
     const record = {
-      [uniqueField]: uniqueValue,
+      [uniqueField]: this.normalizeValue(uniqueValue),
       [idField]: recordId,
-      _txn: {...txn, op: 'insert'}
+      _txn: _createProxyTxn({txn, op: 'insert'})
     };
 
+    return this._insertMapping({record, uniqueValue, recordId});
+  }
+
+  /**
+   * Reserves a unique value for a record until the reservation expires; see
+   * the note at the top of this module. Any reservation of the value for the
+   * same record is renewed (keeping its ID) to expire at `expires`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.uniqueValue - The unique value.
+   * @param {string} options.recordId - The record ID.
+   * @param {number} options.expires - When the reservation expires (in ms
+   *   since the epoch).
+   *
+   * @returns {Promise<object>} Resolves to the database record.
+   */
+  async reserve({uniqueValue, recordId, expires} = {}) {
+    assert.string(uniqueValue, 'uniqueValue');
+    assert.string(recordId, 'recordId');
+    assert.number(expires, 'expires');
+
+    const {uniqueField} = this;
+    const idField = this._getDataIdField();
+    const record = {
+      [uniqueField]: this.normalizeValue(uniqueValue),
+      [idField]: recordId,
+      _reservation: {id: randomUUID(), expires: new Date(expires)}
+    };
     try {
-      // insert the mapping
-      const collection = this._getCollection();
-      await collection.insertOne(record);
-      return record;
+      return await this._insertMapping({record, uniqueValue, recordId});
     } catch(e) {
-      if(!database.isDuplicateError(e)) {
+      if(e.name !== 'DuplicateError') {
         throw e;
       }
-      // intentionally surface as a duplicate record error
-      // (not just a duplicate mapping error)
-      throw new BedrockError(`Duplicate ${dataField}.`, {
-        name: 'DuplicateError',
-        details: {
-          recordId,
-          [dataField]: recordId,
-          uniqueField,
-          uniqueValue,
-          httpStatusCode: 409,
-          public: true
-        },
-        cause: e
-      });
+      // renew any reservation of the value for the same record, keeping its
+      // ID so that it is not released via a previously returned ID
+      const collection = this._getCollection();
+      const existing = await collection.findOne({
+        [uniqueField]: record[uniqueField],
+        [idField]: recordId,
+        '_reservation.id': {$exists: true}
+      }, {projection: {_id: 0}});
+      if(!existing) {
+        throw e;
+      }
+      const {id} = existing._reservation;
+      const result = await collection.updateOne(
+        {[uniqueField]: record[uniqueField], '_reservation.id': id},
+        {$set: {'_reservation.expires': record._reservation.expires}});
+      if(result.matchedCount === 0) {
+        throw e;
+      }
+      return {...record, _reservation: {...record._reservation, id}};
+    }
+  }
+
+  /**
+   * Claims a unique value that is reserved for a record so that it is
+   * inserted by the given transaction.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.uniqueValue - The unique value.
+   * @param {string} options.recordId - The record ID.
+   * @param {object} options.txn - The transaction.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the reservation was
+   *   claimed or `false` if there was no such reservation.
+   */
+  async claimReservation({uniqueValue, recordId, txn} = {}) {
+    assert.string(uniqueValue, 'uniqueValue');
+    assert.string(recordId, 'recordId');
+    assert.object(txn, 'txn');
+
+    const {uniqueField} = this;
+    const idField = this._getDataIdField();
+    const collection = this._getCollection();
+    const query = {
+      [uniqueField]: this.normalizeValue(uniqueValue),
+      [idField]: recordId,
+      '_reservation.id': {$exists: true},
+      '_txn.id': {$exists: false}
+    };
+    const update = {
+      $set: {_txn: _createProxyTxn({txn, op: 'insert'})},
+      $unset: {_reservation: ''}
+    };
+    const result = await collection.updateOne(query, update);
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Releases the unique values reserved for a record.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.recordId - The record ID.
+   * @param {string} [options.uniqueValue] - The unique value to release;
+   *   every value reserved for the record is released if not given.
+   * @param {string} [options.reservationId] - The ID of the reservation to
+   *   release.
+   *
+   * @returns {Promise<number>} Resolves to the number of released values.
+   */
+  async releaseReservations({recordId, uniqueValue, reservationId} = {}) {
+    assert.string(recordId, 'recordId');
+    assert.optionalString(uniqueValue, 'uniqueValue');
+    assert.optionalString(reservationId, 'reservationId');
+
+    const {uniqueField} = this;
+    const idField = this._getDataIdField();
+    const collection = this._getCollection();
+    const query = {
+      [idField]: recordId,
+      '_reservation.id': reservationId ?? {$exists: true}
+    };
+    if(uniqueValue !== undefined) {
+      query[uniqueField] = this.normalizeValue(uniqueValue);
     }
+    const {deletedCount} = await collection.deleteMany(query);
+    return deletedCount;
+  }
+
+  /**
+   * Checks whether a mapping record is a reservation that has expired.
+   *
+   * @param {object} proxyRecord - The mapping record.
+   *
+   * @returns {boolean} `true` if the reservation has expired.
+   */
+  isExpiredReservation(proxyRecord) {
+    const {_reservation: reservation} = proxyRecord;
+    return reservation !== undefined &&
+      reservation.expires.getTime() <= Date.now();
   }
 
   /**
@@ -117,9 +342,11 @@ export class ProxyCollection {
       query[idField] = recordId;
     }
     if(uniqueValue !== undefined) {
-      query[uniqueField] = uniqueValue;
+      query[uniqueField] = this.normalizeValue(uniqueValue);
     }
-    const projection = {_id: 0, [uniqueField]: 1, [idField]: 1, _txn: 1};
+    const projection = {
+      _id: 0, [uniqueField]: 1, [idField]: 1, _txn: 1, _reservation: 1
+    };
 
     if(explain) {
       // 'find().limit(1)' is used here because 'findOne()' doesn't return a
@@ -142,27 +369,111 @@ export class ProxyCollection {
     return record;
   }
 
+  /**
+   * Gets all unique field + record ID mappings that match a query.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.query={}] - The query to use.
+   * @param {object} [options.options={}] - The options (eg: 'limit').
+   *
+   * @returns {Promise<Array<object>>} Resolves with the matching records.
+   */
+  async getAll({query = {}, options = {}} = {}) {
+    assert.object(query, 'query');
+    assert.object(options, 'options');
+    const collection = this._getCollection();
+    return collection.find(
+      query, {...options, projection: {_id: 0}}).toArray();
+  }
+
+  /**
+   * Iterates over all unique field + record ID mappings that match a query.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.query={}] - The query to use.
+   *
+   * @yields {object} Each matching record.
+   */
+  async* iterate({query = {}} = {}) {
+    assert.object(query, 'query');
+    const collection = this._getCollection();
+    yield* collection.find(query, {projection: {_id: 0}});
+  }
+
+  /**
+   * Sets `_txn.created` on every mapping with a transaction that has no
+   * `created` time (i.e., one that was created before it was tracked), so
+   * that the age of the transaction is measured from when it was first seen.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} options.created - The time to set (in ms since the
+   *   epoch).
+   *
+   * @returns {Promise} Resolves once the operation completes.
+   */
+  async setMissingTxnCreated({created} = {}) {
+    assert.number(created, 'created');
+    const collection = this._getCollection();
+    await collection.updateMany(
+      {'_txn.id': {$exists: true}, '_txn.created': {$exists: false}},
+      {$set: {'_txn.created': created}});
+  }
+
+  /**
+   * Deletes a mapping whose value is not normalized (see `isNormalized()`).
+   * Every operation normalizes the values it uses, so no operation can use
+   * such a mapping and it is deleted without a transaction.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.uniqueValue - The stored unique value.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the mapping was
+   *   deleted.
+   */
+  async deleteUnnormalized({uniqueValue} = {}) {
+    assert.string(uniqueValue, 'uniqueValue');
+    if(this.isNormalized(uniqueValue)) {
+      throw new TypeError(`"${uniqueValue}" is normalized.`);
+    }
+    const collection = this._getCollection();
+    const result = await collection.deleteOne(
+      {[this.uniqueField]: uniqueValue, '_txn.id': {$exists: false}});
+    return result.deletedCount > 0;
+  }
+
   /**
    * Marks an existing mapping to be deleted.
    *
    * @param {object} options - The options to use.
    * @param {string} options.recordId - The record ID for the mapping.
    * @param {object} options.txn - The transaction.
+   * @param {string} [options.uniqueValue] - The unique value of the mapping;
+   *   only needed if the record may have more than one mapping.
    * @param {boolean} [options.explain=false] - An optional explain boolean.
    *
    * @returns {Promise<boolean | ExplainObject>} Resolves with `true` on delete
    *   success or an ExplainObject if `explain=true`.
    */
-  async prepareDelete({recordId, txn, explain = false} = {}) {
+  async prepareDelete({recordId, txn, uniqueValue, explain = false} = {}) {
     assert.string(recordId, 'recordId');
     assert.object(txn, 'txn');
+    assert.optionalString(uniqueValue, 'uniqueValue');
 
+    const {uniqueField} = this;
     const idField = this._getDataIdField();
     const collection = this._getCollection();
 
-    // only update mapping record if it has no existing transaction ID
-    const query = {[idField]: recordId, '_txn.id': {$exists: false}};
-    const update = {$set: {_txn: {...txn, op: 'delete'}}};
+    // only update mapping record if it has no existing transaction ID; a
+    // reservation is not a mapping to be deleted
+    const query = {
+      [idField]: recordId,
+      '_txn.id': {$exists: false},
+      '_reservation.id': {$exists: false}
+    };
+    if(uniqueValue !== undefined) {
+      query[uniqueField] = this.normalizeValue(uniqueValue);
+    }
+    const update = {$set: {_txn: _createProxyTxn({txn, op: 'delete'})}};
 
     if(explain) {
       // 'find().limit(1)' is used here because 'updateOne()' doesn't return
@@ -175,11 +486,47 @@ export class ProxyCollection {
     return result.modifiedCount > 0;
   }
 
+  /**
+   * Marks an existing mapping to be moved to another record; see the note at
+   * the top of this module.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.recordId - The record ID for the mapping.
+   * @param {string} options.toRecordId - The ID of the record to move the
+   *   mapping to.
+   * @param {object} options.txn - The transaction.
+   * @param {string} options.uniqueValue - The unique value of the mapping.
+   *
+   * @returns {Promise<boolean>} Resolves with `true` if the mapping was
+   *   marked to be moved.
+   */
+  async prepareMove({recordId, toRecordId, txn, uniqueValue} = {}) {
+    assert.string(recordId, 'recordId');
+    assert.string(toRecordId, 'toRecordId');
+    assert.object(txn, 'txn');
+    assert.string(uniqueValue, 'uniqueValue');
+
+    const {uniqueField} = this;
+    const idField = this._getDataIdField();
+    const collection = this._getCollection();
+    const query = {
+      [uniqueField]: this.normalizeValue(uniqueValue),
+      [idField]: recordId,
+      '_txn.id': {$exists: false},
+      '_reservation.id': {$exists: false}
+    };
+    const update = {
+      $set: {_txn: {..._createProxyTxn({txn, op: 'move'}), toRecordId}}
+    };
+    const result = await collection.updateOne(query, update);
+    return result.modifiedCount > 0;
+  }
+
   /**
    * Rolls back any mapping record changes that had been marked with the
    * given transaction ID. Any matching record marked with an insert operation
-   * will be deleted and any matching record marked with a delete operation
-   * will no longer be marked as such.
+   * will be deleted and any matching record marked with a delete or move
+   * operation will no longer be marked as such.
    *
    * @param {object} options - The options to use.
    * @param {string} options.txnId - The transaction ID.
@@ -196,7 +543,8 @@ export class ProxyCollection {
     assert.optionalString(oldValue, 'oldValue');
     const results = await Promise.allSettled([
       this._rollbackInsert({txnId, uniqueValue: newValue}),
-      this._rollbackDelete({txnId, uniqueValue: oldValue})
+      this._rollbackDelete({txnId, uniqueValue: oldValue}),
+      this._rollbackMove({txnId, uniqueValue: oldValue})
     ]);
     this._throwAnyRejection({results});
   }
@@ -204,8 +552,9 @@ export class ProxyCollection {
   /**
    * Completes any mapping record changes that had been marked with the
    * given transaction ID. Any matching record marked with an insert operation
-   * will have its transaction tracking removed and any matching record marked
-   * with a delete operation will be deleted.
+   * will have its transaction tracking removed, any matching record marked
+   * with a delete operation will be deleted, and any matching record marked
+   * with a move operation will be re-pointed to its new record.
    *
    * @param {object} options - The options to use.
    * @param {string} options.txnId - The transaction ID.
@@ -222,13 +571,80 @@ export class ProxyCollection {
     assert.optionalString(oldValue, 'oldValue');
     const results = await Promise.allSettled([
       this._completeInsert({txnId, uniqueValue: newValue}),
-      this._completeDelete({txnId, uniqueValue: oldValue})
+      this._completeDelete({txnId, uniqueValue: oldValue}),
+      this._completeMove({txnId, uniqueValue: oldValue})
     ]);
     this._throwAnyRejection({results});
   }
 
+  /**
+   * Resolves a mapping record change that was marked with the given
+   * transaction ID by a transaction that is no longer pending on its record
+   * (i.e., the transaction was completed or rolled back without this change
+   * being resolved). The change is completed if the unique value is in use
+   * by the record and rolled back if it is not, so that the mapping record
+   * remains only if the record uses its unique value.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.txnId - The transaction ID.
+   * @param {string} options.uniqueValue - The unique value of the mapping.
+   * @param {string} options.op - The change operation (`insert`, `delete`,
+   *   or `move`).
+   * @param {boolean} options.inUse - Whether the record uses the unique value.
+   *
+   * @returns {Promise} Resolves once the operation completes.
+   */
+  async resolveChange({txnId, uniqueValue, op, inUse} = {}) {
+    assert.string(txnId, 'txnId');
+    assert.string(uniqueValue, 'uniqueValue');
+    assert.string(op, 'op');
+    assert.bool(inUse, 'inUse');
+    if(op === 'insert') {
+      return inUse ?
+        this._completeInsert({txnId, uniqueValue}) :
+        this._rollbackInsert({txnId, uniqueValue});
+    }
+    if(op === 'move') {
+      // a mapping is only moved once its record no longer uses the value
+      return inUse ?
+        this._rollbackMove({txnId, uniqueValue}) :
+        this._completeMove({txnId, uniqueValue});
+    }
+    return inUse ?
+      this._rollbackDelete({txnId, uniqueValue}) :
+      this._completeDelete({txnId, uniqueValue});
+  }
+
   _getCollection() {
-    return database.collections[this.collectionName];
+    return this.storage.getCollection(this.collectionName);
+  }
+
+  async _insertMapping({record, uniqueValue, recordId} = {}) {
+    try {
+      // insert the mapping
+      const collection = this._getCollection();
+      await collection.insertOne(record);
+      return record;
+    } catch(e) {
+      if(!this.storage.isDuplicateError(e)) {
+        throw e;
+      }
+      // intentionally surface as a duplicate record error
+      // (not just a duplicate mapping error)
+      const {dataField, uniqueField} = this;
+      throw new BedrockError(`Duplicate ${dataField}.`, {
+        name: 'DuplicateError',
+        details: {
+          recordId,
+          [dataField]: recordId,
+          uniqueField,
+          uniqueValue,
+          httpStatusCode: 409,
+          public: true
+        },
+        cause: e
+      });
+    }
   }
 
   _getDataIdField() {
@@ -241,9 +657,9 @@ export class ProxyCollection {
     const query = {'_txn.id': txnId, '_txn.op': 'insert'};
     const update = {$unset: {_txn: ''}};
     if(uniqueValue !== undefined) {
-      query[uniqueField] = uniqueValue;
+      query[uniqueField] = this.normalizeValue(uniqueValue);
     }
-    await collection.updateOne(query, update);
+    await collection.updateMany(query, update);
   }
 
   async _completeDelete({txnId, uniqueValue} = {}) {
@@ -251,9 +667,9 @@ export class ProxyCollection {
     const collection = this._getCollection();
     const query = {'_txn.id': txnId, '_txn.op': 'delete'};
     if(uniqueValue !== undefined) {
-      query[uniqueField] = uniqueValue;
+      query[uniqueField] = this.normalizeValue(uniqueValue);
     }
-    await collection.deleteOne(query);
+    await collection.deleteMany(query);
   }
 
   async _rollbackInsert({txnId, uniqueValue} = {}) {
@@ -261,9 +677,9 @@ export class ProxyCollection {
     const collection = this._getCollection();
     const query = {'_txn.id': txnId, '_txn.op': 'insert'};
     if(uniqueValue !== undefined) {
-      query[uniqueField] = uniqueValue;
+      query[uniqueField] = this.normalizeValue(uniqueValue);
     }
-    await collection.deleteOne(query);
+    await collection.deleteMany(query);
   }
 
   async _rollbackDelete({txnId, uniqueValue} = {}) {
@@ -271,10 +687,39 @@ export class ProxyCollection {
     const collection = this._getCollection();
     const query = {'_txn.id': txnId, '_txn.op': 'delete'};
     if(uniqueValue !== undefined) {
-      query[uniqueField] = uniqueValue;
+      query[uniqueField] = this.normalizeValue(uniqueValue);
     }
     const update = {$unset: {_txn: ''}};
-    await collection.updateOne(query, update);
+    await collection.updateMany(query, update);
+  }
+
+  async _completeMove({txnId, uniqueValue} = {}) {
+    const {uniqueField} = this;
+    const idField = this._getDataIdField();
+    const collection = this._getCollection();
+    const query = {'_txn.id': txnId, '_txn.op': 'move'};
+    if(uniqueValue !== undefined) {
+      query[uniqueField] = this.normalizeValue(uniqueValue);
+    }
+    // each mapping is re-pointed to the record it is moved to
+    const proxyRecords = await collection.find(
+      query, {projection: {_id: 0}}).toArray();
+    for(const {[uniqueField]: value, _txn: {toRecordId}} of proxyRecords) {
+      await collection.updateOne(
+        {...query, [uniqueField]: value},
+        {$set: {[idField]: toRecordId}, $unset: {_txn: ''}});
+    }
+  }
+
+  async _rollbackMove({txnId, uniqueValue} = {}) {
+    const {uniqueField} = this;
+    const collection = this._getCollection();
+    const query = {'_txn.id': txnId, '_txn.op': 'move'};
+    if(uniqueValue !== undefined) {
+      query[uniqueField] = this.normalizeValue(uniqueValue);
+    }
+    const update = {$unset: {_txn: ''}};
+    await collection.updateMany(query, update);
   }
 
   _throwAnyRejection({results} = {}) {
@@ -286,6 +731,14 @@ export class ProxyCollection {
   }
 }
 
+function _createProxyTxn({txn, op}) {
+  // any history entry or batched update is only needed on the data record
+  const proxyTxn = {...txn, op};
+  delete proxyTxn.history;
+  delete proxyTxn.update;
+  return proxyTxn;
+}
+
 /**
  * An object containing information on the query plan.
  *
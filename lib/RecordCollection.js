@@ -1,25 +1,127 @@
 /*!
- * Copyright (c) 2018-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import * as database from '@bedrock/mongodb';
+import * as bedrock from '@bedrock/core';
+import {assertRetryPolicy, RetryTracker} from './retry.js';
 import assert from 'assert-plus';
+import {BatchCollection} from './BatchCollection.js';
+import {createNormalizer} from './normalizers.js';
+import {HistoryCollection} from './HistoryCollection.js';
+import {logger} from './logger.js';
+import {MongoStorageAdapter} from './MongoStorageAdapter.js';
 import {ProxyCollection} from './ProxyCollection.js';
+import {randomUUID} from 'node:crypto';
 import {RecordCollectionHelper} from './RecordCollectionHelper.js';
 import {RecordTransaction} from './RecordTransaction.js';
 import {RecordTransactionProcessor} from './RecordTransactionProcessor.js';
 
+// load config defaults
+import './config.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// the OpenTelemetry `SpanStatusCode.ERROR` status code
+const SPAN_STATUS_ERROR = 2;
+
 export class RecordCollection {
+  /**
+   * Creates a collection of records that are stored in a MongoDB collection
+   * (or via another storage adapter) and that can be sharded by record ID.
+   * Each record has the form `{[dataField]: {id, ...}, meta}`. Uniqueness of
+   * any `uniqueFields` in the record data is enforced via a proxy collection
+   * (named `<collectionName>-<uniqueField>`) per field that maps each unique
+   * value to its record ID; records can also be retrieved by these fields.
+   * Changes to unique fields are made via transactions that are recovered on
+   * a later read or write (or via `recoverTransactions()`) if interrupted.
+   *
+   * `initialize()` must be called before any other method is called and,
+   * when using MongoDB, once `bedrock-mongodb.ready` has been emitted.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.collectionName - The name of the MongoDB
+   *   collection to store records in.
+   * @param {string} [options.dataField=collectionName] - The name of the
+   *   record property that holds the record data.
+   * @param {boolean} [options.sequenceInData=true] - `true` to store the
+   *   record `sequence` in the record data and `false` to store it in the
+   *   record `meta`.
+   * @param {Array<string>} [options.uniqueFields=[]] - The names of the
+   *   record data properties that must have unique values.
+   * @param {object} [options.normalizers={}] - Normalization pipelines for
+   *   unique fields, keyed by field name; see `createNormalizer()` for the
+   *   pipeline format.
+   * @param {object} [options.sharedUniqueFields={}] - The names of other
+   *   record data properties whose values share the proxy collection of a
+   *   unique field, keyed by the name of the unique field, e.g.,
+   *   `{email: ['secondaryEmails']}`; each may hold a value or an array of
+   *   values, all of which must be unique across every record and among the
+   *   values of the unique field.
+   * @param {boolean} [options.history=false] - `true` to write an entry to
+   *   an append-only history collection (named `<collectionName>-history`)
+   *   for every committed record change; see `getHistory()`.
+   * @param {object} [options.storage] - The storage adapter that provides
+   *   the collections, e.g., a `MemoryStorageAdapter`; defaults to a
+   *   `MongoStorageAdapter`.
+   * @param {object} [options.retryPolicy] - The policy for retrying an
+   *   operation that conflicts with concurrent changes: `maxAttempts` is the
+   *   maximum number of attempts (including retries of its proxy record
+   *   updates), `backoff` is `{initialDelay, maxDelay}` (in ms) for jittered
+   *   exponential backoff between attempts, and `timeout` is the maximum
+   *   time (in ms) to keep retrying; a `TimeoutError` is thrown once the
+   *   policy runs out. Defaults to `config.account.retry`.
+   * @param {object} [options.metrics] - An object that receives the metrics
+   *   of transactions (see `bedrock-account/storage`), e.g., a
+   *   `MetricsRecorder`.
+   * @param {object} [options.tracer] - An OpenTelemetry-compatible tracer;
+   *   a span is started via `tracer.startSpan()` for each step of every
+   *   transaction.
+   * @param {Function} [options.stepHook] - For testing only; a function that
+   *   is called with `{step, txn}` and awaited before each step (`init`,
+   *   `proxyUpdate`, `commit`, `complete`, or `rollback`) of every
+   *   transaction, see `FaultInjector`.
+   */
   constructor({
     collectionName,
     dataField = collectionName,
-    // `sequence` will be stored in the record data if `true` and will be
-    // stored in the record meta data if `false`
     sequenceInData = true,
-    uniqueFields = []
+    uniqueFields = [],
+    normalizers = {},
+    sharedUniqueFields = {},
+    history = false,
+    storage = new MongoStorageAdapter(),
+    retryPolicy = bedrock.config.account.retry,
+    metrics,
+    tracer,
+    stepHook
   } = {}) {
+    assert.string(collectionName, 'collectionName');
+    assert.string(dataField, 'dataField');
+    assert.bool(sequenceInData, 'sequenceInData');
+    assert.arrayOfString(uniqueFields, 'uniqueFields');
+    assert.object(normalizers, 'normalizers');
+    assert.object(sharedUniqueFields, 'sharedUniqueFields');
+    for(const [uniqueField, fields] of Object.entries(sharedUniqueFields)) {
+      assert.arrayOfString(fields, `sharedUniqueFields.${uniqueField}`);
+      if(!uniqueFields.includes(uniqueField)) {
+        throw new TypeError(
+          `"sharedUniqueFields.${uniqueField}" is not a unique field.`);
+      }
+    }
+    assert.bool(history, 'history');
+    assert.object(storage, 'storage');
+    assertRetryPolicy(retryPolicy);
+    assert.optionalObject(metrics, 'metrics');
+    assert.optionalObject(tracer, 'tracer');
+    assert.optionalFunc(stepHook, 'stepHook');
+
     this.collectionName = collectionName;
     this.dataField = dataField;
     this.sequenceInData = sequenceInData;
+    this.storage = storage;
+    this.retryPolicy = retryPolicy;
+    this.metrics = metrics;
+    this.tracer = tracer;
+    this.stepHook = stepHook;
     this.helper = new RecordCollectionHelper({recordCollection: this});
     this.transactionProcessor = new RecordTransactionProcessor(
       {recordCollection: this});
@@ -28,10 +130,25 @@ export class RecordCollection {
     for(const uniqueField of uniqueFields) {
       proxyCollections.set(uniqueField, new ProxyCollection({
         collectionName: `${collectionName}-${uniqueField}`,
-        dataField, uniqueField
+        dataField, uniqueField,
+        sharedFields: sharedUniqueFields[uniqueField],
+        normalize: createNormalizer(normalizers[uniqueField]),
+        storage
       }));
     }
     this.proxyCollections = proxyCollections;
+
+    // coordinates batches of transactions for `insertMany()`
+    this.batchCollection = new BatchCollection(
+      {collectionName: `${collectionName}-batch`, storage});
+
+    if(history) {
+      this.historyCollection = new HistoryCollection({
+        collectionName: `${collectionName}-history`,
+        dataField,
+        storage
+      });
+    }
   }
 
   /**
@@ -54,19 +171,34 @@ export class RecordCollection {
         'Either "id" or "uniqueField" and "uniqueValue" are required.');
     }
 
+    const proxyCollection = this.proxyCollections.get(uniqueField);
     if(id !== undefined) {
-      return this.helper.exists({id, uniqueField, uniqueValue});
+      if(!proxyCollection) {
+        return this.helper.exists({id, uniqueField, uniqueValue});
+      }
+      // unique value must be compared using its normalized form
+      try {
+        await this.get({id, uniqueField, uniqueValue});
+        return true;
+      } catch(e) {
+        if(e.name === 'NotFoundError') {
+          return false;
+        }
+        throw e;
+      }
     }
 
-    const proxyCollection = this.proxyCollections.get(uniqueField);
     if(!proxyCollection) {
       // logic error; should not happen
       throw new Error(
         `Invalid field "${uniqueField}" used to check record existence.`);
     }
     try {
-      await this._getProxyRecord({proxyCollection, uniqueValue});
-      return true;
+      const retryTracker = this._createRetryTracker({operation: 'exists'});
+      const proxyRecord = await this._getProxyRecord(
+        {proxyCollection, uniqueValue, retryTracker});
+      // a reserved value is not used by any record yet
+      return !proxyRecord._reservation;
     } catch(e) {
       if(e.name === 'NotFoundError') {
         return false;
@@ -75,47 +207,95 @@ export class RecordCollection {
     }
   }
 
+  /**
+   * Initializes the collection by opening it (and its proxy, batch, and any
+   * history collections) and creating their indexes.
+   *
+   * @returns {Promise} Resolves once the operation completes.
+   */
   async initialize() {
     // concurrently create indexes for this collection and any proxies
     const proxyCollections = [...this.proxyCollections.values()];
     await Promise.all([
       this._createIndexes(),
-      ...proxyCollections.map(pc => pc.createIndexes())
+      ...proxyCollections.map(pc => pc.createIndexes()),
+      this.batchCollection.createIndexes(),
+      this.historyCollection?.createIndexes()
     ]);
   }
 
+  /**
+   * Retrieves the history of changes made to a record in the order they were
+   * made, including those made to any earlier record with the same ID that
+   * was deleted. History must have been enabled for this collection via the
+   * `history` constructor option.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the record.
+   * @param {number} [options.since] - Only changes made at or after this time
+   *   (in ms since the epoch) will be retrieved.
+   * @param {number} [options.limit] - The maximum number of changes to
+   *   retrieve.
+   *
+   * @returns {Promise<Array<object>>} Resolves to the history entries, each
+   *   with `recordId`, `sequence`, `operation`, `actor`, `timestamp`, and
+   *   `diff` (a JSON patch).
+   */
+  async getHistory({id, since, limit} = {}) {
+    assert.string(id, 'id');
+    if(!this.historyCollection) {
+      throw new Error(
+        `History is not enabled for collection "${this.collectionName}".`);
+    }
+    return this.historyCollection.getAll({recordId: id, since, limit});
+  }
+
   /**
    * Inserts a new record. The record must contain a property named
-   * `this.dataField` with a value with an `id` property.
+   * `this.dataField` with a value with an `id` property. A record that sets
+   * none of the unique fields is inserted with a single write rather than
+   * via a transaction, unless history is enabled.
    *
    * @param {object} options - The options to use.
    * @param {string} options.record - The record to insert.
+   * @param {string} [options.actor] - The ID of the actor making the change,
+   *   recorded in history if enabled.
+   * @param {string} [options.operation='insert'] - The name of the operation,
+   *   recorded in history if enabled.
+   * @param {object} [options.signal] - An `AbortSignal` that stops any
+   *   further retries, causing a `TimeoutError` to be thrown.
    *
    * @returns {Promise<object>} Resolves to the database record.
    */
-  async insert({record} = {}) {
+  async insert({record, actor, operation = 'insert', signal} = {}) {
     const {dataField} = this;
     const {id} = record?.[dataField];
     assert.string(id, `record.${dataField}.id`);
 
-    // FIXME: disable this for now since it's not a use case, but add it back
-    // as an optimization in the future; it needs to ensure any pending
-    // transaction is processed if a duplicate error occurs
-    /*
-    // see if any fields that should be unique are set
-    const keys = [...this.proxyCollections.keys()];
+    // normalize unique values early to surface any errors before starting
+    // a transaction
+    this._normalizeUniqueValues({data: record[dataField]});
+
+    // see if any fields that should be unique are set; if history is
+    // enabled, a transaction is still required because the history entry is
+    // written when the transaction completes
     const {[dataField]: data} = record;
-    const applyUniqueConstraint = keys.some(k => data[k] !== undefined);
-    if(!applyUniqueConstraint) {
+    const applyUniqueConstraint = [...this.proxyCollections.values()].some(
+      proxyCollection => proxyCollection.getValues(data).length > 0);
+    const retryTracker = this._createRetryTracker(
+      {operation: 'insert', recordId: id, signal});
+    if(!applyUniqueConstraint && !this.historyCollection) {
       // no uniqueness constraints; insert record w/o transaction
-      return this.helper.insert({record});
-    }*/
+      return this._insertWithoutTransaction({record, retryTracker});
+    }
 
     while(true) {
       try {
         // perform `insert` transaction
-        const t = new RecordTransaction(
-          {id, record, type: 'insert', recordCollection: this});
+        const t = new RecordTransaction({
+          id, record, type: 'insert', actor, operation, retryTracker,
+          recordCollection: this
+        });
         await t.run();
         return record;
       } catch(e) {
@@ -123,6 +303,59 @@ export class RecordCollection {
           // unrecoverable error
           throw e;
         }
+        this._incrementMetric(
+          {name: 'retries', attributes: {method: 'insert'}});
+        await retryTracker.retry();
+      }
+    }
+  }
+
+  /**
+   * Inserts several new records such that either all of them are inserted
+   * or none of them are. Each record must contain a property named
+   * `this.dataField` with a value with an `id` property. Every record and
+   * its proxy records are first staged using a transaction that is part of
+   * a batch (stored in the `<collectionName>-batch` collection) and then
+   * all of the transactions are committed at once by committing the batch.
+   * If any record cannot be staged, e.g., because it has a duplicate unique
+   * value, every staged record is rolled back and the error is thrown.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.records - The records to insert.
+   * @param {string} [options.actor] - The ID of the actor making the change,
+   *   recorded in history if enabled.
+   * @param {string} [options.operation='insert'] - The name of the operation,
+   *   recorded in history if enabled.
+   * @param {object} [options.signal] - An `AbortSignal` that stops any
+   *   further retries, causing a `TimeoutError` to be thrown.
+   *
+   * @returns {Promise<Array<object>>} Resolves to the database records.
+   */
+  async insertMany({records, actor, operation = 'insert', signal} = {}) {
+    assert.arrayOfObject(records, 'records');
+    const {dataField} = this;
+    for(const [i, record] of records.entries()) {
+      assert.string(record[dataField]?.id, `records[${i}].${dataField}.id`);
+      // normalize unique values early to surface any errors before starting
+      // any transactions
+      this._normalizeUniqueValues({data: record[dataField]});
+    }
+    this._assertNoDuplicatesInBatch({records});
+
+    const retryTracker = this._createRetryTracker(
+      {operation: 'insertMany', signal});
+    while(true) {
+      try {
+        await this._insertBatch({records, actor, operation, retryTracker});
+        return records;
+      } catch(e) {
+        if(e.name !== 'AbortError') {
+          // unrecoverable error
+          throw e;
+        }
+        this._incrementMetric(
+          {name: 'retries', attributes: {method: 'insertMany'}});
+        await retryTracker.retry();
       }
     }
   }
@@ -134,13 +367,20 @@ export class RecordCollection {
    * @param {string} [options.id] - The ID of the record to retrieve.
    * @param {string} [options.uniqueField] - The name of the unique field.
    * @param {string} [options.uniqueValue] - The value of the unique field.
+   * @param {object} [options.signal] - An `AbortSignal` that stops any
+   *   further retries, causing a `TimeoutError` to be thrown.
    * @param {boolean} [options._allowPending=false] - For internal use only;
    *   allows finding records that are in the process of being created.
+   * @param {object} [options._retryTracker] - For internal use only; the
+   *   tracker for the attempts of the calling operation.
    *
    * @returns {Promise} - Returns a Promise that resolves to the data record
    *   (`{[dataField], meta}`).
    */
-  async get({id, uniqueField, uniqueValue, _allowPending = false} = {}) {
+  async get({
+    id, uniqueField, uniqueValue, signal, _allowPending = false,
+    _retryTracker
+  } = {}) {
     assert.optionalString(id, 'id');
     assert.optionalString(uniqueField, 'uniqueField');
     assert.optionalString(uniqueValue, 'uniqueValue');
@@ -150,26 +390,35 @@ export class RecordCollection {
         'Either "id" or "uniqueField" and "uniqueValue" are required.');
     }
 
-    let proxyCollection;
-    if(id === undefined) {
-      // get proxy collection to use to get record ID
-      proxyCollection = this.proxyCollections.get(uniqueField);
+    // get proxy collection to use to get record ID and / or to compare
+    // normalized unique values
+    const proxyCollection = uniqueField === undefined ?
+      undefined : this.proxyCollections.get(uniqueField);
+    if(id === undefined && !proxyCollection) {
+      // logic error; should not happen
+      throw new Error(
+        `Invalid field "${uniqueField}" used to get record.`);
     }
 
     const {dataField, helper, transactionProcessor: tp} = this;
     const idField = `${dataField}Id`;
+    // a unique field that has no proxy collection can only be matched
+    // directly against the record
+    const query = proxyCollection ? {} : {uniqueField, uniqueValue};
+    const retryTracker = _retryTracker ?? this._createRetryTracker(
+      {operation: 'get', recordId: id, signal});
+    let recordId = id;
     while(true) {
-      if(proxyCollection) {
+      if(id === undefined) {
         const proxyRecord = await this._getProxyRecord(
-          {proxyCollection, uniqueValue});
-        id = proxyRecord[idField];
+          {proxyCollection, uniqueValue, retryTracker});
+        recordId = proxyRecord[idField];
       }
 
       // note that a `_pending` record is not retrieved during an `update` or
       // a default `get`; it will only be rolled back (if necessary) when
       // another attempt to insert or delete the record occurs
-      const record = await helper.get(
-        {id, uniqueField, uniqueValue, _allowPending});
+      const record = await helper.get({id: recordId, ...query, _allowPending});
       if(record._txn) {
         // process pending transaction with the record; if the transaction has
         // been committed, we can background the processing and return early
@@ -177,10 +426,22 @@ export class RecordCollection {
         await tp.processPendingTransaction({record, throwError: !committed});
         // if transaction wasn't committed, loop to refresh the record
         if(!committed) {
+          await retryTracker.retry();
           continue;
         }
       }
-      return record;
+
+      // even though the uniqueness constraint is enforced via the proxy
+      // collection, the record must still be checked to ensure the caller
+      // gets a consistent view of it (the record could have changed since
+      // its ID was retrieved from the proxy collection)
+      if(proxyCollection) {
+        const expected = proxyCollection.normalizeValue(uniqueValue);
+        if(!proxyCollection.usesValue(record[dataField], expected)) {
+          helper._throwNotFound({id: recordId});
+        }
+      }
+      return helper.stripInternalFields(record);
     }
   }
 
@@ -189,14 +450,40 @@ export class RecordCollection {
    *
    * @param {object} options - The options to use.
    * @param {object} [options.query={}] - The query to use.
-   * @param {object} [options.options={}] - The options (eg: 'sort', 'limit').
+   * @param {object} [options.options={}] - The options (eg: 'sort', 'limit',
+   *   'projection'); an exclusive projection must not exclude the data
+   *   field as a whole.
    * @param {boolean} [options._allowPending=false] - For internal use only;
    *   allows finding records that are in the process of being created.
    *
    * @returns {Promise} Resolves to the records that matched the query.
    */
   async getAll({query = {}, options = {}, _allowPending = false} = {}) {
-    return this.helper.getAll(query, options, _allowPending);
+    const records = await this.helper.getAll({query, options, _allowPending});
+    const {projection} = options;
+    return this._resolveRecords({records, query, projection, _allowPending});
+  }
+
+  /**
+   * Retrieves a page of records matching the given query, sorted by the given
+   * field. See `RecordCollectionHelper.list()` for details.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.query={}] - The query to use.
+   * @param {string} options.sortField - The path of the field to sort by,
+   *   e.g., `meta.created`.
+   * @param {number} [options.direction=1] - The sort direction, `1` for
+   *   ascending and `-1` for descending.
+   * @param {number} options.limit - The maximum number of records to return.
+   * @param {string} [options.after] - A `next` token from a previous call.
+   *
+   * @returns {Promise<object>} Resolves to `{records, next}` where `next` is
+   *   `null` if there are no more matching records.
+   */
+  async list({query = {}, sortField, direction = 1, limit, after} = {}) {
+    const {records, next} = await this.helper.list(
+      {query, sortField, direction, limit, after});
+    return {records: await this._resolveRecords({records, query}), next};
   }
 
   /**
@@ -214,32 +501,51 @@ export class RecordCollection {
    * @param {object} [options.expectedSequence] - The expected sequence (the
    *   sequence associated with the current record in the database, prior to
    *   this update).
+   * @param {string} [options.actor] - The ID of the actor making the change,
+   *   recorded in history if enabled.
+   * @param {string} [options.operation='update'] - The name of the operation,
+   *   recorded in history if enabled.
+   * @param {object} [options.signal] - An `AbortSignal` that stops any
+   *   further retries, causing a `TimeoutError` to be thrown.
    *
    * @returns {Promise} - Returns a Promise that resolves to `true` when the
    *   operation completes.
    */
-  async update({id, data, meta, expectedSequence} = {}) {
+  async update({
+    id, data, meta, expectedSequence, actor, operation = 'update', signal
+  } = {}) {
     // do early validation of params
     this.helper.validateUpdateParams({id, data, meta, expectedSequence});
 
-    // get keys for checking if any fields that should be unique are set
-    const {dataField, proxyCollections} = this;
-    const keys = [...proxyCollections.keys()];
+    // normalize unique values early to surface any errors before starting
+    // a transaction
+    if(data) {
+      this._normalizeUniqueValues({data});
+    }
+
+    const {dataField} = this;
+    const retryTracker = this._createRetryTracker(
+      {operation: 'update', recordId: id, signal});
     while(true) {
       try {
         // get record; treat any pending record as not found
-        const record = await this.get({id});
+        const record = await this.get({id, _retryTracker: retryTracker});
 
         // see if any fields that should be unique will change
         const {[dataField]: existingData} = record;
-        const applyUniqueConstraint = data && keys.some(
-          k => data[k] !== existingData[k]);
+        const applyUniqueConstraint = data && this._uniqueValuesChanged(
+          {oldData: existingData, newData: data});
 
-        if(!applyUniqueConstraint) {
+        // when history is enabled, a transaction is always used to ensure
+        // the history entry is written if the change is committed
+        if(!(applyUniqueConstraint || this.historyCollection)) {
           // no transaction needed; do update w/o transaction
           if(!await this.helper.update({id, data, meta, expectedSequence})) {
             // update failed and did not produce an exception; this can only
             // occur with a concurrent transaction, loop to retry
+            this._incrementMetric(
+              {name: 'retries', attributes: {method: 'update'}});
+            await retryTracker.retry();
             continue;
           }
           return true;
@@ -248,7 +554,7 @@ export class RecordCollection {
         // perform `update` transaction
         const t = new RecordTransaction({
           id, record, data, meta, type: 'update', expectedSequence,
-          recordCollection: this
+          actor, operation, retryTracker, recordCollection: this
         });
         await t.run();
         return true;
@@ -257,6 +563,67 @@ export class RecordCollection {
           // unrecoverable error
           throw e;
         }
+        this._incrementMetric(
+          {name: 'retries', attributes: {method: 'update'}});
+        await retryTracker.retry();
+      }
+    }
+  }
+
+  /**
+   * Updates several records such that either all of the updates are applied
+   * or none of them are. Each update is given as the parameters of
+   * `update()` and its `sequence` must likewise match the existing record.
+   * The updates are applied using transactions that are part of a batch,
+   * as with `insertMany()`. A unique value may move from one record to
+   * another, e.g., when records are merged; its mapping is re-pointed to the
+   * record it moves to when the batch is committed, so the value is never
+   * free for any other record to claim.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.updates - The updates to apply, each as
+   *   `{id, data, meta, expectedSequence}`.
+   * @param {string} [options.actor] - The ID of the actor making the change,
+   *   recorded in history if enabled.
+   * @param {string} [options.operation='update'] - The name of the operation,
+   *   recorded in history if enabled.
+   * @param {object} [options.signal] - An `AbortSignal` that stops any
+   *   further retries, causing a `TimeoutError` to be thrown.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` when the operation
+   *   completes.
+   */
+  async updateMany({updates, actor, operation = 'update', signal} = {}) {
+    assert.arrayOfObject(updates, 'updates');
+    // as with `update()`, `id` may be omitted if `data` is given
+    updates = updates.map(
+      update => ({...update, id: update.id ?? update.data?.id}));
+    const {dataField} = this;
+    for(const {id, data, meta, expectedSequence} of updates) {
+      // do early validation of params
+      this.helper.validateUpdateParams({id, data, meta, expectedSequence});
+      if(data) {
+        this._normalizeUniqueValues({data});
+      }
+    }
+    this._assertNoDuplicatesInBatch({
+      records: updates.map(({id, data}) => ({[dataField]: data ?? {id}}))
+    });
+
+    const retryTracker = this._createRetryTracker(
+      {operation: 'updateMany', signal});
+    while(true) {
+      try {
+        await this._updateBatch({updates, actor, operation, retryTracker});
+        return true;
+      } catch(e) {
+        if(e.name !== 'AbortError') {
+          // unrecoverable error
+          throw e;
+        }
+        this._incrementMetric(
+          {name: 'retries', attributes: {method: 'updateMany'}});
+        await retryTracker.retry();
       }
     }
   }
@@ -266,47 +633,1062 @@ export class RecordCollection {
    *
    * @param {object} options - The options to use.
    * @param {string} options.id - The ID of the record to delete.
+   * @param {string} [options.actor] - The ID of the actor making the change,
+   *   recorded in history if enabled.
+   * @param {string} [options.operation='delete'] - The name of the operation,
+   *   recorded in history if enabled.
+   * @param {object} [options.signal] - An `AbortSignal` that stops any
+   *   further retries, causing a `TimeoutError` to be thrown.
    *
    * @returns {Promise<boolean>} Resolves with `true` when the operation
    *   completes.
    */
-  async delete({id} = {}) {
+  async delete({id, actor, operation = 'delete', signal} = {}) {
     assert.string(id, 'id');
 
+    const retryTracker = this._createRetryTracker(
+      {operation: 'delete', recordId: id, signal});
     while(true) {
       try {
+        // get record to determine which unique values must be released
+        const record = await this.get({id, _retryTracker: retryTracker});
+
         // perform `delete` transaction
-        const t = new RecordTransaction(
-          {id, type: 'delete', recordCollection: this});
+        const t = new RecordTransaction({
+          id, record, type: 'delete', actor, operation, retryTracker,
+          recordCollection: this
+        });
         await t.run();
-        return true;
+        break;
+      } catch(e) {
+        if(e.name !== 'AbortError') {
+          // unrecoverable error
+          throw e;
+        }
+        this._incrementMetric(
+          {name: 'retries', attributes: {method: 'delete'}});
+        await retryTracker.retry();
+      }
+    }
+    // any values reserved for the record can no longer be claimed by it
+    await this.releaseUniqueValues({id});
+    return true;
+  }
+
+  /**
+   * Changes the ID of a record, e.g., when record IDs are migrated. The
+   * record and the mappings of its unique values are moved to the new ID
+   * such that either all of these changes are made or none of them are: a
+   * record with the new ID is inserted and the existing record is deleted
+   * using transactions that are part of a batch, as with `insertMany()`, and
+   * each unique value is moved to the new record, as with `updateMany()`.
+   * The record's `sequence` is incremented. Any values reserved for the
+   * record are released and any history recorded for it remains under its
+   * previous ID.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the record.
+   * @param {string} options.newId - The new ID of the record.
+   * @param {string} [options.actor] - The ID of the actor making the change,
+   *   recorded in history if enabled.
+   * @param {string} [options.operation='rekey'] - The name of the operation,
+   *   recorded in history if enabled.
+   * @param {object} [options.signal] - An `AbortSignal` that stops any
+   *   further retries, causing a `TimeoutError` to be thrown.
+   *
+   * @returns {Promise<object>} Resolves to the record with its new ID.
+   */
+  async rekey({id, newId, actor, operation = 'rekey', signal} = {}) {
+    assert.string(id, 'id');
+    assert.string(newId, 'newId');
+    if(id === newId) {
+      throw new TypeError('"id" and "newId" must be different.');
+    }
+
+    const retryTracker = this._createRetryTracker(
+      {operation: 'rekey', recordId: id, signal});
+    let record;
+    while(true) {
+      try {
+        record = await this._rekeyBatch(
+          {id, newId, actor, operation, retryTracker});
+        break;
       } catch(e) {
         if(e.name !== 'AbortError') {
           // unrecoverable error
           throw e;
         }
+        this._incrementMetric(
+          {name: 'retries', attributes: {method: 'rekey'}});
+        await retryTracker.retry();
+      }
+    }
+    // any values reserved for the record can no longer be claimed by it
+    await this.releaseUniqueValues({id});
+    return record;
+  }
+
+  /**
+   * Reserves a unique value for a record until `expires` so that no other
+   * record can use it, e.g., while a change that will make the record use
+   * the value is waiting to be confirmed. The record cannot be found via a
+   * reserved value; the reservation is claimed by the first update to the
+   * record that uses the value. An expired reservation is released by the
+   * next operation that needs its value.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the record.
+   * @param {string} options.uniqueField - The name of the unique field.
+   * @param {string} options.uniqueValue - The value to reserve.
+   * @param {number} options.expires - When the reservation expires (in ms
+   *   since the epoch).
+   * @param {object} [options.signal] - An `AbortSignal` that stops retrying
+   *   the operation if it conflicts with concurrent changes to the value.
+   *
+   * @returns {Promise<object>} Resolves to the reservation as `{id,
+   *   expires}` or rejects with a `DuplicateError` if the value is already
+   *   used by a record or reserved for another record; a reservation of the
+   *   value for the same record is renewed and keeps its ID.
+   */
+  async reserveUniqueValue({
+    id, uniqueField, uniqueValue, expires, signal
+  } = {}) {
+    assert.string(id, 'id');
+    assert.string(uniqueField, 'uniqueField');
+    assert.string(uniqueValue, 'uniqueValue');
+    assert.number(expires, 'expires');
+    const proxyCollection = this._getReservableProxyCollection({uniqueField});
+
+    const retryTracker = this._createRetryTracker(
+      {operation: 'reserveUniqueValue', recordId: id, signal});
+    while(true) {
+      try {
+        const {_reservation: reservation} = await proxyCollection.reserve(
+          {uniqueValue, recordId: id, expires});
+        return {id: reservation.id, expires};
+      } catch(e) {
+        if(e.name !== 'DuplicateError') {
+          throw e;
+        }
+        // process any pending transaction or expired reservation that is
+        // using the value
+        try {
+          await this._getProxyRecord(
+            {proxyCollection, uniqueValue, retryTracker});
+        } catch(e) {
+          if(e.name !== 'NotFoundError') {
+            throw e;
+          }
+          // value has been released, loop to try to reserve it again
+          await retryTracker.retry();
+          continue;
+        }
+        throw e;
+      }
+    }
+  }
+
+  /**
+   * Releases the unique values reserved for a record via
+   * `reserveUniqueValue()`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the record.
+   * @param {string} [options.uniqueField] - The name of the unique field;
+   *   reservations for every unique field are released if not given.
+   * @param {string} [options.uniqueValue] - The value to release; requires
+   *   `uniqueField`.
+   * @param {string} [options.reservationId] - The ID of the reservation to
+   *   release; requires `uniqueField`.
+   *
+   * @returns {Promise<number>} Resolves to the number of released values.
+   */
+  async releaseUniqueValues({
+    id, uniqueField, uniqueValue, reservationId
+  } = {}) {
+    assert.string(id, 'id');
+    assert.optionalString(uniqueField, 'uniqueField');
+    if(uniqueField === undefined &&
+      !(uniqueValue === undefined && reservationId === undefined)) {
+      throw new Error(
+        '"uniqueField" is required with "uniqueValue" or "reservationId".');
+    }
+    const proxyCollections = uniqueField === undefined ?
+      [...this.proxyCollections.values()] :
+      [this._getReservableProxyCollection({uniqueField})];
+    let released = 0;
+    for(const proxyCollection of proxyCollections) {
+      released += await proxyCollection.releaseReservations(
+        {recordId: id, uniqueValue, reservationId});
+    }
+    return released;
+  }
+
+  /**
+   * Recovers transactions that were interrupted (e.g., by a process crash)
+   * and have not yet been processed by another read or write. Any record or
+   * proxy record with a transaction that was created at least `maxAge` ms
+   * ago is found (the age of a transaction created before its creation time
+   * was tracked is measured from when it is first seen by this method);
+   * committed transactions are completed and all others are rolled back. Any
+   * batch (see `insertMany()`) that was created at least `maxAge` ms ago is
+   * committed or rolled back along with its transactions and then removed.
+   * Proxy records with a transaction that is no longer pending on their
+   * associated record are resolved such that they remain only if the record
+   * uses their unique value.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} options.maxAge - The minimum age (in ms) of transactions
+   *   to recover; this should be long enough that any transaction that is
+   *   still in progress will not be rolled back.
+   * @param {number} [options.limit=100] - The maximum number of records and
+   *   the maximum number of records per proxy collection to examine.
+   *
+   * @returns {Promise<object>} Resolves to counts of the transactions that
+   *   were `completed` and `rolledBack`, of the orphaned proxy records that
+   *   were resolved (`proxyRecordsResolved`), and of the batches (see
+   *   `insertMany()`) that were removed (`batchesRemoved`).
+   */
+  async recoverTransactions({maxAge, limit = 100} = {}) {
+    assert.number(maxAge, 'maxAge');
+    assert.number(limit, 'limit');
+
+    const counts = {
+      completed: 0, rolledBack: 0, proxyRecordsResolved: 0, batchesRemoved: 0
+    };
+
+    // recover the transactions of stale batches; a batch that is still
+    // pending was interrupted and is rolled back along with its transactions
+    const {batchCollection, dataField, helper} = this;
+    const batches = await batchCollection.getStale({maxAge, limit});
+    for(const {id: batchId} of batches) {
+      await batchCollection.resolve({id: batchId, status: 'rolledBack'});
+      const records = await helper.getAll({
+        query: {'_txn.id': {$exists: true}, '_txn.batchId': batchId},
+        options: {limit},
+        _allowPending: true
+      });
+      for(const record of records) {
+        await this._recoverTransaction({record, counts});
+      }
+      if(records.length < limit) {
+        // every transaction in the batch has been processed
+        await batchCollection.delete({id: batchId});
+        counts.batchesRemoved++;
+      }
+    }
+
+    // a transaction created before `_txn.created` was tracked may still be
+    // in progress, so its age is measured from when it is first seen
+    const created = Date.now();
+    await this.getCollection().updateMany(
+      {'_txn.id': {$exists: true}, '_txn.created': {$exists: false}},
+      {$set: {'_txn.created': created}});
+    for(const proxyCollection of this.proxyCollections.values()) {
+      await proxyCollection.setMissingTxnCreated({created});
+    }
+
+    // recover records with stale transactions; this includes any record that
+    // is pending insertion or deletion as these always have a transaction
+    const query = _createStaleTxnQuery({maxAge});
+    const records = await helper.getAll(
+      {query, options: {limit}, _allowPending: true});
+    for(const record of records) {
+      await this._recoverTransaction({record, counts});
+    }
+
+    // recover proxy records with stale transactions; these may have been
+    // orphaned by a transaction that was already completed or rolled back
+    for(const proxyCollection of this.proxyCollections.values()) {
+      const proxyRecords = await proxyCollection.getAll(
+        {query, options: {limit}});
+      for(const proxyRecord of proxyRecords) {
+        const {_txn: txn} = proxyRecord;
+        let record;
+        try {
+          record = await helper.get({id: txn.recordId, _allowPending: true});
+        } catch(e) {
+          if(e.name !== 'NotFoundError') {
+            throw e;
+          }
+        }
+        if(record?._txn?.id === txn.id) {
+          // transaction is still pending on the record; recover it
+          await this._recoverTransaction({record, counts});
+          continue;
+        }
+        // the transaction is no longer pending on its record, so it was
+        // already completed or rolled back and this change was written late
+        // by a stalled process or was left unresolved; resolve it based on
+        // whether the record (if any) currently uses the unique value
+        const uniqueValue = proxyRecord[proxyCollection.uniqueField];
+        const inUse = record !== undefined &&
+          proxyCollection.usesValue(record[dataField], uniqueValue);
+        await proxyCollection.resolveChange(
+          {txnId: txn.id, uniqueValue, op: txn.op, inUse});
+        counts.proxyRecordsResolved++;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Verifies that every proxy collection is consistent with the records.
+   * Every unique field value used by a record must have exactly one mapping
+   * to that record. The following inconsistencies are reported:
+   *
+   * - `missing`: A record uses a unique value that has no mapping.
+   * - `orphaned`: A mapping refers to a record that does not exist or that
+   *   does not use its unique value, or its value was normalized by a
+   *   previous normalizer (such a mapping is deleted without a transaction
+   *   on repair as no operation can use it).
+   * - `conflicting`: A record uses a unique value that is mapped to another
+   *   record (`otherRecordId`).
+   *
+   * Records and mappings with a pending transaction are in the process of
+   * being changed and are skipped; `recoverTransactions()` resolves any of
+   * these that were interrupted.
+   *
+   * In `repair` mode, each inconsistency is repaired by inserting or deleting
+   * mappings via transactions that are resolved against the current state of
+   * the affected record, so a repair that races with a concurrent change to
+   * the record is rolled back (and an interrupted repair is resolved by
+   * `recoverTransactions()`). A conflicting mapping is only repaired if the
+   * other record does not also use the unique value; if it does, the records
+   * themselves are inconsistent and must be fixed by hand.
+   *
+   * @param {object} options - The options to use.
+   * @param {boolean} [options.repair=false] - `true` to repair any
+   *   inconsistencies.
+   *
+   * @returns {Promise<object>} Resolves to `{records, proxyRecords, skipped,
+   *   reserved, missing, orphaned, conflicting}` with the number of records
+   *   and mappings that were checked, the number that were skipped, the
+   *   number of mappings that are reservations (which are not checked), and
+   *   a list of each kind of inconsistency as `{uniqueField, uniqueValue,
+   *   recordId, [otherRecordId], [repaired]}`, where `uniqueValue` is
+   *   normalized and `repaired` is only set in `repair` mode.
+   */
+  async verifyIntegrity({repair = false} = {}) {
+    assert.bool(repair, 'repair');
+
+    const report = {
+      records: 0, proxyRecords: 0, skipped: 0, reserved: 0,
+      missing: [], orphaned: [], conflicting: []
+    };
+
+    // check that every unique value used by a record is mapped to it
+    const {dataField, proxyCollections} = this;
+    const projection = {_id: 0, [`${dataField}.id`]: 1, _txn: 1, _pending: 1};
+    for(const {uniqueField, sharedFields} of proxyCollections.values()) {
+      for(const field of [uniqueField, ...sharedFields]) {
+        projection[`${dataField}.${field}`] = 1;
+      }
+    }
+    // track conflicting mappings so they are not also reported as orphaned
+    const conflicts = new Set();
+    const cursor = this.getCollection().find({}, {projection});
+    for await (const record of cursor) {
+      report.records++;
+      if(record._txn || record._pending) {
+        report.skipped++;
+        continue;
+      }
+      const data = record[dataField];
+      for(const [uniqueField, proxyCollection] of proxyCollections) {
+        for(const uniqueValue of proxyCollection.normalizeValues(data)) {
+          let proxyRecord;
+          try {
+            proxyRecord = await proxyCollection.get({uniqueValue});
+          } catch(e) {
+            if(e.name !== 'NotFoundError') {
+              throw e;
+            }
+          }
+          const issue = {uniqueField, uniqueValue, recordId: data.id};
+          if(!proxyRecord) {
+            if(repair) {
+              issue.repaired = await this._repairMissing(
+                {proxyCollection, issue});
+            }
+            report.missing.push(issue);
+            continue;
+          }
+          const otherRecordId = proxyCollection.getRecordId(proxyRecord);
+          if(proxyRecord._txn || otherRecordId === data.id) {
+            // mapping is being changed or is consistent
+            continue;
+          }
+          issue.otherRecordId = otherRecordId;
+          conflicts.add(`${uniqueField}:${uniqueValue}`);
+          if(repair) {
+            issue.repaired = await this._repairConflicting(
+              {proxyCollection, issue});
+          }
+          report.conflicting.push(issue);
+        }
+      }
+    }
+
+    // check that every mapping refers to a record that uses its unique value
+    for(const [uniqueField, proxyCollection] of proxyCollections) {
+      for await (const proxyRecord of proxyCollection.iterate()) {
+        report.proxyRecords++;
+        if(proxyRecord._txn) {
+          report.skipped++;
+          continue;
+        }
+        if(proxyRecord._reservation) {
+          // a reserved value is not expected to be used yet
+          report.reserved++;
+          continue;
+        }
+        const uniqueValue = proxyRecord[uniqueField];
+        if(conflicts.has(`${uniqueField}:${uniqueValue}`)) {
+          continue;
+        }
+        const recordId = proxyCollection.getRecordId(proxyRecord);
+        const issue = {uniqueField, uniqueValue, recordId};
+        // a value stored with a previous normalizer can no longer be used
+        if(!proxyCollection.isNormalized(uniqueValue)) {
+          if(repair) {
+            issue.repaired = await proxyCollection.deleteUnnormalized(
+              {uniqueValue});
+          }
+          report.orphaned.push(issue);
+          continue;
+        }
+        const usage = await this._getUniqueValueUsage(
+          {proxyCollection, recordId, uniqueValue});
+        if(usage !== 'unused') {
+          continue;
+        }
+        if(repair) {
+          issue.repaired = await this._repairOrphaned({proxyCollection, issue});
+        }
+        report.orphaned.push(issue);
       }
     }
+
+    return report;
+  }
+
+  /**
+   * Backfills the proxy collection for a unique field from the existing
+   * records, e.g., after the field has been added to `uniqueFields` for a
+   * collection that already has records. Records are processed in batches in
+   * order of record ID and a mapping is inserted (via a transaction) for
+   * each record that uses a unique value that is not yet mapped.
+   *
+   * Values that are already mapped to another record (i.e., that are not
+   * unique in the existing records) are reported as duplicates rather than
+   * causing the backfill to fail; the record with the lowest ID keeps the
+   * value and the others must be fixed by hand. After each batch,
+   * `onCheckpoint` is called with the ID of the last record processed; a
+   * backfill that is interrupted can be resumed by passing this as `after`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.uniqueField - The name of the unique field.
+   * @param {number} [options.batchSize=100] - The number of records to
+   *   process in each batch.
+   * @param {string} [options.after] - The ID of the last record processed
+   *   by a previous backfill; only records with greater IDs are processed.
+   * @param {Function} [options.onCheckpoint] - A function that is called
+   *   with `{after, report}` after each batch is processed, where `report`
+   *   is the report so far.
+   *
+   * @returns {Promise<object>} Resolves to `{uniqueField, processed,
+   *   inserted, existing, skipped, duplicates, after}` with the number of
+   *   records processed, the number of mappings inserted, the number that
+   *   already existed, the number of records skipped because they have no
+   *   value or were concurrently changed, a list of duplicates as
+   *   `{uniqueField, uniqueValue, recordId, otherRecordId}`, and the ID of
+   *   the last record processed.
+   */
+  async backfillUniqueField({
+    uniqueField, batchSize = 100, after, onCheckpoint
+  } = {}) {
+    assert.string(uniqueField, 'uniqueField');
+    assert.number(batchSize, 'batchSize');
+    assert.optionalString(after, 'after');
+    assert.optionalFunc(onCheckpoint, 'onCheckpoint');
+    const proxyCollection = this.proxyCollections.get(uniqueField);
+    if(!proxyCollection) {
+      throw new Error(`"${uniqueField}" is not a unique field.`);
+    }
+
+    const report = {
+      uniqueField, processed: 0, inserted: 0, existing: 0, skipped: 0,
+      duplicates: [], after
+    };
+    const {dataField, helper} = this;
+    const idField = `${dataField}.id`;
+    while(true) {
+      const query = after === undefined ? {} : {[idField]: {$gt: after}};
+      const batch = await helper.getAll(
+        {query, options: {sort: {[idField]: 1}, limit: batchSize}});
+      if(batch.length === 0) {
+        break;
+      }
+      // process any pending transactions before using the records
+      const records = await this._resolveRecords({records: batch, query: {}});
+      for(const record of records) {
+        await this._backfillRecord({proxyCollection, record, report});
+      }
+      report.processed += batch.length;
+      report.after = after = batch.at(-1)[dataField].id;
+      if(onCheckpoint) {
+        await onCheckpoint({after, report});
+      }
+      if(batch.length < batchSize) {
+        break;
+      }
+    }
+    return report;
   }
 
   getCollection() {
-    return database.collections[this.collectionName];
+    return this.storage.getCollection(this.collectionName);
   }
 
   async _createIndexes() {
     const {collectionName, dataField} = this;
-    await database.openCollections([collectionName]);
-    await database.createIndexes([{
-      collection: collectionName,
+    await this.storage.createIndexes({collectionName, indexes: [{
       fields: {[`${dataField}.id`]: 1},
       options: {unique: true}
-    }]);
+    }, {
+      // this index supports finding transactions that were interrupted so
+      // they can be recovered; only records with a transaction are indexed
+      fields: {'_txn.id': 1},
+      options: {
+        partialFilterExpression: {'_txn.id': {$exists: true}},
+        unique: false
+      }
+    }]});
+  }
+
+  async _insertBatch({records, actor, operation, retryTracker} = {}) {
+    const {dataField} = this;
+    const batchId = randomUUID();
+    const transactions = records.map(record => new RecordTransaction({
+      id: record[dataField].id, record, type: 'insert', actor, operation,
+      batchId, retryTracker, recordCollection: this
+    }));
+    await this._runBatch({batchId, transactions});
+  }
+
+  async _updateBatch({updates, actor, operation, retryTracker} = {}) {
+    // get every record to determine which unique values move between them
+    const records = [];
+    for(const {id} of updates) {
+      records.push(await this.get({id, _retryTracker: retryTracker}));
+    }
+    const moves = this._getMovedUniqueValues({records, updates});
+
+    const batchId = randomUUID();
+    const transactions = updates.map(({id, data, meta, expectedSequence}, i) =>
+      new RecordTransaction({
+        id, record: records[i], data, meta, expectedSequence, type: 'update',
+        actor, operation, batchId, moves, retryTracker, recordCollection: this
+      }));
+    await this._runBatch({batchId, transactions});
+  }
+
+  async _rekeyBatch({id, newId, actor, operation, retryTracker} = {}) {
+    const {dataField, sequenceInData} = this;
+    const record = await this.get({id, _retryTracker: retryTracker});
+
+    // the record with the new ID is the next version of the record
+    const sequenceLocation = sequenceInData ? dataField : 'meta';
+    const newRecord = {
+      ...record, [dataField]: {...record[dataField], id: newId}
+    };
+    newRecord[sequenceLocation] = {
+      ...newRecord[sequenceLocation],
+      sequence: record[sequenceLocation].sequence + 1
+    };
+
+    // every unique value moves to the record with the new ID
+    const moves = [];
+    for(const [uniqueField, proxyCollection] of this.proxyCollections) {
+      const values = proxyCollection.normalizeValues(record[dataField]);
+      for(const uniqueValue of values) {
+        moves.push(
+          {uniqueField, uniqueValue, fromRecordId: id, toRecordId: newId});
+      }
+    }
+
+    const batchId = randomUUID();
+    const options = {
+      actor, operation, batchId, moves, retryTracker, recordCollection: this
+    };
+    const transactions = [
+      new RecordTransaction({id, record, type: 'delete', ...options}),
+      new RecordTransaction(
+        {id: newId, record: newRecord, type: 'insert', ...options})
+    ];
+    await this._runBatch({batchId, transactions});
+    return newRecord;
+  }
+
+  async _runBatch({batchId, transactions} = {}) {
+    const {batchCollection, transactionProcessor: tp} = this;
+    await batchCollection.insert({id: batchId});
+
+    const staged = [];
+    try {
+      // stage every record and its proxy records
+      for(const t of transactions) {
+        staged.push(t);
+        await t.stage();
+      }
+
+      // commit point: commit every transaction at once via the batch
+      if(!await batchCollection.resolve({id: batchId, status: 'committed'})) {
+        // batch rolled back by another process; abort and retry
+        tp.throwAbortError();
+      }
+    } catch(e) {
+      // ensure the batch cannot be committed and roll back every staged
+      // transaction; any transaction not rolled back here will be rolled
+      // back by the next process to encounter it
+      await batchCollection.resolve({id: batchId, status: 'rolledBack'});
+      await Promise.all(staged.map(({record, txn}) => tp.rollbackTransaction(
+        {record, txn, throwError: false})));
+      await batchCollection.delete({id: batchId});
+      throw e;
+    }
+
+    // complete every transaction; any transaction not completed here will
+    // be completed by the next process to encounter it
+    let completed = true;
+    for(const {record, txn} of transactions) {
+      try {
+        await tp.processPendingTransaction({record: {...record, _txn: txn}});
+      } catch(error) {
+        completed = false;
+        logger.debug(
+          `Failed to complete batch "${batchId}" transaction "${txn.id}". ` +
+          'It will be automatically completed on the next operation.',
+          {error});
+      }
+    }
+    if(completed) {
+      // the batch is no longer needed once all of its transactions are
+      // complete; otherwise it is removed during recovery
+      await batchCollection.delete({id: batchId});
+    }
   }
 
-  async _getProxyRecord({proxyCollection, uniqueValue} = {}) {
+  // gets the unique values that the updates in a batch move from one record
+  // to another as `{uniqueField, uniqueValue, fromRecordId, toRecordId}`
+  // where `uniqueValue` is normalized
+  _getMovedUniqueValues({records, updates} = {}) {
+    const {dataField} = this;
+    const moves = [];
+    for(const [uniqueField, proxyCollection] of this.proxyCollections) {
+      // find the values that each record stops using
+      const released = new Map();
+      for(const [i, {data}] of updates.entries()) {
+        if(data) {
+          const oldData = records[i][dataField];
+          const newValues = proxyCollection.normalizeValues(data);
+          for(const value of proxyCollection.normalizeValues(oldData)) {
+            if(!newValues.includes(value)) {
+              released.set(value, oldData.id);
+            }
+          }
+        }
+      }
+      // find the records that start using any of those values
+      for(const [i, {data}] of updates.entries()) {
+        if(data) {
+          const oldValues = proxyCollection.normalizeValues(
+            records[i][dataField]);
+          for(const value of proxyCollection.normalizeValues(data)) {
+            if(released.has(value) && !oldValues.includes(value)) {
+              moves.push({
+                uniqueField, uniqueValue: value,
+                fromRecordId: released.get(value), toRecordId: data.id
+              });
+            }
+          }
+        }
+      }
+    }
+    return moves;
+  }
+
+  _assertNoDuplicatesInBatch({records} = {}) {
+    const {dataField, proxyCollections} = this;
+    const fields = [
+      ['id', data => [data.id], value => value],
+      ...[...proxyCollections].map(([k, proxyCollection]) => [
+        k, data => proxyCollection.getValues(data),
+        v => proxyCollection.normalizeValue(v)
+      ])
+    ];
+    for(const [uniqueField, getValues, normalize] of fields) {
+      const seen = new Set();
+      for(const {[dataField]: data} of records) {
+        // a record may use more than one value of a field that has shared
+        // fields; any repeats within a record are rejected when normalizing
+        const values = new Map();
+        for(const uniqueValue of getValues(data)) {
+          if(uniqueValue !== undefined) {
+            values.set(normalize(uniqueValue), uniqueValue);
+          }
+        }
+        for(const [normalized, uniqueValue] of values) {
+          if(seen.has(normalized)) {
+            throw new BedrockError(`Duplicate ${dataField}.`, {
+              name: 'DuplicateError',
+              details: {
+                recordId: data.id,
+                [dataField]: data.id,
+                uniqueField,
+                uniqueValue,
+                httpStatusCode: 409,
+                public: true
+              }
+            });
+          }
+          seen.add(normalized);
+        }
+      }
+    }
+  }
+
+  // runs `fn` as the named step of a transaction, recording its duration
+  // and tracing it in a span
+  async _runStep({step, txn, fn} = {}) {
+    const {collectionName, metrics, tracer} = this;
+    const span = tracer?.startSpan(`${collectionName}.${step}`, {
+      attributes: {
+        collection: collectionName, step,
+        'txn.id': txn.id, 'txn.type': txn.type, 'txn.recordId': txn.recordId
+      }
+    });
+    const start = performance.now();
+    try {
+      if(this.stepHook) {
+        await this.stepHook({step, txn: {...txn}});
+      }
+      return await fn();
+    } catch(e) {
+      span?.recordException(e);
+      span?.setStatus({code: SPAN_STATUS_ERROR, message: e.message});
+      throw e;
+    } finally {
+      metrics?.observe({
+        name: 'stepDuration',
+        value: performance.now() - start,
+        attributes: {collection: collectionName, type: txn.type, step}
+      });
+      span?.end();
+    }
+  }
+
+  _createRetryTracker({operation, recordId, signal} = {}) {
+    return new RetryTracker(
+      {policy: this.retryPolicy, operation, recordId, signal});
+  }
+
+  _incrementMetric({name, attributes} = {}) {
+    this.metrics?.increment({
+      name, value: 1,
+      attributes: {collection: this.collectionName, ...attributes}
+    });
+  }
+
+  async _backfillRecord({proxyCollection, record, report} = {}) {
+    const {dataField} = this;
+    const recordId = record[dataField].id;
+    const uniqueValues = proxyCollection.normalizeValues(record[dataField]);
+    if(uniqueValues.length === 0) {
+      report.skipped++;
+      return;
+    }
+    for(const uniqueValue of uniqueValues) {
+      await this._backfillValue(
+        {proxyCollection, recordId, uniqueValue, report});
+    }
+  }
+
+  async _backfillValue({
+    proxyCollection, recordId, uniqueValue, report
+  } = {}) {
+    const {uniqueField} = proxyCollection;
+    const retryTracker = this._createRetryTracker(
+      {operation: 'backfillUniqueField', recordId});
+    while(true) {
+      let proxyRecord;
+      try {
+        proxyRecord = await this._getProxyRecord(
+          {proxyCollection, uniqueValue, retryTracker});
+      } catch(e) {
+        if(e.name !== 'NotFoundError') {
+          throw e;
+        }
+      }
+      if(proxyRecord) {
+        const otherRecordId = proxyCollection.getRecordId(proxyRecord);
+        if(otherRecordId === recordId) {
+          report.existing++;
+        } else {
+          report.duplicates.push(
+            {uniqueField, uniqueValue, recordId, otherRecordId});
+        }
+        return;
+      }
+      const inserted = await this._repairMissing(
+        {proxyCollection, issue: {uniqueValue, recordId}});
+      if(inserted) {
+        report.inserted++;
+        return;
+      }
+      // the mapping was concurrently inserted or the record was changed;
+      // a change to the record reserves its own unique values
+      const usage = await this._getUniqueValueUsage(
+        {proxyCollection, recordId, uniqueValue});
+      if(usage !== 'used') {
+        report.skipped++;
+        return;
+      }
+      // loop to check the concurrently inserted mapping
+      await retryTracker.retry();
+    }
+  }
+
+  async _insertWithoutTransaction({record, retryTracker} = {}) {
+    const {dataField, helper, transactionProcessor: tp} = this;
+    const {id} = record[dataField];
+    while(true) {
+      try {
+        // insert a copy as the driver adds `_id` to the inserted document
+        await helper.insert({record: {...record}});
+        return record;
+      } catch(e) {
+        if(e.name !== 'DuplicateError') {
+          throw e;
+        }
+        // the duplicate record may have a pending transaction (e.g., an
+        // interrupted insert) that would remove it once processed
+        try {
+          const result = await tp.processAnyPendingTransaction({id});
+          if(!result.processed && result.record) {
+            // record is a stable duplicate, throw
+            throw e;
+          }
+        } catch(err) {
+          if(err.name !== 'AbortError') {
+            // unrecoverable error
+            throw err;
+          }
+          // transaction was concurrently processed
+        }
+        // transaction processed or record removed; loop to retry
+        this._incrementMetric(
+          {name: 'retries', attributes: {method: 'insert'}});
+        await retryTracker.retry();
+      }
+    }
+  }
+
+  async _recoverTransaction({record, counts} = {}) {
+    const {transactionProcessor: tp} = this;
+    const {committed} = record._txn;
+    try {
+      await tp.processPendingTransaction({record});
+    } catch(e) {
+      // the transaction was concurrently processed by another process
+      if(e.name === 'AbortError' || e.name === 'NotFoundError') {
+        return;
+      }
+      throw e;
+    }
+    if(committed) {
+      counts.completed++;
+    } else {
+      counts.rolledBack++;
+    }
+  }
+
+  // processes any pending transactions on records found via a query and
+  // removes internal fields from them; any record that no longer matches the
+  // query once its transaction has been processed is removed from the results
+  async _resolveRecords({records, query, projection, _allowPending} = {}) {
+    const {dataField, helper, transactionProcessor: tp} = this;
+    const results = [];
+    for(let record of records) {
+      let retryTracker;
+      while(record?._txn) {
+        // process pending transaction with the record; if the transaction
+        // has been committed, background the processing and use the record
+        const {committed} = record._txn;
+        if(committed) {
+          await tp.processPendingTransaction({record, throwError: false});
+          break;
+        }
+        try {
+          await tp.processPendingTransaction({record});
+        } catch(e) {
+          if(e.name !== 'AbortError') {
+            // unrecoverable error
+            throw e;
+          }
+        }
+        // refresh the record; it may have changed or been removed
+        const {id} = record[dataField];
+        retryTracker ??= this._createRetryTracker(
+          {operation: 'getAll', recordId: id});
+        await retryTracker.retry();
+        [record] = await helper.getAll({
+          query: {$and: [query, {[`${dataField}.id`]: id}]},
+          options: {projection, limit: 1},
+          _allowPending
+        });
+      }
+      if(record) {
+        results.push(helper.stripInternalFields(record));
+      }
+    }
+    return results;
+  }
+
+  // returns whether a record uses a unique value (`used`), does not exist or
+  // does not use it (`unused`), or is being changed (`pending`)
+  async _getUniqueValueUsage({proxyCollection, recordId, uniqueValue} = {}) {
+    const {dataField} = this;
+    const [record] = await this.helper.getAll({
+      query: {[`${dataField}.id`]: recordId},
+      options: {limit: 1},
+      _allowPending: true
+    });
+    if(!record) {
+      return 'unused';
+    }
+    if(record._txn || record._pending) {
+      return 'pending';
+    }
+    return proxyCollection.usesValue(record[dataField], uniqueValue) ?
+      'used' : 'unused';
+  }
+
+  async _repairMissing({proxyCollection, issue} = {}) {
+    const {uniqueValue, recordId} = issue;
+    const txn = _createRepairTxn({recordId});
+    try {
+      await proxyCollection.insert({uniqueValue, recordId, txn});
+    } catch(e) {
+      if(e.name === 'DuplicateError') {
+        // mapping was concurrently created
+        return false;
+      }
+      throw e;
+    }
+    // keep the mapping only if the record still uses the unique value
+    const usage = await this._getUniqueValueUsage(
+      {proxyCollection, recordId, uniqueValue});
+    const inUse = usage === 'used';
+    await proxyCollection.resolveChange(
+      {txnId: txn.id, uniqueValue, op: 'insert', inUse});
+    return inUse;
+  }
+
+  async _repairOrphaned({proxyCollection, issue} = {}) {
+    const {uniqueValue, recordId} = issue;
+    const txn = _createRepairTxn({recordId});
+    const marked = await proxyCollection.prepareDelete(
+      {recordId, txn, uniqueValue});
+    if(!marked) {
+      // mapping was concurrently changed
+      return false;
+    }
+    // delete the mapping only if the record still does not use the value
+    const usage = await this._getUniqueValueUsage(
+      {proxyCollection, recordId, uniqueValue});
+    const inUse = usage !== 'unused';
+    await proxyCollection.resolveChange(
+      {txnId: txn.id, uniqueValue, op: 'delete', inUse});
+    return !inUse;
+  }
+
+  async _repairConflicting({proxyCollection, issue} = {}) {
+    const {uniqueValue, otherRecordId} = issue;
+    // the mapping can only be moved if the other record does not use it
+    const usage = await this._getUniqueValueUsage(
+      {proxyCollection, recordId: otherRecordId, uniqueValue});
+    if(usage !== 'unused') {
+      return false;
+    }
+    const removed = await this._repairOrphaned({
+      proxyCollection, issue: {uniqueValue, recordId: otherRecordId}
+    });
+    return removed && this._repairMissing({proxyCollection, issue});
+  }
+
+  _normalizeUniqueValues({data} = {}) {
+    const {dataField} = this;
+    for(const [uniqueField, proxyCollection] of this.proxyCollections) {
+      // a record must not use the same value twice across a unique field
+      // and its shared fields as each value maps to a single record
+      const seen = new Set();
+      for(const uniqueValue of proxyCollection.getValues(data)) {
+        const normalized = proxyCollection.normalizeValue(uniqueValue);
+        if(seen.has(normalized)) {
+          throw new BedrockError(`Duplicate ${dataField}.`, {
+            name: 'DuplicateError',
+            details: {
+              recordId: data.id,
+              [dataField]: data.id,
+              uniqueField,
+              uniqueValue,
+              httpStatusCode: 409,
+              public: true
+            }
+          });
+        }
+        seen.add(normalized);
+      }
+    }
+  }
+
+  _uniqueValuesChanged({oldData, newData} = {}) {
+    // compare normalized values; a change to the original value that does
+    // not change its normalized value does not require a proxy change, nor
+    // does moving a value between a unique field and its shared fields
+    return [...this.proxyCollections.values()].some(proxyCollection => {
+      const oldValues = proxyCollection.normalizeValues(oldData);
+      const newValues = proxyCollection.normalizeValues(newData);
+      return oldValues.length !== newValues.length ||
+        newValues.some(value => !oldValues.includes(value));
+    });
+  }
+
+  _getReservableProxyCollection({uniqueField} = {}) {
+    const proxyCollection = this.proxyCollections.get(uniqueField);
+    if(!proxyCollection) {
+      throw new Error(
+        `Invalid field "${uniqueField}" used to reserve a unique value.`);
+    }
+    return proxyCollection;
+  }
+
+  async _getProxyRecord({proxyCollection, uniqueValue, retryTracker} = {}) {
     const {transactionProcessor: tp} = this;
     while(true) {
       const proxyRecord = await proxyCollection.get({uniqueValue});
+      if(proxyCollection.isExpiredReservation(proxyRecord)) {
+        // release the expired reservation and loop to retry
+        await proxyCollection.releaseReservations({
+          recordId: proxyCollection.getRecordId(proxyRecord),
+          reservationId: proxyRecord._reservation.id
+        });
+        await retryTracker.retry();
+        continue;
+      }
       if(!proxyRecord._txn) {
         return proxyRecord;
       }
@@ -314,7 +1696,7 @@ export class RecordCollection {
       // process any transaction associated with the proxy record
       const blockingProxyRecords = [{proxyCollection, proxyRecord}];
       // record could be different from the one identified by `id`
-      const {id: recordId} = proxyRecord._txn;
+      const {recordId} = proxyRecord._txn;
       const result = await tp.processAnyPendingTransaction(
         {id: recordId, blockingProxyRecords});
       if(result.error && result.error.name !== 'AbortError') {
@@ -322,7 +1704,20 @@ export class RecordCollection {
         throw result.error;
       }
       // loop to retry
-      continue;
+      await retryTracker.retry();
     }
   }
 }
+
+function _createRepairTxn({recordId}) {
+  // a repair transaction is never set on the record itself; any mapping
+  // change it leaves behind is resolved as an orphaned proxy change
+  return {id: randomUUID(), type: 'repair', recordId, created: Date.now()};
+}
+
+function _createStaleTxnQuery({maxAge}) {
+  return {
+    '_txn.id': {$exists: true},
+    '_txn.created': {$lte: Date.now() - maxAge}
+  };
+}
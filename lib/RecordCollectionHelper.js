@@ -1,8 +1,7 @@
 /*!
- * Copyright (c) 2018-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import * as database from '@bedrock/mongodb';
 import assert from 'assert-plus';
 
 const {util: {BedrockError}} = bedrock;
@@ -28,12 +27,12 @@ export class RecordCollectionHelper {
     assert.optionalString(uniqueValue, 'uniqueValue');
 
     const {recordCollection: {dataField}} = this;
-    const query = {[`${dataField}.id`]: id, _pending: {$exists: false}};
+    const query = this.createQuery({query: {[`${dataField}.id`]: id}});
     if(uniqueField !== undefined) {
       query[`${dataField}.${uniqueField}`] = uniqueValue;
     }
 
-    const projection = {_id: 0, [`${dataField.id}`]: 1};
+    const projection = {_id: 0, [`${dataField}.id`]: 1};
     const collection = this.recordCollection.getCollection();
 
     const record = await collection.findOne(query, {projection});
@@ -57,7 +56,7 @@ export class RecordCollectionHelper {
       const collection = this.recordCollection.getCollection();
       await collection.insertOne(record);
     } catch(e) {
-      if(!database.isDuplicateError(e)) {
+      if(!this.recordCollection.storage.isDuplicateError(e)) {
         throw e;
       }
       throw new BedrockError(`Duplicate ${dataField}.`, {
@@ -100,7 +99,8 @@ export class RecordCollectionHelper {
     assert.optionalString(uniqueValue, 'uniqueValue');
 
     const {recordCollection: {dataField}} = this;
-    const query = {[`${dataField}.id`]: id};
+    const query = this.createQuery(
+      {query: {[`${dataField}.id`]: id}, _allowPending});
     // even though `uniqueField` uniqueness constraint is enforced via proxy
     // collection, it must still be checked in the query to ensure the caller
     // gets a consistent view of the record (the record could have changed
@@ -108,9 +108,6 @@ export class RecordCollectionHelper {
     if(uniqueField !== undefined) {
       query[`${dataField}.${uniqueField}`] = uniqueValue;
     }
-    if(!_allowPending) {
-      query._pending = {$exists: false};
-    }
 
     const projection = {_id: 0, [dataField]: 1, meta: 1, _pending: 1, _txn: 1};
     const collection = this.recordCollection.getCollection();
@@ -124,23 +121,36 @@ export class RecordCollectionHelper {
 
     const record = await collection.findOne(query, {projection});
     if(!record) {
-      const dataName = dataField[0].toUpperCase() + dataField.slice(1);
-      throw new BedrockError(`${dataName} not found.`, {
-        name: 'NotFoundError',
-        details: {
-          recordId: id,
-          [dataField]: id,
-          httpStatusCode: 404,
-          public: true
-        }
-      });
+      this._throwNotFound({id});
     }
 
     return record;
   }
 
   /**
-   * Retrieves all records matching the given query.
+   * Creates a query for records that includes the given query. Every read
+   * of records must use a query created by this function to ensure records
+   * that are in the process of being created (or deleted) are excluded.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.query={}] - The query to include.
+   * @param {boolean} [options._allowPending=false] - For internal use only;
+   *   allows finding records that are in the process of being created.
+   *
+   * @returns {object} The query.
+   */
+  createQuery({query = {}, _allowPending = false} = {}) {
+    if(_allowPending) {
+      return {...query};
+    }
+    return {...query, _pending: {$exists: false}};
+  }
+
+  /**
+   * Finds all records matching the given query. The returned records may
+   * include internal fields (such as `_txn`) that must be processed and
+   * removed before the records are returned to any external caller; see
+   * `RecordCollection.getAll()`.
    *
    * @param {object} options - The options to use.
    * @param {object} [options.query={}] - The query to use.
@@ -151,13 +161,92 @@ export class RecordCollectionHelper {
    * @returns {Promise} Resolves to the records that matched the query.
    */
   async getAll({query = {}, options = {}, _allowPending = false} = {}) {
-    if(!_allowPending) {
-      query = {...query, _pending: {$exists: false}};
+    query = this.createQuery({query, _allowPending});
+    if(options.projection) {
+      options = {...options, projection: this._getProjection(options)};
     }
     const collection = this.recordCollection.getCollection();
     return collection.find(query, options).toArray();
   }
 
+  /**
+   * Removes any internal fields (`_id`, `_txn`, `_pending`) from a record.
+   *
+   * @param {object} record - The record.
+   *
+   * @returns {object} A shallow copy of the record without internal fields.
+   */
+  stripInternalFields(record) {
+    const result = {...record};
+    delete result._id;
+    delete result._txn;
+    delete result._pending;
+    return result;
+  }
+
+  /**
+   * Retrieves a page of records matching the given query, sorted by the given
+   * field. Records are sorted by the record ID as a secondary key to ensure a
+   * stable order. If there are more matching records, an opaque `next` token
+   * is returned that can be passed as `after` to retrieve the next page.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.query={}] - The query to use.
+   * @param {string} options.sortField - The path of the field to sort by,
+   *   e.g., `meta.created`.
+   * @param {number} [options.direction=1] - The sort direction, `1` for
+   *   ascending and `-1` for descending.
+   * @param {number} options.limit - The maximum number of records to return.
+   * @param {string} [options.after] - A `next` token from a previous call.
+   *
+   * @returns {Promise<object>} Resolves to `{records, next}` where `next` is
+   *   `null` if there are no more matching records; the records may include
+   *   internal fields, see `getAll()`.
+   */
+  async list({query = {}, sortField, direction = 1, limit, after} = {}) {
+    assert.string(sortField, 'sortField');
+    assert.number(limit, 'limit');
+    assert.optionalString(after, 'after');
+    if(!(direction === 1 || direction === -1)) {
+      throw new TypeError('"direction" must be either 1 or -1.');
+    }
+
+    const {recordCollection: {dataField}} = this;
+    const idField = `${dataField}.id`;
+    const clauses = [this.createQuery({query})];
+    if(after !== undefined) {
+      const {value, id} = this._decodeListToken(
+        {token: after, sortField, direction});
+      const op = direction === 1 ? '$gt' : '$lt';
+      clauses.push({
+        $or: [
+          {[sortField]: {[op]: value}},
+          {[sortField]: value, [idField]: {[op]: id}}
+        ]
+      });
+    }
+
+    // get one more record than `limit` to determine if there are more
+    const collection = this.recordCollection.getCollection();
+    const records = await collection.find({$and: clauses}, {
+      projection: {_id: 0, [dataField]: 1, meta: 1, _txn: 1},
+      sort: {[sortField]: direction, [idField]: direction},
+      limit: limit + 1
+    }).toArray();
+
+    let next = null;
+    if(records.length > limit) {
+      records.length = limit;
+      const last = records.at(-1);
+      next = this._encodeListToken({
+        sortField, direction,
+        value: _getPath({object: last, path: sortField}),
+        id: last[dataField].id
+      });
+    }
+    return {records, next};
+  }
+
   /**
    * Updates a record by overwriting it with new data and / or `meta` data. In
    * all cases, the `sequence` must match the existing record. The `sequence`
@@ -283,6 +372,73 @@ export class RecordCollectionHelper {
     return {expectedSequence, sequenceLocation};
   }
 
+  _getProjection({projection} = {}) {
+    // ensure that the fields needed to process any pending transaction on a
+    // record are always included
+    const {recordCollection: {dataField}} = this;
+    const idField = `${dataField}.id`;
+    projection = {...projection};
+    const inclusive = Object.entries(projection).some(
+      ([k, v]) => k !== '_id' && v);
+    if(inclusive) {
+      projection._txn = 1;
+      // including both a path and its parent is a path collision
+      if(!projection[dataField]) {
+        projection[idField] = 1;
+      }
+    } else {
+      // the ID of a record is needed to refresh it once its transaction has
+      // been processed, so it cannot be excluded with its parent
+      if(dataField in projection) {
+        throw new TypeError(
+          `An exclusive "projection" must not exclude "${dataField}".`);
+      }
+      for(const key of Object.keys(projection)) {
+        if(key === '_txn' || key.startsWith('_txn.') || key === idField) {
+          delete projection[key];
+        }
+      }
+    }
+    return projection;
+  }
+
+  _decodeListToken({token, sortField, direction} = {}) {
+    let parsed;
+    try {
+      parsed = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    } catch(e) {
+      // handled below
+    }
+    // token must have been created for the same sort order
+    if(!(parsed?.f === sortField && parsed.d === direction &&
+      typeof parsed.id === 'string')) {
+      throw new BedrockError('Invalid list token.', {
+        name: 'DataError',
+        details: {httpStatusCode: 400, public: true}
+      });
+    }
+    return {value: parsed.v ?? null, id: parsed.id};
+  }
+
+  _encodeListToken({sortField, direction, value, id} = {}) {
+    const json = JSON.stringify({f: sortField, d: direction, v: value, id});
+    return Buffer.from(json, 'utf8').toString('base64url');
+  }
+
+  _throwNotFound({id} = {}) {
+    const {recordCollection: {dataField}} = this;
+    const dataName = dataField[0].toUpperCase() + dataField.slice(1);
+    throw new BedrockError(`${dataName} not found.`, {
+      name: 'NotFoundError',
+      details: {
+        recordId: id,
+        [dataField]: id,
+        httpStatusCode: 404,
+        public: true
+      }
+    });
+  }
+
   _throwInvalidSequence({actualSequence, expectedSequence} = {}) {
     const {recordCollection: {dataField}} = this;
     const details = {httpStatusCode: 409, public: true};
@@ -395,6 +551,10 @@ export class RecordCollectionHelper {
   }
 }
 
+function _getPath({object, path}) {
+  return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
 /**
  * An object containing information on the query plan.
  *
@@ -1,18 +1,34 @@
 /*!
- * Copyright (c) 2022-2024 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import {createPatch} from './diff.js';
 import {randomUUID} from 'node:crypto';
 
 export class RecordTransaction {
   constructor({
-    type, id, record, data, meta, expectedSequence, recordCollection
+    type, id, record, data, meta, expectedSequence, actor,
+    operation = type, batchId, moves, retryTracker, recordCollection
   } = {}) {
-    this.txn = {id: randomUUID(), type, recordId: id};
+    // `created` allows interrupted transactions to be found and recovered
+    // once they are old enough to no longer be in progress
+    this.txn = {id: randomUUID(), type, recordId: id, created: Date.now()};
+    if(batchId !== undefined) {
+      // transaction is committed or rolled back with its batch
+      this.txn.batchId = batchId;
+    }
     this.id = id;
     this.record = record;
     this.data = data;
     this.meta = meta;
     this.expectedSequence = expectedSequence;
+    this.actor = actor;
+    this.operation = operation;
+    // unique values that move between the records of a batch (see
+    // `RecordCollection.updateMany()`)
+    this.moves = moves;
+    // shared with the operation running the transaction so that retries of
+    // proxy record updates count toward the operation's retry policy
+    this.retryTracker = retryTracker;
     this.recordCollection = recordCollection;
     this.initialize = this[`_init_${type}`];
   }
@@ -20,11 +36,75 @@ export class RecordTransaction {
   async run() {
     const {
       id, record, data, meta, expectedSequence, txn,
-      recordCollection: {transactionProcessor: tp}
+      recordCollection: {historyCollection, transactionProcessor: tp}
     } = this;
 
+    // history entry to be written when the transaction completes
+    const history = historyCollection ? this._createHistoryEntry() : undefined;
+
+    this.recordCollection._incrementMetric(
+      {name: 'transactions', attributes: {type: txn.type}});
+    try {
+      // init transaction and perform relevant proxy collection updates
+      await this._prepare();
+
+      // commit transaction (write to data record w/actual changes)
+      await tp.commitTransaction(
+        {id, record, data, meta, expectedSequence, txn, history});
+
+      // transaction committed, now complete it in the background
+      await tp.completeTransaction(
+        {record, data, txn: {...txn, history}, throwError: false});
+    } catch(e) {
+      await this._handleError({error: e});
+    }
+  }
+
+  /**
+   * Stages a transaction that is part of a batch (see `BatchCollection`).
+   * The transaction is initialized and its proxy collection updates are
+   * performed, but it is only committed once its batch is committed.
+   *
+   * @returns {Promise} Resolves once the transaction has been staged.
+   */
+  async stage() {
+    const {
+      id, data, meta, txn, recordCollection: {helper, historyCollection}
+    } = this;
+    if(historyCollection) {
+      // history entry is stored with the transaction so that whichever
+      // process commits the batch can write it
+      txn.history = this._createHistoryEntry();
+    }
+    if(txn.type === 'update') {
+      // likewise, the changes of an update are stored with the transaction
+      const {expectedSequence} = helper.validateUpdateParams(
+        {id, data, meta, expectedSequence: this.expectedSequence});
+      txn.update = {expectedSequence};
+      if(data !== undefined) {
+        txn.update.data = data;
+      }
+      if(meta !== undefined) {
+        txn.update.meta = meta;
+      }
+    }
+    this.recordCollection._incrementMetric(
+      {name: 'transactions', attributes: {type: txn.type}});
     try {
-      // init transaction (write intent to change data record)
+      await this._prepare();
+    } catch(e) {
+      await this._handleError({error: e});
+    }
+  }
+
+  async _prepare() {
+    const {
+      id, record, data, txn, moves, retryTracker,
+      recordCollection: {transactionProcessor: tp}
+    } = this;
+
+    // init transaction (write intent to change data record)
+    await this.recordCollection._runStep({step: 'init', txn, fn: async () => {
       if(!await this.initialize()) {
         // try to complete any pending transaction
         const result = await tp.processAnyPendingTransaction({id});
@@ -36,54 +116,63 @@ export class RecordTransaction {
         // abort and retry
         tp.throwAbortError();
       }
+    }});
 
-      // perform relevant proxy collection updates
-      await tp.updateProxyRecords({record, data, txn});
+    // perform relevant proxy collection updates
+    await tp.updateProxyRecords({record, data, txn, moves, retryTracker});
+  }
 
-      // commit transaction (write to data record w/actual changes)
-      await tp.commitTransaction(
-        {id, record, data, meta, expectedSequence, txn});
+  // rolls back the transaction and throws an abort error if the transaction
+  // should be retried or `error` if it is unrecoverable
+  async _handleError({error: e}) {
+    const {
+      id, record, data, txn, recordCollection: {transactionProcessor: tp}
+    } = this;
 
-      // transaction committed, now complete it in the background
-      await tp.completeTransaction({record, data, txn, throwError: false});
-    } catch(e) {
-      // roll transaction back, but do not throw any errors
-      await tp.rollbackTransaction({id, record, data, txn, throwError: false});
+    // roll transaction back, but do not throw any errors
+    await tp.rollbackTransaction({id, record, data, txn, throwError: false});
 
-      // transaction aborted, loop to retry
-      if(e.name === 'AbortError') {
-        throw e;
-      }
+    // transaction aborted, loop to retry
+    if(e.name === 'AbortError') {
+      this._countAbort();
+      throw e;
+    }
 
-      // duplicate error only occurs during an `insert` transaction
-      if(e.name === 'DuplicateError') {
-        // try to process a pending transaction on the duplicate record
-        let recordId;
-        try {
-          recordId = await this._getDuplicateRecordId({error: e});
-        } catch(e) {
-          if(e.name !== 'NotFoundError') {
-            // unrecoverable error
-            throw e;
-          }
-          // proxy record now removed, transaction aborted
-          tp.throwAbortError();
+    // duplicate error only occurs during an `insert` transaction
+    if(e.name === 'DuplicateError') {
+      // try to process a pending transaction on the duplicate record
+      let recordId;
+      try {
+        recordId = await this._getDuplicateRecordId({error: e});
+      } catch(e) {
+        if(e.name !== 'NotFoundError') {
+          // unrecoverable error
+          throw e;
         }
+        // proxy record now removed, transaction aborted
+        this._countAbort();
+        tp.throwAbortError();
+      }
 
-        const result = await tp.processAnyPendingTransaction({id: recordId});
-        if(!result.processed) {
-          if(result.record) {
-            // record is a stable duplicate, throw
-            throw e;
-          }
-          // record has been deleted, transaction aborted
-          tp.throwAbortError();
+      const result = await tp.processAnyPendingTransaction({id: recordId});
+      if(!result.processed) {
+        if(result.record) {
+          // record is a stable duplicate, throw
+          throw e;
         }
+        // record has been deleted, transaction aborted
+        this._countAbort();
+        tp.throwAbortError();
       }
-
-      // throw any other error (unrecoverable)
-      throw e;
     }
+
+    // throw any other error (unrecoverable)
+    throw e;
+  }
+
+  _countAbort() {
+    const {txn: {type}, recordCollection} = this;
+    recordCollection._incrementMetric({name: 'aborts', attributes: {type}});
   }
 
   async _init_insert() {
@@ -111,9 +200,74 @@ export class RecordTransaction {
   }
 
   async _init_delete() {
-    // mark data record for removal
-    const {id, txn, recordCollection: {helper}} = this;
-    return helper.update({id, newTxn: txn});
+    // mark data record for removal; the record must not have changed since
+    // it was read as its unique values determine which proxy records to
+    // delete
+    const {
+      id, record, txn,
+      recordCollection: {dataField, helper, sequenceInData}
+    } = this;
+    const sequenceLocation = sequenceInData ? dataField : 'meta';
+    const {sequence: expectedSequence} = record[sequenceLocation];
+    try {
+      return await helper._update(
+        {id, expectedSequence, sequenceLocation, newTxn: txn});
+    } catch(e) {
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+      // record changed concurrently; abort and retry
+      this.recordCollection.transactionProcessor.throwAbortError();
+    }
+  }
+
+  _createHistoryEntry() {
+    const {
+      id, record, data, meta, txn: {type}, actor, operation,
+      recordCollection: {dataField, helper, sequenceInData}
+    } = this;
+    const sequenceLocation = sequenceInData ? dataField : 'meta';
+
+    // determine record before and after the change and its new sequence
+    let before;
+    let after;
+    let sequence;
+    if(type === 'insert') {
+      after = record;
+      ({sequence} = record[sequenceLocation]);
+    } else if(type === 'update') {
+      before = record;
+      after = {
+        [dataField]: data ?? record[dataField],
+        meta: meta ?? record.meta
+      };
+      if(data || meta) {
+        // any given `data` and `meta` are written as is, so the sequence is
+        // only incremented if they increment it
+        ({sequence} = after[sequenceLocation]);
+      } else {
+        const {expectedSequence} = helper.validateUpdateParams(
+          {id, data, meta, expectedSequence: this.expectedSequence});
+        sequence = expectedSequence + 1;
+      }
+    } else {
+      before = record;
+      sequence = record[sequenceLocation].sequence + 1;
+    }
+
+    return {
+      recordId: id,
+      sequence,
+      operation,
+      actor: actor ?? null,
+      timestamp: Date.now(),
+      diff: createPatch({
+        before: _getDiffableRecord(
+          {record: before, dataField, sequenceLocation}),
+        after: _getDiffableRecord(
+          {record: after, dataField, sequenceLocation})
+      })
+    };
   }
 
   async _getDuplicateRecordId({error} = {}) {
@@ -128,3 +282,15 @@ export class RecordTransaction {
     return duplicate[idField];
   }
 }
+
+function _getDiffableRecord({record, dataField, sequenceLocation}) {
+  if(!record) {
+    return record;
+  }
+  // `sequence` and `meta.updated` change with every update and are recorded
+  // separately, so they are excluded from any diff
+  const result = {[dataField]: {...record[dataField]}, meta: {...record.meta}};
+  delete result[sequenceLocation].sequence;
+  delete result.meta.updated;
+  return result;
+}
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2022-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {logger} from './logger.js';
 
@@ -8,49 +8,31 @@ export class RecordTransactionProcessor {
     this.recordCollection = recordCollection;
   }
 
-  async commitTransaction({id, data, meta, expectedSequence, txn} = {}) {
-    const {recordCollection: {helper}} = this;
-
-    // write `committed` transaction to record and update any `data`/`meta`
-    const newTxn = {...txn, committed: true};
-    const update = {id, data, meta, expectedSequence, oldTxn: txn, newTxn};
-    if(txn.type === 'update') {
-      // run full update
-      if(!await helper.update(update)) {
-        // commit failed; throw abort error
-        this.throwAbortError();
-      }
-    } else {
-      // run internal helper update w/o validation as `data` and `meta` will
-      // not be passed
-      update._pending = txn.type === 'delete' ? true : false;
-      if(!await helper._update(update)) {
-        // commit failed; throw abort error
-        this.throwAbortError();
-      }
-    }
+  async commitTransaction({
+    id, data, meta, expectedSequence, txn, history
+  } = {}) {
+    await this.recordCollection._runStep({
+      step: 'commit', txn,
+      fn: () => this._commitTransaction(
+        {id, data, meta, expectedSequence, txn, history})
+    });
   }
 
   async completeTransaction({record, data, txn, throwError = true} = {}) {
-    const {recordCollection: {dataField, helper}} = this;
+    const {recordCollection, recordCollection: {dataField}} = this;
     const {id} = record[dataField];
     txn = {...txn, committed: true};
     try {
-      // complete any proxy operations
-      await this._completeProxyOperations({record, data, txn});
-
-      if(txn.type === 'delete') {
-        // finally delete data record
-        await helper.delete({id, txn});
-      } else {
-        // remove `txn` from record (use internal update helper to avoid
-        // requiring `data` or `meta` changes)
-        await helper._update({id, oldTxn: txn});
-      }
+      await recordCollection._runStep({
+        step: 'complete', txn,
+        fn: () => this._completeTransaction({record, data, txn})
+      });
     } catch(error) {
       if(throwError) {
         throw error;
       }
+      recordCollection._incrementMetric(
+        {name: 'completionFailures', attributes: {type: txn.type}});
       logger.debug(
         `Failed to complete record "${id}" transaction "${txn.id}". It ` +
         'will be automatically completed on the next operation.', {error});
@@ -100,10 +82,7 @@ export class RecordTransactionProcessor {
 
   async processPendingTransaction({record, throwError = true} = {}) {
     // complete or rollback existing transaction
-    const {_txn: txn} = record;
-    const promise = txn.committed ?
-      this.completeTransaction({record, txn, throwError}) :
-      this.rollbackTransaction({record, txn, throwError});
+    const promise = this._processPendingTransaction({record, throwError});
     if(throwError) {
       await promise;
     }
@@ -113,61 +92,138 @@ export class RecordTransactionProcessor {
   }
 
   async rollbackTransaction({record, data, txn, throwError = true} = {}) {
+    const {recordCollection, recordCollection: {dataField}} = this;
+    const {id} = record[dataField];
+    try {
+      await recordCollection._runStep({
+        step: 'rollback', txn,
+        fn: () => this._rollbackTransaction({record, data, txn})
+      });
+      recordCollection._incrementMetric(
+        {name: 'rollbacks', attributes: {type: txn.type}});
+    } catch(error) {
+      if(throwError) {
+        throw error;
+      }
+      recordCollection._incrementMetric(
+        {name: 'rollbackFailures', attributes: {type: txn.type}});
+      logger.debug(
+        `Failed to rollback transaction "${txn.id}" for record "${id}". It ` +
+        'will be automatically handled on the next read or write.', {error});
+    }
+  }
+
+  async updateProxyRecords({record, data, txn, moves, retryTracker} = {}) {
+    await this.recordCollection._runStep({
+      step: 'proxyUpdate', txn,
+      fn: () => this._updateProxyRecords(
+        {record, data, txn, moves, retryTracker})
+    });
+  }
+
+  async _commitTransaction({
+    id, data, meta, expectedSequence, txn, history
+  } = {}) {
+    const {recordCollection: {helper}} = this;
+
+    // write `committed` transaction to record and update any `data`/`meta`;
+    // any history entry is stored with it so that whichever process completes
+    // the transaction can write the entry
+    const newTxn = {...txn, committed: true};
+    if(history) {
+      newTxn.history = history;
+    }
+    const update = {id, data, meta, expectedSequence, oldTxn: txn, newTxn};
+    if(txn.type === 'update') {
+      // run full update
+      if(!await helper.update(update)) {
+        // commit failed; throw abort error
+        this.throwAbortError();
+      }
+    } else {
+      // run internal helper update w/o validation as `data` and `meta` will
+      // not be passed
+      update._pending = txn.type === 'delete' ? true : false;
+      if(!await helper._update(update)) {
+        // commit failed; throw abort error
+        this.throwAbortError();
+      }
+    }
+  }
+
+  async _completeTransaction({record, data, txn} = {}) {
+    const {recordCollection: {dataField, helper, historyCollection}} = this;
+    const {id} = record[dataField];
+
+    // complete any proxy operations
+    await this._completeProxyOperations({record, data, txn});
+
+    // write any history entry prior to clearing the transaction so it will
+    // be written by another process if this one fails
+    if(txn.history && historyCollection) {
+      await historyCollection.insert({entry: txn.history, txnId: txn.id});
+    }
+
+    if(txn.type === 'delete') {
+      // finally delete data record
+      await helper.delete({id, txn});
+    } else {
+      // remove `txn` from record (use internal update helper to avoid
+      // requiring `data` or `meta` changes)
+      await helper._update({id, oldTxn: txn});
+    }
+  }
+
+  async _rollbackTransaction({record, data, txn} = {}) {
     // determine new/old data
     const {newData, oldData} = this._getNewAndOldData({record, data, txn});
 
     const {recordCollection: {helper, dataField, proxyCollections}} = this;
     const {id} = record[dataField];
-    try {
-      // mark data record with transaction to be rolled back if not already so
-      let newTxn = txn;
-      if(!newTxn.rollback) {
-        newTxn = {...txn, rollback: true};
-        // use internal helper update method as sequence is not to be changed
-        if(!await helper._update({id, newTxn, oldTxn: txn})) {
-          // some other transaction is being applied / rolled back, abort
-          this.throwAbortError();
-        }
+
+    // mark data record with transaction to be rolled back if not already so
+    let newTxn = txn;
+    if(!newTxn.rollback) {
+      newTxn = {...txn, rollback: true};
+      // use internal helper update method as sequence is not to be changed
+      if(!await helper._update({id, newTxn, oldTxn: txn})) {
+        // some other transaction is being applied / rolled back, abort
+        this.throwAbortError();
       }
+    }
 
-      // roll back changes on all proxy collections
-      const entries = [...proxyCollections.entries()];
-      const {id: txnId} = newTxn;
-      const results = await Promise.allSettled(entries.map(
-        async ([k, proxyCollection]) => {
-          const newValue = newData?.[k];
-          const oldValue = oldData?.[k];
-          return proxyCollection.rollbackChange({txnId, newValue, oldValue});
-        }));
-      this._throwAnyRejection({results});
+    // roll back changes on all proxy collections
+    const entries = [...proxyCollections.entries()];
+    const {id: txnId} = newTxn;
+    const results = await Promise.allSettled(entries.map(
+      async ([, proxyCollection]) => {
+        const newValue = _getChangeValue({proxyCollection, data: newData});
+        const oldValue = _getChangeValue({proxyCollection, data: oldData});
+        return proxyCollection.rollbackChange({txnId, newValue, oldValue});
+      }));
+    this._throwAnyRejection({results});
 
-      // if transaction was an insert, now safe to delete the data record
-      if(newTxn.type === 'insert') {
-        if(!await helper.delete({id, txn: newTxn})) {
-          // some other transaction is being applied / rolled back, abort
-          this.throwAbortError();
-        }
-      } else {
-        // clear transaction from record; use internal helper method since
-        // `data` and `meta` will be unchanged
-        if(!await helper._update({id, oldTxn: newTxn})) {
-          // some other transaction is being applied / rolled back, abort
-          this.throwAbortError();
-        }
+    // if transaction was an insert, now safe to delete the data record
+    if(newTxn.type === 'insert') {
+      if(!await helper.delete({id, txn: newTxn})) {
+        // some other transaction is being applied / rolled back, abort
+        this.throwAbortError();
       }
-    } catch(error) {
-      if(throwError) {
-        throw error;
+    } else {
+      // clear transaction from record; use internal helper method since
+      // `data` and `meta` will be unchanged
+      if(!await helper._update({id, oldTxn: newTxn})) {
+        // some other transaction is being applied / rolled back, abort
+        this.throwAbortError();
       }
-      logger.debug(
-        `Failed to rollback transaction "${txn.id}" for record "${id}". It ` +
-        'will be automatically handled on the next read or write.', {error});
     }
   }
 
-  async updateProxyRecords({record, data, txn} = {}) {
+  async _updateProxyRecords({
+    record, data, txn, moves, retryTracker
+  } = {}) {
     // determine proxy operations to be run
-    let ops = this._createPrepareProxyOperations({record, data, txn});
+    let ops = this._createPrepareProxyOperations({record, data, txn, moves});
 
     // used to track proxy records that are blocking proxy operations; these
     // are tracked by the record ID associated with their pending transactions
@@ -175,20 +231,40 @@ export class RecordTransactionProcessor {
 
     // keep attempting to run all proxy operations until all have been
     // completed or rollback for `record` is required
-    const {recordCollection: {dataField}} = this;
+    const {recordCollection, recordCollection: {dataField}} = this;
     const recordId = record[dataField].id;
     while(ops.length > 0) {
       const tmp = ops;
       ops = [];
       // wait for all proxy operations to settle
       let results = await Promise.allSettled(tmp.map(async op => {
-        const result = await this._runProxyOperation({recordId, txn, op});
+        const result = await this._runProxyOperation(
+          {recordId, txn, op, retryTracker});
         if(!result.success) {
           ops.push(op);
           const {proxyRecord} = result;
           // the record ID in the txn may be different from `recordId`
           const {recordId: txnRecordId} = proxyRecord._txn;
           const {proxyCollection} = op;
+          const orphaned =
+            txnRecordId === recordId && proxyRecord._txn.id !== txn.id;
+          recordCollection._incrementMetric({
+            name: 'blockedProxyRecords',
+            attributes: {
+              uniqueField: proxyCollection.uniqueField,
+              resolution: orphaned ? 'orphaned' : 'processed'
+            }
+          });
+          if(orphaned) {
+            // the blocking change is from an earlier transaction on the same
+            // record; that transaction cannot still be pending because `txn`
+            // is pending on the record, so the change was left unresolved or
+            // written late by a stalled process; resolve it directly as
+            // processing the record's transaction would roll back `txn`
+            await this._resolveOrphanedChange(
+              {record, txn, proxyCollection, proxyRecord});
+            return;
+          }
           const blocked = blockingProxyRecordsMap.get(txnRecordId);
           if(blocked) {
             blocked.push({proxyCollection, proxyRecord});
@@ -214,7 +290,63 @@ export class RecordTransactionProcessor {
           }
         }));
       this._throwAnyRejection({results});
+
+      if(ops.length > 0) {
+        // loop to retry blocked ops
+        await retryTracker.retry();
+      }
+    }
+  }
+
+  async _resolveOrphanedChange({
+    record, txn, proxyCollection, proxyRecord
+  } = {}) {
+    // only existing record data uses a unique value; an inserted record has
+    // no existing data
+    const {recordCollection: {dataField}} = this;
+    const uniqueValue = proxyRecord[proxyCollection.uniqueField];
+    const inUse = txn.type !== 'insert' &&
+      proxyCollection.usesValue(record[dataField], uniqueValue);
+    const {id: txnId, op} = proxyRecord._txn;
+    await proxyCollection.resolveChange({txnId, uniqueValue, op, inUse});
+  }
+
+  async _processPendingTransaction({record, throwError} = {}) {
+    let {_txn: txn} = record;
+    if(txn.batchId !== undefined && !(txn.committed || txn.rollback)) {
+      // a transaction in a batch is committed if its batch was committed and
+      // must otherwise be rolled back
+      try {
+        if(await this._isBatchCommitted({batchId: txn.batchId})) {
+          const {recordCollection: {dataField}} = this;
+          const {id} = record[dataField];
+          // an update in a batch stores the changes to be committed
+          await this.commitTransaction({id, ...txn.update, txn});
+          txn = {...txn, committed: true};
+        }
+      } catch(error) {
+        if(throwError) {
+          throw error;
+        }
+        logger.debug(
+          `Failed to process batch "${txn.batchId}" transaction ` +
+          `"${txn.id}". It will be automatically handled on the next ` +
+          'read or write.', {error});
+        return;
+      }
     }
+    return txn.committed ?
+      this.completeTransaction({record, txn, throwError}) :
+      this.rollbackTransaction({record, txn, throwError});
+  }
+
+  async _isBatchCommitted({batchId} = {}) {
+    // roll back the batch if it is still pending so that it can no longer be
+    // committed; a batch that does not exist was already processed
+    const {recordCollection: {batchCollection}} = this;
+    await batchCollection.resolve({id: batchId, status: 'rolledBack'});
+    const batch = await batchCollection.get({id: batchId});
+    return batch?.status === 'committed';
   }
 
   throwAbortError() {
@@ -231,33 +363,56 @@ export class RecordTransactionProcessor {
     const {recordCollection: {proxyCollections}} = this;
     const entries = [...proxyCollections.entries()];
     const results = await Promise.allSettled(
-      entries.map(async ([k, proxyCollection]) => {
-        const newValue = newData?.[k];
-        const oldValue = oldData?.[k];
+      entries.map(async ([, proxyCollection]) => {
+        const newValue = _getChangeValue({proxyCollection, data: newData});
+        const oldValue = _getChangeValue({proxyCollection, data: oldData});
         await proxyCollection.completeChange(
           {txnId: txn.id, oldValue, newValue});
       }));
     this._throwAnyRejection({results});
   }
 
-  _createPrepareProxyOperations({record, data, txn} = {}) {
+  _createPrepareProxyOperations({record, data, txn, moves = []} = {}) {
     // determine proxy operations to be run in a transaction
     const ops = [];
+    if(txn.type === 'update' && !data) {
+      // no unique values change
+      return ops;
+    }
     const {recordCollection: {dataField, proxyCollections}} = this;
     const recordData = record[dataField];
-    for(const [k, proxyCollection] of proxyCollections) {
-      const uniqueValue = recordData[k];
-      if(data) {
-        const newValue = data[k];
-        if(uniqueValue === newValue) {
-          // nothing to change
-          continue;
+    // an inserted record has no old data and a deleted record has no new data
+    const oldData = txn.type === 'insert' ? undefined : recordData;
+    let newData;
+    if(txn.type !== 'delete') {
+      newData = data ?? recordData;
+    }
+    for(const proxyCollection of proxyCollections.values()) {
+      // compare normalized values as only those are stored in proxies; a
+      // field with shared fields may use several values
+      const oldValues = _getValueMap({proxyCollection, data: oldData});
+      const newValues = _getValueMap({proxyCollection, data: newData});
+      // push ops to delete old values and to insert new ones; either may be
+      // absent if values are being added or removed; a value that moves to
+      // another record is moved by the record it moves from
+      const {uniqueField} = proxyCollection;
+      const findMove = ({normalized, field}) => moves.find(
+        move => move.uniqueField === uniqueField &&
+          move.uniqueValue === normalized && move[field] === recordData.id);
+      for(const [normalized, uniqueValue] of oldValues) {
+        if(!newValues.has(normalized)) {
+          const move = findMove({normalized, field: 'fromRecordId'});
+          ops.push(move ?
+            {type: 'move', proxyCollection, uniqueValue,
+              toRecordId: move.toRecordId} :
+            {type: 'delete', proxyCollection, uniqueValue});
+        }
+      }
+      for(const [normalized, uniqueValue] of newValues) {
+        if(!(oldValues.has(normalized) ||
+          findMove({normalized, field: 'toRecordId'}))) {
+          ops.push({type: 'insert', proxyCollection, uniqueValue});
         }
-        // push op to delete old value and to insert new one
-        ops.push({type: 'delete', proxyCollection, uniqueValue});
-        ops.push({type: 'insert', proxyCollection, uniqueValue: newValue});
-      } else if(txn.type !== 'update' && uniqueValue !== undefined) {
-        ops.push({type: txn.type, proxyCollection, uniqueValue});
       }
     }
     return ops;
@@ -289,7 +444,7 @@ export class RecordTransactionProcessor {
     return {newData, oldData};
   }
 
-  async _runProxyOperation({recordId, txn, op} = {}) {
+  async _runProxyOperation({recordId, txn, op, retryTracker} = {}) {
     // keep trying to run op, handling any concurrent changes to the proxy
     // record based on the type of op, until the op completes or throws
     const {type, proxyCollection, uniqueValue} = op;
@@ -297,10 +452,18 @@ export class RecordTransactionProcessor {
       try {
         if(type === 'insert') {
           await proxyCollection.insert({uniqueValue, recordId, txn});
+        } else if(type === 'move') {
+          // mark the proxy record to be moved once `txn` completes
+          const {toRecordId} = op;
+          if(!await proxyCollection.prepareMove(
+            {recordId, toRecordId, txn, uniqueValue})) {
+            this.throwAbortError();
+          }
         } else {
           // can assume `type` is `delete` and this should perform an update to
           // mark the proxy record to be deleted, not actually delete it
-          if(!await proxyCollection.prepareDelete({recordId, txn})) {
+          if(!await proxyCollection.prepareDelete(
+            {recordId, txn, uniqueValue})) {
             this.throwAbortError();
           }
         }
@@ -318,21 +481,42 @@ export class RecordTransactionProcessor {
           // `recordId` as it may be different) for a pending transaction to be
           // processed
           const existing = await proxyCollection.get({uniqueValue});
+          if(existing._reservation && duplicate) {
+            const result = await this._resolveReservation(
+              {recordId, txn, op, reservation: existing});
+            if(result === 'claimed') {
+              return {success: true};
+            }
+            if(result === 'reserved') {
+              // value is reserved for another record, throw error
+              throw e;
+            }
+            // reservation released or concurrently changed; loop to retry
+            await retryTracker.retry();
+            continue;
+          }
           if(!existing._txn) {
             if(duplicate) {
               // stable duplicate found, throw error
               throw e;
             }
-            // got an abort error when trying to mark record for deletion; so
-            // there was a concurrent update; loop to retry
+            // got an abort error when trying to mark record for deletion or
+            // to be moved; so there was a concurrent update; loop to retry
+            await retryTracker.retry();
             continue;
           }
           // pending transaction found, return existing record for processing
           return {success: false, proxyRecord: existing};
         } catch(e) {
-          if(e.name === 'NotFoundError' && duplicate) {
-            // duplicate proxy record now deleted, loop to try insert again
-            continue;
+          if(e.name === 'NotFoundError') {
+            if(duplicate) {
+              // duplicate proxy record now deleted, loop to try insert again
+              await retryTracker.retry();
+              continue;
+            }
+            // proxy record to be deleted or moved was concurrently deleted;
+            // there is nothing left to change
+            return {success: true};
           }
           throw e;
         }
@@ -340,6 +524,25 @@ export class RecordTransactionProcessor {
     }
   }
 
+  async _resolveReservation({recordId, txn, op, reservation} = {}) {
+    // a value reserved for the record is claimed by `txn`; a value reserved
+    // for another record is released only if the reservation has expired
+    const {proxyCollection, uniqueValue} = op;
+    const reservedFor = proxyCollection.getRecordId(reservation);
+    if(reservedFor === recordId) {
+      const claimed = await proxyCollection.claimReservation(
+        {uniqueValue, recordId, txn});
+      return claimed ? 'claimed' : 'changed';
+    }
+    if(!proxyCollection.isExpiredReservation(reservation)) {
+      return 'reserved';
+    }
+    await proxyCollection.releaseReservations({
+      recordId: reservedFor, reservationId: reservation._reservation.id
+    });
+    return 'released';
+  }
+
   _throwAnyRejection({results} = {}) {
     // throw any error that occurred
     const rejected = results.find(({status}) => status === 'rejected');
@@ -348,3 +551,18 @@ export class RecordTransactionProcessor {
     }
   }
 }
+
+// gets the unique values that record data uses in a proxy collection as a
+// map of normalized value => original value
+function _getValueMap({proxyCollection, data} = {}) {
+  return new Map(proxyCollection.getValues(data).map(
+    value => [proxyCollection.normalizeValue(value), value]));
+}
+
+// gets the unique value that identifies a proxy change for record data; if
+// the data uses more than one value, every change made by the transaction is
+// identified by its ID alone
+function _getChangeValue({proxyCollection, data} = {}) {
+  const values = proxyCollection.getValues(data);
+  return values.length === 1 ? values[0] : undefined;
+}
@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createHash, randomBytes} from 'node:crypto';
+import assert from 'assert-plus';
+
+/* Note: Only a hash of each token is stored so that the tokens cannot be
+recovered from the database. A token is consumed by deleting it; whichever
+process deletes it first is the only one that may act on it, which makes every
+token single use even when it is redeemed concurrently. Expired tokens are
+rejected when they are consumed and are also removed by the database's TTL
+monitor where that is supported (e.g., MongoDB). An exclusive token is stored
+with an `_id` that is derived from its account and purpose, so that there can
+only be one such token and issuing a new one replaces it. */
+
+export class TokenCollection {
+  constructor({collectionName, storage} = {}) {
+    this.collectionName = collectionName;
+    this.storage = storage;
+  }
+
+  async createIndexes() {
+    const {collectionName} = this;
+    await this.storage.createIndexes({collectionName, indexes: [{
+      fields: {tokenHash: 1},
+      options: {unique: true}
+    }, {
+      // supports invalidating the tokens issued for an account
+      fields: {accountId: 1, purpose: 1},
+      options: {unique: false}
+    }, {
+      // removes expired tokens
+      fields: {expires: 1},
+      options: {unique: false, expireAfterSeconds: 0}
+    }]});
+  }
+
+  /**
+   * Issues a new token for an account.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.accountId - The ID of the account.
+   * @param {string} options.purpose - The purpose of the token, e.g.,
+   *   `emailVerification`.
+   * @param {number} options.ttl - How long (in ms) the token is valid for.
+   * @param {object} [options.data={}] - Any data to store with the token.
+   * @param {boolean} [options.exclusive=false] - `true` to replace any
+   *   exclusive token previously issued for the account for the purpose, so
+   *   that only the new token is valid.
+   *
+   * @returns {Promise<object>} Resolves to `{token, expires, previous}`
+   *   where `token` is the secret token value, `expires` is when it expires
+   *   (in ms since the epoch), and `previous` is the `{data}` of any token it
+   *   replaced.
+   */
+  async insert({accountId, purpose, ttl, data = {}, exclusive = false} = {}) {
+    assert.string(accountId, 'accountId');
+    assert.string(purpose, 'purpose');
+    assert.number(ttl, 'ttl');
+    assert.object(data, 'data');
+    assert.bool(exclusive, 'exclusive');
+    const token = randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const expires = now + ttl;
+    const collection = this._getCollection();
+    const record = {
+      tokenHash: _hash(token), accountId, purpose, data,
+      created: now, expires: new Date(expires)
+    };
+    if(!exclusive) {
+      await collection.insertOne(record);
+      return {token, expires};
+    }
+
+    const _id = `${purpose}:${accountId}`;
+    while(true) {
+      const previous = await collection.findOne({_id});
+      if(!previous) {
+        try {
+          await collection.insertOne({_id, ...record});
+          return {token, expires};
+        } catch(e) {
+          if(!this.storage.isDuplicateError(e)) {
+            throw e;
+          }
+          // token issued concurrently; loop to replace it
+          continue;
+        }
+      }
+      // replace the previous token only if it has not changed concurrently
+      const result = await collection.updateOne(
+        {_id, tokenHash: previous.tokenHash}, {$set: record});
+      if(result.matchedCount > 0) {
+        return {token, expires, previous: {data: previous.data}};
+      }
+    }
+  }
+
+  /**
+   * Consumes a token so that it cannot be used again.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.token - The secret token value.
+   * @param {string} options.purpose - The purpose the token must have.
+   *
+   * @returns {Promise<object|null>} Resolves to `{accountId, data, created,
+   *   expires}` or `null` if the token does not exist, has already been
+   *   consumed, or has expired.
+   */
+  async consume({token, purpose} = {}) {
+    assert.string(token, 'token');
+    assert.string(purpose, 'purpose');
+    const tokenHash = _hash(token);
+    const collection = this._getCollection();
+    const record = await collection.findOne(
+      {tokenHash, purpose}, {projection: {_id: 0}});
+    if(!record) {
+      return null;
+    }
+    const {deletedCount} = await collection.deleteOne({tokenHash});
+    const expires = record.expires.getTime();
+    if(deletedCount === 0 || expires <= Date.now()) {
+      return null;
+    }
+    const {accountId, data, created} = record;
+    return {accountId, data, created, expires};
+  }
+
+  /**
+   * Deletes every token issued for an account for a purpose.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.accountId - The ID of the account.
+   * @param {string} options.purpose - The purpose of the tokens.
+   * @param {object} [options.data] - Only tokens with data that has these
+   *   values are deleted, e.g., `{email}`.
+   *
+   * @returns {Promise<number>} Resolves to the number of deleted tokens.
+   */
+  async deleteAll({accountId, purpose, data = {}} = {}) {
+    assert.string(accountId, 'accountId');
+    assert.string(purpose, 'purpose');
+    assert.object(data, 'data');
+    const query = {accountId, purpose};
+    for(const [key, value] of Object.entries(data)) {
+      query[`data.${key}`] = value;
+    }
+    const collection = this._getCollection();
+    const {deletedCount} = await collection.deleteMany(query);
+    return deletedCount;
+  }
+
+  _getCollection() {
+    return this.storage.getCollection(this.collectionName);
+  }
+}
+
+function _hash(token) {
+  return createHash('sha256').update(token).digest('base64url');
+}
@@ -0,0 +1,79 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+import {MongoStorageAdapter} from './MongoStorageAdapter.js';
+
+// the storage adapter that accounts are stored with; it is fixed once it
+// has been used
+let STORAGE;
+let STORAGE_IN_USE = false;
+// the instrumentation of account transactions; it is fixed once it has been
+// used
+let INSTRUMENTATION = {};
+let INSTRUMENTATION_IN_USE = false;
+
+/**
+ * Sets the storage adapter that accounts are stored with, e.g., a
+ * `MemoryStorageAdapter` to use accounts without MongoDB in tests. Accounts
+ * are stored in MongoDB by default. It must be called before
+ * `bedrock.configure` is emitted, e.g., in a config file; `@bedrock/mongodb`
+ * is only loaded if accounts are stored with a `MongoStorageAdapter` and
+ * accounts stored with any other adapter are initialized on `bedrock.init`
+ * instead of on `bedrock-mongodb.ready`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.storage - The storage adapter.
+ */
+export function setAccountStorage({storage} = {}) {
+  assert.object(storage, 'storage');
+  if(STORAGE_IN_USE) {
+    throw new Error('Account storage cannot be set once it has been used.');
+  }
+  STORAGE = storage;
+}
+
+/**
+ * Gets the storage adapter that accounts are stored with.
+ *
+ * @returns {object} The storage adapter.
+ */
+export function getAccountStorage() {
+  if(!STORAGE) {
+    STORAGE = new MongoStorageAdapter();
+  }
+  STORAGE_IN_USE = true;
+  return STORAGE;
+}
+
+/**
+ * Sets the instrumentation of account transactions (see
+ * `@bedrock/account/storage` for the metrics that are recorded and the spans
+ * that are started). Accounts are not instrumented by default. It must be
+ * called before accounts are initialized (see `setAccountStorage()`).
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.metrics] - An object that receives transaction
+ *   metrics via `increment()` and `observe()`, e.g., a `MetricsRecorder`.
+ * @param {object} [options.tracer] - An OpenTelemetry-compatible tracer,
+ *   e.g., `trace.getTracer('bedrock-account')` from `@opentelemetry/api`.
+ */
+export function setAccountInstrumentation({metrics, tracer} = {}) {
+  assert.optionalObject(metrics, 'metrics');
+  assert.optionalObject(tracer, 'tracer');
+  if(INSTRUMENTATION_IN_USE) {
+    throw new Error(
+      'Account instrumentation cannot be set once it has been used.');
+  }
+  INSTRUMENTATION = {metrics, tracer};
+}
+
+/**
+ * Gets the instrumentation of account transactions.
+ *
+ * @returns {object} The instrumentation as `{metrics, tracer}`.
+ */
+export function getAccountInstrumentation() {
+  INSTRUMENTATION_IN_USE = true;
+  return INSTRUMENTATION;
+}
@@ -1,6 +1,177 @@
 /*
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {config} from '@bedrock/core';
 
 config.account = {};
+
+// account fields that must be unique across all accounts; a proxy collection
+// (named `account-<field>`) is created for each field to enforce uniqueness
+// and to enable account lookups by that field, e.g., `get({phoneNumber})`
+config.account.uniqueFields = ['email'];
+
+// normalization pipelines for unique fields, keyed by field name; each
+// pipeline is an array of built-in normalizer names (`trim`, `nfc`,
+// `lowercase`, `email`, `e164`, `gmail`) and / or normalizer functions that
+// are run in order; the normalized value is stored in the field's proxy
+// collection and used for lookups while the original value is kept in the
+// account, e.g.: {email: ['email'], phoneNumber: ['e164']}
+// note: values are not normalized by default; a field's existing proxy
+// records keep the values produced by its previous pipeline when the
+// pipeline is changed, so they must be replaced with the new values via
+// `verifyIntegrity({repair: true})` before the change is relied upon
+// (accounts whose values become equal must be fixed by hand)
+config.account.normalizers = {};
+
+// extensions to the JSON schemas used to validate accounts and account meta
+// data on every write (see `schemas/bedrock-account.js`); `properties` are
+// added to (or replace) the properties of the base schema and `required`
+// lists additional required properties, e.g.:
+// config.account.schemas.account.properties.name = {type: 'string'};
+// config.account.schemas.account.required.push('name');
+config.account.schemas = {
+  account: {
+    properties: {},
+    required: []
+  },
+  meta: {
+    properties: {},
+    required: []
+  }
+};
+
+// account status model
+config.account.status = {
+  // the status of a newly inserted account
+  initial: 'active',
+  // the allowed status transitions, mapping each status to the statuses it
+  // may be changed to via `setStatus()` (or, for `deleted`, via `remove()`
+  // and `merge()`); `*` matches any status and every status must appear in
+  // this map; an account's status can never be changed to the same status;
+  // for example:
+  // {
+  //   'pending-verification': ['active'],
+  //   active: ['suspended'],
+  //   suspended: ['active'],
+  //   '*': ['deleted']
+  // }
+  transitions: {
+    active: ['deleted'],
+    deleted: ['active']
+  },
+  // the maximum number of (most recent) status changes to keep in
+  // `meta.statusHistory`
+  historyLimit: 100
+};
+
+// account history options
+config.account.history = {
+  // if `true`, every committed change to an account is recorded in the
+  // append-only `account-history` collection; see `getHistory()`
+  enabled: false
+};
+
+// account listing options
+config.account.list = {
+  // number of accounts returned by `list()` if no `limit` is given
+  defaultLimit: 100,
+  // maximum `limit` that may be passed to `list()`
+  maxLimit: 1000
+};
+
+// `insertMany()` options
+config.account.insertMany = {
+  // maximum number of accounts that may be inserted in one call; note that
+  // an atomic `insertMany()` call must complete within
+  // `config.account.recovery.maxAge` or it may be rolled back by recovery
+  maxSize: 1000
+};
+
+// `importAccounts()` options
+config.account.import = {
+  // how often (in number of lines) to report import progress
+  progressInterval: 100
+};
+
+// `backfillUniqueField()` options
+config.account.backfill = {
+  // number of accounts to process in each batch
+  batchSize: 100
+};
+
+// `updateWith()` options
+config.account.updateWith = {
+  // the default number of times an update is retried after it conflicts
+  // with a concurrent change to the same account
+  maxRetries: 5,
+  // the default backoff used between retries; each delay is a random amount
+  // of time up to `initialDelay * 2^(retry - 1)` ms, capped at `maxDelay` ms
+  backoff: {
+    initialDelay: 20,
+    maxDelay: 1000
+  }
+};
+
+// the policy for retrying an account operation (e.g., `update()`) that
+// conflicts with concurrent changes to the same account or unique field
+// value; once the policy runs out, the operation fails with a `TimeoutError`
+config.account.retry = {
+  // maximum number of attempts
+  maxAttempts: 50,
+  // the backoff used between attempts; each delay is a random amount of time
+  // up to `initialDelay * 2^(attempt - 1)` ms, capped at `maxDelay` ms
+  backoff: {
+    initialDelay: 5,
+    maxDelay: 500
+  },
+  // maximum time (in ms) to keep retrying; `null` for no limit
+  timeout: 30 * 1000
+};
+
+// options for recovering account transactions that were interrupted (e.g.,
+// by a process crash); such transactions are otherwise only recovered when
+// the affected account or unique field value (e.g., `email`) is next used
+config.account.recovery = {
+  // if `true`, `recoverTransactions()` is run periodically in the background
+  enabled: false,
+  // how often (in ms) to run recovery
+  interval: 60 * 1000,
+  // minimum age (in ms) of a transaction before it will be recovered; this
+  // must be greater than the time any account operation could take
+  maxAge: 5 * 60 * 1000,
+  // maximum number of records to examine in each collection per run
+  limit: 100
+};
+
+// account removal options
+config.account.remove = {
+  // the default mode used by `remove()`; either `tombstone` (the account is
+  // marked with `meta.status = 'deleted'` and retained for
+  // `tombstoneRetention` ms) or `hard` (the account is removed entirely and
+  // its unique fields, such as `email`, are released for reuse)
+  mode: 'tombstone',
+  // how long a tombstone is retained before `purgeTombstones()` will
+  // hard delete it; defaults to 30 days
+  tombstoneRetention: 30 * 24 * 60 * 60 * 1000
+};
+
+// account ID redirect options (see `get()`, `merge()`, and `rekey()`)
+config.account.redirects = {
+  // the maximum number of redirects `get()` follows to find an account, e.g.,
+  // when an account was merged into an account that was later given a new ID
+  maxHops: 5
+};
+
+// email verification options (see `requestEmailVerification()`)
+config.account.emailVerification = {
+  // how long (in ms) an email verification token is valid for; defaults to
+  // 24 hours
+  tokenTtl: 24 * 60 * 60 * 1000
+};
+
+// email change options (see `requestEmailChange()`)
+config.account.emailChange = {
+  // how long (in ms) an email change token is valid for and the new email
+  // address is reserved for; defaults to 24 hours
+  tokenTtl: 24 * 60 * 60 * 1000
+};
@@ -0,0 +1,63 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Creates a JSON patch (RFC 6902) that transforms `before` into `after`.
+ * Objects are compared recursively; arrays and other values are replaced
+ * whole when they differ. A missing `before` or `after` produces a single
+ * `add` or `remove` operation for the whole document.
+ *
+ * @param {object} options - The options to use.
+ * @param {*} [options.before] - The original value.
+ * @param {*} [options.after] - The new value.
+ *
+ * @returns {Array<object>} The JSON patch operations.
+ */
+export function createPatch({before, after} = {}) {
+  const patch = [];
+  _diff({before, after, path: '', patch});
+  return patch;
+}
+
+function _diff({before, after, path, patch}) {
+  if(before === undefined && after === undefined) {
+    return;
+  }
+  if(before === undefined) {
+    patch.push({op: 'add', path, value: after});
+    return;
+  }
+  if(after === undefined) {
+    patch.push({op: 'remove', path});
+    return;
+  }
+  if(_isObject(before) && _isObject(after)) {
+    for(const key of Object.keys(before)) {
+      _diff({
+        before: before[key], after: after[key],
+        path: `${path}/${_escape(key)}`, patch
+      });
+    }
+    for(const key of Object.keys(after)) {
+      if(!Object.hasOwn(before, key)) {
+        patch.push({
+          op: 'add', path: `${path}/${_escape(key)}`, value: after[key]
+        });
+      }
+    }
+    return;
+  }
+  if(JSON.stringify(before) !== JSON.stringify(after)) {
+    patch.push({op: 'replace', path, value: after});
+  }
+}
+
+function _escape(key) {
+  // JSON pointer escaping (RFC 6901)
+  return key.replaceAll('~', '~0').replaceAll('/', '~1');
+}
+
+function _isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -1,109 +1,210 @@
 /*!
- * Copyright (c) 2018-2024 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import * as database from '@bedrock/mongodb';
+import {createNdjsonStream, readLines} from './ndjson.js';
+import {
+  getAccountInstrumentation, getAccountStorage
+} from './accountStorage.js';
+import {AliasCollection} from './AliasCollection.js';
 import assert from 'assert-plus';
 import {logger} from './logger.js';
+import {MongoStorageAdapter} from './MongoStorageAdapter.js';
 import {RecordCollection} from './RecordCollection.js';
+import {retry} from './retry.js';
+import {TokenCollection} from './TokenCollection.js';
+import {validate} from './validation.js';
 
 // load config defaults
 import './config.js';
 
+export * as normalizers from './normalizers.js';
+
+const {util: {BedrockError}} = bedrock;
+
 /**
  * @module bedrock-account
  */
 
 let ACCOUNT_STORAGE;
+// single-use tokens, e.g., for verifying email addresses
+let TOKENS;
+// aliases of the previous IDs of accounts, e.g., of merged accounts
+let ALIASES;
+// timer for running background transaction recovery
+let RECOVERY_TIMER;
+let RECOVERY_STOPPED = false;
+
+// fields that `list()` may filter and sort by, mapped to their record paths
+const LIST_FIELDS = new Map([
+  ['status', 'meta.status'],
+  ['created', 'meta.created'],
+  ['updated', 'meta.updated']
+]);
+// filter operators that `list()` supports
+const LIST_OPERATORS = new Set(['eq', 'in', 'gt', 'gte', 'lt', 'lte']);
+// account fields whose values share the proxy collection of a unique field;
+// every secondary email address is unique along with every `email`
+const SHARED_UNIQUE_FIELDS = {email: ['secondaryEmails']};
+
+bedrock.events.on('bedrock.configure', async () => {
+  // accounts are stored in MongoDB by default; it is only loaded if they are
+  // so that accounts can be stored with another adapter without MongoDB
+  if(getAccountStorage() instanceof MongoStorageAdapter) {
+    await import('@bedrock/mongodb');
+  }
+});
+
+bedrock.events.on('bedrock.init', async () => {
+  // accounts stored in MongoDB are initialized once it is ready
+  if(!(getAccountStorage() instanceof MongoStorageAdapter)) {
+    await _initialize();
+  }
+});
 
 bedrock.events.on('bedrock-mongodb.ready', async () => {
-  ACCOUNT_STORAGE = new RecordCollection({
-    collectionName: 'account',
-    sequenceInData: false,
-    uniqueFields: ['email']
-  });
-  await ACCOUNT_STORAGE.initialize();
+  if(getAccountStorage() instanceof MongoStorageAdapter) {
+    await _initialize();
+  }
+});
+
+bedrock.events.on('bedrock.stop', () => {
+  RECOVERY_STOPPED = true;
+  clearTimeout(RECOVERY_TIMER);
 });
 
 /**
- * Inserts a new account. The account must contain `id`.
+ * Inserts a new account. The account must contain `id`. The account and
+ * its meta information are validated against the account schemas (see
+ * `config.account.schemas`) and a `ValidationError` is thrown if either is
+ * invalid.
  *
  * @param {object} options - The options to use.
  * @param {object} options.account - The account containing at least the
  *   minimum required data.
  * @param {object} [options.meta] - The meta information to include.
+ * @param {string} [options.actor] - The ID of the actor inserting the
+ *   account, recorded in the account's history if enabled.
+ * @param {object} [options.signal] - An `AbortSignal` that stops retrying
+ *   the operation if it conflicts with concurrent changes (see
+ *   `config.account.retry`), causing a `TimeoutError` to be thrown.
  *
  * @returns {Promise} Resolves to the database account record.
  */
-export async function insert({account, meta} = {}) {
-  assert.object(account, 'account');
-  assert.string(account.id, 'account.id');
-  assert.optionalString(account.email, 'account.email');
-  assert.optionalString(account.phoneNumber, 'account.phoneNumber');
+export async function insert({account, meta, actor, signal} = {}) {
+  const {record, eventData} = await _prepareInsert({account, meta});
 
-  meta = {...meta, status: 'active'};
+  logger.info('attempting to insert an account', {account: record.account});
 
-  // emit `insertEvent` with clone of `account`
-  account = structuredClone(account);
-  const eventData = {
-    account,
-    meta,
-    // data to pass to `postInsert`, but do not insert into database
-    postInsert: {
-      /* <module-name>: <module-specific data> */
-    }
-  };
-  await bedrock.events.emit('bedrock-account.insert', eventData);
+  // insert the record
+  await ACCOUNT_STORAGE.insert({record, actor, signal});
 
-  // replay assertions post event emission
-  assert.object(account, 'account');
-  assert.string(account.id, 'account.id');
-  assert.string(meta.status, 'meta.status');
-  assert.optionalString(account.email, 'account.email');
-  assert.optionalString(account.phoneNumber, 'account.phoneNumber');
+  await _emitPostInsert({record, eventData});
+  return record;
+}
+
+/**
+ * Inserts several new accounts. Each account must contain `id`. Each account
+ * is prepared in the same way as via `insert()`, including emitting the same
+ * events and validating it.
+ *
+ * In `atomic` mode (the default), either all of the accounts are inserted or
+ * none of them are; if any account cannot be inserted, e.g., because of a
+ * `DuplicateError`, the accounts that had been written so far are rolled
+ * back and the error is thrown. Otherwise, each account is inserted
+ * independently and the result includes the outcome for each account.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<object>} options.accounts - The accounts to insert.
+ * @param {boolean} [options.atomic=true] - `true` to insert all of the
+ *   accounts or none of them.
+ * @param {string} [options.actor] - The ID of the actor inserting the
+ *   accounts, recorded in each account's history if enabled.
+ * @param {object} [options.signal] - An `AbortSignal` that stops retrying
+ *   the operation if it conflicts with concurrent changes (see
+ *   `config.account.retry`), causing a `TimeoutError` to be thrown.
+ *
+ * @returns {Promise<object>} Resolves to `{inserted, results}` where
+ *   `inserted` is the number of inserted accounts and `results` has an entry
+ *   for each account (in order) with its `id` and `inserted` set to `true`
+ *   and its `record` if it was inserted or `false` and its `error` if not; for
+ *   a `DuplicateError`, the entry includes the `uniqueField` that was
+ *   duplicated, e.g., `email`.
+ */
+export async function insertMany({
+  accounts, atomic = true, actor, signal
+} = {}) {
+  assert.arrayOfObject(accounts, 'accounts');
+  assert.bool(atomic, 'atomic');
+  const {maxSize} = bedrock.config.account.insertMany;
+  if(accounts.length > maxSize) {
+    throw new TypeError(
+      `"accounts" must contain no more than ${maxSize} accounts.`);
+  }
 
-  logger.info('attempting to insert an account', {account});
+  if(!atomic) {
+    const results = [];
+    for(const account of accounts) {
+      try {
+        const record = await insert({account, actor, signal});
+        results.push({id: account.id, inserted: true, record});
+      } catch(error) {
+        const result = {id: account?.id, inserted: false, error};
+        if(error.name === 'DuplicateError') {
+          result.uniqueField = error.details.uniqueField;
+        }
+        results.push(result);
+      }
+    }
+    const inserted = results.filter(r => r.inserted).length;
+    return {inserted, results};
+  }
 
-  // prepare the account record
-  const now = Date.now();
-  meta = {...meta, created: now, updated: now, sequence: 0};
-  let record = {account, meta};
+  const prepared = [];
+  for(const account of accounts) {
+    prepared.push(await _prepareInsert({account}));
+  }
+  const records = prepared.map(({record}) => record);
 
-  // insert the record
-  record = await ACCOUNT_STORAGE.insert({record});
+  logger.info('attempting to insert accounts', {count: records.length});
 
-  // emit `postInsert` event with updated record data
-  eventData.account = structuredClone(record.account);
-  eventData.meta = structuredClone(record.meta);
-  await bedrock.events.emit('bedrock-account.postInsert', eventData);
+  await ACCOUNT_STORAGE.insertMany({records, actor, signal});
 
-  return record;
+  for(const {record, eventData} of prepared) {
+    await _emitPostInsert({record, eventData});
+  }
+  const results = records.map(
+    record => ({id: record.account.id, inserted: true, record}));
+  return {inserted: results.length, results};
 }
 
 /**
- * Check for the existence of an account.
+ * Check for the existence of an account. The account can be identified by
+ * its ID and / or by the value of any configured unique field (see
+ * `config.account.uniqueFields`), e.g., `email` or `phoneNumber`.
  *
  * @param {object} options - The options to use.
  * @param {string} [options.id] - The ID of the account to check.
  * @param {string} [options.email] - The email address for the account.
- * @param {string} [options.status=active] - The status to check for
- *   (options: 'active', deleted').
+ * @param {string} [options.status=active] - The status to check for; it
+ *   must be a status from `config.account.status.transitions`.
+ * @param {...string} [options.uniqueValues] - The value of any other
+ *   configured unique field, keyed by field name, e.g., `phoneNumber`.
  *
  * @returns {Promise} Resolves to a boolean indicating account existence.
  */
-export async function exists({id, email, status = 'active'} = {}) {
+export async function exists({id, status = 'active', ...uniqueValues} = {}) {
   assert.optionalString(id, 'id');
-  assert.optionalString(email, 'email');
   assert.string(status, 'status');
-  if(!(id || email)) {
-    throw new Error('Either "id" or "email" must be provided.');
+  if(!_getStatuses().has(status)) {
+    throw new TypeError(`Unknown account status "${status}".`);
   }
-
-  const options = {id};
-  if(email !== undefined) {
-    options.uniqueField = 'email';
-    options.uniqueValue = email;
+  const options = {id, ..._getUniqueFieldOptions({uniqueValues})};
+  if(!(id || options.uniqueField)) {
+    throw new Error(
+      'Either "id" or a unique field (e.g., "email") must be provided.');
   }
+
   try {
     // can't use `ACCOUNT_STORAGE.exists`; must check `meta.status` field
     const record = await ACCOUNT_STORAGE.get(options);
@@ -117,36 +218,59 @@ export async function exists({id, email, status = 'active'} = {}) {
 }
 
 /**
- * Retrieves an account by ID or email.
+ * Retrieves an account by ID and / or by the value of any configured unique
+ * field (see `config.account.uniqueFields`), e.g., `email` or `phoneNumber`.
+ *
+ * An account that has been merged into another account (see `merge()`) is
+ * left as a tombstone that redirects to the account it was merged into and
+ * the previous ID of an account that has been given a new ID (see `rekey()`)
+ * becomes an alias that redirects to the account; retrieving an account by
+ * such an ID retrieves the account it redirects to. Redirects may form a
+ * chain, e.g., when an account is merged into an account that is later given
+ * a new ID; a `NotFoundError` is thrown if more than
+ * `config.account.redirects.maxHops` redirects would have to be followed.
  *
  * @param {object} options - The options to use.
  * @param {string} [options.id] - The ID of the account to retrieve.
- * @param {string} [options.email] - The email of the account to retrieve.
+ * @param {string} [options.email] - The email of the account to retrieve;
+ *   this may be the account's primary or any secondary email address.
+ * @param {boolean} [options.followRedirects=true] - `false` to not follow
+ *   any redirect from `id`, e.g., to retrieve the tombstone of a merged
+ *   account.
  * @param {boolean} [options.explain=false] - An optional explain boolean.
+ * @param {object} [options.signal] - An `AbortSignal` that stops retrying
+ *   the lookup if it conflicts with concurrent changes (see
+ *   `config.account.retry`), causing a `TimeoutError` to be thrown.
+ * @param {...string} [options.uniqueValues] - The value of any other
+ *   configured unique field, keyed by field name, e.g., `phoneNumber`.
  *
  * @returns {Promise | ExplainObject} - Returns a Promise that resolves to
  *   the account record (`{account, meta}`) or an ExplainObject if
  *   `explain=true`.
  */
-export async function get({id, email, explain = false} = {}) {
+export async function get({
+  id, followRedirects = true, explain = false, signal, ...uniqueValues
+} = {}) {
   assert.optionalString(id, 'id');
-  assert.optionalString(email, 'email');
-  if(!(id || email)) {
-    throw new Error('Either "id" or "email" is required.');
+  assert.bool(followRedirects, 'followRedirects');
+  const options = {id, ..._getUniqueFieldOptions({uniqueValues}), signal};
+  if(!(id || options.uniqueField)) {
+    throw new Error(
+      'Either "id" or a unique field (e.g., "email") is required.');
   }
 
   if(explain) {
-    if(email !== undefined) {
-      const proxyCollection = ACCOUNT_STORAGE.proxyCollections.get('email');
-      return proxyCollection.get({uniqueValue: email, explain});
+    const {uniqueField, uniqueValue} = options;
+    if(uniqueField !== undefined) {
+      const proxyCollection = ACCOUNT_STORAGE.proxyCollections.get(
+        uniqueField);
+      return proxyCollection.get({uniqueValue, explain});
     }
     return ACCOUNT_STORAGE.helper.get({id, explain});
   }
 
-  const options = {id};
-  if(email !== undefined) {
-    options.uniqueField = 'email';
-    options.uniqueValue = email;
+  if(id !== undefined && followRedirects) {
+    return _getFollowingRedirects({options});
   }
   return ACCOUNT_STORAGE.get(options);
 }
@@ -156,7 +280,9 @@ export async function get({id, email, explain = false} = {}) {
  *
  * @param {object} options - The options to use.
  * @param {object} [options.query={}] - The query to use.
- * @param {object} [options.options={}] - The options (eg: 'sort', 'limit').
+ * @param {object} [options.options={}] - The options (eg: 'sort', 'limit',
+ *   'projection'); an exclusive projection must not exclude `account` as a
+ *   whole.
  * @param {boolean} [options._allowPending=false] - For internal use only;
  *   allows finding records that are in the process of being created.
  *
@@ -165,17 +291,91 @@ export async function get({id, email, explain = false} = {}) {
 export async function getAll({
   query = {}, options = {}, _allowPending = false
 } = {}) {
-  if(!_allowPending) {
-    query = {...query, 'meta.state': {$ne: 'pending'}};
+  return ACCOUNT_STORAGE.getAll({query, options, _allowPending});
+}
+
+/**
+ * Retrieves a page of accounts. Accounts may only be filtered and sorted by
+ * `status`, `created`, or `updated` (which refer to the same fields in
+ * `meta`). A filter value may be given directly to match it exactly or as an
+ * object with any of these operators: `eq`, `in`, `gt`, `gte`, `lt`, `lte`,
+ * e.g., `{status: 'active', created: {gte: 1700000000000}}`. If there are
+ * more matching accounts than `limit`, the result includes an opaque `next`
+ * token that can be passed as `after` (along with the same `filter` and
+ * `sort`) to retrieve the next page.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.filter={}] - The filter to use.
+ * @param {object} [options.sort={created: 1}] - The field to sort by, mapped
+ *   to the sort direction (`1` for ascending and `-1` for descending).
+ * @param {number} [options.limit] - The maximum number of accounts to return;
+ *   defaults to `config.account.list.defaultLimit`.
+ * @param {string} [options.after] - A `next` token from a previous call.
+ *
+ * @returns {Promise<object>} Resolves to `{records, next}` where `records` is
+ *   an array of account records (`{account, meta}`) and `next` is `null` if
+ *   there are no more matching accounts.
+ */
+export async function list({
+  filter = {}, sort = {created: 1}, limit, after
+} = {}) {
+  assert.object(filter, 'filter');
+  assert.object(sort, 'sort');
+  assert.optionalNumber(limit, 'limit');
+  assert.optionalString(after, 'after');
+
+  const {defaultLimit, maxLimit} = bedrock.config.account.list;
+  if(limit === undefined) {
+    limit = defaultLimit;
   }
-  return database.collections.account.find(query, options).toArray();
+  if(!(Number.isInteger(limit) && limit > 0 && limit <= maxLimit)) {
+    throw new TypeError(
+      `"limit" must be an integer from 1 to ${maxLimit}.`);
+  }
+
+  const query = _createListQuery({filter});
+  const {sortField, direction} = _getListSort({sort});
+  return ACCOUNT_STORAGE.list({query, sortField, direction, limit, after});
+}
+
+/**
+ * Iterates over all accounts that match the given filter, retrieving them
+ * in pages. See `list()` for the supported `filter` and `sort` options.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.filter={}] - The filter to use.
+ * @param {object} [options.sort={created: 1}] - The field to sort by, mapped
+ *   to the sort direction (`1` for ascending and `-1` for descending).
+ * @param {number} [options.limit] - The number of accounts to retrieve per
+ *   page; defaults to `config.account.list.defaultLimit`.
+ * @param {string} [options.after] - A `next` token from a previous call to
+ *   `list()` to start iterating after.
+ *
+ * @yields {object} The account records (`{account, meta}`).
+ */
+export async function* iterate({
+  filter = {}, sort = {created: 1}, limit, after
+} = {}) {
+  do {
+    const result = await list({filter, sort, limit, after});
+    yield* result.records;
+    after = result.next ?? undefined;
+  } while(after !== undefined);
 }
 
 /**
  * Updates an account by overwriting it with new `account` and / or `meta`
  * information. In both cases, the expected `sequence` must match the existing
  * account, but if `meta` is being overwritten, `sequence` can be omitted and
- * the value from `meta.sequence` will be used.
+ * the value from `meta.sequence` will be used. Any new `account` or `meta`
+ * information is validated against the account schemas (see
+ * `config.account.schemas`) and a `ValidationError` is thrown if it is
+ * invalid. `meta.status` can only be changed via `setStatus()`; a
+ * `NotAllowedError` is thrown if new `meta` has a different status. If the
+ * update changes `account.email`, the account's email
+ * verification is reset: any outstanding verification tokens are invalidated
+ * and, unless `meta` sets a new `emailVerified` time, `meta.emailVerified` is
+ * removed and a `bedrock-account.emailVerificationReset` event is emitted.
  *
  * @param {object} options - The options to use.
  * @param {string} options.id - The ID of the account to update.
@@ -185,39 +385,1727 @@ export async function getAll({
  *   current record prior to the update if given; can be omitted if `meta` is
  *   given and has, instead, the new `sequence` number (which must be one more
  *   than the existing `sequence` number).
+ * @param {string} [options.actor] - The ID of the actor making the change,
+ *   recorded in the account's history if enabled.
+ * @param {object} [options.signal] - An `AbortSignal` that stops retrying
+ *   the operation if it conflicts with concurrent changes (see
+ *   `config.account.retry`), causing a `TimeoutError` to be thrown.
  *
  * @returns {Promise | ExplainObject} - Returns a Promise that resolves to
  *   `true` if the update succeeds or an ExplainObject if `explain=true`.
  */
-export async function update({id, account, meta, sequence} = {}) {
+export async function update({
+  id, account, meta, sequence, actor, signal
+} = {}) {
   if(id === undefined) {
     id = account?.id;
   }
   assert.string(id, 'id');
-  if(account && account.id !== id) {
-    throw new TypeError('"id" must equal "account.id".');
-  }
-  return ACCOUNT_STORAGE.update(
-    {id, data: account, meta, expectedSequence: sequence});
+  const {result} = await _update(
+    {id, account, meta, sequence, actor, signal});
+  return result;
+}
+
+/**
+ * Updates an account by running a `mutator` function over a copy of its
+ * current `account` and `meta` information and then writing the result using
+ * the current `sequence`. If another process changes the account before the
+ * result is written, the account is read again and the `mutator` is run again
+ * after a jittered backoff delay, up to `maxRetries` times. The `mutator` may
+ * modify the `account` and `meta` objects it is passed or return new ones;
+ * it must not change `account.id` or `meta.status` and any change it makes
+ * to `meta.sequence` is ignored. As it may be run more than once, it should
+ * not have other side effects.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the account to update.
+ * @param {Function} options.mutator - An async function that is passed
+ *   `{account, meta, attempt}` and may return `{account, meta}`.
+ * @param {number} [options.maxRetries] - The maximum number of retries;
+ *   defaults to `config.account.updateWith.maxRetries`.
+ * @param {object} [options.backoff] - The backoff options (`initialDelay`
+ *   and `maxDelay` in ms); defaults to `config.account.updateWith.backoff`.
+ * @param {string} [options.actor] - The ID of the actor making the change,
+ *   recorded in the account's history if enabled.
+ * @param {object} [options.signal] - An `AbortSignal` that stops retrying
+ *   the update: once it is aborted, the `mutator` is not run again and
+ *   reading or writing the account throws a `TimeoutError` if it conflicts
+ *   with concurrent changes (see `config.account.retry`).
+ *
+ * @returns {Promise<object>} Resolves to `{record, attempts}` where `record`
+ *   is the account record (`{account, meta}`) that was written and `attempts`
+ *   is the number of times an update was attempted.
+ */
+export async function updateWith({
+  id, mutator, maxRetries, backoff, actor, signal
+} = {}) {
+  assert.string(id, 'id');
+  assert.func(mutator, 'mutator');
+  const {updateWith: defaults} = bedrock.config.account;
+  maxRetries = maxRetries ?? defaults.maxRetries;
+  backoff = {...defaults.backoff, ...backoff};
+
+  const {result: record, attempts} = await retry({
+    async fn({attempt}) {
+      const existing = await ACCOUNT_STORAGE.get({id, signal});
+      const {sequence} = existing.meta;
+      let account = structuredClone(existing.account);
+      let meta = structuredClone(existing.meta);
+      const result = await mutator({account, meta, attempt});
+      if(result) {
+        assert.object(result, 'mutator result');
+        ({account = account, meta = meta} = result);
+      }
+      assert.object(account, 'account');
+      assert.object(meta, 'meta');
+      meta = {...meta, sequence: sequence + 1};
+      ({meta} = await _update({id, account, meta, actor, signal}));
+      return {account, meta};
+    },
+    shouldRetry: e => e.name === 'InvalidStateError' && !signal?.aborted,
+    maxRetries,
+    backoff
+  });
+  return {record, attempts};
 }
 
 /**
- * Sets an account's status.
+ * Sets an account's status. The change must be allowed by
+ * `config.account.status.transitions`; a `NotAllowedError` is thrown if it
+ * is not. Each change is recorded in `meta.statusHistory` along with the
+ * optional `reason` and `actor` and a `bedrock-account.statusChange` event is
+ * emitted once the change has been made.
  *
  * @param {object} options - The options to use.
  * @param {string} options.id - The account ID.
  * @param {string} options.status - The status.
+ * @param {string} [options.reason] - The reason for the change.
+ * @param {string} [options.actor] - The ID of the actor making the change,
+ *   recorded in the account's history if enabled.
  *
  * @returns {Promise} Resolves once the operation completes.
  */
-export async function setStatus({id, status} = {}) {
+export async function setStatus({id, status, reason, actor} = {}) {
   assert.string(id, 'id');
   assert.string(status, 'status');
+  assert.optionalString(reason, 'reason');
+  assert.optionalString(actor, 'actor');
 
   const {meta} = await ACCOUNT_STORAGE.get({id});
-  meta.status = status;
+  const statusChange = _changeStatus({id, meta, status, reason, actor});
   meta.sequence++;
-  await ACCOUNT_STORAGE.update({id, meta});
+  validate({meta});
+  await ACCOUNT_STORAGE.update({id, meta, actor, operation: 'setStatus'});
+
+  await _emitStatusChange(statusChange);
+}
+
+/**
+ * Requests verification of one of an account's email addresses by issuing a
+ * new single-use token that expires after
+ * `config.account.emailVerification.tokenTtl` ms. Any token previously issued
+ * for the email address is invalidated. The token is not returned; instead,
+ * a `bedrock-account.emailVerificationRequested` event is emitted with
+ * `{id, email, token, expires}` so that a mailer module can send it to the
+ * email address. The token can then be passed to `verifyEmail()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the account.
+ * @param {string} [options.email] - The email address to verify, which may
+ *   be any of the account's email addresses; defaults to its primary email
+ *   address (`account.email`).
+ *
+ * @returns {Promise<object>} Resolves to `{expires}` where `expires` is when
+ *   the token expires (in ms since the epoch).
+ */
+export async function requestEmailVerification({id, email} = {}) {
+  assert.string(id, 'id');
+  assert.optionalString(email, 'email');
+  const {account} = await ACCOUNT_STORAGE.get({id});
+  email = email === undefined ?
+    account.email : _findEmail({account, email});
+  if(email === undefined) {
+    throw new BedrockError(
+      'The account does not have the email address to verify.', {
+        name: 'NotAllowedError',
+        details: {account: id, httpStatusCode: 400, public: true}
+      });
+  }
+
+  const purpose = 'emailVerification';
+  const {tokenTtl: ttl} = bedrock.config.account.emailVerification;
+  await TOKENS.deleteAll({accountId: id, purpose, data: {email}});
+  const {token, expires} = await TOKENS.insert(
+    {accountId: id, purpose, ttl, data: {email}});
+
+  // emit `emailVerificationRequested` event for sending the token
+  await bedrock.events.emit('bedrock-account.emailVerificationRequested', {
+    id, email, token, expires
+  });
+  return {expires};
+}
+
+/**
+ * Verifies one of an account's email addresses using a token issued by
+ * `requestEmailVerification()`. The token is consumed, even if verification
+ * fails, and verification only succeeds if the account still has the email
+ * address the token was issued for. On success, the time of verification is
+ * set in `meta.emailVerified` for the primary email address or in
+ * `meta.secondaryEmailsVerified` (as `{email, verified}`) for a secondary
+ * email address and a `bedrock-account.emailVerified` event is emitted.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.token - The token.
+ *
+ * @returns {Promise<object>} Resolves to `{id, email, verified}` where
+ *   `verified` is the time of verification (in ms since the epoch).
+ */
+export async function verifyEmail({token} = {}) {
+  assert.string(token, 'token');
+  const result = await TOKENS.consume({token, purpose: 'emailVerification'});
+  if(!result) {
+    throw new BedrockError(
+      'The email verification token is invalid, has expired, or has ' +
+      'already been used.', {
+        name: 'DataError',
+        details: {httpStatusCode: 400, public: true}
+      });
+  }
+
+  const {accountId: id, data: {email}} = result;
+  const verified = Date.now();
+  await updateWith({
+    id,
+    mutator({account, meta}) {
+      const address = _findEmail({account, email});
+      if(address === undefined) {
+        throw new BedrockError(
+          'The account\'s email address has changed since the email ' +
+          'verification token was issued.', {
+            name: 'NotAllowedError',
+            details: {account: id, httpStatusCode: 400, public: true}
+          });
+      }
+      if(_isSameEmail(account.email, address)) {
+        meta.emailVerified = verified;
+        return;
+      }
+      const {secondaryEmailsVerified = []} = meta;
+      meta.secondaryEmailsVerified = [
+        ...secondaryEmailsVerified.filter(e => !_isSameEmail(e.email, address)),
+        {email: address, verified}
+      ];
+    }
+  });
+
+  // emit `emailVerified` event
+  await bedrock.events.emit('bedrock-account.emailVerified', {
+    id, email, verified
+  });
+  return {id, email, verified};
+}
+
+/**
+ * Requests a change of an account's email address to `newEmail`. The change
+ * is only made once it is confirmed via `confirmEmailChange()` with a new
+ * single-use token that expires after `config.account.emailChange.tokenTtl`
+ * ms; until then, the account keeps its current email address and
+ * `newEmail` is reserved for the account (in the `account-email` proxy
+ * collection) so that no other account can claim it. The reservation is
+ * released when the token expires. Any change previously requested for the
+ * account is cancelled once `newEmail` has been reserved, so that only the
+ * token of the latest request is valid, even if changes are requested
+ * concurrently. The token is not returned; instead, a
+ * `bedrock-account.emailChangeRequested` event is emitted with `{id, email,
+ * newEmail, token, expires}` so that a mailer module can send it to
+ * `newEmail` (and, e.g., notify `email` of the request).
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the account.
+ * @param {string} options.newEmail - The new email address.
+ *
+ * @returns {Promise<object>} Resolves to `{expires}` where `expires` is when
+ *   the token expires (in ms since the epoch); rejects with a
+ *   `DuplicateError` if `newEmail` is used by or reserved for another
+ *   account.
+ */
+export async function requestEmailChange({id, newEmail} = {}) {
+  assert.string(id, 'id');
+  assert.string(newEmail, 'newEmail');
+  const {account} = await ACCOUNT_STORAGE.get({id});
+  const {email} = account;
+  if(_findEmail({account, email: newEmail}) !== undefined) {
+    throw new BedrockError(
+      'The new email address is already one of the account\'s email ' +
+      'addresses.', {
+        name: 'NotAllowedError',
+        details: {account: id, httpStatusCode: 400, public: true}
+      });
+  }
+  validate({account: {...account, email: newEmail}});
+
+  // reserve the new address first so that a failed request does not cancel
+  // a previous one
+  const {tokenTtl: ttl} = bedrock.config.account.emailChange;
+  let reservationId;
+  if(ACCOUNT_STORAGE.proxyCollections.has('email')) {
+    ({id: reservationId} = await ACCOUNT_STORAGE.reserveUniqueValue({
+      id, uniqueField: 'email', uniqueValue: newEmail,
+      expires: Date.now() + ttl
+    }));
+  }
+
+  // the token replaces any token of a previous (or concurrent) request, so
+  // only the latest request can be confirmed
+  const data = {email, newEmail};
+  if(reservationId !== undefined) {
+    data.reservationId = reservationId;
+  }
+  let result;
+  try {
+    result = await TOKENS.insert(
+      {accountId: id, purpose: 'emailChange', ttl, data, exclusive: true});
+  } catch(e) {
+    if(reservationId !== undefined) {
+      await ACCOUNT_STORAGE.releaseUniqueValues(
+        {id, uniqueField: 'email', reservationId});
+    }
+    throw e;
+  }
+  const {token, expires, previous} = result;
+  const previousReservationId = previous?.data.reservationId;
+  if(previousReservationId !== undefined &&
+    previousReservationId !== reservationId) {
+    await ACCOUNT_STORAGE.releaseUniqueValues(
+      {id, uniqueField: 'email', reservationId: previousReservationId});
+  }
+
+  // emit `emailChangeRequested` event for sending the token
+  await bedrock.events.emit('bedrock-account.emailChangeRequested', {
+    id, email, newEmail, token, expires
+  });
+  return {expires};
+}
+
+/**
+ * Confirms a change of an account's email address using a token issued by
+ * `requestEmailChange()`. The token is consumed, even if the change fails,
+ * and the change only succeeds if the account still has the email address
+ * it had when the change was requested. On success, `account.email` is set
+ * to the new email address, which is also marked as verified (as redeeming
+ * the token proves control of it) via `meta.emailVerified`, and a
+ * `bedrock-account.emailChanged` event is emitted.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.token - The token.
+ *
+ * @returns {Promise<object>} Resolves to `{id, email, previousEmail}`.
+ */
+export async function confirmEmailChange({token} = {}) {
+  assert.string(token, 'token');
+  const result = await TOKENS.consume({token, purpose: 'emailChange'});
+  if(!result) {
+    throw new BedrockError(
+      'The email change token is invalid, has expired, or has already been ' +
+      'used.', {
+        name: 'DataError',
+        details: {httpStatusCode: 400, public: true}
+      });
+  }
+
+  const {accountId: id, data: {email: previousEmail, newEmail: email}} =
+    result;
+  const verified = Date.now();
+  try {
+    await _changeEmail({id, email, previousEmail, verified});
+  } catch(e) {
+    // the token has been consumed so its reservation is no longer needed
+    if(ACCOUNT_STORAGE.proxyCollections.has('email')) {
+      await ACCOUNT_STORAGE.releaseUniqueValues(
+        {id, uniqueField: 'email', uniqueValue: email});
+    }
+    throw e;
+  }
+
+  // emit `emailChanged` event
+  await bedrock.events.emit('bedrock-account.emailChanged', {
+    id, email, previousEmail
+  });
+  return {id, email, previousEmail};
+}
+
+/**
+ * Adds a secondary email address to an account; if the account has no email
+ * address, the email address becomes its primary email address instead.
+ * Every email address must be unique across all accounts, so a
+ * `DuplicateError` is thrown if another account uses (or has reserved) the
+ * email address. The email address is not verified; see
+ * `requestEmailVerification()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the account.
+ * @param {string} options.email - The email address to add.
+ * @param {string} [options.actor] - The ID of the actor making the change,
+ *   recorded in the account's history if enabled.
+ *
+ * @returns {Promise<object>} Resolves to the updated account record
+ *   (`{account, meta}`).
+ */
+export async function addEmail({id, email, actor} = {}) {
+  assert.string(id, 'id');
+  assert.string(email, 'email');
+  const {record} = await updateWith({
+    id,
+    mutator({account}) {
+      if(_findEmail({account, email}) !== undefined) {
+        throw new BedrockError(
+          'The email address is already one of the account\'s email ' +
+          'addresses.', {
+            name: 'NotAllowedError',
+            details: {account: id, httpStatusCode: 400, public: true}
+          });
+      }
+      if(account.email === undefined) {
+        account.email = email;
+      } else {
+        account.secondaryEmails = [...account.secondaryEmails ?? [], email];
+      }
+    },
+    actor
+  });
+  return record;
+}
+
+/**
+ * Removes a secondary email address from an account, releasing it for use
+ * by other accounts. The primary email address cannot be removed; another
+ * email address must be made primary first (see `setPrimaryEmail()`).
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the account.
+ * @param {string} options.email - The email address to remove.
+ * @param {string} [options.actor] - The ID of the actor making the change,
+ *   recorded in the account's history if enabled.
+ *
+ * @returns {Promise<object>} Resolves to the updated account record
+ *   (`{account, meta}`).
+ */
+export async function removeEmail({id, email, actor} = {}) {
+  assert.string(id, 'id');
+  assert.string(email, 'email');
+  const {record} = await updateWith({
+    id,
+    mutator({account}) {
+      if(_isSameEmail(account.email, email)) {
+        throw new BedrockError(
+          'The primary email address of an account cannot be removed.', {
+            name: 'NotAllowedError',
+            details: {account: id, httpStatusCode: 400, public: true}
+          });
+      }
+      const secondaryEmails = _removeSecondaryEmail({id, account, email});
+      if(secondaryEmails.length > 0) {
+        account.secondaryEmails = secondaryEmails;
+      } else {
+        delete account.secondaryEmails;
+      }
+    },
+    actor
+  });
+  return record;
+}
+
+/**
+ * Makes one of an account's secondary email addresses its primary email
+ * address (`account.email`); the previous primary email address becomes a
+ * secondary email address. Each email address keeps its verification state.
+ * Any email change requested for the account is cancelled.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the account.
+ * @param {string} options.email - The secondary email address to make
+ *   primary.
+ * @param {string} [options.actor] - The ID of the actor making the change,
+ *   recorded in the account's history if enabled.
+ *
+ * @returns {Promise<object>} Resolves to the updated account record
+ *   (`{account, meta}`).
+ */
+export async function setPrimaryEmail({id, email, actor} = {}) {
+  assert.string(id, 'id');
+  assert.string(email, 'email');
+  const {record} = await updateWith({
+    id,
+    mutator({account}) {
+      if(_isSameEmail(account.email, email)) {
+        throw new BedrockError(
+          'The email address is already the account\'s primary email ' +
+          'address.', {
+            name: 'NotAllowedError',
+            details: {account: id, httpStatusCode: 400, public: true}
+          });
+      }
+      const address = _findEmail({account, email});
+      const secondaryEmails = _removeSecondaryEmail({id, account, email});
+      if(account.email !== undefined) {
+        secondaryEmails.push(account.email);
+      }
+      account.email = address;
+      if(secondaryEmails.length > 0) {
+        account.secondaryEmails = secondaryEmails;
+      } else {
+        delete account.secondaryEmails;
+      }
+    },
+    actor
+  });
+  return record;
+}
+
+/**
+ * Retrieves the history of changes made to an account in the order they
+ * were made, including those made to any earlier account with the same ID
+ * that was hard deleted (see `remove()`). Each history entry includes the
+ * account's `sequence` after the change, the `actor` that made the change
+ * (if given), the `timestamp` of the change, the `operation` that made it
+ * (e.g., `insert`, `update`, `setStatus`, `remove`), and a JSON patch
+ * (`diff`) describing the changes made to `account` and `meta`. History must
+ * be enabled via `config.account.history.enabled`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the account.
+ * @param {number} [options.since] - Only changes made at or after this time
+ *   (in ms since the epoch) will be retrieved.
+ * @param {number} [options.limit=100] - The maximum number of changes to
+ *   retrieve.
+ *
+ * @returns {Promise<Array<object>>} Resolves to the history entries.
+ */
+export async function getHistory({id, since, limit = 100} = {}) {
+  assert.string(id, 'id');
+  assert.optionalNumber(since, 'since');
+  assert.number(limit, 'limit');
+  return ACCOUNT_STORAGE.getHistory({id, since, limit});
+}
+
+/**
+ * Removes an account. An account can be removed in one of two modes:
+ * `tombstone` or `hard`. In `tombstone` mode, the account record is retained
+ * with `meta.status` set to `deleted` and an expiration date after which
+ * `purgeTombstones()` will hard delete it; its unique fields (such as `email`)
+ * remain reserved until then. As with `setStatus()`, the status change must
+ * be allowed by `config.account.status.transitions` and a
+ * `bedrock-account.statusChange` event is emitted once it has been made. In
+ * `hard` mode, the account record is deleted and its unique fields are
+ * released for reuse by other accounts.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the account to remove.
+ * @param {string} [options.mode] - The removal mode to use, either
+ *   `tombstone` or `hard`; defaults to `config.account.remove.mode`.
+ * @param {string} [options.actor] - The ID of the actor removing the
+ *   account, recorded in the account's history if enabled.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` once the operation completes.
+ */
+export async function remove({id, mode, actor} = {}) {
+  assert.string(id, 'id');
+  if(mode === undefined) {
+    ({mode} = bedrock.config.account.remove);
+  }
+  _assertRemoveMode(mode);
+
+  // emit `deleteEvent` with clone of existing record
+  const record = await ACCOUNT_STORAGE.get({id});
+  const eventData = {
+    id,
+    mode,
+    account: structuredClone(record.account),
+    meta: structuredClone(record.meta),
+    // data to pass to `postDelete`
+    postDelete: {
+      /* <module-name>: <module-specific data> */
+    }
+  };
+  await bedrock.events.emit('bedrock-account.delete', eventData);
+
+  // replay assertions post event emission
+  ({mode} = eventData);
+  _assertRemoveMode(mode);
+
+  logger.info('attempting to remove an account', {id, mode});
+
+  if(mode === 'hard') {
+    // run full `delete` transaction to release any unique fields
+    await ACCOUNT_STORAGE.delete({id, actor, operation: 'remove'});
+  } else {
+    // mark account as deleted and set tombstone expiration
+    const now = Date.now();
+    const {tombstoneRetention} = bedrock.config.account.remove;
+    const meta = {
+      ...record.meta,
+      tombstone: {created: now, expires: now + tombstoneRetention},
+      sequence: record.meta.sequence + 1
+    };
+    const statusChange = _changeStatus(
+      {id, meta, status: 'deleted', reason: 'remove', actor});
+    validate({meta});
+    await ACCOUNT_STORAGE.update({id, meta, actor, operation: 'remove'});
+    await _emitStatusChange(statusChange);
+  }
+
+  // a removed account's email address can no longer be changed
+  await _cancelEmailChange({id});
+
+  // emit `postDelete` event
+  await bedrock.events.emit('bedrock-account.postDelete', eventData);
+
+  return true;
+}
+
+/**
+ * Merges one account (the source) into another (the target), e.g., when a
+ * user has created a duplicate account. The source's unique fields (such as
+ * `email`) are moved to the target: a value becomes the target's value of
+ * the field if it has none and is otherwise added to the field's shared
+ * fields (e.g., the source's email address becomes one of the target's
+ * secondary email addresses); a `NotAllowedError` is thrown if a unique field
+ * has no shared fields and both accounts have a value for it. The target's
+ * `meta` is determined by the `strategy` function, after which each of its
+ * email addresses keeps the verification it had on either account. The
+ * source is left as a tombstone (see `remove()`) with `meta.mergedInto` set
+ * to the target's ID, which redirects `get()` from the source's ID to the
+ * target, and an alias of the source's ID is added that keeps redirecting
+ * once the tombstone has been purged. The alias is added before both
+ * accounts are updated at once and removed if the update fails, so either
+ * the merge is fully applied or not at all, and no other account can claim
+ * any of the moved unique values while they are being moved.
+ *
+ * A `bedrock-account.merge` event is emitted with `{sourceId, targetId,
+ * source, target}` before the merge and a `bedrock-account.postMerge` event
+ * is emitted with the same data once it is complete, so that modules that
+ * own data referring to the source can re-point it to the target.
+ *
+ * If either account changes while the merge is being made, the accounts are
+ * read again and `strategy` is run again as with `updateWith()`; the
+ * `bedrock-account.merge` event is emitted again with the accounts as read.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.sourceId - The ID of the account to merge.
+ * @param {string} options.targetId - The ID of the account to merge into.
+ * @param {Function} [options.strategy] - An async function that is passed
+ *   `{source, target}` with a copy of each account record and returns the
+ *   target's new `meta`; it must not change `meta.status` and any change it
+ *   makes to `meta.sequence` is ignored.
+ *   Defaults to keeping the target's `meta`.
+ * @param {string} [options.actor] - The ID of the actor merging the
+ *   accounts, recorded in the accounts' history if enabled.
+ *
+ * @returns {Promise<object>} Resolves to the target's account record
+ *   (`{account, meta}`).
+ */
+export async function merge({
+  sourceId, targetId, strategy = ({target}) => target.meta, actor
+} = {}) {
+  assert.string(sourceId, 'sourceId');
+  assert.string(targetId, 'targetId');
+  assert.func(strategy, 'strategy');
+  assert.optionalString(actor, 'actor');
+  if(sourceId === targetId) {
+    throw new TypeError('"sourceId" and "targetId" must be different.');
+  }
+
+  logger.info('attempting to merge accounts', {sourceId, targetId});
+
+  const {updateWith: {maxRetries, backoff}} = bedrock.config.account;
+  let eventData;
+  const aliases = [{id: sourceId, targetId}];
+  const {result: {record, statusChange}} = await _withAliases({
+    aliases,
+    fn: () => retry({
+      async fn() {
+        // emit `merge` event with clones of the existing records
+        const [source, target] = await Promise.all(
+          [sourceId, targetId].map(id => ACCOUNT_STORAGE.get({id})));
+        eventData = {
+          sourceId,
+          targetId,
+          source: structuredClone(source),
+          target: structuredClone(target)
+        };
+        await bedrock.events.emit('bedrock-account.merge', eventData);
+
+        const {updates, statusChange} = await _prepareMerge(
+          {source, target, strategy, actor});
+        await ACCOUNT_STORAGE.updateMany(
+          {updates, actor, operation: 'merge'});
+        const [, {data: account, meta}] = updates;
+        return {record: {account, meta}, statusChange};
+      },
+      shouldRetry: e => e.name === 'InvalidStateError',
+      maxRetries,
+      backoff
+    })
+  });
+
+  await _retireAccountId({id: sourceId});
+  await _emitStatusChange(statusChange);
+
+  // emit `postMerge` event
+  await bedrock.events.emit('bedrock-account.postMerge', eventData);
+
+  return record;
+}
+
+/**
+ * Changes the ID of an account, e.g., when the account's ID URL changes
+ * during a domain migration. The account and the mappings of its unique
+ * fields (such as `email`) are moved to the new ID at once, so either the
+ * change is fully made or not at all, and `meta.sequence` is incremented. An
+ * alias of the previous ID is added so that `get()` finds the account by it;
+ * the alias is added before the change is made and removed if it fails. A
+ * `DuplicateError` is thrown if an account with the new ID already exists.
+ * Any email change requested for the account is cancelled and any
+ * email verification tokens issued for it are invalidated. The account's
+ * history (see `getHistory()`) remains under its previous ID.
+ *
+ * A `bedrock-account.rekey` event is emitted with `{oldId, newId, account,
+ * meta}` before the change and a `bedrock-account.postRekey` event is
+ * emitted with the same data once it is complete, so that modules that own
+ * data referring to the account can re-point it to the new ID.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.oldId - The current ID of the account.
+ * @param {string} options.newId - The new ID of the account.
+ * @param {string} [options.actor] - The ID of the actor changing the ID,
+ *   recorded in the account's history if enabled.
+ *
+ * @returns {Promise<object>} Resolves to the account record
+ *   (`{account, meta}`) with its new ID.
+ */
+export async function rekey({oldId, newId, actor} = {}) {
+  assert.string(oldId, 'oldId');
+  assert.string(newId, 'newId');
+  assert.optionalString(actor, 'actor');
+  if(oldId === newId) {
+    throw new TypeError('"oldId" and "newId" must be different.');
+  }
+
+  // the account must remain valid with its new ID
+  const record = await ACCOUNT_STORAGE.get({id: oldId});
+  validate({account: {...record.account, id: newId}});
+
+  // emit `rekey` event with clone of existing record
+  const eventData = {
+    oldId,
+    newId,
+    account: structuredClone(record.account),
+    meta: structuredClone(record.meta)
+  };
+  await bedrock.events.emit('bedrock-account.rekey', eventData);
+
+  logger.info('attempting to change an account ID', {oldId, newId});
+
+  // the new ID is no longer an alias, if it was one, and the previous ID
+  // becomes one
+  const aliases = [{id: newId}, {id: oldId, targetId: newId}];
+  const result = await _withAliases({
+    aliases,
+    fn: () => ACCOUNT_STORAGE.rekey(
+      {id: oldId, newId, actor, operation: 'rekey'})
+  });
+  await _retireAccountId({id: oldId});
+
+  // emit `postRekey` event
+  await bedrock.events.emit('bedrock-account.postRekey', eventData);
+
+  return result;
+}
+
+/**
+ * Hard deletes any account tombstones that have expired, releasing any unique
+ * fields (such as `email`) they had reserved. The `bedrock-account.delete`
+ * and `bedrock-account.postDelete` events, which were emitted when each
+ * account was removed (see `remove()`), are not emitted again.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.limit=100] - The maximum number of tombstones to
+ *   purge.
+ *
+ * @returns {Promise<number>} Resolves to the number of purged tombstones.
+ */
+export async function purgeTombstones({limit = 100} = {}) {
+  assert.number(limit, 'limit');
+
+  const query = {
+    'meta.status': 'deleted',
+    'meta.tombstone.expires': {$lte: Date.now()}
+  };
+  const options = {projection: {_id: 0, 'account.id': 1}, limit};
+  const records = await ACCOUNT_STORAGE.getAll({query, options});
+
+  let count = 0;
+  for(const {account: {id}} of records) {
+    try {
+      // ensure account has not been reactivated since it was queried
+      const {meta} = await ACCOUNT_STORAGE.get({id});
+      if(!(meta.status === 'deleted' &&
+        meta.tombstone?.expires <= Date.now())) {
+        continue;
+      }
+      // the account was already removed when it became a tombstone, so only
+      // its record is deleted and no `delete` events are emitted again
+      await ACCOUNT_STORAGE.delete({id, operation: 'purge'});
+      count++;
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+      // tombstone already purged by another process
+    }
+  }
+  return count;
+}
+
+/**
+ * Recovers account transactions that were interrupted (e.g., by a process
+ * crash). Until an interrupted transaction is recovered, any unique field
+ * values (e.g., `email`) it was changing remain reserved. Interrupted
+ * transactions are otherwise only recovered when the affected account or
+ * unique field value is next used. Committed transactions are completed and
+ * all others are rolled back. This function is run periodically in the
+ * background if `config.account.recovery.enabled` is `true`.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.maxAge] - The minimum age (in ms) of transactions
+ *   to recover; defaults to `config.account.recovery.maxAge`.
+ * @param {number} [options.limit] - The maximum number of records to examine
+ *   in each collection; defaults to `config.account.recovery.limit`.
+ *
+ * @returns {Promise<object>} Resolves to `{completed, rolledBack,
+ *   proxyRecordsResolved, batchesRemoved}` with the number of transactions
+ *   that were completed and rolled back, the number of orphaned unique field
+ *   records that were resolved, and the number of interrupted or finished
+ *   batches (see `insertMany()` and `merge()`) that were removed.
+ */
+export async function recoverTransactions({maxAge, limit} = {}) {
+  const {recovery} = bedrock.config.account;
+  maxAge = maxAge ?? recovery.maxAge;
+  limit = limit ?? recovery.limit;
+  const counts = await ACCOUNT_STORAGE.recoverTransactions({maxAge, limit});
+  if(Object.values(counts).some(count => count > 0)) {
+    logger.info('recovered interrupted account transactions', counts);
+  }
+  return counts;
+}
+
+/**
+ * Verifies that the unique field proxy collections (e.g., `account-email`)
+ * are consistent with the accounts, e.g., after a migration or after
+ * accounts have been edited by hand. Every unique field value used by an
+ * account must be mapped to that account. Mappings that are `missing`,
+ * `orphaned` (mapped to an account that does not exist or does not use the
+ * value, or stored with a previous normalizer, e.g., after
+ * `config.account.normalizers` has been changed), or `conflicting` (mapped
+ * to another account) are reported and, if
+ * `repair` is `true`, repaired via transactions. A conflicting mapping is
+ * not repaired if both accounts use the value; one of the accounts must be
+ * fixed by hand. Accounts and mappings that are being changed are skipped
+ * and values that are reserved (see `requestEmailChange()`) are counted but
+ * not checked.
+ *
+ * @param {object} options - The options to use.
+ * @param {boolean} [options.repair=false] - `true` to repair any
+ *   inconsistencies.
+ *
+ * @returns {Promise<object>} Resolves to `{records, proxyRecords, skipped,
+ *   reserved, missing, orphaned, conflicting}` with the number of accounts
+ *   and mappings that were checked, skipped, and reserved and a list of each
+ *   kind of inconsistency as `{uniqueField, uniqueValue, recordId,
+ *   [otherRecordId], [repaired]}`.
+ */
+export async function verifyIntegrity({repair = false} = {}) {
+  const report = await ACCOUNT_STORAGE.verifyIntegrity({repair});
+  const {missing, orphaned, conflicting} = report;
+  if(missing.length > 0 || orphaned.length > 0 || conflicting.length > 0) {
+    logger.warning('account unique field inconsistencies found', {
+      repair,
+      missing: missing.length,
+      orphaned: orphaned.length,
+      conflicting: conflicting.length
+    });
+  }
+  return report;
+}
+
+/**
+ * Backfills the proxy collection for a unique field (e.g.,
+ * `account-phoneNumber`) from existing accounts. This must be run after a
+ * field is added to `config.account.uniqueFields` on a deployment that
+ * already has accounts; until it completes, existing accounts do not
+ * reserve their values for the field. Accounts are processed in batches and
+ * values that are used by more than one account are reported as duplicates;
+ * only the account with the lowest ID reserves such a value. An interrupted
+ * backfill can be resumed by passing the last checkpoint as `after`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.uniqueField - The name of the unique field.
+ * @param {number} [options.batchSize] - The number of accounts to process in
+ *   each batch; defaults to `config.account.backfill.batchSize`.
+ * @param {string} [options.after] - The `after` checkpoint of an interrupted
+ *   backfill to resume.
+ * @param {Function} [options.onCheckpoint] - A function that is called with
+ *   `{after, report}` after each batch; `after` should be persisted in order
+ *   to resume the backfill if it is interrupted.
+ *
+ * @returns {Promise<object>} Resolves to `{uniqueField, processed, inserted,
+ *   existing, skipped, duplicates, after}`, where `duplicates` lists each
+ *   duplicate value as `{uniqueField, uniqueValue, recordId,
+ *   otherRecordId}`.
+ */
+export async function backfillUniqueField({
+  uniqueField, batchSize, after, onCheckpoint
+} = {}) {
+  assert.string(uniqueField, 'uniqueField');
+  if(!bedrock.config.account.uniqueFields.includes(uniqueField)) {
+    throw new TypeError(
+      `"${uniqueField}" is not in "config.account.uniqueFields".`);
+  }
+  batchSize = batchSize ?? bedrock.config.account.backfill.batchSize;
+  const report = await ACCOUNT_STORAGE.backfillUniqueField(
+    {uniqueField, batchSize, after, onCheckpoint});
+  const {duplicates, ...counts} = report;
+  logger.info('backfilled account unique field',
+    {...counts, duplicates: duplicates.length});
+  return report;
+}
+
+/**
+ * Exports accounts as NDJSON (newline-delimited JSON), one account record
+ * (`{account, meta}`) per line, in order of creation. Internal storage
+ * state, such as pending transactions, is never exported. See `list()` for
+ * the supported `filter` options.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.filter={}] - The filter to use.
+ *
+ * @returns {object} A readable stream of NDJSON.
+ */
+export function exportAccounts({filter = {}} = {}) {
+  assert.object(filter, 'filter');
+  // validate filter before any records are read
+  _createListQuery({filter});
+  return createNdjsonStream(iterate({filter}));
+}
+
+/**
+ * Imports accounts from NDJSON (newline-delimited JSON) in the format
+ * produced by `exportAccounts()`. Each account is inserted via a transaction
+ * so that its unique fields (e.g., `email`) are reserved as if it had been
+ * inserted via `insert()`, but its `meta` information (including `status`
+ * and `created`) is kept and no insert events are emitted.
+ *
+ * An account that already exists (by ID) is reported as a conflict unless
+ * `upsert` is `true`, in which case it is updated if the imported
+ * `meta.sequence` is greater than its current `sequence` (its `sequence` is
+ * then incremented as for any other update) and skipped otherwise. An
+ * account with a unique field value that is used by another account is
+ * reported as a conflict. A line that cannot be parsed or that has an
+ * invalid account or is missing `meta` (with its `sequence` and `status`) is
+ * reported as an error. In `dryRun` mode, nothing is
+ * written and the report describes what would have been done.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.input - An iterable or async iterable (e.g., a
+ *   readable stream) that produces strings or buffers of NDJSON.
+ * @param {boolean} [options.dryRun=false] - `true` to report what would be
+ *   imported without writing anything.
+ * @param {boolean} [options.upsert=false] - `true` to update existing
+ *   accounts with a greater imported `meta.sequence`.
+ * @param {Function} [options.onProgress] - A function that is called with
+ *   the progress so far (`{processed, inserted, updated, skipped, conflicts,
+ *   errors}`, with counts of each) every
+ *   `config.account.import.progressInterval` lines and once when the import
+ *   completes.
+ * @param {string} [options.actor] - The ID of the actor importing the
+ *   accounts, recorded in each account's history if enabled.
+ *
+ * @returns {Promise<object>} Resolves to a report, `{dryRun, processed,
+ *   inserted, updated, skipped, conflicts, errors}`, where `conflicts` lists
+ *   each conflict as `{lineNumber, id, uniqueField, uniqueValue}` and
+ *   `errors` lists each error as `{lineNumber, id, error}`.
+ */
+export async function importAccounts({
+  input, dryRun = false, upsert = false, onProgress, actor
+} = {}) {
+  if(!(input?.[Symbol.asyncIterator] || input?.[Symbol.iterator])) {
+    throw new TypeError('"input" must be iterable.');
+  }
+  assert.bool(dryRun, 'dryRun');
+  assert.bool(upsert, 'upsert');
+  assert.optionalFunc(onProgress, 'onProgress');
+  assert.optionalString(actor, 'actor');
+
+  const {progressInterval} = bedrock.config.account.import;
+  const report = {
+    dryRun, processed: 0, inserted: 0, updated: 0, skipped: 0,
+    conflicts: [], errors: []
+  };
+  for await (const {lineNumber, line} of readLines(input)) {
+    await _importLine({lineNumber, line, dryRun, upsert, actor, report});
+    report.processed++;
+    if(onProgress && report.processed % progressInterval === 0) {
+      await onProgress(_getImportProgress({report}));
+    }
+  }
+  if(onProgress) {
+    await onProgress(_getImportProgress({report}));
+  }
+  return report;
+}
+
+async function _prepareInsert({account, meta}) {
+  assert.object(account, 'account');
+  assert.string(account.id, 'account.id');
+  assert.optionalString(account.email, 'account.email');
+  assert.optionalString(account.phoneNumber, 'account.phoneNumber');
+  _assertUniqueFields({account});
+
+  meta = {...meta, status: bedrock.config.account.status.initial};
+
+  // emit `insertEvent` with clone of `account`
+  account = structuredClone(account);
+  const eventData = {
+    account,
+    meta,
+    // data to pass to `postInsert`, but do not insert into database
+    postInsert: {
+      /* <module-name>: <module-specific data> */
+    }
+  };
+  await bedrock.events.emit('bedrock-account.insert', eventData);
+
+  // replay assertions post event emission
+  assert.object(account, 'account');
+  assert.string(account.id, 'account.id');
+  assert.string(meta.status, 'meta.status');
+  assert.optionalString(account.email, 'account.email');
+  assert.optionalString(account.phoneNumber, 'account.phoneNumber');
+  _assertUniqueFields({account});
+
+  // prepare the account record
+  const now = Date.now();
+  meta = {...meta, created: now, updated: now, sequence: 0};
+  validate({account, meta});
+  return {record: {account, meta}, eventData};
+}
+
+async function _emitPostInsert({record, eventData}) {
+  // emit `postInsert` event with updated record data
+  eventData.account = structuredClone(record.account);
+  eventData.meta = structuredClone(record.meta);
+  await bedrock.events.emit('bedrock-account.postInsert', eventData);
+}
+
+async function _importLine({
+  lineNumber, line, dryRun, upsert, actor, report
+}) {
+  let record;
+  try {
+    record = JSON.parse(line);
+    assert.object(record, 'record');
+    const {account, meta} = record;
+    assert.object(account, 'account');
+    assert.string(account.id, 'account.id');
+    _assertUniqueFields({account});
+    validate({account, meta});
+    // `meta` is not validated if it is missing
+    assert.object(meta, 'meta');
+    assert.number(meta.sequence, 'meta.sequence');
+    assert.string(meta.status, 'meta.status');
+  } catch(error) {
+    report.errors.push({lineNumber, id: record?.account?.id, error});
+    return;
+  }
+
+  const {account, meta} = record;
+  const {id} = account;
+  try {
+    const existing = await _getIfExists({id});
+    if(existing && !upsert) {
+      report.conflicts.push(
+        {lineNumber, id, uniqueField: 'id', uniqueValue: id});
+      return;
+    }
+    if(existing && meta.sequence <= existing.meta.sequence) {
+      // existing account is as new as the imported one
+      report.skipped++;
+      return;
+    }
+
+    if(dryRun) {
+      const conflict = await _findUniqueFieldConflict({account});
+      if(conflict) {
+        report.conflicts.push({lineNumber, id, ...conflict});
+      } else if(existing) {
+        report.updated++;
+      } else {
+        report.inserted++;
+      }
+      return;
+    }
+
+    if(existing) {
+      await ACCOUNT_STORAGE.update({
+        id, data: account,
+        meta: {...meta, sequence: existing.meta.sequence + 1},
+        actor, operation: 'import'
+      });
+      report.updated++;
+    } else {
+      await ACCOUNT_STORAGE.insert(
+        {record: {account, meta}, actor, operation: 'import'});
+      report.inserted++;
+    }
+  } catch(error) {
+    if(error.name === 'DuplicateError') {
+      const {uniqueField, uniqueValue} = error.details;
+      report.conflicts.push({lineNumber, id, uniqueField, uniqueValue});
+      return;
+    }
+    report.errors.push({lineNumber, id, error});
+  }
+}
+
+// updates an account, resolving to `{result, meta}` where `meta` is the meta
+// information that was written, if any
+async function _update({id, account, meta, sequence, actor, signal}) {
+  if(account && account.id !== id) {
+    throw new TypeError('"id" must equal "account.id".');
+  }
+  // validate before any other check so that invalid `meta` (e.g., without
+  // `status`) is reported as such
+  validate({account, meta});
+  let previous;
+  let removedEmails = [];
+  if(account || meta) {
+    const existing = await ACCOUNT_STORAGE.get({id, signal});
+    if(meta) {
+      _assertStatusUnchanged({id, meta, previous: existing});
+    }
+    if(account) {
+      _assertUniqueFields({account});
+      ({meta, previous, removedEmails = []} = _prepareEmailChange(
+        {account, meta, sequence, previous: existing}));
+    }
+  }
+  const result = await ACCOUNT_STORAGE.update(
+    {id, data: account, meta, expectedSequence: sequence, actor, signal});
+  // outstanding tokens were issued for any removed email addresses
+  for(const email of removedEmails) {
+    await TOKENS.deleteAll(
+      {accountId: id, purpose: 'emailVerification', data: {email}});
+  }
+  if(previous) {
+    await _cancelEmailChange({id});
+    if(meta?.emailVerified === undefined) {
+      await bedrock.events.emit('bedrock-account.emailVerificationReset', {
+        id, email: account.email, previousEmail: previous.account.email
+      });
+    }
+  }
+  return {result, meta};
+}
+
+// prepares an update to `account`, carrying over the verification of each of
+// the account's email addresses and resetting it for any new primary email
+// address; `previous` is only returned if the primary email address changes
+function _prepareEmailChange({account, meta, sequence, previous}) {
+  const emails = _getEmails({account}).map(_normalizeEmail);
+  const removedEmails = _getEmails({account: previous.account}).filter(
+    email => !emails.includes(_normalizeEmail(email)));
+  const primaryChanged = !_isSameEmail(
+    previous.account.email, account.email);
+  if(!primaryChanged && removedEmails.length === 0) {
+    return {meta};
+  }
+  if(!meta && _getEmailVerifications(previous).length > 0 &&
+    sequence !== undefined) {
+    // `meta` must be written to update the verification of each address;
+    // the update will fail if `previous` does not have the expected
+    // `sequence`
+    meta = {...previous.meta, sequence: sequence + 1};
+  }
+  if(meta) {
+    meta = _carryOverEmailVerification({account, meta, previous});
+  }
+  return {meta, previous: primaryChanged ? previous : undefined, removedEmails};
+}
+
+// gets the updates that merge the `source` account record into the `target`
+// account record, in that order
+async function _prepareMerge({source, target, strategy, actor}) {
+  for(const {account: {id}, meta: {status}} of [source, target]) {
+    if(status === 'deleted') {
+      throw new BedrockError(
+        `Account "${id}" has been deleted and cannot be merged.`, {
+          name: 'NotAllowedError',
+          details: {account: id, httpStatusCode: 400, public: true}
+        });
+    }
+  }
+
+  // move every unique value from the source to the target
+  const sourceAccount = structuredClone(source.account);
+  const targetAccount = structuredClone(target.account);
+  for(const [uniqueField, {sharedFields}] of ACCOUNT_STORAGE.proxyCollections) {
+    const {[uniqueField]: value} = sourceAccount;
+    if(value !== undefined) {
+      if(targetAccount[uniqueField] === undefined) {
+        targetAccount[uniqueField] = value;
+      } else if(sharedFields.length > 0) {
+        const [field] = sharedFields;
+        targetAccount[field] = [...targetAccount[field] ?? [], value];
+      } else {
+        throw new BedrockError(
+          `Both accounts have a value for "${uniqueField}".`, {
+            name: 'NotAllowedError',
+            details: {
+              account: target.account.id, uniqueField,
+              httpStatusCode: 400, public: true
+            }
+          });
+      }
+      delete sourceAccount[uniqueField];
+    }
+    for(const field of sharedFields) {
+      if(sourceAccount[field]?.length > 0) {
+        targetAccount[field] = [
+          ...targetAccount[field] ?? [], ...sourceAccount[field]];
+      }
+      delete sourceAccount[field];
+    }
+  }
+
+  // merge `meta` into the target and leave the source as a tombstone
+  let targetMeta = await strategy(structuredClone({source, target}));
+  assert.object(targetMeta, 'strategy result');
+  _assertStatusUnchanged(
+    {id: target.account.id, meta: targetMeta, previous: target});
+  targetMeta = _setEmailVerifications({
+    account: targetAccount,
+    meta: {...targetMeta, sequence: target.meta.sequence + 1},
+    verifications: _getVerificationMap({records: [target, source]})
+  });
+  const now = Date.now();
+  const {tombstoneRetention} = bedrock.config.account.remove;
+  const sourceMeta = {
+    ...source.meta,
+    tombstone: {created: now, expires: now + tombstoneRetention},
+    mergedInto: target.account.id,
+    sequence: source.meta.sequence + 1
+  };
+  delete sourceMeta.emailVerified;
+  delete sourceMeta.secondaryEmailsVerified;
+  const statusChange = _changeStatus({
+    id: source.account.id, meta: sourceMeta, status: 'deleted',
+    reason: 'merge', actor
+  });
+
+  const updates = [
+    {id: source.account.id, data: sourceAccount, meta: sourceMeta},
+    {id: target.account.id, data: targetAccount, meta: targetMeta}
+  ];
+  for(const {data: account, meta} of updates) {
+    _assertUniqueFields({account});
+    validate({account, meta});
+  }
+  return {updates, statusChange};
+}
+
+// sets the verification of each of the email addresses in `account` in
+// `meta`; an email address keeps any verification it previously had (even
+// if it moved between `email` and `secondaryEmails`) unless `meta` has a new
+// verification for it (e.g., from `confirmEmailChange()`)
+function _carryOverEmailVerification({account, meta, previous}) {
+  const verifications = _getVerificationMap({records: [previous]});
+  const current = new Map(verifications);
+  if(account.email !== undefined && meta.emailVerified !== undefined &&
+    meta.emailVerified !== previous.meta.emailVerified) {
+    current.set(_normalizeEmail(account.email), meta.emailVerified);
+  }
+  for(const {email, verified} of meta.secondaryEmailsVerified ?? []) {
+    const key = _normalizeEmail(email);
+    if(verifications.get(key) !== verified) {
+      current.set(key, verified);
+    }
+  }
+  return _setEmailVerifications({account, meta, verifications: current});
+}
+
+// sets the verification of each of the email addresses in `account` in
+// `meta` from a map of normalized email address => verification time
+function _setEmailVerifications({account, meta, verifications}) {
+  meta = {...meta};
+  delete meta.emailVerified;
+  delete meta.secondaryEmailsVerified;
+  if(account.email !== undefined) {
+    const verified = verifications.get(_normalizeEmail(account.email));
+    if(verified !== undefined) {
+      meta.emailVerified = verified;
+    }
+  }
+  const secondaryEmailsVerified = [];
+  for(const email of account.secondaryEmails ?? []) {
+    const verified = verifications.get(_normalizeEmail(email));
+    if(verified !== undefined) {
+      secondaryEmailsVerified.push({email, verified});
+    }
+  }
+  if(secondaryEmailsVerified.length > 0) {
+    meta.secondaryEmailsVerified = secondaryEmailsVerified;
+  }
+  return meta;
+}
+
+async function _changeEmail({id, email, previousEmail, verified}) {
+  await updateWith({
+    id,
+    mutator({account, meta}) {
+      if(!_isSameEmail(account.email, previousEmail)) {
+        throw new BedrockError(
+          'The account\'s email address has changed since the email change ' +
+          'was requested.', {
+            name: 'NotAllowedError',
+            details: {account: id, httpStatusCode: 400, public: true}
+          });
+      }
+      account.email = email;
+      meta.emailVerified = verified;
+      // the new email address may have since been added as a secondary one
+      if(account.secondaryEmails) {
+        account.secondaryEmails = account.secondaryEmails.filter(
+          e => !_isSameEmail(e, email));
+        if(account.secondaryEmails.length === 0) {
+          delete account.secondaryEmails;
+        }
+      }
+    }
+  });
+}
+
+// cancels any email change requested for an account, releasing any email
+// address reserved for it
+async function _cancelEmailChange({id}) {
+  await TOKENS.deleteAll({accountId: id, purpose: 'emailChange'});
+  if(ACCOUNT_STORAGE.proxyCollections.has('email')) {
+    await ACCOUNT_STORAGE.releaseUniqueValues({id, uniqueField: 'email'});
+  }
+}
+
+// invalidates every token issued for an account ID that is no longer used,
+// e.g., after the account was merged into another account; the account's
+// email addresses can no longer be changed or verified via the ID
+async function _retireAccountId({id}) {
+  await _cancelEmailChange({id});
+  await TOKENS.deleteAll({accountId: id, purpose: 'emailVerification'});
+}
+
+// sets (or, without a `targetId`, removes) aliases before `fn` commits the
+// change that requires them, so the change is never committed without them;
+// aliases are only followed for IDs without an active account, so they have
+// no effect until then, and the previous aliases are restored if `fn` fails
+async function _withAliases({aliases, fn}) {
+  const previous = await Promise.all(aliases.map(({id}) => ALIASES.get({id})));
+  try {
+    for(const {id, targetId} of aliases) {
+      if(targetId === undefined) {
+        await ALIASES.delete({id});
+      } else {
+        await ALIASES.set({id, targetId});
+      }
+    }
+    return await fn();
+  } catch(e) {
+    for(const [i, {id}] of aliases.entries()) {
+      if(previous[i]) {
+        await ALIASES.set(previous[i]);
+      } else {
+        await ALIASES.delete({id});
+      }
+    }
+    throw e;
+  }
+}
+
+// gets an account by ID, following the redirect of the tombstone of an
+// account that was merged into another account or of any alias of the ID if
+// there is no account with it
+async function _getFollowingRedirects({options}) {
+  const {maxHops} = bedrock.config.account.redirects;
+  let {id} = options;
+  for(let hops = 0; ; ++hops) {
+    let record;
+    let error;
+    try {
+      record = await ACCOUNT_STORAGE.get({...options, id});
+      if(record.meta.status !== 'deleted') {
+        return record;
+      }
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+      error = e;
+    }
+    const targetId = record?.meta.mergedInto ??
+      (await ALIASES.get({id}))?.targetId;
+    if(targetId === undefined) {
+      if(error) {
+        throw error;
+      }
+      return record;
+    }
+    if(hops === maxHops) {
+      // a tombstone that was reactivated and removed again may also redirect
+      // to an account that redirects back to it
+      throw new BedrockError(
+        `Account "${options.id}" could not be found within ${maxHops} ` +
+        'redirects.', {
+          name: 'NotFoundError',
+          details: {
+            account: options.id, maxHops, httpStatusCode: 404, public: true
+          }
+        });
+    }
+    id = targetId;
+  }
+}
+
+function _isSameEmail(a, b) {
+  if(a === undefined || b === undefined) {
+    return a === b;
+  }
+  return _normalizeEmail(a) === _normalizeEmail(b);
+}
+
+function _normalizeEmail(email) {
+  const proxyCollection = ACCOUNT_STORAGE.proxyCollections.get('email');
+  return proxyCollection ? proxyCollection.normalizeValue(email) : email;
+}
+
+// gets all of an account's email addresses, primary first
+function _getEmails({account}) {
+  const {email, secondaryEmails = []} = account;
+  return email === undefined ?
+    [...secondaryEmails] : [email, ...secondaryEmails];
+}
+
+// finds the email address an account has that is the same as `email`
+function _findEmail({account, email}) {
+  return _getEmails({account}).find(e => _isSameEmail(e, email));
+}
+
+// gets `[email, verified]` for each verified email address of an account
+function _getEmailVerifications({account, meta}) {
+  const verifications = (meta.secondaryEmailsVerified ?? []).map(
+    ({email, verified}) => [email, verified]);
+  if(account.email !== undefined && meta.emailVerified !== undefined) {
+    verifications.unshift([account.email, meta.emailVerified]);
+  }
+  return verifications;
+}
+
+// gets the verifications of the email addresses of account records as a map
+// of normalized email address => verification time
+function _getVerificationMap({records}) {
+  const verifications = new Map();
+  for(const record of records) {
+    for(const [email, verified] of _getEmailVerifications(record)) {
+      verifications.set(_normalizeEmail(email), verified);
+    }
+  }
+  return verifications;
+}
+
+// returns an account's secondary email addresses without `email`, throwing
+// a `NotFoundError` if `email` is not one of them
+function _removeSecondaryEmail({id, account, email}) {
+  const {secondaryEmails = []} = account;
+  const remaining = secondaryEmails.filter(e => !_isSameEmail(e, email));
+  if(remaining.length === secondaryEmails.length) {
+    throw new BedrockError(
+      'The email address is not one of the account\'s secondary email ' +
+      'addresses.', {
+        name: 'NotFoundError',
+        details: {account: id, httpStatusCode: 404, public: true}
+      });
+  }
+  return remaining;
+}
+
+async function _getIfExists({id}) {
+  try {
+    return await ACCOUNT_STORAGE.get({id});
+  } catch(e) {
+    if(e.name === 'NotFoundError') {
+      return null;
+    }
+    throw e;
+  }
+}
+
+async function _findUniqueFieldConflict({account}) {
+  // finds any unique field value used by another account
+  const {proxyCollections} = ACCOUNT_STORAGE;
+  for(const [uniqueField, proxyCollection] of proxyCollections) {
+    for(const uniqueValue of proxyCollection.getValues(account)) {
+      try {
+        const record = await ACCOUNT_STORAGE.get({uniqueField, uniqueValue});
+        if(record.account.id !== account.id) {
+          return {uniqueField, uniqueValue};
+        }
+      } catch(e) {
+        if(e.name !== 'NotFoundError') {
+          throw e;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function _getImportProgress({report}) {
+  const {processed, inserted, updated, skipped, conflicts, errors} = report;
+  return {
+    processed, inserted, updated, skipped,
+    conflicts: conflicts.length, errors: errors.length
+  };
+}
+
+function _assertUniqueFields({account}) {
+  const {proxyCollections} = ACCOUNT_STORAGE;
+  for(const [uniqueField, {sharedFields}] of proxyCollections) {
+    assert.optionalString(account[uniqueField], `account.${uniqueField}`);
+    for(const field of sharedFields) {
+      assert.optionalArrayOfString(account[field], `account.${field}`);
+    }
+  }
+}
+
+function _getUniqueFieldOptions({uniqueValues}) {
+  // only one unique field may be used to identify an account
+  const entries = Object.entries(uniqueValues)
+    .filter(([, v]) => v !== undefined);
+  if(entries.length === 0) {
+    return {};
+  }
+  if(entries.length > 1) {
+    throw new Error(
+      'Only one unique field may be used to identify an account.');
+  }
+  const [[uniqueField, uniqueValue]] = entries;
+  if(!ACCOUNT_STORAGE.proxyCollections.has(uniqueField)) {
+    throw new TypeError(`"${uniqueField}" is not a unique account field.`);
+  }
+  assert.string(uniqueValue, uniqueField);
+  return {uniqueField, uniqueValue};
+}
+
+function _getStatuses() {
+  // every status must appear in the transitions map (as a key or target)
+  const {initial, transitions} = bedrock.config.account.status;
+  const statuses = new Set([initial]);
+  for(const [from, targets] of Object.entries(transitions)) {
+    if(from !== '*') {
+      statuses.add(from);
+    }
+    targets.forEach(to => statuses.add(to));
+  }
+  return statuses;
+}
+
+function _assertStatusTransition({id, from, to}) {
+  const {transitions} = bedrock.config.account.status;
+  const allowed = from !== to && _getStatuses().has(to) &&
+    (transitions[from]?.includes(to) || transitions['*']?.includes(to));
+  if(!allowed) {
+    throw new BedrockError(
+      `Account status cannot be changed from "${from}" to "${to}".`, {
+        name: 'NotAllowedError',
+        details: {account: id, from, to, httpStatusCode: 400, public: true}
+      });
+  }
+}
+
+// an account's status can only be changed via `_changeStatus()`
+function _assertStatusUnchanged({id, meta, previous}) {
+  const {status: from} = previous.meta;
+  if(meta.status !== from) {
+    throw new BedrockError(
+      'Account status can only be changed via "setStatus()".', {
+        name: 'NotAllowedError',
+        details: {
+          account: id, from, to: meta.status, httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+}
+
+// changes `meta.status` to `status` if the change is allowed and records it
+// in `meta.statusHistory`; returns the data for the `statusChange` event to
+// emit once the change has been written
+function _changeStatus({id, meta, status, reason, actor}) {
+  const {status: from} = meta;
+  _assertStatusTransition({id, from, to: status});
+  meta.status = status;
+  _addStatusHistory({meta, status, reason, actor});
+  return {id, from, to: status, reason, actor, meta};
+}
+
+async function _emitStatusChange({meta, ...statusChange}) {
+  await bedrock.events.emit('bedrock-account.statusChange', {
+    ...statusChange, meta: structuredClone(meta)
+  });
+}
+
+function _addStatusHistory({meta, status, reason, actor}) {
+  const entry = {status, timestamp: Date.now()};
+  if(reason !== undefined) {
+    entry.reason = reason;
+  }
+  if(actor !== undefined) {
+    entry.actor = actor;
+  }
+  const {historyLimit} = bedrock.config.account.status;
+  meta.statusHistory = [...(meta.statusHistory ?? []), entry]
+    .slice(-historyLimit);
+}
+
+function _createListQuery({filter}) {
+  const query = {};
+  for(const [key, value] of Object.entries(filter)) {
+    const path = LIST_FIELDS.get(key);
+    if(!path) {
+      throw new TypeError(`Accounts cannot be filtered by "${key}".`);
+    }
+    if(value === null || typeof value !== 'object') {
+      query[path] = _assertListValue({key, value});
+      continue;
+    }
+    const condition = {};
+    for(const [op, operand] of Object.entries(value)) {
+      if(!LIST_OPERATORS.has(op)) {
+        throw new TypeError(`Unsupported filter operator "${op}".`);
+      }
+      if(op === 'in') {
+        assert.array(operand, `filter.${key}.in`);
+        condition.$in = operand.map(value => _assertListValue({key, value}));
+      } else {
+        condition[`$${op}`] = _assertListValue({key, value: operand});
+      }
+    }
+    if(Object.keys(condition).length === 0) {
+      throw new TypeError(`Filter for "${key}" must have an operator.`);
+    }
+    query[path] = condition;
+  }
+  return query;
+}
+
+function _assertListValue({key, value}) {
+  if(key === 'status') {
+    assert.string(value, `filter.${key}`);
+  } else {
+    assert.number(value, `filter.${key}`);
+  }
+  return value;
+}
+
+function _getListSort({sort}) {
+  const entries = Object.entries(sort);
+  if(entries.length !== 1) {
+    throw new TypeError('"sort" must have exactly one field.');
+  }
+  const [[key, direction]] = entries;
+  const sortField = LIST_FIELDS.get(key);
+  if(!sortField) {
+    throw new TypeError(`Accounts cannot be sorted by "${key}".`);
+  }
+  if(!(direction === 1 || direction === -1)) {
+    throw new TypeError('Sort direction must be either 1 or -1.');
+  }
+  return {sortField, direction};
+}
+
+function _assertRemoveMode(mode) {
+  if(!(mode === 'tombstone' || mode === 'hard')) {
+    throw new TypeError('"mode" must be either "tombstone" or "hard".');
+  }
+}
+
+function _scheduleRecovery() {
+  // schedule next run only after the previous one finishes
+  const {interval} = bedrock.config.account.recovery;
+  RECOVERY_TIMER = setTimeout(async () => {
+    try {
+      await recoverTransactions();
+    } catch(error) {
+      logger.error('failed to recover account transactions', {error});
+    }
+    if(!RECOVERY_STOPPED) {
+      _scheduleRecovery();
+    }
+  }, interval);
+  // do not keep the process alive only to run recovery
+  RECOVERY_TIMER.unref();
+}
+
+async function _initialize() {
+  const {uniqueFields, normalizers, history, retry} = bedrock.config.account;
+  const {metrics, tracer} = getAccountInstrumentation();
+  ACCOUNT_STORAGE = new RecordCollection({
+    collectionName: 'account',
+    sequenceInData: false,
+    uniqueFields,
+    normalizers,
+    sharedUniqueFields: Object.fromEntries(Object.entries(
+      SHARED_UNIQUE_FIELDS).filter(([k]) => uniqueFields.includes(k))),
+    history: history.enabled,
+    retryPolicy: retry,
+    metrics,
+    tracer,
+    storage: getAccountStorage()
+  });
+  await ACCOUNT_STORAGE.initialize();
+  await _createIndexes();
+  TOKENS = new TokenCollection(
+    {collectionName: 'account-token', storage: ACCOUNT_STORAGE.storage});
+  await TOKENS.createIndexes();
+  ALIASES = new AliasCollection(
+    {collectionName: 'account-alias', storage: ACCOUNT_STORAGE.storage});
+  await ALIASES.createIndexes();
+
+  if(bedrock.config.account.recovery.enabled) {
+    _scheduleRecovery();
+  }
+}
+
+async function _createIndexes() {
+  // support sorting in `list()`; `account.id` breaks ties for stable paging
+  const listIndexes = [...LIST_FIELDS.values()].map(path => ({
+    fields: {[path]: 1, 'account.id': 1},
+    options: {unique: false}
+  }));
+  await ACCOUNT_STORAGE.storage.createIndexes({
+    collectionName: 'account',
+    indexes: [...listIndexes, {
+      // supports purging expired tombstones
+      fields: {'meta.tombstone.expires': 1},
+      options: {sparse: true, unique: false}
+    }]
+  });
 }
 
 /**
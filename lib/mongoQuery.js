@@ -0,0 +1,290 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {isDeepStrictEqual} from 'node:util';
+
+/* Note: These functions implement the subset of the MongoDB query, update,
+projection, and sort semantics that record collections use so that records
+can be stored without MongoDB (see `MemoryStorageAdapter`). Arrays are
+treated as opaque values, i.e., a query on an array field only matches an
+equal array. */
+
+// MongoDB sorts and compares values of different types in this order
+const TYPE_ORDER = ['null', 'number', 'string', 'object', 'array', 'boolean'];
+
+/**
+ * Gets the value at a dotted path (e.g., `meta.sequence`) in an object.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.object - The object.
+ * @param {string} options.path - The dotted path.
+ *
+ * @returns {*} The value or `undefined` if there is no value at the path.
+ */
+export function getPath({object, path}) {
+  let value = object;
+  for(const key of path.split('.')) {
+    if(value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Determines whether a document matches a query.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.document - The document.
+ * @param {object} options.query - The query.
+ *
+ * @returns {boolean} `true` if the document matches.
+ */
+export function matches({document, query}) {
+  for(const [key, condition] of Object.entries(query)) {
+    if(key === '$and') {
+      if(!condition.every(query => matches({document, query}))) {
+        return false;
+      }
+      continue;
+    }
+    if(key === '$or') {
+      if(!condition.some(query => matches({document, query}))) {
+        return false;
+      }
+      continue;
+    }
+    if(key.startsWith('$')) {
+      throw new Error(`Unsupported query operator "${key}".`);
+    }
+    const value = getPath({object: document, path: key});
+    if(!_isOperatorObject(condition)) {
+      if(!_equals(value, condition)) {
+        return false;
+      }
+      continue;
+    }
+    for(const [op, operand] of Object.entries(condition)) {
+      if(!_matchesOperator({value, op, operand})) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Applies an update (using the `$set`, `$unset`, `$inc`, and
+ * `$setOnInsert` operators) to a copy of a document.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.document - The document.
+ * @param {object} options.update - The update.
+ * @param {boolean} [options.isInsert=false] - `true` if the document is
+ *   being inserted by an upsert.
+ *
+ * @returns {object} The updated copy of the document.
+ */
+export function applyUpdate({document, update, isInsert = false}) {
+  const result = structuredClone(document);
+  for(const [op, fields] of Object.entries(update)) {
+    for(const [path, value] of Object.entries(fields)) {
+      if(op === '$set' || (op === '$setOnInsert' && isInsert)) {
+        _setPath({object: result, path, value: structuredClone(value)});
+      } else if(op === '$unset') {
+        _deletePath({object: result, path});
+      } else if(op === '$inc') {
+        const current = getPath({object: result, path}) ?? 0;
+        _setPath({object: result, path, value: current + value});
+      } else if(op !== '$setOnInsert') {
+        throw new Error(`Unsupported update operator "${op}".`);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Creates the document that an upsert inserts before its update is applied,
+ * i.e., a document with the equality conditions of the query.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.query - The query of the upsert.
+ *
+ * @returns {object} The document.
+ */
+export function createUpsertDocument({query}) {
+  const document = {};
+  for(const [key, condition] of Object.entries(query)) {
+    if(key === '$and') {
+      for(const query of condition) {
+        Object.assign(document, createUpsertDocument({query}));
+      }
+    } else if(!key.startsWith('$')) {
+      if(!_isOperatorObject(condition)) {
+        _setPath({object: document, path: key, value: condition});
+      } else if('$eq' in condition) {
+        _setPath({object: document, path: key, value: condition.$eq});
+      }
+    }
+  }
+  return structuredClone(document);
+}
+
+/**
+ * Creates a copy of a document with a projection applied. An inclusive
+ * projection (e.g., `{_id: 0, 'meta.status': 1}`) only includes the given
+ * paths and an exclusive projection (e.g., `{_id: 0}`) includes all other
+ * paths.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.document - The document.
+ * @param {object} [options.projection] - The projection.
+ *
+ * @returns {object} The projected copy of the document.
+ */
+export function project({document, projection}) {
+  if(!projection) {
+    return structuredClone(document);
+  }
+  const entries = Object.entries(projection);
+  const inclusive = entries.some(([k, v]) => k !== '_id' && v);
+  if(!inclusive) {
+    const result = structuredClone(document);
+    for(const [path, include] of entries) {
+      if(!include) {
+        _deletePath({object: result, path});
+      }
+    }
+    return result;
+  }
+  const result = {};
+  if(projection._id !== 0 && projection._id !== false &&
+    document._id !== undefined) {
+    result._id = document._id;
+  }
+  for(const [path, include] of entries) {
+    if(path === '_id' || !include) {
+      continue;
+    }
+    const value = getPath({object: document, path});
+    if(value !== undefined) {
+      _setPath({object: result, path, value: structuredClone(value)});
+    }
+  }
+  return result;
+}
+
+/**
+ * Creates a function that compares documents in the order given by a sort
+ * specification (e.g., `{'meta.created': 1, 'account.id': 1}`).
+ *
+ * @param {object} sort - The sort specification.
+ *
+ * @returns {Function} The comparison function.
+ */
+export function createComparator(sort) {
+  const entries = Object.entries(sort);
+  return (a, b) => {
+    for(const [path, direction] of entries) {
+      const result = _compare(
+        getPath({object: a, path}), getPath({object: b, path}));
+      if(result !== 0) {
+        return result * direction;
+      }
+    }
+    return 0;
+  };
+}
+
+function _matchesOperator({value, op, operand}) {
+  switch(op) {
+    case '$eq':
+      return _equals(value, operand);
+    case '$ne':
+      return !_equals(value, operand);
+    case '$exists':
+      return (value !== undefined) === !!operand;
+    case '$in':
+      return operand.some(v => _equals(value, v));
+    case '$nin':
+      return !operand.some(v => _equals(value, v));
+    case '$gt':
+      return _isComparable(value, operand) && _compare(value, operand) > 0;
+    case '$gte':
+      return _isComparable(value, operand) && _compare(value, operand) >= 0;
+    case '$lt':
+      return _isComparable(value, operand) && _compare(value, operand) < 0;
+    case '$lte':
+      return _isComparable(value, operand) && _compare(value, operand) <= 0;
+    default:
+      throw new Error(`Unsupported query operator "${op}".`);
+  }
+}
+
+function _isOperatorObject(condition) {
+  if(condition === null || typeof condition !== 'object' ||
+    Array.isArray(condition)) {
+    return false;
+  }
+  const keys = Object.keys(condition);
+  return keys.length > 0 && keys.every(k => k.startsWith('$'));
+}
+
+function _equals(value, condition) {
+  // `null` matches both `null` and missing values
+  if(condition === null) {
+    return value === null || value === undefined;
+  }
+  return isDeepStrictEqual(value, condition);
+}
+
+function _getType(value) {
+  if(value === null || value === undefined) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function _isComparable(value, operand) {
+  // range operators only match values of the same type
+  const type = _getType(value);
+  return (type === 'number' || type === 'string') &&
+    type === _getType(operand);
+}
+
+function _compare(a, b) {
+  const typeA = _getType(a);
+  const typeB = _getType(b);
+  if(typeA !== typeB) {
+    return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  }
+  if(typeA === 'number' || typeA === 'string') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return 0;
+}
+
+function _setPath({object, path, value}) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = object;
+  for(const key of keys) {
+    if(target[key] === null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+function _deletePath({object, path}) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.length === 0 ?
+    object : getPath({object, path: keys.join('.')});
+  if(parent !== null && typeof parent === 'object') {
+    delete parent[last];
+  }
+}
@@ -0,0 +1,55 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {Readable} from 'node:stream';
+
+/**
+ * Creates a readable stream of NDJSON (newline-delimited JSON) from the
+ * values produced by an iterable.
+ *
+ * @param {object} values - An iterable or async iterable of the values to
+ *   serialize.
+ *
+ * @returns {Readable} The readable stream.
+ */
+export function createNdjsonStream(values) {
+  return Readable.from(_serialize(values));
+}
+
+/**
+ * Reads the lines of NDJSON (newline-delimited JSON) input. Blank lines are
+ * skipped; lines are not parsed so that the caller can report any line that
+ * cannot be parsed.
+ *
+ * @param {object} input - An iterable or async iterable (e.g., a readable
+ *   stream) that produces strings or buffers of UTF-8 encoded text.
+ *
+ * @yields {object} Each line as `{lineNumber, line}`.
+ */
+export async function* readLines(input) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let lineNumber = 0;
+  for await (const chunk of input) {
+    buffer += typeof chunk === 'string' ?
+      chunk : decoder.decode(chunk, {stream: true});
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for(const line of lines) {
+      lineNumber++;
+      if(line.trim() !== '') {
+        yield {lineNumber, line};
+      }
+    }
+  }
+  buffer += decoder.decode();
+  if(buffer.trim() !== '') {
+    yield {lineNumber: lineNumber + 1, line: buffer};
+  }
+}
+
+async function* _serialize(values) {
+  for await (const value of values) {
+    yield `${JSON.stringify(value)}\n`;
+  }
+}
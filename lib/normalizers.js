@@ -0,0 +1,179 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+
+const {util: {BedrockError}} = bedrock;
+
+// domains for which Gmail-style address folding applies
+const GMAIL_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+// E.164: `+` followed by a country code and subscriber number, max 15 digits
+const E164_REGEX = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * The built-in normalizers of unique field values, exported by
+ * `@bedrock/account` as `normalizers`.
+ *
+ * Unique field values are not normalized by default. A normalization
+ * pipeline is configured per unique field via `config.account.normalizers`
+ * as an array of built-in normalizer names and / or normalizer functions
+ * that are run in order. The normalized value is stored in the field's
+ * proxy collection and used for lookups while the original value is kept in
+ * the account. After a field's pipeline is changed, its existing values must
+ * be replaced via `verifyIntegrity({repair: true})`.
+ *
+ * @module bedrock-account/normalizers
+ *
+ * @example
+ * import {config} from '@bedrock/core';
+ *
+ * config.account.uniqueFields = ['email', 'phoneNumber'];
+ * config.account.normalizers = {email: ['email'], phoneNumber: ['e164']};
+ */
+
+/* Note: Every normalizer MUST be idempotent; unique values are normalized
+each time they are written to or looked up in a proxy collection, including
+values that have already been normalized. */
+
+/**
+ * Removes leading and trailing whitespace from a unique value.
+ *
+ * @param {string} value - The value to normalize.
+ *
+ * @returns {string} The normalized value.
+ */
+export function trim(value) {
+  return value.trim();
+}
+
+/**
+ * Converts a unique value to Unicode Normalization Form C (NFC).
+ *
+ * @param {string} value - The value to normalize.
+ *
+ * @returns {string} The normalized value.
+ */
+export function nfc(value) {
+  return value.normalize('NFC');
+}
+
+/**
+ * Converts a unique value to lowercase.
+ *
+ * @param {string} value - The value to normalize.
+ *
+ * @returns {string} The normalized value.
+ */
+export function lowercase(value) {
+  return value.toLowerCase();
+}
+
+/**
+ * Normalizes an email address by removing leading and trailing whitespace,
+ * converting it to Unicode Normalization Form C (NFC), and converting it to
+ * lowercase. This is the recommended normalizer for `email`; it is not used
+ * unless it is configured.
+ *
+ * @param {string} value - The email address to normalize.
+ *
+ * @returns {string} The normalized email address.
+ */
+export function email(value) {
+  return lowercase(nfc(trim(value)));
+}
+
+/**
+ * Converts a phone number to E.164 format by removing common visual
+ * separators (whitespace, `-`, `.`, `(`, `)`) and converting an international
+ * call prefix of `00` to `+`. Phone numbers without a country code cannot be
+ * converted and will cause a `DataError` to be thrown.
+ *
+ * @param {string} value - The phone number to normalize.
+ *
+ * @returns {string} The normalized phone number.
+ */
+export function e164(value) {
+  let normalized = value.replace(/[\s\-.()]/g, '');
+  if(normalized.startsWith('00')) {
+    normalized = `+${normalized.slice(2)}`;
+  }
+  if(!E164_REGEX.test(normalized)) {
+    throw new BedrockError(
+      'Phone number must include a country code and be convertible to ' +
+      'E.164 format.', {
+        name: 'DataError',
+        details: {value, httpStatusCode: 400, public: true}
+      });
+  }
+  return normalized;
+}
+
+/**
+ * Folds Gmail-style email addresses by removing any dots and any `+` tag
+ * from the local part and by using the canonical `gmail.com` domain. Email
+ * addresses from other domains are returned unchanged.
+ *
+ * @param {string} value - The email address to normalize.
+ *
+ * @returns {string} The normalized email address.
+ */
+export function gmail(value) {
+  const index = value.lastIndexOf('@');
+  if(index === -1) {
+    return value;
+  }
+  const domain = value.slice(index + 1).toLowerCase();
+  if(!GMAIL_DOMAINS.has(domain)) {
+    return value;
+  }
+  let localPart = value.slice(0, index);
+  const tagIndex = localPart.indexOf('+');
+  if(tagIndex !== -1) {
+    localPart = localPart.slice(0, tagIndex);
+  }
+  localPart = localPart.replaceAll('.', '').toLowerCase();
+  return `${localPart}@gmail.com`;
+}
+
+const BUILT_INS = new Map([
+  ['trim', trim],
+  ['nfc', nfc],
+  ['lowercase', lowercase],
+  ['email', email],
+  ['e164', e164],
+  ['gmail', gmail]
+]);
+
+/**
+ * Creates a normalizer function from a normalization pipeline. The pipeline
+ * may be a single normalizer function or an array of normalizers that will
+ * be run in order. Each normalizer in an array may be a function or the name
+ * of a built-in normalizer (`trim`, `nfc`, `lowercase`, `email`, `e164`,
+ * `gmail`). If no pipeline is given, values will not be changed.
+ *
+ * @param {Array|Function} [pipeline] - The normalization pipeline.
+ *
+ * @returns {Function} The normalizer function.
+ */
+export function createNormalizer(pipeline = []) {
+  if(typeof pipeline === 'function') {
+    return pipeline;
+  }
+  if(!Array.isArray(pipeline)) {
+    throw new TypeError('"pipeline" must be a function or an array.');
+  }
+  const normalizers = pipeline.map(normalizer => {
+    if(typeof normalizer === 'function') {
+      return normalizer;
+    }
+    const builtIn = BUILT_INS.get(normalizer);
+    if(!builtIn) {
+      throw new Error(`Unknown normalizer "${normalizer}".`);
+    }
+    return builtIn;
+  });
+  return function normalize(value) {
+    return normalizers.reduce((result, fn) => fn(result), value);
+  };
+}
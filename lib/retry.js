@@ -0,0 +1,190 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import assert from 'assert-plus';
+
+const {util: {BedrockError}} = bedrock;
+
+/**
+ * Runs an async function, retrying it with jittered exponential backoff when
+ * it throws an error that `shouldRetry` accepts. The delay before each retry
+ * is a random amount of time up to `initialDelay * 2^(retry - 1)`, capped at
+ * `maxDelay` ("full jitter"); this spreads out competing retries so they are
+ * less likely to conflict again.
+ *
+ * @param {object} options - The options to use.
+ * @param {Function} options.fn - The async function to run; it is passed
+ *   `{attempt}`, where `attempt` starts at `1`.
+ * @param {Function} options.shouldRetry - A function that is passed a thrown
+ *   error and returns `true` if the function should be retried.
+ * @param {number} options.maxRetries - The maximum number of retries.
+ * @param {object} options.backoff - The backoff options to use:
+ *   `initialDelay` is the maximum delay (in ms) before the first retry and
+ *   `maxDelay` is the maximum delay (in ms) before any retry.
+ *
+ * @returns {Promise<object>} Resolves to `{result, attempts}` where `result`
+ *   is the value returned by `fn` and `attempts` is the number of times it
+ *   was run.
+ */
+export async function retry({fn, shouldRetry, maxRetries, backoff} = {}) {
+  assert.func(fn, 'fn');
+  assert.func(shouldRetry, 'shouldRetry');
+  assertRetryOptions({maxRetries, backoff});
+
+  for(let attempt = 1; ; ++attempt) {
+    try {
+      const result = await fn({attempt});
+      return {result, attempts: attempt};
+    } catch(e) {
+      if(attempt > maxRetries || !shouldRetry(e)) {
+        throw e;
+      }
+    }
+    await sleep(getBackoffDelay({retry: attempt, backoff}));
+  }
+}
+
+/**
+ * Asserts that the given retry options are valid.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.maxRetries - The maximum number of retries.
+ * @param {object} options.backoff - The backoff options.
+ */
+export function assertRetryOptions({maxRetries, backoff} = {}) {
+  assert.number(maxRetries, 'maxRetries');
+  if(!(Number.isInteger(maxRetries) && maxRetries >= 0)) {
+    throw new TypeError('"maxRetries" must be a non-negative integer.');
+  }
+  assert.object(backoff, 'backoff');
+  assert.number(backoff.initialDelay, 'backoff.initialDelay');
+  assert.number(backoff.maxDelay, 'backoff.maxDelay');
+  if(!(backoff.initialDelay >= 0 && backoff.maxDelay >= 0)) {
+    throw new TypeError('Backoff delays must be non-negative numbers.');
+  }
+}
+
+/**
+ * Asserts that the given retry policy is valid.
+ *
+ * @param {object} policy - The retry policy: `maxAttempts` is the maximum
+ *   number of attempts, `backoff` holds the backoff options (see
+ *   `retry()`), and the optional `timeout` is the maximum time (in ms) to
+ *   keep retrying.
+ */
+export function assertRetryPolicy(policy) {
+  assert.object(policy, 'retryPolicy');
+  const {maxAttempts, backoff, timeout} = policy;
+  assert.number(maxAttempts, 'retryPolicy.maxAttempts');
+  if(!(maxAttempts >= 1 &&
+    (Number.isInteger(maxAttempts) || maxAttempts === Infinity))) {
+    throw new TypeError(
+      '"retryPolicy.maxAttempts" must be a positive integer or "Infinity".');
+  }
+  assertRetryOptions({maxRetries: 0, backoff});
+  assert.optionalNumber(timeout, 'retryPolicy.timeout');
+  if(!(timeout === undefined || timeout === null || timeout >= 0)) {
+    throw new TypeError('"retryPolicy.timeout" must be a non-negative number.');
+  }
+}
+
+export class RetryTracker {
+  /**
+   * Tracks the attempts made by an operation that is retried whenever it
+   * conflicts with a concurrent change. Once the operation has used every
+   * attempt its retry policy allows, its policy `timeout` has passed, or its
+   * `signal` has been aborted, the next retry throws a public
+   * `TimeoutError`.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.policy - The retry policy (see
+   *   `assertRetryPolicy()`).
+   * @param {string} options.operation - The name of the operation, e.g.,
+   *   `update`.
+   * @param {string} [options.recordId] - The ID of the record.
+   * @param {object} [options.signal] - An `AbortSignal` to stop retrying.
+   */
+  constructor({policy, operation, recordId, signal} = {}) {
+    assert.string(operation, 'operation');
+    assert.optionalString(recordId, 'recordId');
+    assert.optionalObject(signal, 'signal');
+    this.policy = policy;
+    this.operation = operation;
+    this.recordId = recordId;
+    this.signal = signal;
+    this.attempts = 1;
+    this.deadline = Date.now() + (policy.timeout ?? Infinity);
+  }
+
+  /**
+   * Waits for a jittered backoff delay before another attempt is made.
+   *
+   * @returns {Promise} Resolves once the next attempt may be made.
+   */
+  async retry() {
+    const {policy: {maxAttempts, backoff}} = this;
+    this._assertNotAborted();
+    if(this.attempts >= maxAttempts) {
+      this._throwTimeout({reason: 'maxAttempts'});
+    }
+    const delay = getBackoffDelay({retry: this.attempts, backoff});
+    if(Date.now() + delay >= this.deadline) {
+      this._throwTimeout({reason: 'timeout'});
+    }
+    if(delay > 0) {
+      await sleep(delay, {signal: this.signal});
+      this._assertNotAborted();
+    }
+    this.attempts++;
+  }
+
+  _assertNotAborted() {
+    if(this.signal?.aborted) {
+      this._throwTimeout({reason: 'aborted'});
+    }
+  }
+
+  _throwTimeout({reason}) {
+    const {operation, recordId, attempts} = this;
+    const details = {operation, attempts, reason};
+    if(recordId !== undefined) {
+      details.recordId = recordId;
+    }
+    throw new BedrockError(
+      `The "${operation}" operation did not complete because it ` +
+      'repeatedly conflicted with concurrent changes.', {
+        name: 'TimeoutError',
+        details: {...details, httpStatusCode: 503, public: true},
+        cause: reason === 'aborted' ? this.signal.reason : undefined
+      });
+  }
+}
+
+/**
+ * Gets the jittered delay to wait before a retry.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.retry - The retry number, starting at `1`.
+ * @param {object} options.backoff - The backoff options.
+ *
+ * @returns {number} The delay in ms.
+ */
+export function getBackoffDelay({retry, backoff}) {
+  const {initialDelay, maxDelay} = backoff;
+  const cap = Math.min(maxDelay, initialDelay * 2 ** (retry - 1));
+  return Math.floor(Math.random() * cap);
+}
+
+export async function sleep(ms, {signal} = {}) {
+  // an aborted sleep resolves early; the caller checks `signal`
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, {once: true});
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+  });
+}
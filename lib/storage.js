@@ -0,0 +1,84 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * The storage engine used to store accounts, which may be used to store any
+ * other kind of record that has unique fields.
+ *
+ * Records are stored in MongoDB by default. Another storage adapter may be
+ * passed to a `RecordCollection` as `storage`; a `MemoryStorageAdapter` is
+ * provided to store records in memory, e.g., for unit tests that do not
+ * have MongoDB. Accounts themselves may be stored with another adapter via
+ * `setAccountStorage()`; `@bedrock/mongodb` is only loaded once a
+ * `MongoStorageAdapter` is used. A storage adapter must implement
+ * `createIndexes({collectionName, indexes})`,
+ * `getCollection(collectionName)`, and `isDuplicateError(error)`, where each
+ * collection supports the subset of the MongoDB collection API that
+ * `MemoryCollection` implements.
+ *
+ * The transactions of a `RecordCollection` can be instrumented by passing
+ * `metrics` and / or an OpenTelemetry-compatible `tracer`. `metrics` must
+ * implement `increment({name, value, attributes})` and
+ * `observe({name, value, attributes})`; a `MetricsRecorder` is provided that
+ * aggregates metrics in memory. Every metric has a `collection` attribute
+ * and the following metrics are recorded:
+ *
+ * - `transactions` (`type`): transactions started.
+ * - `aborts` (`type`): transactions that were rolled back to be retried
+ *   because of a concurrent change.
+ * - `retries` (`method`): operations (`insert`, `insertMany`, `update`,
+ *   `updateMany`, `delete`, or `rekey`) that were retried because of a
+ *   concurrent change.
+ * - `rollbacks` (`type`): transactions that were rolled back.
+ * - `rollbackFailures` and `completionFailures` (`type`): transactions that
+ *   could not be rolled back or completed in the background; they are
+ *   recovered by a later read or write or by `recoverTransactions()`.
+ * - `blockedProxyRecords` (`uniqueField`, `resolution`): proxy records with
+ *   another transaction that blocked a transaction's proxy update; each is
+ *   resolved by processing the other transaction (`processed`) or, if that
+ *   transaction is no longer pending, by resolving its change (`orphaned`).
+ * - `stepDuration` (`type`, `step`): the duration, in milliseconds, of each
+ *   transaction step (`init`, `proxyUpdate`, `commit`, `complete`, or
+ *   `rollback`), observed whether or not the step succeeds.
+ *
+ * A span named `<collectionName>.<step>` is started via
+ * `tracer.startSpan()` for each transaction step and ended once the step
+ * completes; any error is recorded via `span.recordException()`. Account
+ * transactions are instrumented via `setAccountInstrumentation()`.
+ *
+ * @module bedrock-account/storage
+ *
+ * @example
+ * import * as bedrock from '@bedrock/core';
+ * import {RecordCollection} from '@bedrock/account/storage';
+ *
+ * const profiles = new RecordCollection({
+ *   collectionName: 'profile',
+ *   uniqueFields: ['handle'],
+ *   normalizers: {handle: ['trim', 'lowercase']}
+ * });
+ * bedrock.events.on('bedrock-mongodb.ready', () => profiles.initialize());
+ *
+ * @example
+ * import {
+ *   MemoryStorageAdapter, RecordCollection
+ * } from '@bedrock/account/storage';
+ *
+ * const profiles = new RecordCollection({
+ *   collectionName: 'profile',
+ *   uniqueFields: ['handle'],
+ *   storage: new MemoryStorageAdapter()
+ * });
+ * await profiles.initialize();
+ */
+export {
+  getAccountInstrumentation, getAccountStorage, setAccountInstrumentation,
+  setAccountStorage
+} from './accountStorage.js';
+export {createNormalizer} from './normalizers.js';
+export {MemoryCollection} from './MemoryCollection.js';
+export {MemoryStorageAdapter} from './MemoryStorageAdapter.js';
+export {MetricsRecorder} from './MetricsRecorder.js';
+export {MongoStorageAdapter} from './MongoStorageAdapter.js';
+export {RecordCollection} from './RecordCollection.js';
@@ -0,0 +1,236 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+
+/**
+ * A fault-injection harness for testing the transaction engine that backs a
+ * `RecordCollection`.
+ *
+ * @module bedrock-account/testing
+ *
+ * @example
+ * import {FaultInjector} from '@bedrock/account/testing';
+ *
+ * const injector = new FaultInjector();
+ * injector.attach(profiles);
+ * // simulate a process that crashes just before committing an insert
+ * const fault = injector.crash({step: 'commit', type: 'insert'});
+ * profiles.insert({record});
+ * await fault.reached;
+ * // drive concurrent operations against the half-done state, then...
+ * await injector.assertInvariants({recordCollection: profiles});
+ */
+
+// the named steps of a transaction, in the order they normally run
+export const STEPS = ['init', 'proxyUpdate', 'commit', 'complete', 'rollback'];
+
+/* Note: A crashed transaction is simulated by never resuming it; its state
+is left exactly as a process that died at that step would leave it and must
+be recovered by other operations or by `recoverTransactions()`. */
+
+export class FaultInjector {
+  /**
+   * Creates a fault injector. Once attached to a record collection, faults
+   * can be injected at the named steps (see `STEPS`) of its transactions.
+   * Each fault is triggered once, by the first transaction step that
+   * matches it; steps that match no fault run normally. Every step that is
+   * reached is recorded in `steps` as `{step, txn}`.
+   */
+  constructor() {
+    this.faults = [];
+    this.paused = new Set();
+    this.steps = [];
+  }
+
+  /**
+   * Attaches this injector to a record collection.
+   *
+   * @param {object} recordCollection - The `RecordCollection`.
+   */
+  attach(recordCollection) {
+    assert.object(recordCollection, 'recordCollection');
+    recordCollection.stepHook = ({step, txn}) => this._onStep({step, txn});
+  }
+
+  /**
+   * Detaches this injector from a record collection.
+   *
+   * @param {object} recordCollection - The `RecordCollection`.
+   */
+  detach(recordCollection) {
+    assert.object(recordCollection, 'recordCollection');
+    recordCollection.stepHook = undefined;
+  }
+
+  /**
+   * Pauses the next transaction that reaches a step until the returned
+   * fault's `resume()` is called, e.g., to simulate a stalled process.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.step - The name of the step.
+   * @param {string} [options.type] - The transaction type to match
+   *   (`insert`, `update`, or `delete`).
+   * @param {string} [options.recordId] - The record ID to match.
+   *
+   * @returns {object} The fault, with a `reached` promise that resolves to
+   *   the transaction (`{step, txn}`) once it is paused and `resume()`.
+   */
+  pause({step, type, recordId} = {}) {
+    return this._addFault({action: 'pause', step, type, recordId});
+  }
+
+  /**
+   * Crashes the next transaction that reaches a step. The transaction never
+   * continues, leaving its partial state for other operations to recover.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.step - The name of the step.
+   * @param {string} [options.type] - The transaction type to match.
+   * @param {string} [options.recordId] - The record ID to match.
+   *
+   * @returns {object} The fault, with a `reached` promise that resolves to
+   *   the transaction (`{step, txn}`) once it has crashed.
+   */
+  crash({step, type, recordId} = {}) {
+    return this._addFault({action: 'crash', step, type, recordId});
+  }
+
+  /**
+   * Fails the next transaction that reaches a step by throwing an error
+   * from the step, e.g., to simulate a failed database write. The
+   * transaction handles the error as it would any other.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.step - The name of the step.
+   * @param {string} [options.type] - The transaction type to match.
+   * @param {string} [options.recordId] - The record ID to match.
+   * @param {Error} [options.error] - The error to throw.
+   *
+   * @returns {object} The fault, with a `reached` promise that resolves to
+   *   the transaction (`{step, txn}`) once the error is thrown.
+   */
+  fail({
+    step, type, recordId, error = new Error(`Injected fault at "${step}".`)
+  } = {}) {
+    assert.object(error, 'error');
+    return this._addFault({action: 'fail', step, type, recordId, error});
+  }
+
+  /**
+   * Removes every fault that has not been triggered, resumes every paused
+   * transaction, and clears `steps`. Crashed transactions are never resumed.
+   */
+  reset() {
+    this.faults = [];
+    for(const fault of this.paused) {
+      fault.resume();
+    }
+    this.steps = [];
+  }
+
+  /**
+   * Recovers every interrupted transaction in a record collection, as if
+   * every process that was running a transaction has crashed, by calling
+   * `recoverTransactions({maxAge: 0})` until there is nothing to recover.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.recordCollection - The `RecordCollection`.
+   * @param {number} [options.maxRounds=10] - The maximum number of rounds.
+   *
+   * @returns {Promise<number>} Resolves to the number of rounds that
+   *   recovered anything.
+   */
+  async recoverAll({recordCollection, maxRounds = 10} = {}) {
+    assert.object(recordCollection, 'recordCollection');
+    assert.number(maxRounds, 'maxRounds');
+    for(let round = 0; round < maxRounds; ++round) {
+      const counts = await recordCollection.recoverTransactions({maxAge: 0});
+      if(Object.values(counts).every(count => count === 0)) {
+        return round;
+      }
+    }
+    throw new Error(
+      `Transactions were still being recovered after ${maxRounds} rounds.`);
+  }
+
+  /**
+   * Asserts that a record collection's invariants hold: every unique value
+   * used by a record is reserved for that record only, and every
+   * reservation is for a record that uses its value. Records and
+   * reservations with a pending transaction are not checked unless
+   * `quiesced` is `true`, in which case there must be none.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.recordCollection - The `RecordCollection`.
+   * @param {boolean} [options.quiesced=false] - `true` if no transaction
+   *   should be pending, e.g., after `recoverAll()`.
+   *
+   * @returns {Promise<object>} Resolves to the `verifyIntegrity()` report.
+   */
+  async assertInvariants({recordCollection, quiesced = false} = {}) {
+    assert.object(recordCollection, 'recordCollection');
+    assert.bool(quiesced, 'quiesced');
+    const report = await recordCollection.verifyIntegrity();
+    const violations = [];
+    for(const kind of ['missing', 'orphaned', 'conflicting']) {
+      for(const issue of report[kind]) {
+        violations.push({kind, ...issue});
+      }
+    }
+    if(quiesced && report.skipped > 0) {
+      violations.push({kind: 'pending', count: report.skipped});
+    }
+    if(violations.length > 0) {
+      const error = new Error(
+        `Record collection invariants violated: ` +
+        `${JSON.stringify(violations)}`);
+      error.name = 'InvariantError';
+      error.violations = violations;
+      throw error;
+    }
+    return report;
+  }
+
+  _addFault({action, step, type, recordId, error}) {
+    if(!STEPS.includes(step)) {
+      throw new TypeError(`"step" must be one of: ${STEPS.join(', ')}.`);
+    }
+    assert.optionalString(type, 'type');
+    assert.optionalString(recordId, 'recordId');
+    const fault = {action, step, type, recordId, error};
+    fault.reached = new Promise(resolve => {
+      fault._reach = resolve;
+    });
+    fault._resumed = new Promise(resolve => {
+      fault.resume = resolve;
+    });
+    this.faults.push(fault);
+    return fault;
+  }
+
+  async _onStep({step, txn}) {
+    this.steps.push({step, txn});
+    const index = this.faults.findIndex(f => f.step === step &&
+      (f.type === undefined || f.type === txn.type) &&
+      (f.recordId === undefined || f.recordId === txn.recordId));
+    if(index === -1) {
+      return;
+    }
+    const [fault] = this.faults.splice(index, 1);
+    fault._reach({step, txn});
+    if(fault.action === 'fail') {
+      throw fault.error;
+    }
+    if(fault.action === 'crash') {
+      // never resolves
+      await new Promise(() => {});
+    }
+    this.paused.add(fault);
+    try {
+      await fault._resumed;
+    } finally {
+      this.paused.delete(fault);
+    }
+  }
+}
@@ -0,0 +1,104 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {
+  schema as accountSchema, metaSchema
+} from '../schemas/bedrock-account.js';
+import {compile} from '@bedrock/validation';
+
+const {util: {BedrockError}} = bedrock;
+
+// matches each segment of an ajv data path, e.g., `.foo['b-ar'][0]`
+const DATA_PATH_REGEX = /\.([^.[]+)|\['((?:[^'\\]|\\.)*)'\]|\[(\d+)\]/g;
+
+// compiled validators, created on first use from the base schemas and the
+// extensions in `config.account.schemas`
+let VALIDATORS;
+
+/**
+ * Validates account and / or account meta data against the account and meta
+ * schemas, including any extensions from `config.account.schemas`. If the
+ * data is invalid, a public `ValidationError` is thrown with a `pointer`
+ * detail that is the JSON pointer (relative to the account record, e.g.,
+ * `/account/email`) of the first invalid field; each error in its `errors`
+ * detail has a `pointer` detail as well.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.account] - The account to validate.
+ * @param {object} [options.meta] - The meta data to validate.
+ */
+export function validate({account, meta} = {}) {
+  if(!VALIDATORS) {
+    VALIDATORS = _createValidators();
+  }
+  if(account !== undefined) {
+    _validate({field: 'account', instance: account});
+  }
+  if(meta !== undefined) {
+    _validate({field: 'meta', instance: meta});
+  }
+}
+
+function _validate({field, instance}) {
+  const result = VALIDATORS[field](instance);
+  if(result.valid) {
+    return;
+  }
+  const {errors = []} = result.error.details;
+  for(const error of errors) {
+    error.details.pointer = _getPointer({field, details: error.details});
+  }
+  throw new BedrockError(result.error.message, {
+    name: 'ValidationError',
+    details: {
+      pointer: errors[0]?.details.pointer ?? `/${field}`,
+      errors,
+      httpStatusCode: 400,
+      public: true
+    },
+    cause: result.error
+  });
+}
+
+function _createValidators() {
+  const {schemas} = bedrock.config.account;
+  return {
+    account: compile({
+      schema: _extendSchema({schema: accountSchema, ...schemas.account})
+    }),
+    meta: compile({
+      schema: _extendSchema({schema: metaSchema, ...schemas.meta})
+    })
+  };
+}
+
+function _extendSchema({schema, properties = {}, required = []}) {
+  return {
+    ...schema,
+    properties: {...schema.properties, ...properties},
+    required: [...new Set([...schema.required, ...required])]
+  };
+}
+
+function _getPointer({field, details: {path = '', params = {}}}) {
+  const segments = [field, ..._parseDataPath(path)];
+  // a missing required property is reported on its parent
+  const {missingProperty} = params;
+  if(missingProperty !== undefined) {
+    const parsed = _parseDataPath(missingProperty);
+    segments.push(...(parsed.length > 0 ? parsed : [missingProperty]));
+  }
+  return segments.map(s => `/${_escape(s)}`).join('');
+}
+
+function _parseDataPath(path) {
+  return [...path.matchAll(DATA_PATH_REGEX)].map(
+    ([, name, quoted, index]) =>
+      name ?? index ?? quoted.replace(/\\(.)/g, '$1'));
+}
+
+function _escape(segment) {
+  // JSON pointer escaping (RFC 6901)
+  return segment.replaceAll('~', '~0').replaceAll('/', '~1');
+}
@@ -1,10 +1,9 @@
 /*!
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 export const schema = {
   title: 'User Account',
   required: [
-    'email',
     'id',
   ],
   type: 'object',
@@ -14,6 +13,84 @@ export const schema = {
     },
     email: {
       type: 'string',
+    },
+    secondaryEmails: {
+      type: 'array',
+      items: {
+        type: 'string',
+      }
+    }
+  },
+  additionalProperties: true
+};
+
+const timestamp = {
+  type: 'integer',
+  minimum: 0
+};
+
+export const metaSchema = {
+  title: 'User Account Meta',
+  required: [
+    'status',
+    'created',
+    'updated',
+    'sequence',
+  ],
+  type: 'object',
+  properties: {
+    status: {
+      type: 'string',
+    },
+    created: timestamp,
+    updated: timestamp,
+    sequence: {
+      type: 'integer',
+      minimum: 0
+    },
+    statusHistory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['status', 'timestamp'],
+        properties: {
+          status: {
+            type: 'string',
+          },
+          reason: {
+            type: 'string',
+          },
+          actor: {
+            type: 'string',
+          },
+          timestamp
+        }
+      }
+    },
+    emailVerified: timestamp,
+    secondaryEmailsVerified: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['email', 'verified'],
+        properties: {
+          email: {
+            type: 'string',
+          },
+          verified: timestamp
+        }
+      }
+    },
+    tombstone: {
+      type: 'object',
+      required: ['created', 'expires'],
+      properties: {
+        created: timestamp,
+        expires: timestamp
+      }
+    },
+    mergedInto: {
+      type: 'string'
     }
   },
   additionalProperties: true
@@ -1,8 +1,7 @@
 /*!
- * Copyright (c) 2018-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as brAccount from '@bedrock/account';
-import * as database from '@bedrock/mongodb';
 import * as helpers from './helpers.js';
 import {mockData} from './mock.data.js';
 
@@ -15,7 +14,7 @@ describe('insert', () => {
     const email = 'de3c2700-0c5d-4b75-bd6b-02dee985e39d@example.com';
     const newAccount = helpers.createAccount(email);
     await brAccount.insert({account: newAccount});
-    const record = await database.collections.account.findOne(
+    const record = await helpers.getCollection('account').findOne(
       {'account.id': newAccount.id});
     should.exist(record);
     const {account, meta} = record;
@@ -32,7 +31,7 @@ describe('insert', () => {
     account.email.should.equal(email);
 
     // ensure proxy record is present
-    const proxyRecord = await database.collections['account-email'].findOne(
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
       {email: newAccount.email});
     should.exist(proxyRecord);
     proxyRecord.should.have.keys(['_id', 'accountId', 'email']);
@@ -68,6 +67,64 @@ describe('insert', () => {
     should.exist(err);
     err.name.should.equal('DuplicateError');
   });
+  it('inserts an account with other unique fields', async () => {
+    const email = 'a0c0f1e6-45a1-4f1c-9a5c-96e1ad2b9f0f@example.com';
+    const newAccount = helpers.createAccount(email);
+    newAccount.phoneNumber = '+15555550100';
+    newAccount.username = 'a0c0f1e6-45a1-4f1c-9a5c-96e1ad2b9f0f';
+    await brAccount.insert({account: newAccount});
+
+    // ensure proxy records are present
+    const phoneNumberRecord = await helpers.getCollection('account-phoneNumber')
+      .findOne({phoneNumber: newAccount.phoneNumber});
+    should.exist(phoneNumberRecord);
+    phoneNumberRecord.should.have.keys(['_id', 'accountId', 'phoneNumber']);
+    phoneNumberRecord.accountId.should.equal(newAccount.id);
+    const usernameRecord = await helpers.getCollection('account-username')
+      .findOne({username: newAccount.username});
+    should.exist(usernameRecord);
+    usernameRecord.should.have.keys(['_id', 'accountId', 'username']);
+    usernameRecord.accountId.should.equal(newAccount.id);
+  });
+  it('throws error on duplicate phone number', async () => {
+    const phoneNumber = '+15555550101';
+    const newAccount = helpers.createAccount(
+      '2f8b9a38-2bb8-4d0f-a7a4-6a6c35b3cf0e@example.com');
+    newAccount.phoneNumber = phoneNumber;
+    await brAccount.insert({account: newAccount});
+    // attempt to make another account with the same phone number
+    const newAccount2 = helpers.createAccount(
+      'c5a1f0a0-0c5e-4a8c-8b5e-7c1b8b3e6e1a@example.com');
+    newAccount2.phoneNumber = phoneNumber;
+    let err;
+    try {
+      await brAccount.insert({account: newAccount2});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+    err.details.uniqueField.should.equal('phoneNumber');
+    err.details.uniqueValue.should.equal(phoneNumber);
+
+    // ensure the email of the failed account was not reserved
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email: newAccount2.email});
+    should.not.exist(proxyRecord);
+  });
+  it('throws error on a non-string unique field', async () => {
+    const newAccount = helpers.createAccount(
+      '0e7f1c55-0d7b-4c4f-a2f9-7b8f6c6b0d3a@example.com');
+    newAccount.username = 123;
+    let err;
+    try {
+      await brAccount.insert({account: newAccount});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.include('account.username');
+  });
 
   describe('transactions', () => {
     it('should insert with pending insert txn', async () => {
@@ -90,7 +147,7 @@ describe('insert', () => {
 
       const newAccount = helpers.createAccount(email);
       await brAccount.insert({account: newAccount});
-      const record = await database.collections.account.findOne(
+      const record = await helpers.getCollection('account').findOne(
         {'account.id': newAccount.id});
       should.exist(record);
       const {account, meta} = record;
@@ -107,7 +164,7 @@ describe('insert', () => {
       account.email.should.equal(email);
 
       // ensure proxy record is present
-      const proxyRecord = await database.collections['account-email'].findOne(
+      const proxyRecord = await helpers.getCollection('account-email').findOne(
         {email: newAccount.email});
       should.exist(proxyRecord);
       proxyRecord.should.have.keys(['_id', 'accountId', 'email']);
@@ -135,7 +192,7 @@ describe('insert', () => {
       });
 
       await brAccount.insert({account: newAccount});
-      const record = await database.collections.account.findOne(
+      const record = await helpers.getCollection('account').findOne(
         {'account.id': newAccount.id});
       should.exist(record);
       const {account, meta} = record;
@@ -152,7 +209,7 @@ describe('insert', () => {
       account.email.should.equal(email);
 
       // ensure proxy record is present
-      const proxyRecord = await database.collections['account-email'].findOne(
+      const proxyRecord = await helpers.getCollection('account-email').findOne(
         {email: newAccount.email});
       should.exist(proxyRecord);
       proxyRecord.should.have.keys(['_id', 'accountId', 'email']);
@@ -202,7 +259,7 @@ describe('insert', () => {
         error.details.uniqueValue.should.equal(email);
 
         // ensure failed update account exists with no _txn
-        const blockingRecord = await database.collections.account.findOne(
+        const blockingRecord = await helpers.getCollection('account').findOne(
           {'account.id': failedUpdateAccount.id});
         should.exist(blockingRecord);
         blockingRecord.should.have.keys(['_id', 'account', 'meta']);
@@ -210,7 +267,7 @@ describe('insert', () => {
         blockingRecord.account.email.should.equal(email);
 
         // ensure old proxy record is still present, but has no `_txn` field
-        const proxyRecord = await database.collections['account-email']
+        const proxyRecord = await helpers.getCollection('account-email')
           .findOne({email: failedUpdateAccount.email});
         should.exist(proxyRecord);
         proxyRecord.should.have.keys(['_id', 'accountId', 'email']);
@@ -258,7 +315,7 @@ describe('insert', () => {
         error.details.uniqueValue.should.equal(email);
 
         // ensure failed update account exists with no _txn
-        const blockingRecord = await database.collections.account.findOne(
+        const blockingRecord = await helpers.getCollection('account').findOne(
           {'account.id': committedAccount.id});
         should.exist(blockingRecord);
         blockingRecord.should.have.keys(['_id', 'account', 'meta']);
@@ -266,7 +323,7 @@ describe('insert', () => {
         blockingRecord.account.email.should.equal(email);
 
         // ensure old proxy record is still present, but has no `_txn` field
-        const proxyRecord = await database.collections['account-email']
+        const proxyRecord = await helpers.getCollection('account-email')
           .findOne({email: committedAccount.email});
         should.exist(proxyRecord);
         proxyRecord.should.have.keys(['_id', 'accountId', 'email']);
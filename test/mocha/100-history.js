@@ -0,0 +1,131 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+
+describe('getHistory', () => {
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+
+  it('records history for each committed change', async () => {
+    const email = '3f9c1a2b-8d7e-4f6a-9b5c-4d3e2f1a0b9c@example.com';
+    const actor = 'urn:uuid:2c4e6a8b-0d1f-4e3a-8c5b-7d9e1f3a5b7c';
+    const newAccount = helpers.createAccount(email);
+    const newRecord = await brAccount.insert({account: newAccount, actor});
+
+    const updatedAccount = {...newRecord.account, email: 'UPDATED.' + email};
+    await brAccount.update({account: updatedAccount, sequence: 0, actor});
+    await brAccount.setStatus({id: newAccount.id, status: 'deleted', actor});
+
+    const history = await brAccount.getHistory({id: newAccount.id});
+    history.length.should.equal(3);
+    // updating only `account` does not change `meta.sequence`
+    history.map(h => h.sequence).should.deep.equal([0, 0, 1]);
+    history.map(h => h.operation).should.deep.equal(
+      ['insert', 'update', 'setStatus']);
+    for(const entry of history) {
+      entry.should.have.keys([
+        'recordId', 'sequence', 'operation', 'actor', 'timestamp', 'diff'
+      ]);
+      entry.recordId.should.equal(newAccount.id);
+      entry.actor.should.equal(actor);
+      entry.timestamp.should.be.a('number');
+    }
+
+    // insert diff adds the whole record
+    history[0].diff.length.should.equal(1);
+    history[0].diff[0].op.should.equal('add');
+    history[0].diff[0].path.should.equal('');
+
+    // update diff only changes the email
+    history[1].diff.should.deep.equal([{
+      op: 'replace', path: '/account/email', value: 'UPDATED.' + email
+    }]);
+
+    // status change diff only changes the status and its history
+    history[2].diff.length.should.equal(2);
+    history[2].diff[0].should.deep.equal({
+      op: 'replace', path: '/meta/status', value: 'deleted'
+    });
+    history[2].diff[1].op.should.equal('add');
+    history[2].diff[1].path.should.equal('/meta/statusHistory');
+  });
+  it('filters and limits history', async () => {
+    const email = '7b6a5c4d-3e2f-4a1b-8c9d-0e1f2a3b4c5d@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    const since = Date.now() + 1;
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await brAccount.setStatus({id: newAccount.id, status: 'deleted'});
+    await brAccount.setStatus({id: newAccount.id, status: 'active'});
+
+    let history = await brAccount.getHistory({id: newAccount.id, since});
+    history.map(h => h.sequence).should.deep.equal([1, 2]);
+    should.equal(history[0].actor, null);
+
+    history = await brAccount.getHistory({id: newAccount.id, limit: 1});
+    history.map(h => h.sequence).should.deep.equal([0]);
+  });
+  it('records history for a hard removal', async () => {
+    const email = '1c2d3e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    await brAccount.remove({id: newAccount.id, mode: 'hard'});
+
+    const history = await brAccount.getHistory({id: newAccount.id});
+    history.length.should.equal(2);
+    history[1].operation.should.equal('remove');
+    history[1].diff.should.deep.equal([{op: 'remove', path: ''}]);
+  });
+  it('keeps history of a removed and reinserted account', async () => {
+    const email = '4d5e6f7a-8b9c-4d0e-9f1a-2b3c4d5e6f7a@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    await brAccount.remove({id: newAccount.id, mode: 'hard'});
+
+    // the sequence of the new account restarts
+    await brAccount.insert({account: newAccount});
+    await brAccount.setStatus({id: newAccount.id, status: 'deleted'});
+    const history = await brAccount.getHistory({id: newAccount.id});
+    history.map(h => h.operation).should.deep.equal(
+      ['insert', 'remove', 'insert', 'setStatus']);
+    history.map(h => h.sequence).should.deep.equal([0, 1, 0, 1]);
+  });
+  it('writes history when completing a committed txn', async () => {
+    const email = '9a8b7c6d-5e4f-4a3b-9c2d-1e0f9a8b7c6d@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    // simulate committed but incomplete transaction with history
+    const entry = {
+      recordId: newAccount.id,
+      sequence: 1,
+      operation: 'update',
+      actor: null,
+      timestamp: Date.now(),
+      diff: []
+    };
+    const result = await helpers.getCollection('account').updateOne(
+      {'account.id': newAccount.id}, {
+        $set: {
+          'meta.sequence': 1,
+          _txn: {
+            id: 'c3d4e5f6-a7b8-4c9d-8e0f-1a2b3c4d5e6f',
+            type: 'update',
+            recordId: newAccount.id,
+            committed: true,
+            history: entry
+          }
+        }
+      });
+    result.modifiedCount.should.equal(1);
+
+    // completing the txn on the next read must write the history entry
+    await brAccount.setStatus({id: newAccount.id, status: 'deleted'});
+    const history = await brAccount.getHistory({id: newAccount.id});
+    history.map(h => h.sequence).should.deep.equal([0, 1, 2]);
+  });
+});
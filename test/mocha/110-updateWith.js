@@ -0,0 +1,181 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+
+describe('updateWith', () => {
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+
+  it('updates an account with a mutator', async () => {
+    const email = '0d5e8a3c-6f2b-4b1d-9e7a-3c5f1b8d2e4a@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    const {record, attempts} = await brAccount.updateWith({
+      id: newAccount.id,
+      async mutator({account}) {
+        account.foo = 'bar';
+      }
+    });
+    attempts.should.equal(1);
+    record.account.foo.should.equal('bar');
+    record.meta.sequence.should.equal(1);
+
+    const updated = await brAccount.get({id: newAccount.id});
+    updated.account.foo.should.equal('bar');
+    updated.meta.sequence.should.equal(1);
+  });
+  it('uses the account and meta returned by a mutator', async () => {
+    const email = '6a2c4e8f-1b3d-4f5a-8c7e-9d0b2a4c6e8f@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    const {record} = await brAccount.updateWith({
+      id: newAccount.id,
+      async mutator({account, meta}) {
+        return {
+          account: {...account, email: 'UPDATED.' + email},
+          // sequence changes must be ignored
+          meta: {...meta, custom: true, sequence: 99}
+        };
+      }
+    });
+    record.meta.sequence.should.equal(1);
+
+    const updated = await brAccount.get({email: 'UPDATED.' + email});
+    updated.account.id.should.equal(newAccount.id);
+    updated.meta.custom.should.equal(true);
+    updated.meta.sequence.should.equal(1);
+  });
+  it('retries after a concurrent change', async () => {
+    const email = 'b7d9f1a3-5c6e-4a8b-9d0f-2e4a6c8e0b1d@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    const seen = [];
+    const {record, attempts} = await brAccount.updateWith({
+      id: newAccount.id,
+      backoff: {initialDelay: 1, maxDelay: 5},
+      async mutator({account, meta, attempt}) {
+        seen.push(attempt);
+        if(attempt === 1) {
+          // simulate a concurrent change by another process
+          await brAccount.update({
+            id: newAccount.id,
+            account: {...account, concurrent: true},
+            meta: {...meta, sequence: meta.sequence + 1}
+          });
+        }
+        account.count = (account.count ?? 0) + 1;
+      }
+    });
+    seen.should.deep.equal([1, 2]);
+    attempts.should.equal(2);
+    record.meta.sequence.should.equal(2);
+
+    // the retry must build on the concurrent change
+    const updated = await brAccount.get({id: newAccount.id});
+    updated.account.concurrent.should.equal(true);
+    updated.account.count.should.equal(1);
+    updated.meta.sequence.should.equal(2);
+  });
+  it('throws after exceeding "maxRetries"', async () => {
+    const email = 'c8e0a2b4-6d7f-4b9c-8e1a-3f5b7d9f1c2e@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    let calls = 0;
+    let err;
+    try {
+      await brAccount.updateWith({
+        id: newAccount.id,
+        maxRetries: 2,
+        backoff: {initialDelay: 1, maxDelay: 5},
+        async mutator({account, meta}) {
+          calls++;
+          // always conflict with a concurrent change
+          await brAccount.update({
+            id: newAccount.id,
+            account: {...account, calls},
+            meta: {...meta, sequence: meta.sequence + 1}
+          });
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('InvalidStateError');
+    calls.should.equal(3);
+  });
+  it('does not retry once "signal" is aborted', async () => {
+    const email = 'e0a2c4d6-8f9b-4d1e-a03c-5b7d9f1b3e4a@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    const controller = new AbortController();
+    let calls = 0;
+    let err;
+    try {
+      await brAccount.updateWith({
+        id: newAccount.id,
+        backoff: {initialDelay: 1, maxDelay: 5},
+        signal: controller.signal,
+        async mutator({account, meta}) {
+          calls++;
+          controller.abort();
+          // conflict with a concurrent change
+          await brAccount.update({
+            id: newAccount.id,
+            account: {...account, calls},
+            meta: {...meta, sequence: meta.sequence + 1}
+          });
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('InvalidStateError');
+    calls.should.equal(1);
+  });
+  it('does not retry other errors', async () => {
+    const email = 'd9f1b3c5-7e8a-4c0d-9f2b-4a6c8e0a2d3f@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    let calls = 0;
+    let err;
+    try {
+      await brAccount.updateWith({
+        id: newAccount.id,
+        async mutator({account}) {
+          calls++;
+          account.id = 'urn:uuid:other';
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    calls.should.equal(1);
+  });
+  it('throws error on a non-existent account', async () => {
+    let err;
+    try {
+      await brAccount.updateWith({
+        id: 'urn:uuid:nobody',
+        async mutator() {}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+});
@@ -0,0 +1,165 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+import {randomUUID} from 'node:crypto';
+
+describe('recoverTransactions', () => {
+  beforeEach(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+
+  it('rolls back an interrupted update', async () => {
+    const email = '4e6a8c0e-2b4d-4f6a-8c0e-2b4d6f8a0c2e@example.com';
+    const newEmail = 'NEW.' + email;
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    await helpers.createFakeTransaction({
+      accountId: newAccount.id,
+      type: 'update',
+      ops: [
+        {type: 'insert', email: newEmail},
+        {type: 'delete', email}
+      ]
+    });
+
+    const counts = await brAccount.recoverTransactions({maxAge: 0});
+    counts.rolledBack.should.equal(1);
+    counts.completed.should.equal(0);
+
+    const record = await helpers.getCollection('account').findOne(
+      {'account.id': newAccount.id});
+    should.not.exist(record._txn);
+    record.account.email.should.equal(email);
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email});
+    should.exist(proxyRecord);
+    should.not.exist(proxyRecord._txn);
+    const newProxyRecord = await helpers.getCollection('account-email')
+      .findOne({email: newEmail});
+    should.not.exist(newProxyRecord);
+  });
+  it('rolls back an interrupted insert', async () => {
+    const email = '5f7b9d1f-3c5e-4a7b-9d1f-3c5e7a9b1d3f@example.com';
+    const accountId = `urn:uuid:${randomUUID()}`;
+    await helpers.createFakeTransaction({
+      accountId,
+      type: 'insert',
+      _pending: true,
+      ops: [{type: 'insert', email}]
+    });
+
+    const counts = await brAccount.recoverTransactions({maxAge: 0});
+    counts.rolledBack.should.equal(1);
+
+    const record = await helpers.getCollection('account').findOne(
+      {'account.id': accountId});
+    should.not.exist(record);
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email});
+    should.not.exist(proxyRecord);
+  });
+  it('completes an interrupted committed update', async () => {
+    const email = '6a8c0e2a-4d6f-4b8c-8e2a-4d6f8b0c2e4a@example.com';
+    const newEmail = 'NEW.' + email;
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    // simulate the record having been committed with the new email
+    await helpers.getCollection('account').updateOne(
+      {'account.id': newAccount.id},
+      {$set: {'account.email': newEmail, 'meta.sequence': 1}});
+    await helpers.createFakeTransaction({
+      accountId: newAccount.id,
+      type: 'update',
+      committed: true,
+      ops: [
+        {type: 'insert', email: newEmail},
+        {type: 'delete', email}
+      ]
+    });
+
+    const counts = await brAccount.recoverTransactions({maxAge: 0});
+    counts.completed.should.equal(1);
+    counts.rolledBack.should.equal(0);
+
+    const record = await helpers.getCollection('account').findOne(
+      {'account.id': newAccount.id});
+    should.not.exist(record._txn);
+    const newProxyRecord = await helpers.getCollection('account-email')
+      .findOne({email: newEmail});
+    should.exist(newProxyRecord);
+    should.not.exist(newProxyRecord._txn);
+    // old email must be released
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email});
+    should.not.exist(proxyRecord);
+    await brAccount.insert({account: helpers.createAccount(email)});
+  });
+  it('resolves orphaned proxy records', async () => {
+    const email = '7b9d1f3b-5e7a-4c9d-9f3b-5e7a9c1d3f5b@example.com';
+    const accountId = `urn:uuid:${randomUUID()}`;
+    await helpers.createFakeTransaction({
+      accountId,
+      type: 'insert',
+      skipAccountRecord: true,
+      ops: [{type: 'insert', email}]
+    });
+
+    const counts = await brAccount.recoverTransactions({maxAge: 0});
+    counts.proxyRecordsResolved.should.equal(1);
+
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email});
+    should.not.exist(proxyRecord);
+    await brAccount.insert({account: helpers.createAccount(email)});
+  });
+  it('does not recover recent transactions', async () => {
+    const email = '8c0e2a4c-6f8b-4d0e-8a4c-6f8b0d2e4a6c@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    const txn = {
+      id: randomUUID(),
+      type: 'update',
+      recordId: newAccount.id,
+      created: Date.now()
+    };
+    await helpers.getCollection('account').updateOne(
+      {'account.id': newAccount.id}, {$set: {_txn: txn}});
+
+    const counts = await brAccount.recoverTransactions({maxAge: 60000});
+    counts.should.deep.equal({
+      completed: 0, rolledBack: 0, proxyRecordsResolved: 0, batchesRemoved: 0
+    });
+
+    const record = await helpers.getCollection('account').findOne(
+      {'account.id': newAccount.id});
+    should.exist(record._txn);
+    record._txn.id.should.equal(txn.id);
+  });
+  it('measures the age of an untracked txn from when it is seen', async () => {
+    const email = '9d1f3b5d-7a9c-4e1f-9b5d-7a9c1e3f5b7d@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    // a transaction created before `_txn.created` was tracked
+    const txn = {id: randomUUID(), type: 'update', recordId: newAccount.id};
+    await helpers.getCollection('account').updateOne(
+      {'account.id': newAccount.id}, {$set: {_txn: txn}});
+
+    const before = Date.now();
+    let counts = await brAccount.recoverTransactions({maxAge: 60000});
+    counts.rolledBack.should.equal(0);
+    let record = await helpers.getCollection('account').findOne(
+      {'account.id': newAccount.id});
+    record._txn.id.should.equal(txn.id);
+    record._txn.created.should.be.gte(before);
+
+    // recovered once it is old enough
+    counts = await brAccount.recoverTransactions({maxAge: 0});
+    counts.rolledBack.should.equal(1);
+    record = await helpers.getCollection('account').findOne(
+      {'account.id': newAccount.id});
+    should.not.exist(record._txn);
+  });
+});
@@ -0,0 +1,96 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+
+describe('validation', () => {
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+
+  it('inserts an account with a valid extended property', async () => {
+    const email = '1a3c5e7a-9b0d-4f2a-8c4e-6a8c0e2a4c6e@example.com';
+    const newAccount = helpers.createAccount(email);
+    newAccount.displayName = 'Alice';
+    const record = await brAccount.insert({account: newAccount});
+    record.account.displayName.should.equal('Alice');
+  });
+  it('rejects an account with an invalid extended property', async () => {
+    const email = '2b4d6f8b-0c1e-4a3b-9d5f-7b9d1f3b5d7f@example.com';
+    const newAccount = helpers.createAccount(email);
+    newAccount.displayName = 5;
+    let err;
+    try {
+      await brAccount.insert({account: newAccount});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ValidationError');
+    err.details.public.should.equal(true);
+    err.details.httpStatusCode.should.equal(400);
+    err.details.pointer.should.equal('/account/displayName');
+    err.details.errors.should.be.an('array');
+    err.details.errors[0].details.pointer.should.equal(
+      '/account/displayName');
+
+    // account must not have been inserted
+    const record = await helpers.getCollection('account').findOne(
+      {'account.id': newAccount.id});
+    should.not.exist(record);
+  });
+  it('rejects invalid meta on insert', async () => {
+    const email = '3c5e7a9c-1d2f-4b4c-8e6a-8c0e2a4c6e8a@example.com';
+    const newAccount = helpers.createAccount(email);
+    let err;
+    try {
+      await brAccount.insert({
+        account: newAccount,
+        meta: {tombstone: 'invalid'}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ValidationError');
+    err.details.pointer.should.equal('/meta/tombstone');
+  });
+  it('rejects an invalid account on update', async () => {
+    const email = '4d6f8bad-2e3a-4c5d-9f7b-9d1f3b5d7f9b@example.com';
+    const newAccount = helpers.createAccount(email);
+    const newRecord = await brAccount.insert({account: newAccount});
+    let err;
+    try {
+      await brAccount.update({
+        account: {...newRecord.account, displayName: {}},
+        sequence: 0
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ValidationError');
+    err.details.pointer.should.equal('/account/displayName');
+
+    const record = await brAccount.get({id: newAccount.id});
+    record.meta.sequence.should.equal(0);
+  });
+  it('rejects meta missing a required property on update', async () => {
+    const email = '5e7a9cbe-3f4b-4d6e-8a8c-0e2a4c6e8a0c@example.com';
+    const newAccount = helpers.createAccount(email);
+    const newRecord = await brAccount.insert({account: newAccount});
+    const meta = {...newRecord.meta, sequence: 1};
+    delete meta.status;
+    let err;
+    try {
+      await brAccount.update({id: newAccount.id, meta});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('ValidationError');
+    err.details.pointer.should.equal('/meta/status');
+  });
+});
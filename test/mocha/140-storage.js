@@ -0,0 +1,317 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {createNormalizer, RecordCollection} from '@bedrock/account/storage';
+import {randomUUID} from 'node:crypto';
+
+// the same tests are run against every storage backend
+const BACKENDS = helpers.getStorageBackends();
+
+for(const {name, createStorage} of BACKENDS) {
+  describe(`storage (${name})`, () => {
+    let profiles;
+    let storage;
+    before(async () => {
+      storage = createStorage();
+      profiles = new RecordCollection({
+        collectionName: 'profile',
+        uniqueFields: ['handle'],
+        normalizers: {handle: ['trim', 'lowercase']},
+        sharedUniqueFields: {handle: ['aliases']},
+        storage
+      });
+      await profiles.initialize();
+      for(const collectionName of ['profile', 'profile-handle']) {
+        await storage.getCollection(collectionName).deleteMany({});
+      }
+    });
+
+    it('inserts and gets a record by a unique field', async () => {
+      const id = `urn:uuid:${randomUUID()}`;
+      const record = {profile: {id, handle: 'Alice', sequence: 0}, meta: {}};
+      await profiles.insert({record});
+
+      const result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: ' ALICE '});
+      result.should.have.keys(['profile', 'meta']);
+      result.profile.id.should.equal(id);
+      result.profile.handle.should.equal('Alice');
+      (await profiles.exists({id})).should.equal(true);
+    });
+    it('enforces unique fields', async () => {
+      const record = {
+        profile: {id: `urn:uuid:${randomUUID()}`, handle: 'bob', sequence: 0},
+        meta: {}
+      };
+      await profiles.insert({record});
+      let err;
+      try {
+        const id = `urn:uuid:${randomUUID()}`;
+        await profiles.insert({
+          record: {profile: {id, handle: 'BOB', sequence: 0}, meta: {}}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+    });
+    it('updates and deletes a record', async () => {
+      const id = `urn:uuid:${randomUUID()}`;
+      await profiles.insert(
+        {record: {profile: {id, handle: 'carol', sequence: 0}, meta: {}}});
+      await profiles.update(
+        {id, data: {id, handle: 'carol2', sequence: 1}});
+      const result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: 'carol2'});
+      result.profile.sequence.should.equal(1);
+
+      await profiles.delete({id});
+      (await profiles.exists({id})).should.equal(false);
+      (await profiles.exists(
+        {uniqueField: 'handle', uniqueValue: 'carol2'})).should.equal(false);
+    });
+    it('rejects an update with an unexpected sequence', async () => {
+      const id = `urn:uuid:${randomUUID()}`;
+      await profiles.insert(
+        {record: {profile: {id, handle: 'erin', sequence: 0}, meta: {}}});
+      let err;
+      try {
+        await profiles.update({id, data: {id, handle: 'erin2', sequence: 2}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      (await profiles.exists(
+        {uniqueField: 'handle', uniqueValue: 'erin2'})).should.equal(false);
+    });
+    it('rolls back an interrupted insert', async () => {
+      // simulate a process that crashed while inserting a record
+      const id = `urn:uuid:${randomUUID()}`;
+      const txn = {id: randomUUID(), type: 'insert', recordId: id};
+      await storage.getCollection('profile').insertOne({
+        profile: {id, handle: 'frank', sequence: 0}, meta: {},
+        _pending: true, _txn: txn
+      });
+      await storage.getCollection('profile-handle').insertOne(
+        {handle: 'frank', profileId: id, _txn: {...txn, op: 'insert'}});
+
+      // the interrupted insert must not block reuse of its unique value
+      const otherId = `urn:uuid:${randomUUID()}`;
+      await profiles.insert({
+        record: {profile: {id: otherId, handle: 'Frank', sequence: 0}, meta: {}}
+      });
+      const result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: 'frank'});
+      result.profile.id.should.equal(otherId);
+      (await profiles.exists({id})).should.equal(false);
+    });
+    it('inserts no records if one is a duplicate', async () => {
+      const ids = [`urn:uuid:${randomUUID()}`, `urn:uuid:${randomUUID()}`];
+      let err;
+      try {
+        await profiles.insertMany({
+          records: [
+            {profile: {id: ids[0], handle: 'grace', sequence: 0}, meta: {}},
+            {profile: {id: ids[1], handle: 'bob', sequence: 0}, meta: {}}
+          ]
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+      (await profiles.exists({id: ids[0]})).should.equal(false);
+      (await profiles.exists(
+        {uniqueField: 'handle', uniqueValue: 'grace'})).should.equal(false);
+    });
+    it('reserves a unique value for a record', async () => {
+      const id = `urn:uuid:${randomUUID()}`;
+      await profiles.insert(
+        {record: {profile: {id, handle: 'heidi', sequence: 0}, meta: {}}});
+      const reservation = await profiles.reserveUniqueValue({
+        id, uniqueField: 'handle', uniqueValue: 'Heidi2',
+        expires: Date.now() + 60 * 1000
+      });
+      should.exist(reservation.id);
+      (await profiles.exists(
+        {uniqueField: 'handle', uniqueValue: 'heidi2'})).should.equal(false);
+
+      // another record cannot use the reserved value
+      let err;
+      try {
+        const otherId = `urn:uuid:${randomUUID()}`;
+        await profiles.insert({
+          record: {profile: {id: otherId, handle: 'heidi2', sequence: 0},
+            meta: {}}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+
+      // the record claims the reserved value
+      await profiles.update({id, data: {id, handle: 'heidi2', sequence: 1}});
+      const result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: 'heidi2'});
+      result.profile.id.should.equal(id);
+      (await profiles.releaseUniqueValues({id})).should.equal(0);
+    });
+    it('releases an expired reservation', async () => {
+      const id = `urn:uuid:${randomUUID()}`;
+      await profiles.insert(
+        {record: {profile: {id, handle: 'ivan', sequence: 0}, meta: {}}});
+      await profiles.reserveUniqueValue(
+        {id, uniqueField: 'handle', uniqueValue: 'ivan2', expires: 0});
+
+      const otherId = `urn:uuid:${randomUUID()}`;
+      await profiles.insert({
+        record: {profile: {id: otherId, handle: 'ivan2', sequence: 0},
+          meta: {}}
+      });
+      const result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: 'ivan2'});
+      result.profile.id.should.equal(otherId);
+    });
+    it('enforces uniqueness across shared unique fields', async () => {
+      const id = `urn:uuid:${randomUUID()}`;
+      await profiles.insert({record: {
+        profile: {id, handle: 'judy', aliases: ['Judy2'], sequence: 0},
+        meta: {}
+      }});
+      let result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: 'judy2'});
+      result.profile.id.should.equal(id);
+
+      // another record cannot use an alias as its handle or an alias
+      const otherId = `urn:uuid:${randomUUID()}`;
+      for(const profile of [
+        {id: otherId, handle: 'JUDY2', sequence: 0},
+        {id: otherId, handle: 'kim', aliases: ['judy'], sequence: 0}
+      ]) {
+        let err;
+        try {
+          await profiles.insert({record: {profile, meta: {}}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DuplicateError');
+      }
+
+      // a record cannot use the same value twice
+      let err;
+      try {
+        await profiles.update({id, data: {
+          id, handle: 'judy', aliases: ['Judy2', 'JUDY'], sequence: 1
+        }});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+
+      // moving a value between fields keeps it; removing an alias frees it
+      await profiles.update(
+        {id, data: {id, handle: 'judy2', aliases: ['judy3'], sequence: 1}});
+      result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: 'judy3'});
+      result.profile.id.should.equal(id);
+      (await profiles.exists(
+        {uniqueField: 'handle', uniqueValue: 'judy'})).should.equal(false);
+      await profiles.update(
+        {id, data: {id, handle: 'judy2', aliases: [], sequence: 2}});
+      (await profiles.exists(
+        {uniqueField: 'handle', uniqueValue: 'judy3'})).should.equal(false);
+      (await profiles.exists(
+        {uniqueField: 'handle', uniqueValue: 'judy2'})).should.equal(true);
+    });
+    it('moves unique values between records atomically', async () => {
+      const id = `urn:uuid:${randomUUID()}`;
+      const otherId = `urn:uuid:${randomUUID()}`;
+      await profiles.insertMany({records: [
+        {profile: {id, handle: 'lena', aliases: ['lena2'], sequence: 0},
+          meta: {}},
+        {profile: {id: otherId, handle: 'mia', sequence: 0}, meta: {}}
+      ]});
+
+      // no update is applied if any of them fails
+      let err;
+      try {
+        await profiles.updateMany({updates: [
+          {id, data: {id, sequence: 1}},
+          {id: otherId, data: {
+            id: otherId, handle: 'mia', aliases: ['lena'], sequence: 5
+          }}
+        ]});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      let result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: 'lena'});
+      result.profile.id.should.equal(id);
+      result.profile.sequence.should.equal(0);
+
+      await profiles.updateMany({updates: [
+        {id, data: {id, sequence: 1}},
+        {id: otherId, data: {
+          id: otherId, handle: 'mia', aliases: ['Lena', 'lena2'], sequence: 1
+        }}
+      ]});
+      for(const uniqueValue of ['lena', 'lena2', 'mia']) {
+        result = await profiles.get({uniqueField: 'handle', uniqueValue});
+        result.profile.id.should.equal(otherId);
+      }
+      result = await profiles.get({id});
+      should.not.exist(result.profile.handle);
+      result.profile.sequence.should.equal(1);
+    });
+    it('changes the ID of a record', async () => {
+      const id = `urn:uuid:${randomUUID()}`;
+      await profiles.insert({record: {
+        profile: {id, handle: 'nina', aliases: ['nina2'], sequence: 0},
+        meta: {}
+      }});
+      const newId = `urn:uuid:${randomUUID()}`;
+      const record = await profiles.rekey({id, newId});
+      record.profile.id.should.equal(newId);
+      record.profile.sequence.should.equal(1);
+      for(const uniqueValue of ['nina', 'nina2']) {
+        const result = await profiles.get({uniqueField: 'handle', uniqueValue});
+        result.profile.id.should.equal(newId);
+      }
+      (await profiles.exists({id})).should.equal(false);
+
+      // a record cannot take the ID of another record
+      const otherId = `urn:uuid:${randomUUID()}`;
+      await profiles.insert(
+        {record: {profile: {id: otherId, sequence: 0}, meta: {}}});
+      let err;
+      try {
+        await profiles.rekey({id: newId, newId: otherId});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+      const result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: 'nina'});
+      result.profile.id.should.equal(newId);
+    });
+    it('reports consistent proxy records', async () => {
+      const report = await profiles.verifyIntegrity();
+      report.missing.length.should.equal(0);
+      report.orphaned.length.should.equal(0);
+      report.conflicting.length.should.equal(0);
+    });
+    it('exports createNormalizer', async () => {
+      const normalize = createNormalizer(['trim', 'lowercase']);
+      normalize(' Dave ').should.equal('dave');
+    });
+  });
+}
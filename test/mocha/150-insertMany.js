@@ -0,0 +1,189 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+import {randomUUID} from 'node:crypto';
+
+describe('insertMany', () => {
+  beforeEach(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+
+  it('inserts all accounts atomically', async () => {
+    const accounts = [
+      helpers.createAccount('0e2c4a6e-8f0b-4d2c-9e4a-6c8e0a2c4e6a@example.com'),
+      helpers.createAccount('1f3d5b7f-9a1c-4e3d-8f5b-7d9f1b3d5f7b@example.com'),
+      helpers.createAccount('2a4e6c8a-0b2d-4f4e-9a6c-8e0a2c4e6a8c@example.com')
+    ];
+    const {inserted, results} = await brAccount.insertMany({accounts});
+    inserted.should.equal(3);
+    results.map(r => r.id).should.deep.equal(accounts.map(a => a.id));
+    for(const result of results) {
+      result.inserted.should.equal(true);
+      result.record.meta.status.should.equal('active');
+    }
+
+    for(const account of accounts) {
+      const record = await brAccount.get({email: account.email});
+      record.account.id.should.equal(account.id);
+      const history = await brAccount.getHistory({id: account.id});
+      history.length.should.equal(1);
+      history[0].operation.should.equal('insert');
+    }
+    const records = await helpers.getCollection('account').find(
+      {'account.id': {$in: accounts.map(a => a.id)}}).toArray();
+    for(const record of records) {
+      should.not.exist(record._txn);
+      should.not.exist(record._pending);
+    }
+    const batches = await helpers.getCollection('account-batch')
+      .find({}).toArray();
+    batches.length.should.equal(0);
+  });
+  it('inserts no accounts if one is a duplicate', async () => {
+    const existing = mockData.accounts['alpha@example.com'].account;
+    const accounts = [
+      helpers.createAccount('3b5f7d9b-1c3e-4a5f-8b7d-9f1b3d5f7b9d@example.com'),
+      helpers.createAccount(existing.email),
+      helpers.createAccount('4c6a8e0c-2d4f-4b6a-9c8e-0a2c4e6a8c0e@example.com')
+    ];
+    let err;
+    try {
+      await brAccount.insertMany({accounts});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+    err.details.uniqueField.should.equal('email');
+
+    const count = await helpers.getCollection('account').countDocuments(
+      {'account.id': {$in: accounts.map(a => a.id)}});
+    count.should.equal(0);
+    const proxyCount = await helpers.getCollection('account-email')
+      .countDocuments({email: {$in: [accounts[0].email, accounts[2].email]}});
+    proxyCount.should.equal(0);
+    // existing account is unchanged
+    const record = await brAccount.get({email: existing.email});
+    record.account.id.should.equal(existing.id);
+  });
+  it('inserts no accounts if two share a unique value', async () => {
+    const email = '5d7b9f1d-3e5a-4c7b-8d9f-1b3d5f7b9d1f@example.com';
+    const accounts = [
+      helpers.createAccount(email),
+      helpers.createAccount(email.toUpperCase())
+    ];
+    accounts[0].username = 'Alice';
+    accounts[1].username = 'bob';
+    accounts.push(helpers.createAccount(
+      '6e8c0a2e-4f6b-4d8c-9e0a-2c4e6a8c0e2a@example.com'));
+    accounts[2].username = ' ALICE ';
+    let err;
+    try {
+      await brAccount.insertMany({accounts});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+    err.details.uniqueField.should.equal('username');
+
+    const count = await helpers.getCollection('account').countDocuments(
+      {'account.id': {$in: accounts.map(a => a.id)}});
+    count.should.equal(0);
+  });
+  it('reports each result in non-atomic mode', async () => {
+    const existing = mockData.accounts['alpha@example.com'].account;
+    const accounts = [
+      helpers.createAccount('7f9d1b3f-5a7c-4e9d-8f1b-3d5f7b9d1f3b@example.com'),
+      helpers.createAccount(existing.email),
+      helpers.createAccount('8a0e2c4a-6b8d-4f0e-9a2c-4e6a8c0e2a4c@example.com')
+    ];
+    const {inserted, results} = await brAccount.insertMany(
+      {accounts, atomic: false});
+    inserted.should.equal(2);
+    results.length.should.equal(3);
+    results[0].inserted.should.equal(true);
+    results[1].inserted.should.equal(false);
+    results[1].id.should.equal(accounts[1].id);
+    results[1].error.name.should.equal('DuplicateError');
+    results[1].uniqueField.should.equal('email');
+    results[2].inserted.should.equal(true);
+
+    (await brAccount.exists({id: accounts[0].id})).should.equal(true);
+    (await brAccount.exists({id: accounts[1].id})).should.equal(false);
+    (await brAccount.exists({id: accounts[2].id})).should.equal(true);
+  });
+  it('completes a staged account of a committed batch', async () => {
+    const email = '9b1f3d5b-7c9e-4a1f-8b3d-5f7b9d1f3b5d@example.com';
+    const {accountId} = await _createStagedAccount(
+      {email, batchStatus: 'committed'});
+
+    const record = await brAccount.get({email});
+    record.account.id.should.equal(accountId);
+    const dbRecord = await helpers.getCollection('account').findOne(
+      {'account.id': accountId});
+    should.not.exist(dbRecord._txn);
+    should.not.exist(dbRecord._pending);
+  });
+  it('rolls back a staged account of a pending batch', async () => {
+    const email = '0c2a4e6c-8d0f-4b2a-9c4e-6a8c0e2a4c6e@example.com';
+    const {accountId, batchId} = await _createStagedAccount(
+      {email, batchStatus: 'pending'});
+
+    let err;
+    try {
+      await brAccount.get({email});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+    const dbRecord = await helpers.getCollection('account').findOne(
+      {'account.id': accountId});
+    should.not.exist(dbRecord);
+    // batch can no longer be committed
+    const batch = await helpers.getCollection('account-batch').findOne(
+      {id: batchId});
+    batch.status.should.equal('rolledBack');
+  });
+  it('recovers an interrupted batch', async () => {
+    const email = '1d3b5f7d-9e1a-4c3b-8d5f-7b9d1f3b5d7f@example.com';
+    const {accountId, batchId} = await _createStagedAccount(
+      {email, batchStatus: 'pending'});
+
+    const counts = await brAccount.recoverTransactions({maxAge: 0});
+    counts.rolledBack.should.equal(1);
+    counts.batchesRemoved.should.equal(1);
+    const dbRecord = await helpers.getCollection('account').findOne(
+      {'account.id': accountId});
+    should.not.exist(dbRecord);
+    const batch = await helpers.getCollection('account-batch').findOne(
+      {id: batchId});
+    should.not.exist(batch);
+    await brAccount.insert({account: helpers.createAccount(email)});
+  });
+});
+
+async function _createStagedAccount({email, batchStatus}) {
+  const now = Date.now();
+  const batchId = randomUUID();
+  await helpers.getCollection('account-batch').insertOne(
+    {id: batchId, status: batchStatus, created: now});
+  const account = helpers.createAccount(email);
+  const txn = {
+    id: randomUUID(), type: 'insert', recordId: account.id, created: now,
+    batchId
+  };
+  await helpers.getCollection('account').insertOne({
+    account,
+    meta: {status: 'active', created: now, updated: now, sequence: 0},
+    _pending: true,
+    _txn: txn
+  });
+  await helpers.getCollection('account-email').insertOne(
+    {email, accountId: account.id, _txn: {...txn, op: 'insert'}});
+  return {accountId: account.id, batchId};
+}
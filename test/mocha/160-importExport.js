@@ -0,0 +1,228 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+
+describe('exportAccounts/importAccounts', () => {
+  beforeEach(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+
+  it('exports accounts as NDJSON', async () => {
+    const ndjson = await _readAll(brAccount.exportAccounts());
+    const lines = ndjson.trim().split('\n');
+    lines.length.should.equal(Object.keys(mockData.accounts).length);
+    for(const line of lines) {
+      const record = JSON.parse(line);
+      Object.keys(record).should.have.members(['account', 'meta']);
+      should.not.exist(record._id);
+      should.not.exist(record._txn);
+      const {account} = mockData.accounts[record.account.email];
+      record.account.should.deep.equal(account);
+    }
+  });
+  it('exports accounts that match a filter', async () => {
+    const {account} = mockData.accounts['alpha@example.com'];
+    await brAccount.setStatus({id: account.id, status: 'deleted'});
+
+    const ndjson = await _readAll(
+      brAccount.exportAccounts({filter: {status: 'deleted'}}));
+    const lines = ndjson.trim().split('\n');
+    lines.length.should.equal(1);
+    JSON.parse(lines[0]).account.id.should.equal(account.id);
+  });
+  it('throws error on an invalid filter', async () => {
+    let err;
+    try {
+      brAccount.exportAccounts({filter: {email: 'alpha@example.com'}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+  it('round trips exported accounts', async () => {
+    const ndjson = await _readAll(brAccount.exportAccounts());
+    const records = await helpers.getCollection('account').find(
+      {}, {projection: {_id: 0, account: 1, meta: 1}}).toArray();
+    await helpers.removeCollections();
+
+    const report = await brAccount.importAccounts({input: [ndjson]});
+    report.dryRun.should.equal(false);
+    report.processed.should.equal(records.length);
+    report.inserted.should.equal(records.length);
+    report.updated.should.equal(0);
+    report.skipped.should.equal(0);
+    report.conflicts.length.should.equal(0);
+    report.errors.length.should.equal(0);
+
+    for(const {account, meta} of records) {
+      const record = await brAccount.get({id: account.id});
+      record.account.should.deep.equal(account);
+      // `meta.updated` is set when the insert transaction completes
+      const {updated, ...rest} = meta;
+      record.meta.should.deep.equal({...rest, updated: record.meta.updated});
+      record.meta.updated.should.be.gte(updated);
+      // unique fields must be reserved again
+      const proxyRecord = await helpers.getCollection('account-email')
+        .findOne({email: account.email});
+      should.exist(proxyRecord);
+      proxyRecord.accountId.should.equal(account.id);
+      should.not.exist(proxyRecord._txn);
+    }
+  });
+  it('reads input split across chunks', async () => {
+    const email = '3e0d7f5a-2b84-4a4f-9d61-3c5a7e9b1d2f@example.com';
+    const account = helpers.createAccount(email);
+    const line = JSON.stringify({account, meta: _createMeta()});
+    const input = [
+      Buffer.from(line.slice(0, 10)), Buffer.from(`${line.slice(10)}\n`)
+    ];
+    const report = await brAccount.importAccounts({input});
+    report.inserted.should.equal(1);
+    const record = await brAccount.get({email});
+    record.account.id.should.equal(account.id);
+  });
+  it('does not write anything in dry run mode', async () => {
+    const {account: existing} = mockData.accounts['alpha@example.com'];
+    const email = '8a1c4e7b-5d2f-4b8a-9e3c-6f0d2a5b8c1e@example.com';
+    const account = helpers.createAccount(email);
+    const input = [
+      `${JSON.stringify({account, meta: _createMeta()})}\n`,
+      `${JSON.stringify({account: existing, meta: _createMeta()})}\n`
+    ];
+    const report = await brAccount.importAccounts({input, dryRun: true});
+    report.dryRun.should.equal(true);
+    report.processed.should.equal(2);
+    report.inserted.should.equal(1);
+    report.conflicts.length.should.equal(1);
+    report.conflicts[0].lineNumber.should.equal(2);
+    report.conflicts[0].uniqueField.should.equal('id');
+
+    const exists = await brAccount.exists({id: account.id});
+    exists.should.equal(false);
+  });
+  it('reports a unique field conflict in dry run mode', async () => {
+    const {account: existing} = mockData.accounts['alpha@example.com'];
+    const account = helpers.createAccount(existing.email);
+    const input = [`${JSON.stringify({account, meta: _createMeta()})}\n`];
+    const report = await brAccount.importAccounts({input, dryRun: true});
+    report.inserted.should.equal(0);
+    report.conflicts.length.should.equal(1);
+    report.conflicts[0].should.deep.equal({
+      lineNumber: 1, id: account.id,
+      uniqueField: 'email', uniqueValue: existing.email
+    });
+  });
+  it('reports a unique field conflict', async () => {
+    const {account: existing} = mockData.accounts['alpha@example.com'];
+    const account = helpers.createAccount(existing.email);
+    const input = [`${JSON.stringify({account, meta: _createMeta()})}\n`];
+    const report = await brAccount.importAccounts({input});
+    report.inserted.should.equal(0);
+    report.conflicts.length.should.equal(1);
+    report.conflicts[0].id.should.equal(account.id);
+    report.conflicts[0].uniqueField.should.equal('email');
+
+    const exists = await brAccount.exists({id: account.id});
+    exists.should.equal(false);
+  });
+  it('upserts accounts with a greater sequence', async () => {
+    const email = '5b2d8f1a-7c3e-4d9b-8a6f-2e4c6a8d0f1b@example.com';
+    const account = helpers.createAccount(email);
+    await brAccount.insert({account});
+    const {meta} = await brAccount.get({id: account.id});
+
+    const updated = {...account, displayName: 'Imported'};
+    const stale = {...account, displayName: 'Stale'};
+    const input = [
+      `${JSON.stringify({account: stale, meta})}\n`,
+      `${JSON.stringify({account: updated, meta: {...meta, sequence: 5}})}\n`
+    ];
+    const report = await brAccount.importAccounts({input, upsert: true});
+    report.processed.should.equal(2);
+    report.skipped.should.equal(1);
+    report.updated.should.equal(1);
+    report.conflicts.length.should.equal(0);
+
+    const record = await brAccount.get({id: account.id});
+    record.account.displayName.should.equal('Imported');
+    record.meta.sequence.should.equal(meta.sequence + 1);
+  });
+  it('reports invalid lines as errors', async () => {
+    const email = '9c3e5a7b-1d2f-4e6a-8b9c-0d1e2f3a4b5c@example.com';
+    const account = helpers.createAccount(email);
+    const input = [
+      '{not json\n',
+      '\n',
+      `${JSON.stringify({account: {email}, meta: _createMeta()})}\n`,
+      `${JSON.stringify({account, meta: {status: 'active'}})}\n`,
+      `${JSON.stringify({account})}\n`,
+      `${JSON.stringify({account, meta: _createMeta()})}\n`
+    ];
+    const report = await brAccount.importAccounts({input});
+    report.processed.should.equal(5);
+    report.inserted.should.equal(1);
+    report.errors.length.should.equal(4);
+    report.errors.map(e => e.lineNumber).should.deep.equal([1, 3, 4, 5]);
+    report.errors[0].error.name.should.equal('SyntaxError');
+    report.errors[2].error.name.should.equal('ValidationError');
+    // a line without `meta` is rejected
+    report.errors[3].id.should.equal(account.id);
+    report.errors[3].error.name.should.equal('AssertionError');
+  });
+  it('reports progress', async () => {
+    const input = [];
+    for(let i = 0; i < 3; ++i) {
+      const account = helpers.createAccount(
+        `progress-${i}-7d4b2e9a@example.com`);
+      input.push(`${JSON.stringify({account, meta: _createMeta()})}\n`);
+    }
+
+    const {import: importConfig} = bedrock.config.account;
+    const {progressInterval} = importConfig;
+    importConfig.progressInterval = 2;
+    const progress = [];
+    try {
+      await brAccount.importAccounts({
+        input, onProgress: p => progress.push(p)
+      });
+    } finally {
+      importConfig.progressInterval = progressInterval;
+    }
+
+    progress.length.should.equal(2);
+    progress[0].should.deep.equal({
+      processed: 2, inserted: 2, updated: 0, skipped: 0,
+      conflicts: 0, errors: 0
+    });
+    progress[1].processed.should.equal(3);
+    progress[1].inserted.should.equal(3);
+  });
+  it('throws error on non-iterable input', async () => {
+    let err;
+    try {
+      await brAccount.importAccounts({input: 42});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+});
+
+async function _readAll(stream) {
+  let data = '';
+  for await (const chunk of stream) {
+    data += chunk;
+  }
+  return data;
+}
+
+function _createMeta() {
+  const now = Date.now();
+  return {status: 'active', created: now, updated: now, sequence: 0};
+}
@@ -0,0 +1,143 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+
+describe('verifyIntegrity', () => {
+  beforeEach(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+
+  it('reports no inconsistencies', async () => {
+    const report = await brAccount.verifyIntegrity();
+    const count = Object.keys(mockData.accounts).length;
+    report.records.should.equal(count);
+    report.proxyRecords.should.equal(count);
+    report.skipped.should.equal(0);
+    report.missing.length.should.equal(0);
+    report.orphaned.length.should.equal(0);
+    report.conflicting.length.should.equal(0);
+  });
+  it('reports and repairs a missing mapping', async () => {
+    const {account} = mockData.accounts['alpha@example.com'];
+    await helpers.getCollection('account-email').deleteOne(
+      {email: account.email});
+
+    let report = await brAccount.verifyIntegrity();
+    report.missing.should.deep.equal([{
+      uniqueField: 'email', uniqueValue: account.email, recordId: account.id
+    }]);
+    let proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email: account.email});
+    should.not.exist(proxyRecord);
+
+    report = await brAccount.verifyIntegrity({repair: true});
+    report.missing.length.should.equal(1);
+    report.missing[0].repaired.should.equal(true);
+    proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email: account.email});
+    should.exist(proxyRecord);
+    proxyRecord.accountId.should.equal(account.id);
+    should.not.exist(proxyRecord._txn);
+
+    report = await brAccount.verifyIntegrity();
+    report.missing.length.should.equal(0);
+  });
+  it('reports and repairs an orphaned mapping', async () => {
+    const email = 'b7e4d2a1-3c5f-4a8b-9d0e-1f2a3b4c5d6e@example.com';
+    const accountId = 'urn:uuid:16f5c1a2-0d3e-4b4f-8a5b-6c7d8e9f0a1b';
+    await helpers.getCollection('account-email').insertOne({email, accountId});
+
+    let report = await brAccount.verifyIntegrity();
+    report.orphaned.should.deep.equal([
+      {uniqueField: 'email', uniqueValue: email, recordId: accountId}
+    ]);
+
+    report = await brAccount.verifyIntegrity({repair: true});
+    report.orphaned.length.should.equal(1);
+    report.orphaned[0].repaired.should.equal(true);
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email});
+    should.not.exist(proxyRecord);
+
+    // email can be used again
+    await brAccount.insert({account: helpers.createAccount(email)});
+  });
+  it('repairs an account email changed by hand', async () => {
+    const email = 'c8f5e3b2-4d6a-4b9c-8e1f-2a3b4c5d6e7f@example.com';
+    const newEmail = 'd9a6f4c3-5e7b-4c0d-9f2a-3b4c5d6e7f8a@example.com';
+    const account = helpers.createAccount(email);
+    await brAccount.insert({account});
+    await helpers.getCollection('account').updateOne(
+      {'account.id': account.id}, {$set: {'account.email': newEmail}});
+
+    const report = await brAccount.verifyIntegrity({repair: true});
+    report.missing.length.should.equal(1);
+    report.missing[0].uniqueValue.should.equal(newEmail);
+    report.missing[0].repaired.should.equal(true);
+    report.orphaned.length.should.equal(1);
+    report.orphaned[0].uniqueValue.should.equal(email);
+    report.orphaned[0].repaired.should.equal(true);
+
+    const record = await brAccount.get({email: newEmail});
+    record.account.id.should.equal(account.id);
+    const exists = await brAccount.exists({email});
+    exists.should.equal(false);
+  });
+  it('reports and repairs a conflicting mapping', async () => {
+    const email = 'e0b7a5d4-6f8c-4d1e-8a3b-4c5d6e7f8a9b@example.com';
+    const account = helpers.createAccount(email);
+    await brAccount.insert({account});
+    const otherId = 'urn:uuid:27a6d2b3-1e4f-4c5a-9b6c-7d8e9f0a1b2c';
+    await helpers.getCollection('account-email').updateOne(
+      {email}, {$set: {accountId: otherId}});
+
+    let report = await brAccount.verifyIntegrity();
+    report.conflicting.should.deep.equal([{
+      uniqueField: 'email', uniqueValue: email, recordId: account.id,
+      otherRecordId: otherId
+    }]);
+    // a conflicting mapping is not also reported as orphaned
+    report.orphaned.length.should.equal(0);
+
+    report = await brAccount.verifyIntegrity({repair: true});
+    report.conflicting.length.should.equal(1);
+    report.conflicting[0].repaired.should.equal(true);
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email});
+    proxyRecord.accountId.should.equal(account.id);
+    should.not.exist(proxyRecord._txn);
+  });
+  it('does not repair a value used by two accounts', async () => {
+    const {account: existing} = mockData.accounts['alpha@example.com'];
+    const email = 'f1c8b6e5-7a9d-4e2f-9b4c-5d6e7f8a9b0c@example.com';
+    const account = helpers.createAccount(email);
+    await brAccount.insert({account});
+    await helpers.getCollection('account').updateOne(
+      {'account.id': account.id}, {$set: {'account.email': existing.email}});
+
+    const report = await brAccount.verifyIntegrity({repair: true});
+    report.conflicting.length.should.equal(1);
+    report.conflicting[0].recordId.should.equal(account.id);
+    report.conflicting[0].otherRecordId.should.equal(existing.id);
+    report.conflicting[0].repaired.should.equal(false);
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email: existing.email});
+    proxyRecord.accountId.should.equal(existing.id);
+  });
+  it('skips accounts with pending transactions', async () => {
+    const email = 'a2d9c7f6-8b0e-4f3a-8c5d-6e7f8a9b0c1d@example.com';
+    const account = helpers.createAccount(email);
+    await brAccount.insert({account});
+    await helpers.createFakeTransaction({
+      accountId: account.id, type: 'update', committed: false
+    });
+
+    const report = await brAccount.verifyIntegrity();
+    report.skipped.should.equal(1);
+    report.missing.length.should.equal(0);
+    report.orphaned.length.should.equal(0);
+  });
+});
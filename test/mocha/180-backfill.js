@@ -0,0 +1,121 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+
+describe('backfillUniqueField', () => {
+  let accounts;
+  beforeEach(async () => {
+    await helpers.prepareDatabase(mockData);
+    // simulate accounts that were inserted before `username` was unique
+    accounts = [];
+    for(const name of ['backfill-a', 'backfill-b', 'backfill-c']) {
+      const account = helpers.createAccount(`${name}@example.com`);
+      account.username = name;
+      await brAccount.insert({account});
+      accounts.push(account);
+    }
+    await helpers.removeCollection('account-username');
+  });
+
+  it('backfills a unique field in batches', async () => {
+    const checkpoints = [];
+    const report = await brAccount.backfillUniqueField({
+      uniqueField: 'username', batchSize: 2,
+      onCheckpoint: ({after, report}) => checkpoints.push(
+        {after, processed: report.processed})
+    });
+    const total = Object.keys(mockData.accounts).length + accounts.length;
+    report.uniqueField.should.equal('username');
+    report.processed.should.equal(total);
+    report.inserted.should.equal(accounts.length);
+    report.existing.should.equal(0);
+    report.skipped.should.equal(total - accounts.length);
+    report.duplicates.length.should.equal(0);
+    checkpoints.length.should.equal(Math.ceil(total / 2));
+    checkpoints.at(-1).after.should.equal(report.after);
+    checkpoints.at(-1).processed.should.equal(total);
+
+    for(const account of accounts) {
+      const record = await brAccount.get({username: account.username});
+      record.account.id.should.equal(account.id);
+      const proxyRecord = await helpers.getCollection('account-username')
+        .findOne({username: account.username});
+      should.not.exist(proxyRecord._txn);
+    }
+    // usernames are now reserved
+    const account = helpers.createAccount('backfill-d@example.com');
+    account.username = 'BACKFILL-A';
+    let err;
+    try {
+      await brAccount.insert({account});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+  });
+  it('reports existing mappings', async () => {
+    await brAccount.backfillUniqueField({uniqueField: 'username'});
+    const report = await brAccount.backfillUniqueField(
+      {uniqueField: 'username'});
+    report.inserted.should.equal(0);
+    report.existing.should.equal(accounts.length);
+  });
+  it('resumes from a checkpoint', async () => {
+    let checkpoint;
+    let err;
+    try {
+      await brAccount.backfillUniqueField({
+        uniqueField: 'username', batchSize: 2,
+        onCheckpoint: ({after}) => {
+          checkpoint = after;
+          throw new Error('interrupted');
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.exist(checkpoint);
+
+    const report = await brAccount.backfillUniqueField(
+      {uniqueField: 'username', after: checkpoint});
+    const total = Object.keys(mockData.accounts).length + accounts.length;
+    report.processed.should.equal(total - 2);
+    for(const account of accounts) {
+      const exists = await brAccount.exists({username: account.username});
+      exists.should.equal(true);
+    }
+  });
+  it('reports duplicates in existing accounts', async () => {
+    // give two accounts the same normalized username
+    const [first, second] = [accounts[0], accounts[1]].sort(
+      (a, b) => a.id < b.id ? -1 : 1);
+    await helpers.getCollection('account').updateOne(
+      {'account.id': second.id},
+      {$set: {'account.username': ` ${first.username.toUpperCase()}`}});
+
+    const report = await brAccount.backfillUniqueField(
+      {uniqueField: 'username'});
+    report.inserted.should.equal(accounts.length - 1);
+    report.duplicates.should.deep.equal([{
+      uniqueField: 'username', uniqueValue: first.username,
+      recordId: second.id, otherRecordId: first.id
+    }]);
+    const record = await brAccount.get({username: first.username});
+    record.account.id.should.equal(first.id);
+  });
+  it('throws error on a field that is not unique', async () => {
+    let err;
+    try {
+      await brAccount.backfillUniqueField({uniqueField: 'displayName'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+});
@@ -0,0 +1,135 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {getAccountStorage, RecordCollection} from '@bedrock/account/storage';
+import {randomUUID} from 'node:crypto';
+
+const WRITE_METHODS = [
+  'insertOne', 'insertMany', 'updateOne', 'updateMany', 'deleteOne',
+  'deleteMany'
+];
+
+describe('insert without unique fields', () => {
+  let profiles;
+  before(async () => {
+    profiles = new RecordCollection({
+      collectionName: 'profile',
+      uniqueFields: ['handle'],
+      storage: getAccountStorage()
+    });
+    await profiles.initialize();
+  });
+  beforeEach(async () => {
+    await helpers.removeCollections(['profile', 'profile-handle']);
+  });
+
+  it('uses fewer writes than a transaction', async () => {
+    const count = 20;
+    const withoutHandle = await _countWrites({
+      collectionNames: ['profile', 'profile-handle'],
+      fn: async () => {
+        for(let i = 0; i < count; ++i) {
+          await profiles.insert({record: _createRecord()});
+        }
+      }
+    });
+    const withHandle = await _countWrites({
+      collectionNames: ['profile', 'profile-handle'],
+      fn: async () => {
+        for(let i = 0; i < count; ++i) {
+          await profiles.insert(
+            {record: _createRecord({handle: `handle-${i}`})});
+        }
+      }
+    });
+    // one write per record vs. a pending insert, proxy insert, commit, and
+    // completion writes per record
+    withoutHandle.should.equal(count);
+    withHandle.should.be.gte(count * 4);
+
+    const records = await helpers.getCollection('profile').find(
+      {'profile.handle': {$exists: false}}).toArray();
+    records.length.should.equal(count);
+    for(const record of records) {
+      should.not.exist(record._txn);
+      should.not.exist(record._pending);
+    }
+  });
+  it('throws a duplicate error for an existing record', async () => {
+    const record = _createRecord();
+    await profiles.insert({record});
+    let err;
+    try {
+      await profiles.insert({record: _createRecord({id: record.profile.id})});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+    err.details.uniqueField.should.equal('id');
+  });
+  it('processes a pending transaction on a duplicate record', async () => {
+    // simulate an interrupted insert of a record with the same ID
+    const record = _createRecord();
+    const txn = {id: randomUUID(), type: 'insert', recordId: record.profile.id};
+    await helpers.getCollection('profile').insertOne(
+      {...record, _pending: true, _txn: txn});
+
+    const newRecord = {
+      ...record, profile: {...record.profile, name: 'replacement'}
+    };
+    const result = await profiles.insert({record: newRecord});
+    result.should.equal(newRecord);
+    should.not.exist(result._id);
+
+    const stored = await profiles.get({id: record.profile.id});
+    stored.profile.name.should.equal('replacement');
+  });
+  it('uses a transaction if history is enabled', async () => {
+    const history = new RecordCollection({
+      collectionName: 'profile',
+      uniqueFields: ['handle'],
+      history: true,
+      storage: getAccountStorage()
+    });
+    await history.initialize();
+    const writes = await _countWrites({
+      collectionNames: ['profile'],
+      fn: () => history.insert({record: _createRecord()})
+    });
+    writes.should.be.gt(1);
+    await helpers.removeCollection('profile-history');
+  });
+});
+
+function _createRecord({id = `urn:uuid:${randomUUID()}`, handle} = {}) {
+  const profile = {id, sequence: 0};
+  if(handle !== undefined) {
+    profile.handle = handle;
+  }
+  return {profile, meta: {}};
+}
+
+// counts the writes made to the given collections while running `fn`
+async function _countWrites({collectionNames, fn}) {
+  let count = 0;
+  const restores = [];
+  for(const collectionName of collectionNames) {
+    const collection = helpers.getCollection(collectionName);
+    for(const method of WRITE_METHODS) {
+      const original = collection[method];
+      collection[method] = function(...args) {
+        count++;
+        return original.apply(this, args);
+      };
+      restores.push(() => delete collection[method]);
+    }
+  }
+  try {
+    await fn();
+  } finally {
+    restores.forEach(restore => restore());
+  }
+  return count;
+}
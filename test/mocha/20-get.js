@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2018-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as brAccount from '@bedrock/account';
 import * as helpers from './helpers.js';
@@ -75,6 +75,48 @@ describe('get', () => {
     record.account.email.should.equal(account.email);
     record.meta.status.should.equal('active');
   });
+  it('gets existing account by phone number', async () => {
+    const newAccount = helpers.createAccount(
+      '3c6f6d2e-1a7b-4bde-9a9d-5f5a1a8d8c11@example.com');
+    newAccount.phoneNumber = '+15555550110';
+    await brAccount.insert({account: newAccount});
+    const record = await brAccount.get({phoneNumber: newAccount.phoneNumber});
+    should.exist(record);
+    record.should.have.keys(['account', 'meta']);
+    record.account.id.should.equal(newAccount.id);
+    record.account.phoneNumber.should.equal(newAccount.phoneNumber);
+  });
+  it('throws error on non-existent phone number', async () => {
+    let err;
+    try {
+      await brAccount.get({phoneNumber: '+15555550111'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+  it('throws error on a non-unique field', async () => {
+    let err;
+    try {
+      await brAccount.get({foo: 'bar'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+  it('throws error when multiple unique fields are given', async () => {
+    const {account} = accounts['alpha@example.com'];
+    let err;
+    try {
+      await brAccount.get({email: account.email, phoneNumber: '+15555550112'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.include('Only one unique field');
+  });
   it('throws error on non-matching ID and email', async () => {
     const {account} = accounts['alpha@example.com'];
     let err;
@@ -89,6 +131,12 @@ describe('get', () => {
 
   describe('indexes', () => {
     let accountId;
+    before(function() {
+      // only MongoDB has query plans that use indexes
+      if(!helpers.isMongoStorage()) {
+        this.skip();
+      }
+    });
     // NOTE: the accounts collection is getting erased before each test
     // this allows for the creation of tokens using the same account info
     beforeEach(async () => {
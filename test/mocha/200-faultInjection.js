@@ -0,0 +1,191 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {FaultInjector, STEPS} from '@bedrock/account/testing';
+import {randomUUID} from 'node:crypto';
+import {RecordCollection} from '@bedrock/account/storage';
+
+// the same tests are run against every storage backend
+const BACKENDS = helpers.getStorageBackends();
+
+// steps at which a transaction can be interrupted before it is resolved
+const INTERRUPTIBLE_STEPS = STEPS.filter(step => step !== 'rollback');
+
+for(const {name, createStorage} of BACKENDS) {
+  describe(`fault injection (${name})`, () => {
+    let profiles;
+    let injector;
+    beforeEach(async () => {
+      const storage = createStorage();
+      profiles = new RecordCollection({
+        collectionName: 'profile',
+        uniqueFields: ['handle'],
+        storage
+      });
+      await profiles.initialize();
+      for(const collectionName of ['profile', 'profile-handle']) {
+        await storage.getCollection(collectionName).deleteMany({});
+      }
+      injector = new FaultInjector();
+      injector.attach(profiles);
+    });
+    afterEach(async () => {
+      injector.reset();
+      injector.detach(profiles);
+    });
+
+    for(const step of INTERRUPTIBLE_STEPS) {
+      it(`recovers an insert that crashed at "${step}"`, async () => {
+        const fault = injector.crash({step, type: 'insert'});
+        const first = _createRecord({handle: 'x'});
+        profiles.insert({record: first});
+        await fault.reached;
+        await injector.assertInvariants({recordCollection: profiles});
+
+        // a competing insert either wins or sees the committed value
+        const second = _createRecord({handle: 'x'});
+        const error = await _getError(profiles.insert({record: second}));
+        const owner = await profiles.get(
+          {uniqueField: 'handle', uniqueValue: 'x'});
+        if(step === 'complete') {
+          // crashed after commit; the first insert must be kept
+          should.exist(error);
+          error.name.should.equal('DuplicateError');
+          owner.profile.id.should.equal(first.profile.id);
+        } else {
+          should.not.exist(error);
+          owner.profile.id.should.equal(second.profile.id);
+        }
+
+        await injector.recoverAll({recordCollection: profiles});
+        await injector.assertInvariants(
+          {recordCollection: profiles, quiesced: true});
+      });
+      it(`resumes an insert stalled at "${step}" after recovery`, async () => {
+        const fault = injector.pause({step, type: 'insert'});
+        const record = _createRecord({handle: 'y'});
+        const promise = profiles.insert({record});
+        await fault.reached;
+        // another process assumes the stalled process has crashed
+        await profiles.recoverTransactions({maxAge: 0});
+        fault.resume();
+        await promise;
+
+        const result = await profiles.get(
+          {uniqueField: 'handle', uniqueValue: 'y'});
+        result.profile.id.should.equal(record.profile.id);
+        await injector.recoverAll({recordCollection: profiles});
+        await injector.assertInvariants(
+          {recordCollection: profiles, quiesced: true});
+      });
+      it(`recovers a delete that crashed at "${step}"`, async () => {
+        const record = _createRecord({handle: 'z'});
+        await profiles.insert({record});
+        const fault = injector.crash({step, type: 'delete'});
+        profiles.delete({id: record.profile.id});
+        await fault.reached;
+        await injector.assertInvariants({recordCollection: profiles});
+
+        const error = await _getError(
+          profiles.insert({record: _createRecord({handle: 'z'})}));
+        const exists = await profiles.exists({id: record.profile.id});
+        if(step === 'complete') {
+          // crashed after commit; the delete must be kept
+          should.not.exist(error);
+          exists.should.equal(false);
+        } else {
+          should.exist(error);
+          error.name.should.equal('DuplicateError');
+          exists.should.equal(true);
+        }
+
+        await injector.recoverAll({recordCollection: profiles});
+        await injector.assertInvariants(
+          {recordCollection: profiles, quiesced: true});
+      });
+    }
+    it('resolves a change left by an earlier transaction', async () => {
+      // simulate a stalled process that wrote its proxy change after its
+      // insert was rolled back by recovery
+      const record = _createRecord({handle: 't'});
+      const {id} = record.profile;
+      await profiles.storage.getCollection('profile-handle').insertOne({
+        handle: 't', profileId: id,
+        _txn: {id: randomUUID(), type: 'insert', recordId: id, op: 'insert'}
+      });
+
+      // retrying the insert with the same ID must not roll itself back
+      await profiles.insert({record});
+      const result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: 't'});
+      result.profile.id.should.equal(id);
+      await injector.assertInvariants(
+        {recordCollection: profiles, quiesced: true});
+    });
+    it('handles concurrent updates to a paused update', async () => {
+      const record = _createRecord({handle: 'u1'});
+      await profiles.insert({record});
+      const {id} = record.profile;
+      const fault = injector.pause({step: 'proxyUpdate', type: 'update'});
+      const promise = profiles.update(
+        {id, data: {...record.profile, handle: 'u2', sequence: 1}});
+      await fault.reached;
+
+      // a concurrent update rolls back the paused update
+      await profiles.update(
+        {id, data: {...record.profile, handle: 'u3', sequence: 1}});
+      await profiles.insert({record: _createRecord({handle: 'u2'})});
+      fault.resume();
+      const error = await _getError(promise);
+      should.exist(error);
+
+      const result = await profiles.get({id});
+      result.profile.handle.should.equal('u3');
+      await injector.recoverAll({recordCollection: profiles});
+      await injector.assertInvariants(
+        {recordCollection: profiles, quiesced: true});
+    });
+    it('recovers a failed commit that crashed during rollback', async () => {
+      injector.fail({step: 'commit', type: 'insert'});
+      const fault = injector.crash({step: 'rollback', type: 'insert'});
+      profiles.insert({record: _createRecord({handle: 'w'})});
+      await fault.reached;
+      await injector.assertInvariants({recordCollection: profiles});
+
+      const record = _createRecord({handle: 'w'});
+      await profiles.insert({record});
+      const result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: 'w'});
+      result.profile.id.should.equal(record.profile.id);
+      await injector.recoverAll({recordCollection: profiles});
+      await injector.assertInvariants(
+        {recordCollection: profiles, quiesced: true});
+    });
+    it('reports violated invariants', async () => {
+      const record = _createRecord({handle: 'v'});
+      await profiles.insert({record});
+      await profiles.storage.getCollection('profile-handle').deleteMany({});
+      const error = await _getError(
+        injector.assertInvariants({recordCollection: profiles}));
+      should.exist(error);
+      error.name.should.equal('InvariantError');
+      error.violations.should.have.length(1);
+      error.violations[0].kind.should.equal('missing');
+      error.violations[0].recordId.should.equal(record.profile.id);
+    });
+  });
+}
+
+function _createRecord({handle}) {
+  const id = `urn:uuid:${randomUUID()}`;
+  return {profile: {id, handle, sequence: 0}, meta: {}};
+}
+
+async function _getError(promise) {
+  try {
+    await promise;
+  } catch(e) {
+    return e;
+  }
+}
@@ -0,0 +1,201 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {
+  getAccountInstrumentation, MetricsRecorder, RecordCollection,
+  setAccountInstrumentation
+} from '@bedrock/account/storage';
+import {FaultInjector} from '@bedrock/account/testing';
+import {randomUUID} from 'node:crypto';
+
+// the same tests are run against every storage backend
+const BACKENDS = helpers.getStorageBackends();
+
+for(const {name, createStorage} of BACKENDS) {
+  describe(`instrumentation (${name})`, () => {
+    let profiles;
+    let metrics;
+    let tracer;
+    let injector;
+    beforeEach(async () => {
+      const storage = createStorage();
+      metrics = new MetricsRecorder();
+      tracer = _createTracer();
+      profiles = new RecordCollection({
+        collectionName: 'profile',
+        uniqueFields: ['handle'],
+        storage, metrics, tracer
+      });
+      await profiles.initialize();
+      for(const collectionName of ['profile', 'profile-handle']) {
+        await storage.getCollection(collectionName).deleteMany({});
+      }
+      injector = new FaultInjector();
+      injector.attach(profiles);
+    });
+    afterEach(async () => {
+      injector.reset();
+      injector.detach(profiles);
+    });
+
+    it('records the metrics of a transaction', async () => {
+      const record = _createRecord({handle: 'a'});
+      await profiles.insert({record});
+      await profiles.update({
+        id: record.profile.id,
+        data: {...record.profile, handle: 'b', sequence: 1}
+      });
+
+      metrics.getCount({name: 'transactions'}).should.equal(2);
+      metrics.getCount(
+        {name: 'transactions', attributes: {type: 'insert'}}).should.equal(1);
+      metrics.getCount(
+        {name: 'transactions', attributes: {type: 'update'}}).should.equal(1);
+      metrics.getCount({name: 'aborts'}).should.equal(0);
+      metrics.getCount({name: 'retries'}).should.equal(0);
+      metrics.getCount({name: 'rollbacks'}).should.equal(0);
+
+      const {counters, observations} = metrics.getSnapshot();
+      for(const counter of counters) {
+        counter.attributes.collection.should.equal('profile');
+      }
+      const steps = observations
+        .filter(o => o.name === 'stepDuration' &&
+          o.attributes.type === 'insert')
+        .map(o => o.attributes.step);
+      steps.should.have.members(['init', 'proxyUpdate', 'commit', 'complete']);
+      for(const observation of observations) {
+        observation.count.should.equal(1);
+        observation.min.should.be.gte(0);
+      }
+    });
+    it('counts rollbacks and completion failures', async () => {
+      injector.fail({step: 'commit', type: 'insert'});
+      let err;
+      try {
+        await profiles.insert({record: _createRecord({handle: 'c'})});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      metrics.getCount(
+        {name: 'rollbacks', attributes: {type: 'insert'}}).should.equal(1);
+
+      injector.fail({step: 'complete', type: 'insert'});
+      await profiles.insert({record: _createRecord({handle: 'd'})});
+      metrics.getCount({
+        name: 'completionFailures', attributes: {type: 'insert'}
+      }).should.equal(1);
+    });
+    it('counts blocked proxy records', async () => {
+      // a crashed insert leaves a pending proxy record that blocks another
+      const fault = injector.crash({step: 'commit', type: 'insert'});
+      profiles.insert({record: _createRecord({handle: 'e'})});
+      await fault.reached;
+      await profiles.insert({record: _createRecord({handle: 'e'})});
+
+      metrics.getCount({
+        name: 'blockedProxyRecords',
+        attributes: {uniqueField: 'handle', resolution: 'processed'}
+      }).should.equal(1);
+    });
+    it('counts aborts and retries', async () => {
+      // a stalled insert is rolled back by recovery and must be retried
+      const fault = injector.pause({step: 'proxyUpdate', type: 'insert'});
+      const promise = profiles.insert({record: _createRecord({handle: 'f'})});
+      await fault.reached;
+      await profiles.recoverTransactions({maxAge: 0});
+      fault.resume();
+      await promise;
+
+      metrics.getCount(
+        {name: 'aborts', attributes: {type: 'insert'}}).should.equal(1);
+      metrics.getCount(
+        {name: 'retries', attributes: {method: 'insert'}}).should.equal(1);
+      metrics.getCount({
+        name: 'blockedProxyRecords',
+        attributes: {uniqueField: 'handle', resolution: 'orphaned'}
+      }).should.equal(1);
+    });
+    it('starts a span for each transaction step', async () => {
+      const record = _createRecord({handle: 'g'});
+      await profiles.insert({record});
+
+      tracer.spans.map(({name}) => name).should.eql([
+        'profile.init', 'profile.proxyUpdate', 'profile.commit',
+        'profile.complete'
+      ]);
+      for(const span of tracer.spans) {
+        span.ended.should.equal(true);
+        span.attributes['txn.type'].should.equal('insert');
+        span.attributes['txn.recordId'].should.equal(record.profile.id);
+        should.not.exist(span.status);
+      }
+    });
+    it('records errors in spans', async () => {
+      const error = new Error('injected');
+      injector.fail({step: 'commit', type: 'insert', error});
+      try {
+        await profiles.insert({record: _createRecord({handle: 'h'})});
+      } catch(e) {}
+
+      const span = tracer.spans.find(({name}) => name === 'profile.commit');
+      span.ended.should.equal(true);
+      span.exceptions.should.eql([error]);
+      span.status.code.should.equal(2);
+    });
+  });
+}
+
+describe('account instrumentation', () => {
+  it('records the metrics of account transactions', async () => {
+    const {metrics} = getAccountInstrumentation();
+    const before = metrics.getCount(
+      {name: 'transactions', attributes: {collection: 'account'}});
+    await brAccount.insert(
+      {account: helpers.createAccount(`${randomUUID()}@example.com`)});
+    metrics.getCount(
+      {name: 'transactions', attributes: {collection: 'account'}})
+      .should.equal(before + 1);
+  });
+  it('cannot be set once it has been used', async () => {
+    let err;
+    try {
+      setAccountInstrumentation({metrics: new MetricsRecorder()});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+  });
+});
+
+function _createRecord({handle}) {
+  const id = `urn:uuid:${randomUUID()}`;
+  return {profile: {id, handle, sequence: 0}, meta: {}};
+}
+
+// creates a minimal OpenTelemetry-compatible tracer that keeps every span
+function _createTracer() {
+  const spans = [];
+  return {
+    spans,
+    startSpan(name, {attributes} = {}) {
+      const span = {
+        name, attributes, exceptions: [], ended: false,
+        recordException(e) {
+          this.exceptions.push(e);
+        },
+        setStatus(status) {
+          this.status = status;
+        },
+        end() {
+          this.ended = true;
+        }
+      };
+      spans.push(span);
+      return span;
+    }
+  };
+}
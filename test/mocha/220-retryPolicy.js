@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {randomUUID} from 'node:crypto';
+import {RecordCollection} from '@bedrock/account/storage';
+
+// the same tests are run against every storage backend
+const BACKENDS = helpers.getStorageBackends();
+
+for(const {name, createStorage} of BACKENDS) {
+  describe(`retry policy (${name})`, () => {
+    let storage;
+    beforeEach(async () => {
+      storage = createStorage();
+    });
+
+    it('throws a TimeoutError after "maxAttempts"', async () => {
+      const profiles = await _createProfiles({
+        storage,
+        retryPolicy: {
+          maxAttempts: 3, backoff: {initialDelay: 0, maxDelay: 0}
+        }
+      });
+      const record = _createRecord({handle: 'a'});
+      await profiles.insert({record});
+
+      let commits = 0;
+      profiles.stepHook = _conflictAt({
+        step: 'commit', onConflict: () => commits++
+      });
+      const {id} = record.profile;
+      const err = await _getError(profiles.update(
+        {id, data: {...record.profile, handle: 'b', sequence: 1}}));
+      should.exist(err);
+      err.name.should.equal('TimeoutError');
+      err.details.operation.should.equal('update');
+      err.details.recordId.should.equal(id);
+      err.details.attempts.should.equal(3);
+      err.details.reason.should.equal('maxAttempts');
+      err.details.httpStatusCode.should.equal(503);
+      err.details.public.should.equal(true);
+      commits.should.equal(3);
+
+      // every attempt was rolled back
+      profiles.stepHook = undefined;
+      const result = await profiles.get({id});
+      result.profile.handle.should.equal('a');
+      (await profiles.exists({uniqueField: 'handle', uniqueValue: 'b'}))
+        .should.equal(false);
+    });
+    it('throws a TimeoutError after "timeout"', async () => {
+      const profiles = await _createProfiles({
+        storage,
+        retryPolicy: {
+          maxAttempts: Infinity,
+          backoff: {initialDelay: 10, maxDelay: 10},
+          timeout: 100
+        }
+      });
+      profiles.stepHook = _conflictAt({step: 'commit'});
+      const record = _createRecord({handle: 'c'});
+      const start = Date.now();
+      const err = await _getError(profiles.insert({record}));
+      should.exist(err);
+      err.name.should.equal('TimeoutError');
+      err.details.operation.should.equal('insert');
+      err.details.recordId.should.equal(record.profile.id);
+      err.details.reason.should.equal('timeout');
+      (Date.now() - start).should.be.lt(1000);
+    });
+    it('throws a TimeoutError once "signal" is aborted', async () => {
+      const profiles = await _createProfiles({storage});
+      const controller = new AbortController();
+      let commits = 0;
+      profiles.stepHook = _conflictAt({
+        step: 'commit',
+        onConflict: () => {
+          if(++commits === 2) {
+            controller.abort();
+          }
+        }
+      });
+      const record = _createRecord({handle: 'd'});
+      const err = await _getError(
+        profiles.insert({record, signal: controller.signal}));
+      should.exist(err);
+      err.name.should.equal('TimeoutError');
+      err.details.reason.should.equal('aborted');
+      err.details.attempts.should.equal(2);
+      commits.should.equal(2);
+    });
+    it('retries a conflict that resolves', async () => {
+      const profiles = await _createProfiles({storage});
+      let commits = 0;
+      profiles.stepHook = _conflictAt({
+        step: 'commit', onConflict: () => ++commits < 3
+      });
+      const record = _createRecord({handle: 'e'});
+      await profiles.insert({record});
+      commits.should.equal(3);
+      const result = await profiles.get(
+        {uniqueField: 'handle', uniqueValue: 'e'});
+      result.profile.id.should.equal(record.profile.id);
+    });
+    it('rejects an invalid retry policy', async () => {
+      let err;
+      try {
+        new RecordCollection({
+          collectionName: 'profile',
+          retryPolicy: {
+            maxAttempts: 0, backoff: {initialDelay: 0, maxDelay: 0}
+          },
+          storage
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+  });
+}
+
+async function _createProfiles({storage, retryPolicy}) {
+  const profiles = new RecordCollection({
+    collectionName: 'profile',
+    uniqueFields: ['handle'],
+    storage, retryPolicy
+  });
+  await profiles.initialize();
+  for(const collectionName of ['profile', 'profile-handle']) {
+    await storage.getCollection(collectionName).deleteMany({});
+  }
+  return profiles;
+}
+
+// creates a step hook that simulates a conflicting concurrent change at a
+// step of every transaction unless `onConflict` returns `false`
+function _conflictAt({step, onConflict = () => true}) {
+  return ({step: current}) => {
+    if(current === step && onConflict() !== false) {
+      const error = new Error('Simulated conflict.');
+      error.name = 'AbortError';
+      throw error;
+    }
+  };
+}
+
+function _createRecord({handle}) {
+  const id = `urn:uuid:${randomUUID()}`;
+  return {profile: {id, handle, sequence: 0}, meta: {}};
+}
+
+async function _getError(promise) {
+  try {
+    await promise;
+  } catch(e) {
+    return e;
+  }
+}
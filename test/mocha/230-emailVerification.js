@@ -0,0 +1,175 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+import {randomUUID} from 'node:crypto';
+
+describe('email verification', () => {
+  let events;
+  const listeners = new Map();
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+  beforeEach(async () => {
+    events = [];
+    for(const name of [
+      'emailVerificationRequested', 'emailVerified', 'emailVerificationReset'
+    ]) {
+      const listener = event => events.push({name, ...event});
+      listeners.set(`bedrock-account.${name}`, listener);
+      bedrock.events.on(`bedrock-account.${name}`, listener);
+    }
+  });
+  afterEach(async () => {
+    for(const [name, listener] of listeners) {
+      bedrock.events.removeListener(name, listener);
+    }
+    listeners.clear();
+  });
+
+  it('verifies an email address with a token', async () => {
+    const account = await _insertAccount();
+    const {expires} = await brAccount.requestEmailVerification(
+      {id: account.id});
+    expires.should.be.gt(Date.now());
+
+    events.length.should.equal(1);
+    const [requested] = events;
+    requested.name.should.equal('emailVerificationRequested');
+    requested.id.should.equal(account.id);
+    requested.email.should.equal(account.email);
+    requested.expires.should.equal(expires);
+
+    // only a hash of the token is stored
+    const tokens = await helpers.getCollection('account-token').find(
+      {accountId: account.id}).toArray();
+    tokens.length.should.equal(1);
+    tokens[0].tokenHash.should.not.equal(requested.token);
+
+    const result = await brAccount.verifyEmail({token: requested.token});
+    result.id.should.equal(account.id);
+    result.email.should.equal(account.email);
+    const record = await brAccount.get({id: account.id});
+    record.meta.emailVerified.should.equal(result.verified);
+    record.meta.sequence.should.equal(1);
+
+    events.length.should.equal(2);
+    events[1].name.should.equal('emailVerified');
+    events[1].verified.should.equal(result.verified);
+  });
+  it('rejects a token that has already been used', async () => {
+    const account = await _insertAccount();
+    await brAccount.requestEmailVerification({id: account.id});
+    const [{token}] = events;
+    await brAccount.verifyEmail({token});
+
+    const err = await _getError(brAccount.verifyEmail({token}));
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+  it('rejects an unknown token', async () => {
+    const err = await _getError(brAccount.verifyEmail({token: 'unknown'}));
+    should.exist(err);
+    err.name.should.equal('DataError');
+    err.details.httpStatusCode.should.equal(400);
+  });
+  it('rejects an expired token', async () => {
+    const {emailVerification} = bedrock.config.account;
+    const {tokenTtl} = emailVerification;
+    emailVerification.tokenTtl = 0;
+    const account = await _insertAccount();
+    try {
+      await brAccount.requestEmailVerification({id: account.id});
+    } finally {
+      emailVerification.tokenTtl = tokenTtl;
+    }
+    const [{token}] = events;
+
+    const err = await _getError(brAccount.verifyEmail({token}));
+    should.exist(err);
+    err.name.should.equal('DataError');
+    const record = await brAccount.get({id: account.id});
+    should.not.exist(record.meta.emailVerified);
+  });
+  it('invalidates a previously requested token', async () => {
+    const account = await _insertAccount();
+    await brAccount.requestEmailVerification({id: account.id});
+    await brAccount.requestEmailVerification({id: account.id});
+    const [{token: first}, {token: second}] = events;
+
+    const err = await _getError(brAccount.verifyEmail({token: first}));
+    should.exist(err);
+    err.name.should.equal('DataError');
+    await brAccount.verifyEmail({token: second});
+  });
+  it('throws for an account without an email address', async () => {
+    const account = {id: `urn:uuid:${randomUUID()}`};
+    await brAccount.insert({account});
+    const err = await _getError(
+      brAccount.requestEmailVerification({id: account.id}));
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    events.length.should.equal(0);
+  });
+  it('resets verification when the email address changes', async () => {
+    const account = await _insertAccount();
+    await brAccount.requestEmailVerification({id: account.id});
+    await brAccount.verifyEmail({token: events[0].token});
+
+    const email = `${randomUUID()}@example.com`;
+    await brAccount.update(
+      {id: account.id, account: {...account, email}, sequence: 1});
+    const record = await brAccount.get({id: account.id});
+    record.account.email.should.equal(email);
+    should.not.exist(record.meta.emailVerified);
+    record.meta.sequence.should.equal(2);
+
+    const reset = events.find(e => e.name === 'emailVerificationReset');
+    should.exist(reset);
+    reset.id.should.equal(account.id);
+    reset.email.should.equal(email);
+    reset.previousEmail.should.equal(account.email);
+  });
+  it('keeps verification when the email address is unchanged', async () => {
+    const account = await _insertAccount();
+    await brAccount.requestEmailVerification({id: account.id});
+    await brAccount.verifyEmail({token: events[0].token});
+
+    await brAccount.update(
+      {id: account.id, account: {...account, foo: 'bar'}, sequence: 1});
+    const record = await brAccount.get({id: account.id});
+    should.exist(record.meta.emailVerified);
+    should.not.exist(events.find(e => e.name === 'emailVerificationReset'));
+  });
+  it('rejects a token issued for a previous email address', async () => {
+    const account = await _insertAccount();
+    await brAccount.requestEmailVerification({id: account.id});
+    const [{token}] = events;
+
+    const email = `${randomUUID()}@example.com`;
+    await brAccount.update(
+      {id: account.id, account: {...account, email}, sequence: 0});
+    const err = await _getError(brAccount.verifyEmail({token}));
+    should.exist(err);
+    err.name.should.equal('DataError');
+    const record = await brAccount.get({id: account.id});
+    should.not.exist(record.meta.emailVerified);
+  });
+});
+
+async function _insertAccount() {
+  const account = helpers.createAccount(`${randomUUID()}@example.com`);
+  await brAccount.insert({account});
+  return account;
+}
+
+async function _getError(promise) {
+  try {
+    await promise;
+  } catch(e) {
+    return e;
+  }
+}
@@ -0,0 +1,264 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+import {randomUUID} from 'node:crypto';
+
+describe('email change', () => {
+  let events;
+  const listeners = new Map();
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+  beforeEach(async () => {
+    events = [];
+    for(const name of ['emailChangeRequested', 'emailChanged']) {
+      const listener = event => events.push({name, ...event});
+      listeners.set(`bedrock-account.${name}`, listener);
+      bedrock.events.on(`bedrock-account.${name}`, listener);
+    }
+  });
+  afterEach(async () => {
+    for(const [name, listener] of listeners) {
+      bedrock.events.removeListener(name, listener);
+    }
+    listeners.clear();
+  });
+
+  it('changes an email address once it is confirmed', async () => {
+    const account = await _insertAccount();
+    const newEmail = _createEmail();
+    const {expires} = await brAccount.requestEmailChange(
+      {id: account.id, newEmail});
+    expires.should.be.gt(Date.now());
+
+    events.length.should.equal(1);
+    const [requested] = events;
+    requested.name.should.equal('emailChangeRequested');
+    requested.id.should.equal(account.id);
+    requested.email.should.equal(account.email);
+    requested.newEmail.should.equal(newEmail);
+    requested.expires.should.equal(expires);
+
+    // the current email address remains in use until the change is confirmed
+    let record = await brAccount.get({email: account.email});
+    record.account.id.should.equal(account.id);
+    (await brAccount.exists({email: newEmail})).should.equal(false);
+
+    const result = await brAccount.confirmEmailChange(
+      {token: requested.token});
+    result.id.should.equal(account.id);
+    result.email.should.equal(newEmail);
+    result.previousEmail.should.equal(account.email);
+    record = await brAccount.get({email: newEmail});
+    record.account.id.should.equal(account.id);
+    record.account.email.should.equal(newEmail);
+    should.exist(record.meta.emailVerified);
+    (await brAccount.exists({email: account.email})).should.equal(false);
+
+    events.length.should.equal(2);
+    events[1].name.should.equal('emailChanged');
+    const report = await brAccount.verifyIntegrity();
+    report.missing.should.have.length(0);
+    report.orphaned.should.have.length(0);
+  });
+  it('reserves the new email address until the change expires', async () => {
+    const account = await _insertAccount();
+    const newEmail = _createEmail();
+    await brAccount.requestEmailChange({id: account.id, newEmail});
+
+    // no other account can claim the reserved address
+    let err = await _getError(brAccount.insert(
+      {account: helpers.createAccount(newEmail)}));
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+    const other = await _insertAccount();
+    err = await _getError(brAccount.update({
+      id: other.id, account: {...other, email: newEmail}, sequence: 0
+    }));
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+    err = await _getError(brAccount.requestEmailChange(
+      {id: other.id, newEmail}));
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+
+    const report = await brAccount.verifyIntegrity();
+    report.reserved.should.be.gte(1);
+    report.orphaned.should.have.length(0);
+  });
+  it('releases the reservation once the token expires', async () => {
+    const account = await _insertAccount();
+    const newEmail = _createEmail();
+    await _withTokenTtl(0, () => brAccount.requestEmailChange(
+      {id: account.id, newEmail}));
+    const [{token}] = events;
+
+    // another account can claim the address once the reservation expires
+    const other = helpers.createAccount(newEmail);
+    await brAccount.insert({account: other});
+    const record = await brAccount.get({email: newEmail});
+    record.account.id.should.equal(other.id);
+
+    const err = await _getError(brAccount.confirmEmailChange({token}));
+    should.exist(err);
+    err.name.should.equal('DataError');
+    const {account: unchanged} = await brAccount.get({id: account.id});
+    unchanged.email.should.equal(account.email);
+  });
+  it('cancels a previously requested change', async () => {
+    const account = await _insertAccount();
+    const first = _createEmail();
+    const second = _createEmail();
+    await brAccount.requestEmailChange({id: account.id, newEmail: first});
+    await brAccount.requestEmailChange({id: account.id, newEmail: second});
+    const [{token: firstToken}, {token: secondToken}] = events;
+
+    // the first address has been released
+    await brAccount.insert({account: helpers.createAccount(first)});
+    const err = await _getError(
+      brAccount.confirmEmailChange({token: firstToken}));
+    should.exist(err);
+    err.name.should.equal('DataError');
+
+    await brAccount.confirmEmailChange({token: secondToken});
+    const {account: changed} = await brAccount.get({id: account.id});
+    changed.email.should.equal(second);
+  });
+  it('keeps a previously requested change if a request fails', async () => {
+    const account = await _insertAccount();
+    const other = await _insertAccount();
+    const newEmail = _createEmail();
+    await brAccount.requestEmailChange({id: account.id, newEmail});
+    const [{token}] = events;
+
+    // the address of another account cannot be reserved
+    const err = await _getError(brAccount.requestEmailChange(
+      {id: account.id, newEmail: other.email}));
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+    events.length.should.equal(1);
+
+    // the previous change is still reserved and can be confirmed
+    const error = await _getError(
+      brAccount.insert({account: helpers.createAccount(newEmail)}));
+    should.exist(error);
+    error.name.should.equal('DuplicateError');
+    await brAccount.confirmEmailChange({token});
+    const {account: changed} = await brAccount.get({id: account.id});
+    changed.email.should.equal(newEmail);
+  });
+  it('renews a change that is requested again', async () => {
+    const account = await _insertAccount();
+    const newEmail = _createEmail();
+    await brAccount.requestEmailChange({id: account.id, newEmail});
+    await brAccount.requestEmailChange({id: account.id, newEmail});
+    const [{token: firstToken}, {token: secondToken}] = events;
+
+    const err = await _getError(
+      brAccount.confirmEmailChange({token: firstToken}));
+    should.exist(err);
+    err.name.should.equal('DataError');
+    await brAccount.confirmEmailChange({token: secondToken});
+    const {account: changed} = await brAccount.get({id: account.id});
+    changed.email.should.equal(newEmail);
+  });
+  it('keeps only one of concurrently requested changes', async () => {
+    const account = await _insertAccount();
+    const newEmails = [_createEmail(), _createEmail()];
+    await Promise.all(newEmails.map(
+      newEmail => brAccount.requestEmailChange({id: account.id, newEmail})));
+    events.length.should.equal(2);
+
+    // exactly one token is valid and only its address is still reserved
+    const results = await Promise.allSettled(events.map(
+      ({token}) => brAccount.confirmEmailChange({token})));
+    const confirmed = results.filter(({status}) => status === 'fulfilled');
+    confirmed.should.have.length(1);
+    const [{value: {email}}] = confirmed;
+    const {account: changed} = await brAccount.get({id: account.id});
+    changed.email.should.equal(email);
+    const [released] = newEmails.filter(newEmail => newEmail !== email);
+    await brAccount.insert({account: helpers.createAccount(released)});
+  });
+  it('rejects a token that has already been used', async () => {
+    const account = await _insertAccount();
+    await brAccount.requestEmailChange(
+      {id: account.id, newEmail: _createEmail()});
+    const [{token}] = events;
+    await brAccount.confirmEmailChange({token});
+
+    const err = await _getError(brAccount.confirmEmailChange({token}));
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+  it('rejects a change if the email address has changed', async () => {
+    const account = await _insertAccount();
+    const newEmail = _createEmail();
+    await brAccount.requestEmailChange({id: account.id, newEmail});
+    const [{token}] = events;
+
+    // a direct update cancels the requested change
+    await brAccount.update({
+      id: account.id, account: {...account, email: _createEmail()},
+      sequence: 0
+    });
+    const err = await _getError(brAccount.confirmEmailChange({token}));
+    should.exist(err);
+    err.name.should.equal('DataError');
+    (await brAccount.exists({email: newEmail})).should.equal(false);
+    await brAccount.insert({account: helpers.createAccount(newEmail)});
+  });
+  it('rejects a change to the current email address', async () => {
+    const account = await _insertAccount();
+    const err = await _getError(brAccount.requestEmailChange(
+      {id: account.id, newEmail: account.email}));
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    events.length.should.equal(0);
+  });
+  it('releases the reservation when an account is removed', async () => {
+    const account = await _insertAccount();
+    const newEmail = _createEmail();
+    await brAccount.requestEmailChange({id: account.id, newEmail});
+    await brAccount.remove({id: account.id, mode: 'hard'});
+
+    await brAccount.insert({account: helpers.createAccount(newEmail)});
+    const err = await _getError(
+      brAccount.confirmEmailChange({token: events[0].token}));
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+});
+
+function _createEmail() {
+  return `${randomUUID()}@example.com`;
+}
+
+async function _insertAccount() {
+  const account = helpers.createAccount(_createEmail());
+  await brAccount.insert({account});
+  return account;
+}
+
+async function _withTokenTtl(tokenTtl, fn) {
+  const {emailChange} = bedrock.config.account;
+  const {tokenTtl: previous} = emailChange;
+  emailChange.tokenTtl = tokenTtl;
+  try {
+    return await fn();
+  } finally {
+    emailChange.tokenTtl = previous;
+  }
+}
+
+async function _getError(promise) {
+  try {
+    await promise;
+  } catch(e) {
+    return e;
+  }
+}
@@ -0,0 +1,179 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+import {randomUUID} from 'node:crypto';
+
+describe('secondary email addresses', () => {
+  let events;
+  const listeners = new Map();
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+  beforeEach(async () => {
+    events = [];
+    for(const name of ['emailVerificationRequested', 'emailVerified']) {
+      const listener = event => events.push({name, ...event});
+      listeners.set(`bedrock-account.${name}`, listener);
+      bedrock.events.on(`bedrock-account.${name}`, listener);
+    }
+  });
+  afterEach(async () => {
+    for(const [name, listener] of listeners) {
+      bedrock.events.removeListener(name, listener);
+    }
+    listeners.clear();
+  });
+
+  it('gets an account by a secondary email address', async () => {
+    const account = await _insertAccount();
+    const email = _createEmail();
+    const {account: updated, meta} = await brAccount.addEmail(
+      {id: account.id, email});
+    updated.email.should.equal(account.email);
+    updated.secondaryEmails.should.eql([email]);
+    meta.sequence.should.equal(1);
+
+    const record = await brAccount.get({email});
+    record.account.id.should.equal(account.id);
+    (await brAccount.exists({email})).should.equal(true);
+    const report = await brAccount.verifyIntegrity();
+    report.missing.should.have.length(0);
+    report.orphaned.should.have.length(0);
+  });
+  it('makes the first email address of an account primary', async () => {
+    const account = {id: `urn:uuid:${randomUUID()}`};
+    await brAccount.insert({account});
+    const email = _createEmail();
+    const {account: updated} = await brAccount.addEmail(
+      {id: account.id, email});
+    updated.email.should.equal(email);
+    should.not.exist(updated.secondaryEmails);
+  });
+  it('rejects an email address used by another account', async () => {
+    const account = await _insertAccount();
+    const other = await _insertAccount();
+    let err = await _getError(
+      brAccount.addEmail({id: account.id, email: other.email}));
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+
+    // a secondary email address cannot be used by another account either
+    const email = _createEmail();
+    await brAccount.addEmail({id: account.id, email});
+    err = await _getError(
+      brAccount.insert({account: helpers.createAccount(email)}));
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+    err = await _getError(brAccount.addEmail({id: other.id, email}));
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+  });
+  it('rejects an email address the account already has', async () => {
+    const account = await _insertAccount();
+    let err = await _getError(
+      brAccount.addEmail({id: account.id, email: account.email}));
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+
+    // an account cannot use the same email address twice
+    const email = _createEmail();
+    err = await _getError(brAccount.update({
+      id: account.id, account: {...account, secondaryEmails: [email, email]},
+      sequence: 0
+    }));
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+  });
+  it('removes a secondary email address', async () => {
+    const account = await _insertAccount();
+    const email = _createEmail();
+    await brAccount.addEmail({id: account.id, email});
+    const {account: updated} = await brAccount.removeEmail(
+      {id: account.id, email});
+    should.not.exist(updated.secondaryEmails);
+    (await brAccount.exists({email})).should.equal(false);
+
+    // the email address can now be used by another account
+    await brAccount.insert({account: helpers.createAccount(email)});
+
+    let err = await _getError(
+      brAccount.removeEmail({id: account.id, email: account.email}));
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err = await _getError(
+      brAccount.removeEmail({id: account.id, email: _createEmail()}));
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+  it('verifies a secondary email address', async () => {
+    const account = await _insertAccount();
+    const email = _createEmail();
+    await brAccount.addEmail({id: account.id, email});
+    await brAccount.requestEmailVerification({id: account.id, email});
+    const [requested] = events;
+    requested.email.should.equal(email);
+
+    const {verified} = await brAccount.verifyEmail({token: requested.token});
+    const {meta} = await brAccount.get({id: account.id});
+    should.not.exist(meta.emailVerified);
+    meta.secondaryEmailsVerified.should.eql([{email, verified}]);
+
+    // verification is reset if the email address is removed
+    await brAccount.removeEmail({id: account.id, email});
+    const record = await brAccount.get({id: account.id});
+    should.not.exist(record.meta.secondaryEmailsVerified);
+  });
+  it('sets the primary email address', async () => {
+    const account = await _insertAccount();
+    await brAccount.requestEmailVerification({id: account.id});
+    const {verified} = await brAccount.verifyEmail({token: events[0].token});
+    const email = _createEmail();
+    await brAccount.addEmail({id: account.id, email});
+
+    const {account: updated, meta} = await brAccount.setPrimaryEmail(
+      {id: account.id, email});
+    updated.email.should.equal(email);
+    updated.secondaryEmails.should.eql([account.email]);
+    // each email address keeps its verification state
+    should.not.exist(meta.emailVerified);
+    meta.secondaryEmailsVerified.should.eql(
+      [{email: account.email, verified}]);
+
+    // both email addresses still identify the account
+    for(const address of [email, account.email]) {
+      const record = await brAccount.get({email: address});
+      record.account.id.should.equal(account.id);
+    }
+
+    let err = await _getError(
+      brAccount.setPrimaryEmail({id: account.id, email}));
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err = await _getError(
+      brAccount.setPrimaryEmail({id: account.id, email: _createEmail()}));
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+});
+
+function _createEmail() {
+  return `${randomUUID()}@example.com`;
+}
+
+async function _insertAccount() {
+  const account = helpers.createAccount(_createEmail());
+  await brAccount.insert({account});
+  return account;
+}
+
+async function _getError(promise) {
+  try {
+    await promise;
+  } catch(e) {
+    return e;
+  }
+}
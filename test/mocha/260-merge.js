@@ -0,0 +1,196 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+import {randomUUID} from 'node:crypto';
+
+describe('merge', () => {
+  let events;
+  const listeners = new Map();
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+  beforeEach(async () => {
+    events = [];
+    for(const name of [
+      'merge', 'postMerge', 'statusChange', 'emailVerificationRequested'
+    ]) {
+      const listener = event => events.push({name, ...event});
+      listeners.set(`bedrock-account.${name}`, listener);
+      bedrock.events.on(`bedrock-account.${name}`, listener);
+    }
+  });
+  afterEach(async () => {
+    for(const [name, listener] of listeners) {
+      bedrock.events.removeListener(name, listener);
+    }
+    listeners.clear();
+  });
+
+  it('merges an account into another account', async () => {
+    const target = await _insertAccount();
+    const source = await _insertAccount();
+    const email = _createEmail();
+    await brAccount.addEmail({id: source.id, email});
+    await brAccount.requestEmailVerification({id: source.id});
+    const [{token}] = events;
+    const {verified} = await brAccount.verifyEmail({token});
+    events = [];
+
+    const {account, meta} = await brAccount.merge(
+      {sourceId: source.id, targetId: target.id});
+    account.email.should.equal(target.email);
+    account.secondaryEmails.should.eql([source.email, email]);
+    meta.secondaryEmailsVerified.should.eql([{email: source.email, verified}]);
+    meta.sequence.should.equal(1);
+
+    // the source's email addresses now identify the target
+    for(const address of [source.email, email]) {
+      const record = await brAccount.get({email: address});
+      record.account.id.should.equal(target.id);
+    }
+    const err = await _getError(
+      brAccount.insert({account: helpers.createAccount(email)}));
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+
+    // the source is left as a tombstone that redirects to the target
+    let record = await brAccount.get({id: source.id});
+    record.account.id.should.equal(target.id);
+    record = await brAccount.get({id: source.id, followRedirects: false});
+    should.not.exist(record.account.email);
+    should.not.exist(record.account.secondaryEmails);
+    should.not.exist(record.meta.emailVerified);
+    record.meta.status.should.equal('deleted');
+    record.meta.mergedInto.should.equal(target.id);
+
+    events.map(({name}) => name).should.eql(
+      ['merge', 'statusChange', 'postMerge']);
+    events[1].id.should.equal(source.id);
+    events[1].from.should.equal('active');
+    events[1].to.should.equal('deleted');
+    events[1].reason.should.equal('merge');
+    events[2].sourceId.should.equal(source.id);
+    events[2].targetId.should.equal(target.id);
+    const report = await brAccount.verifyIntegrity();
+    report.missing.should.have.length(0);
+    report.orphaned.should.have.length(0);
+  });
+  it('redirects via every account merged into', async () => {
+    const [first, second, third] = [
+      await _insertAccount(), await _insertAccount(), await _insertAccount()];
+    await brAccount.merge({sourceId: first.id, targetId: second.id});
+    await brAccount.merge({sourceId: second.id, targetId: third.id});
+    const record = await brAccount.get({id: first.id});
+    record.account.id.should.equal(third.id);
+  });
+  it('merges meta using a strategy', async () => {
+    const target = await _insertAccount();
+    const source = await _insertAccount();
+    const {meta} = await brAccount.merge({
+      sourceId: source.id, targetId: target.id,
+      strategy: ({source, target}) => ({
+        ...target.meta, mergedFrom: [source.account.id]
+      })
+    });
+    meta.mergedFrom.should.eql([source.id]);
+    const record = await brAccount.get({id: target.id});
+    record.meta.mergedFrom.should.eql([source.id]);
+  });
+  it('emits the accounts as read by the last attempt', async () => {
+    const target = await _insertAccount();
+    const source = await _insertAccount();
+    let attempts = 0;
+    await brAccount.merge({
+      sourceId: source.id, targetId: target.id,
+      async strategy({target}) {
+        if(++attempts === 1) {
+          // change the target concurrently so the merge is retried
+          await brAccount.update({
+            id: target.account.id,
+            account: {...target.account, name: 'Changed'},
+            meta: {...target.meta, sequence: target.meta.sequence + 1}
+          });
+        }
+        return target.meta;
+      }
+    });
+    attempts.should.equal(2);
+    events.map(({name}) => name).should.eql(
+      ['merge', 'merge', 'statusChange', 'postMerge']);
+    events[0].target.meta.sequence.should.equal(0);
+    events[1].target.meta.sequence.should.equal(1);
+    events[3].target.account.name.should.equal('Changed');
+  });
+  it('gives the target the email address it lacks', async () => {
+    const target = {id: `urn:uuid:${randomUUID()}`};
+    await brAccount.insert({account: target});
+    const source = await _insertAccount();
+    const {account} = await brAccount.merge(
+      {sourceId: source.id, targetId: target.id});
+    account.email.should.equal(source.email);
+    should.not.exist(account.secondaryEmails);
+  });
+  it('rejects an invalid merge', async () => {
+    const target = await _insertAccount();
+    const source = await _insertAccount();
+    let err = await _getError(
+      brAccount.merge({sourceId: source.id, targetId: source.id}));
+    should.exist(err);
+    err.name.should.equal('TypeError');
+
+    // the strategy cannot change the target's status
+    err = await _getError(brAccount.merge({
+      sourceId: source.id, targetId: target.id,
+      strategy: ({target}) => ({...target.meta, status: 'deleted'})
+    }));
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+
+    await brAccount.remove({id: source.id, mode: 'tombstone'});
+    err = await _getError(
+      brAccount.merge({sourceId: source.id, targetId: target.id}));
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    const {account} = await brAccount.get({id: target.id});
+    should.not.exist(account.secondaryEmails);
+    events.filter(({name}) => name === 'postMerge').should.have.length(0);
+  });
+  it('does not add an alias if the merge fails', async () => {
+    const target = await _insertAccount();
+    const source = await _insertAccount();
+    let err = await _getError(brAccount.merge({
+      sourceId: source.id, targetId: target.id,
+      strategy: ({target}) => ({...target.meta, status: 'deleted'})
+    }));
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+
+    // the source's ID does not redirect to the target once it is removed
+    await brAccount.remove({id: source.id, mode: 'hard'});
+    err = await _getError(brAccount.get({id: source.id}));
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+});
+
+function _createEmail() {
+  return `${randomUUID()}@example.com`;
+}
+
+async function _insertAccount() {
+  const account = helpers.createAccount(_createEmail());
+  await brAccount.insert({account});
+  return account;
+}
+
+async function _getError(promise) {
+  try {
+    await promise;
+  } catch(e) {
+    return e;
+  }
+}
@@ -0,0 +1,138 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+import {randomUUID} from 'node:crypto';
+
+describe('rekey', () => {
+  let events;
+  const listeners = new Map();
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+  beforeEach(async () => {
+    events = [];
+    for(const name of ['rekey', 'postRekey']) {
+      const listener = event => events.push({name, ...event});
+      listeners.set(`bedrock-account.${name}`, listener);
+      bedrock.events.on(`bedrock-account.${name}`, listener);
+    }
+  });
+  afterEach(async () => {
+    for(const [name, listener] of listeners) {
+      bedrock.events.removeListener(name, listener);
+    }
+    listeners.clear();
+  });
+
+  it('changes the ID of an account', async () => {
+    const account = await _insertAccount();
+    const email = _createEmail();
+    await brAccount.addEmail({id: account.id, email});
+    const newId = _createId();
+
+    const {account: rekeyed, meta} = await brAccount.rekey(
+      {oldId: account.id, newId});
+    rekeyed.id.should.equal(newId);
+    rekeyed.email.should.equal(account.email);
+    meta.sequence.should.equal(2);
+
+    // the account's email addresses identify it by its new ID
+    for(const address of [account.email, email]) {
+      const record = await brAccount.get({email: address});
+      record.account.id.should.equal(newId);
+    }
+
+    // the previous ID is an alias of the new ID
+    const record = await brAccount.get({id: account.id});
+    record.account.id.should.equal(newId);
+    const err = await _getError(
+      brAccount.get({id: account.id, followRedirects: false}));
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+
+    events.map(({name}) => name).should.eql(['rekey', 'postRekey']);
+    events[1].oldId.should.equal(account.id);
+    events[1].newId.should.equal(newId);
+    const report = await brAccount.verifyIntegrity();
+    report.missing.should.have.length(0);
+    report.orphaned.should.have.length(0);
+  });
+  it('follows redirects up to the hop limit', async () => {
+    const source = await _insertAccount();
+    const target = await _insertAccount();
+    await brAccount.merge({sourceId: source.id, targetId: target.id});
+    const newId = _createId();
+    await brAccount.rekey({oldId: target.id, newId});
+
+    const record = await brAccount.get({id: source.id});
+    record.account.id.should.equal(newId);
+
+    const {redirects} = bedrock.config.account;
+    const {maxHops} = redirects;
+    redirects.maxHops = 1;
+    let err;
+    try {
+      err = await _getError(brAccount.get({id: source.id}));
+    } finally {
+      redirects.maxHops = maxHops;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+  it('rejects an invalid rekey', async () => {
+    const account = await _insertAccount();
+    const other = await _insertAccount();
+    let err = await _getError(
+      brAccount.rekey({oldId: account.id, newId: account.id}));
+    should.exist(err);
+    err.name.should.equal('TypeError');
+
+    err = await _getError(
+      brAccount.rekey({oldId: account.id, newId: other.id}));
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+    const record = await brAccount.get({email: account.email});
+    record.account.id.should.equal(account.id);
+    events.filter(({name}) => name === 'postRekey').should.have.length(0);
+  });
+  it('does not add an alias if the rekey fails', async () => {
+    const account = await _insertAccount();
+    const other = await _insertAccount();
+    let err = await _getError(
+      brAccount.rekey({oldId: account.id, newId: other.id}));
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+
+    // the account's ID does not redirect to the other account once removed
+    await brAccount.remove({id: account.id, mode: 'hard'});
+    err = await _getError(brAccount.get({id: account.id}));
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+});
+
+function _createId() {
+  return `urn:uuid:${randomUUID()}`;
+}
+
+function _createEmail() {
+  return `${randomUUID()}@example.com`;
+}
+
+async function _insertAccount() {
+  const account = helpers.createAccount(_createEmail());
+  await brAccount.insert({account});
+  return account;
+}
+
+async function _getError(promise) {
+  try {
+    await promise;
+  } catch(e) {
+    return e;
+  }
+}
@@ -1,8 +1,7 @@
 /*!
- * Copyright (c) 2018-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as brAccount from '@bedrock/account';
-import * as database from '@bedrock/mongodb';
 import * as helpers from './helpers.js';
 import {mockData} from './mock.data.js';
 
@@ -22,7 +21,7 @@ describe('update', () => {
       account: updatedAccount,
       sequence: 0
     });
-    const updatedRecord = await database.collections.account.findOne(
+    const updatedRecord = await helpers.getCollection('account').findOne(
       {'account.id': newAccount.id});
     should.exist(updatedRecord);
     updatedRecord.should.have.keys('_id', 'account', 'meta');
@@ -49,7 +48,7 @@ describe('update', () => {
       account: updatedAccount,
       sequence: 0
     });
-    const updatedRecord = await database.collections.account.findOne(
+    const updatedRecord = await helpers.getCollection('account').findOne(
       {'account.id': newAccount.id});
     should.exist(updatedRecord);
     updatedRecord.should.have.keys('_id', 'account', 'meta');
@@ -76,7 +75,7 @@ describe('update', () => {
       account: updatedAccount,
       sequence: 0
     });
-    const updatedRecord = await database.collections.account.findOne(
+    const updatedRecord = await helpers.getCollection('account').findOne(
       {'account.id': newAccount.id});
     should.exist(updatedRecord);
     updatedRecord.should.have.keys('_id', 'account', 'meta');
@@ -143,7 +142,7 @@ describe('update', () => {
       account: updatedAccount,
       sequence: 0
     });
-    const updatedRecord = await database.collections.account.findOne(
+    const updatedRecord = await helpers.getCollection('account').findOne(
       {'account.id': newAccount.id});
     should.exist(updatedRecord);
     updatedRecord.should.have.keys('_id', 'account', 'meta');
@@ -176,7 +175,7 @@ describe('update', () => {
       },
       sequence: 0
     });
-    const updatedRecord = await database.collections.account.findOne(
+    const updatedRecord = await helpers.getCollection('account').findOne(
       {'account.id': newAccount.id});
     should.exist(updatedRecord);
     updatedRecord.should.have.keys('_id', 'account', 'meta');
@@ -210,7 +209,7 @@ describe('update', () => {
         'special-meta': specialMeta
       }
     });
-    const updatedRecord = await database.collections.account.findOne(
+    const updatedRecord = await helpers.getCollection('account').findOne(
       {'account.id': newAccount.id});
     should.exist(updatedRecord);
     updatedRecord.should.have.keys('_id', 'account', 'meta');
@@ -228,7 +227,7 @@ describe('update', () => {
     meta['special-meta'].should.deep.equal(specialMeta);
 
     // ensure proxy record is present
-    const proxyRecord = await database.collections['account-email'].findOne(
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
       {email: newAccount.email});
     should.exist(proxyRecord);
     proxyRecord.should.have.keys(['_id', 'accountId', 'email']);
@@ -254,7 +253,7 @@ describe('update', () => {
         'special-meta': specialMeta
       }
     });
-    const updatedRecord = await database.collections.account.findOne(
+    const updatedRecord = await helpers.getCollection('account').findOne(
       {'account.id': newAccount.id});
     should.exist(updatedRecord);
     updatedRecord.should.have.keys('_id', 'account', 'meta');
@@ -272,18 +271,76 @@ describe('update', () => {
     meta['special-meta'].should.deep.equal(specialMeta);
 
     // ensure old proxy record is gone
-    const proxyRecord1 = await database.collections['account-email'].findOne(
+    const proxyRecord1 = await helpers.getCollection('account-email').findOne(
       {email: newAccount.email});
     should.not.exist(proxyRecord1);
 
     // ensure proxy record is present
-    const proxyRecord2 = await database.collections['account-email'].findOne(
+    const proxyRecord2 = await helpers.getCollection('account-email').findOne(
       {email: updatedAccount.email});
     should.exist(proxyRecord2);
     proxyRecord2.should.have.keys(['_id', 'accountId', 'email']);
     proxyRecord2.accountId.should.equal(newAccount.id);
     proxyRecord2.email.should.equal('UPDATED.' + email);
   });
+  it('should update with a new phone number', async () => {
+    const email = '2d0f5c8e-47f4-4d65-8a0d-7b3f0d0e2e51@example.com';
+    const newAccount = helpers.createAccount(email);
+    newAccount.phoneNumber = '+15555550130';
+    const newRecord = await brAccount.insert({account: newAccount});
+    const updatedAccount = {...newRecord.account};
+    updatedAccount.phoneNumber = '+15555550131';
+    await brAccount.update({
+      id: newAccount.id,
+      account: updatedAccount,
+      sequence: 0
+    });
+    const updatedRecord = await brAccount.get(
+      {phoneNumber: updatedAccount.phoneNumber});
+    updatedRecord.account.id.should.equal(newAccount.id);
+
+    // ensure old proxy record is gone
+    const proxyRecord1 = await helpers.getCollection('account-phoneNumber')
+      .findOne({phoneNumber: newAccount.phoneNumber});
+    should.not.exist(proxyRecord1);
+
+    // ensure proxy record is present
+    const proxyRecord2 = await helpers.getCollection('account-phoneNumber')
+      .findOne({phoneNumber: updatedAccount.phoneNumber});
+    should.exist(proxyRecord2);
+    proxyRecord2.should.have.keys(['_id', 'accountId', 'phoneNumber']);
+    proxyRecord2.accountId.should.equal(newAccount.id);
+
+    // ensure email proxy record is unchanged
+    const proxyRecord3 = await helpers.getCollection('account-email')
+      .findOne({email});
+    should.exist(proxyRecord3);
+    proxyRecord3.accountId.should.equal(newAccount.id);
+  });
+  it('should not allow "meta.status" changes', async () => {
+    const email = '4b7e2a9c-1d3f-4e5a-8b6c-9f0d2e4a6c8b@example.com';
+    const newAccount = helpers.createAccount(email);
+    const newRecord = await brAccount.insert({account: newAccount});
+    let err;
+    try {
+      await brAccount.update({
+        id: newAccount.id,
+        meta: {
+          ...newRecord.meta, status: 'deleted',
+          sequence: newRecord.meta.sequence + 1
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.details.from.should.equal('active');
+    err.details.to.should.equal('deleted');
+    const record = await brAccount.get({id: newAccount.id});
+    record.meta.status.should.equal('active');
+    record.meta.sequence.should.equal(0);
+  });
   it('should not allow "id" operations', async () => {
     const email = 'af12fba9-02e9-4178-aadb-169e4c501cbd@example.com';
     const newAccount = helpers.createAccount(email);
@@ -326,7 +383,7 @@ describe('update', () => {
         account: updatedAccount,
         sequence: 0
       });
-      const updatedRecord = await database.collections.account.findOne(
+      const updatedRecord = await helpers.getCollection('account').findOne(
         {'account.id': newAccount.id});
       should.exist(updatedRecord);
       updatedRecord.should.have.keys('_id', 'account', 'meta');
@@ -342,12 +399,12 @@ describe('update', () => {
       account.email.should.equal('UPDATED.' + email);
 
       // ensure old proxy record is gone
-      const proxyRecord1 = await database.collections['account-email'].findOne(
+      const proxyRecord1 = await helpers.getCollection('account-email').findOne(
         {email: newAccount.email});
       should.not.exist(proxyRecord1);
 
       // ensure proxy record is present
-      const proxyRecord2 = await database.collections['account-email'].findOne(
+      const proxyRecord2 = await helpers.getCollection('account-email').findOne(
         {email: updatedAccount.email});
       should.exist(proxyRecord2);
       proxyRecord2.should.have.keys(['_id', 'accountId', 'email']);
@@ -376,7 +433,7 @@ describe('update', () => {
         account: updatedAccount,
         sequence: 0
       });
-      const updatedRecord = await database.collections.account.findOne(
+      const updatedRecord = await helpers.getCollection('account').findOne(
         {'account.id': newAccount.id});
       should.exist(updatedRecord);
       updatedRecord.should.have.keys('_id', 'account', 'meta');
@@ -392,12 +449,12 @@ describe('update', () => {
       account.email.should.equal('UPDATED.' + email);
 
       // ensure old proxy record is gone
-      const proxyRecord1 = await database.collections['account-email'].findOne(
+      const proxyRecord1 = await helpers.getCollection('account-email').findOne(
         {email: newAccount.email});
       should.not.exist(proxyRecord1);
 
       // ensure proxy record is present
-      const proxyRecord2 = await database.collections['account-email'].findOne(
+      const proxyRecord2 = await helpers.getCollection('account-email').findOne(
         {email: updatedAccount.email});
       should.exist(proxyRecord2);
       proxyRecord2.should.have.keys(['_id', 'accountId', 'email']);
@@ -430,7 +487,7 @@ describe('update', () => {
         account: updatedAccount,
         sequence: 0
       });
-      const updatedRecord = await database.collections.account.findOne(
+      const updatedRecord = await helpers.getCollection('account').findOne(
         {'account.id': newAccount.id});
       should.exist(updatedRecord);
       updatedRecord.should.have.keys('_id', 'account', 'meta');
@@ -446,12 +503,12 @@ describe('update', () => {
       account.email.should.equal('UPDATED.' + email);
 
       // ensure old proxy record is gone
-      const proxyRecord1 = await database.collections['account-email'].findOne(
+      const proxyRecord1 = await helpers.getCollection('account-email').findOne(
         {email: newAccount.email});
       should.not.exist(proxyRecord1);
 
       // ensure proxy record is present
-      const proxyRecord2 = await database.collections['account-email'].findOne(
+      const proxyRecord2 = await helpers.getCollection('account-email').findOne(
         {email: updatedAccount.email});
       should.exist(proxyRecord2);
       proxyRecord2.should.have.keys(['_id', 'accountId', 'email']);
@@ -484,7 +541,7 @@ describe('update', () => {
         account: updatedAccount,
         sequence: 0
       });
-      const updatedRecord = await database.collections.account.findOne(
+      const updatedRecord = await helpers.getCollection('account').findOne(
         {'account.id': newAccount.id});
       should.exist(updatedRecord);
       updatedRecord.should.have.keys('_id', 'account', 'meta');
@@ -500,12 +557,12 @@ describe('update', () => {
       account.email.should.equal('UPDATED.' + email);
 
       // ensure old proxy record is gone
-      const proxyRecord1 = await database.collections['account-email'].findOne(
+      const proxyRecord1 = await helpers.getCollection('account-email').findOne(
         {email: newAccount.email});
       should.not.exist(proxyRecord1);
 
       // ensure proxy record is present
-      const proxyRecord2 = await database.collections['account-email'].findOne(
+      const proxyRecord2 = await helpers.getCollection('account-email').findOne(
         {email: updatedAccount.email});
       should.exist(proxyRecord2);
       proxyRecord2.should.have.keys(['_id', 'accountId', 'email']);
@@ -562,7 +619,7 @@ describe('update', () => {
         error.details.uniqueValue.should.equal('UPDATED.' + email);
 
         // ensure failed update account exists with no _txn
-        const blockingRecord = await database.collections.account.findOne(
+        const blockingRecord = await helpers.getCollection('account').findOne(
           {'account.id': failedUpdateAccount.id});
         should.exist(blockingRecord);
         blockingRecord.should.have.keys(['_id', 'account', 'meta']);
@@ -570,7 +627,7 @@ describe('update', () => {
         blockingRecord.account.email.should.equal('UPDATED.' + email);
 
         // ensure old proxy record is still present, but has no `_txn` field
-        const proxyRecord = await database.collections['account-email']
+        const proxyRecord = await helpers.getCollection('account-email')
           .findOne({email: failedUpdateAccount.email});
         should.exist(proxyRecord);
         proxyRecord.should.have.keys(['_id', 'accountId', 'email']);
@@ -1,8 +1,8 @@
 /*!
- * Copyright (c) 2018-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import * as bedrock from '@bedrock/core';
 import * as brAccount from '@bedrock/account';
-import * as database from '@bedrock/mongodb';
 import * as helpers from './helpers.js';
 import {mockData} from './mock.data.js';
 
@@ -19,7 +19,7 @@ describe('setStatus', () => {
     await brAccount.setStatus({id: account.id, status: 'deleted'});
 
     // check status is deleted
-    let record = await database.collections.account.findOne({
+    let record = await helpers.getCollection('account').findOne({
       'account.id': account.id
     });
     should.exist(record.account);
@@ -30,7 +30,7 @@ describe('setStatus', () => {
     await brAccount.setStatus({id: account.id, status: 'active'});
 
     // check status is active
-    record = await database.collections.account.findOne({
+    record = await helpers.getCollection('account').findOne({
       'account.id': account.id
     });
     should.exist(record.account);
@@ -59,7 +59,7 @@ describe('setStatus', () => {
     await brAccount.setStatus({id: account.id, status: 'deleted'});
 
     // check status is deleted
-    let record = await database.collections.account.findOne({
+    let record = await helpers.getCollection('account').findOne({
       'account.id': account.id
     });
     should.exist(record.account);
@@ -70,11 +70,149 @@ describe('setStatus', () => {
     await brAccount.setStatus({id: account.id, status: 'active'});
 
     // check status is active
-    record = await database.collections.account.findOne({
+    record = await helpers.getCollection('account').findOne({
       'account.id': account.id
     });
     should.exist(record.account);
     should.exist(record.meta);
     record.meta.status.should.equal('active');
   });
+  it('records status history with reason and actor', async () => {
+    const email = 'b2d4f6a8-0c1e-4a3b-8d5f-7a9c1e3b5d7f@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    const actor = 'urn:uuid:4f6a8c0e-2b4d-4e6f-8a0c-2e4b6d8f0a2c';
+    await brAccount.setStatus({
+      id: newAccount.id, status: 'deleted', reason: 'user request', actor
+    });
+    await brAccount.setStatus({id: newAccount.id, status: 'active'});
+
+    const {meta} = await brAccount.get({id: newAccount.id});
+    meta.statusHistory.length.should.equal(2);
+    const [first, second] = meta.statusHistory;
+    first.should.have.keys(['status', 'reason', 'actor', 'timestamp']);
+    first.status.should.equal('deleted');
+    first.reason.should.equal('user request');
+    first.actor.should.equal(actor);
+    first.timestamp.should.be.a('number');
+    second.should.have.keys(['status', 'timestamp']);
+    second.status.should.equal('active');
+  });
+  it('emits a statusChange event', async () => {
+    const email = 'c3e5a7b9-1d2f-4b4c-9e6a-8b0d2f4c6e8a@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    const events = [];
+    const listener = event => events.push(event);
+    bedrock.events.on('bedrock-account.statusChange', listener);
+    try {
+      await brAccount.setStatus(
+        {id: newAccount.id, status: 'deleted', reason: 'test'});
+    } finally {
+      bedrock.events.removeListener('bedrock-account.statusChange', listener);
+    }
+    events.length.should.equal(1);
+    const [event] = events;
+    event.id.should.equal(newAccount.id);
+    event.from.should.equal('active');
+    event.to.should.equal('deleted');
+    event.reason.should.equal('test');
+    event.meta.status.should.equal('deleted');
+  });
+  it('throws error on a transition to the same status', async () => {
+    const {account} = accounts['alpha@example.com'];
+    let err;
+    try {
+      await brAccount.setStatus({id: account.id, status: 'active'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.details.from.should.equal('active');
+    err.details.to.should.equal('active');
+  });
+  it('throws error on an unknown status', async () => {
+    const {account} = accounts['alpha@example.com'];
+    let err;
+    try {
+      await brAccount.setStatus({id: account.id, status: 'unknown'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    const record = await brAccount.get({id: account.id});
+    record.meta.status.should.equal('active');
+  });
+  describe('with a custom status model', () => {
+    let statusConfig;
+    before(() => {
+      statusConfig = {...bedrock.config.account.status};
+      bedrock.config.account.status.initial = 'pending-verification';
+      bedrock.config.account.status.transitions = {
+        'pending-verification': ['active'],
+        active: ['suspended'],
+        suspended: ['active'],
+        '*': ['deleted']
+      };
+    });
+    after(() => {
+      Object.assign(bedrock.config.account.status, statusConfig);
+    });
+
+    it('allows configured transitions', async () => {
+      const email = 'd4f6b8ca-2e3a-4c5d-8f7b-9c1e3a5d7f9b@example.com';
+      const newAccount = helpers.createAccount(email);
+      const record = await brAccount.insert({account: newAccount});
+      record.meta.status.should.equal('pending-verification');
+
+      const {id} = newAccount;
+      for(const status of ['active', 'suspended', 'active', 'deleted']) {
+        await brAccount.setStatus({id, status});
+      }
+      const {meta} = await brAccount.get({id});
+      meta.status.should.equal('deleted');
+      meta.statusHistory.map(({status}) => status).should.deep.equal(
+        ['active', 'suspended', 'active', 'deleted']);
+      (await brAccount.exists({id, status: 'deleted'})).should.equal(true);
+    });
+    it('rejects transitions that are not configured', async () => {
+      const email = 'e5a7c9db-3f4b-4d6e-9a8c-0d2f4b6e8a0c@example.com';
+      const newAccount = helpers.createAccount(email);
+      await brAccount.insert({account: newAccount});
+
+      let err;
+      try {
+        await brAccount.setStatus({id: newAccount.id, status: 'suspended'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.details.from.should.equal('pending-verification');
+      err.details.to.should.equal('suspended');
+    });
+    it('checks existence with a configured status', async () => {
+      const email = 'f6b8daec-4a5c-4e7f-8b9d-1e3a5c7f9b1d@example.com';
+      const newAccount = helpers.createAccount(email);
+      await brAccount.insert({account: newAccount});
+      const exists = await brAccount.exists(
+        {id: newAccount.id, status: 'pending-verification'});
+      exists.should.equal(true);
+    });
+  });
+  it('throws error when checking existence with an unknown status',
+    async () => {
+      const {account} = accounts['alpha@example.com'];
+      let err;
+      try {
+        await brAccount.exists({id: account.id, status: 'suspended'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
 });
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2018-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as brAccount from '@bedrock/account';
 import * as helpers from './helpers.js';
@@ -22,6 +22,19 @@ describe('exists', () => {
     const exists = await brAccount.exists({id: newAccount.id});
     exists.should.be.true;
   });
+  it('returns true if account exists by phone number', async () => {
+    const email = '0b2f7a4e-8e6b-4a51-9d5e-2a6f4d1b6c7e@example.com';
+    const newAccount = helpers.createAccount(email);
+    newAccount.phoneNumber = '+15555550120';
+    await brAccount.insert({account: newAccount});
+    const exists = await brAccount.exists(
+      {phoneNumber: newAccount.phoneNumber});
+    exists.should.be.true;
+  });
+  it('returns false if phone number does not exist', async () => {
+    const exists = await brAccount.exists({phoneNumber: '+15555550121'});
+    exists.should.be.false;
+  });
   it('returns false for deleted account by default', async () => {
     const email = '8a354515-17cb-453d-b45a-5d3964706f9f@example.com';
     const newAccount = helpers.createAccount(email);
@@ -0,0 +1,226 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+
+describe('remove', () => {
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+
+  it('removes an account with a tombstone by default', async () => {
+    const email = 'a4b2e7f6-5c1d-4d53-9b0e-0a8f4f1f0c65@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    const result = await brAccount.remove({id: newAccount.id});
+    result.should.equal(true);
+
+    const record = await helpers.getCollection('account').findOne(
+      {'account.id': newAccount.id});
+    should.exist(record);
+    record.meta.status.should.equal('deleted');
+    record.meta.sequence.should.equal(1);
+    should.exist(record.meta.tombstone);
+    record.meta.tombstone.created.should.be.a('number');
+    record.meta.tombstone.expires.should.be.a('number');
+    record.meta.tombstone.expires.should.equal(
+      record.meta.tombstone.created +
+      bedrock.config.account.remove.tombstoneRetention);
+    record.meta.statusHistory.length.should.equal(1);
+    record.meta.statusHistory[0].status.should.equal('deleted');
+    record.meta.statusHistory[0].reason.should.equal('remove');
+
+    // email must still be reserved by the tombstone
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email});
+    should.exist(proxyRecord);
+    proxyRecord.accountId.should.equal(newAccount.id);
+    let err;
+    try {
+      await brAccount.insert({account: helpers.createAccount(email)});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+  });
+  it('hard deletes an account and releases its email', async () => {
+    const email = '1b0c3d9e-60d9-4a4e-8bb8-cf1c0fbb3a70@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    await brAccount.remove({id: newAccount.id, mode: 'hard'});
+
+    const record = await helpers.getCollection('account').findOne(
+      {'account.id': newAccount.id});
+    should.not.exist(record);
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email});
+    should.not.exist(proxyRecord);
+
+    // email can be reused
+    const otherAccount = helpers.createAccount(email);
+    await brAccount.insert({account: otherAccount});
+    const other = await brAccount.get({email});
+    other.account.id.should.equal(otherAccount.id);
+  });
+  it('emits delete and postDelete events', async () => {
+    const email = 'e6f5b4d4-0b37-4d2a-9a3d-7d5f8c2e8e11@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    const events = [];
+    const onDelete = ({id, mode, account, postDelete}) => {
+      events.push({name: 'delete', id, mode, account});
+      postDelete.test = true;
+    };
+    const onPostDelete = ({id, mode, postDelete}) => {
+      events.push({name: 'postDelete', id, mode, postDelete});
+    };
+    bedrock.events.on('bedrock-account.delete', onDelete);
+    bedrock.events.on('bedrock-account.postDelete', onPostDelete);
+    try {
+      await brAccount.remove({id: newAccount.id, mode: 'hard'});
+    } finally {
+      bedrock.events.removeListener('bedrock-account.delete', onDelete);
+      bedrock.events.removeListener(
+        'bedrock-account.postDelete', onPostDelete);
+    }
+
+    events.length.should.equal(2);
+    events[0].name.should.equal('delete');
+    events[0].id.should.equal(newAccount.id);
+    events[0].mode.should.equal('hard');
+    events[0].account.email.should.equal(email);
+    events[1].name.should.equal('postDelete');
+    events[1].postDelete.test.should.equal(true);
+  });
+  it('emits a statusChange event for a tombstone', async () => {
+    const email = '2e9d4c1a-7b3f-4f6e-8a5d-6c0b9e2f1a4d@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    const events = [];
+    const listener = event => events.push(event);
+    bedrock.events.on('bedrock-account.statusChange', listener);
+    try {
+      await brAccount.remove({id: newAccount.id, mode: 'tombstone'});
+    } finally {
+      bedrock.events.removeListener('bedrock-account.statusChange', listener);
+    }
+    events.length.should.equal(1);
+    const [event] = events;
+    event.id.should.equal(newAccount.id);
+    event.from.should.equal('active');
+    event.to.should.equal('deleted');
+    event.reason.should.equal('remove');
+    event.meta.status.should.equal('deleted');
+  });
+  it('throws error on removing a tombstone again', async () => {
+    const email = '8c1f5e3b-0a6d-4b2c-9e7f-3d4a6b8c0e2f@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    await brAccount.remove({id: newAccount.id, mode: 'tombstone'});
+
+    let err;
+    try {
+      await brAccount.remove({id: newAccount.id, mode: 'tombstone'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    const {meta} = await brAccount.get({id: newAccount.id});
+    meta.sequence.should.equal(1);
+    meta.statusHistory.length.should.equal(1);
+  });
+  it('throws error on a non-existent account', async () => {
+    const id = 'urn:uuid:nobody';
+    let err;
+    try {
+      await brAccount.remove({id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+  it('throws error on an invalid mode', async () => {
+    const {account} = mockData.accounts['alpha@example.com'];
+    let err;
+    try {
+      await brAccount.remove({id: account.id, mode: 'invalid'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+  it('purges expired tombstones', async () => {
+    const email = '5d0e1c2b-2f0b-41c8-96f4-3b7b4f0b5bb8@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    const {remove: removeConfig} = bedrock.config.account;
+    const {tombstoneRetention} = removeConfig;
+    removeConfig.tombstoneRetention = 0;
+    try {
+      await brAccount.remove({id: newAccount.id});
+    } finally {
+      removeConfig.tombstoneRetention = tombstoneRetention;
+    }
+
+    const count = await brAccount.purgeTombstones();
+    count.should.be.gte(1);
+    const record = await helpers.getCollection('account').findOne(
+      {'account.id': newAccount.id});
+    should.not.exist(record);
+    const proxyRecord = await helpers.getCollection('account-email').findOne(
+      {email});
+    should.not.exist(proxyRecord);
+  });
+  it('does not emit delete events when purging tombstones', async () => {
+    const email = '0f3c9a6e-8d2b-4c1e-b7a5-6e9d2f4b8c13@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+
+    const {remove: removeConfig} = bedrock.config.account;
+    const {tombstoneRetention} = removeConfig;
+    removeConfig.tombstoneRetention = 0;
+    try {
+      await brAccount.remove({id: newAccount.id});
+    } finally {
+      removeConfig.tombstoneRetention = tombstoneRetention;
+    }
+
+    const events = [];
+    const listener = ({id}) => events.push(id);
+    bedrock.events.on('bedrock-account.delete', listener);
+    bedrock.events.on('bedrock-account.postDelete', listener);
+    try {
+      const count = await brAccount.purgeTombstones();
+      count.should.be.gte(1);
+    } finally {
+      bedrock.events.removeListener('bedrock-account.delete', listener);
+      bedrock.events.removeListener('bedrock-account.postDelete', listener);
+    }
+    events.should.have.length(0);
+    const record = await helpers.getCollection('account').findOne(
+      {'account.id': newAccount.id});
+    should.not.exist(record);
+  });
+  it('does not purge unexpired tombstones', async () => {
+    const email = '7a8f2f7c-36e1-4f44-8f0e-2a1c4f2e6a3d@example.com';
+    const newAccount = helpers.createAccount(email);
+    await brAccount.insert({account: newAccount});
+    await brAccount.remove({id: newAccount.id});
+
+    await brAccount.purgeTombstones();
+    const record = await helpers.getCollection('account').findOne(
+      {'account.id': newAccount.id});
+    should.exist(record);
+    record.meta.status.should.equal('deleted');
+  });
+});
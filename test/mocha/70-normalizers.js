@@ -0,0 +1,206 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+
+const {normalizers} = brAccount;
+
+describe('normalizers', () => {
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+
+  describe('built-in normalizers', () => {
+    it('trims values', async () => {
+      normalizers.trim('  alice@example.com\t').should.equal(
+        'alice@example.com');
+    });
+    it('converts values to NFC', async () => {
+      // `e` + combining acute accent => precomposed `e` with acute accent
+      normalizers.nfc('caf\u0065\u0301').should.equal('caf\u00e9');
+    });
+    it('lowercases values', async () => {
+      normalizers.lowercase('Alice@Example.COM').should.equal(
+        'alice@example.com');
+    });
+    it('normalizes email addresses', async () => {
+      normalizers.email(' Alice@Exam\u0065\u0301ple.COM\t').should.equal(
+        'alice@exam\u00e9ple.com');
+      // normalizers must be idempotent
+      normalizers.email('alice@example.com').should.equal('alice@example.com');
+      const normalize = normalizers.createNormalizer(['email']);
+      normalize(' Alice@Example.COM ').should.equal('alice@example.com');
+    });
+    it('converts phone numbers to E.164', async () => {
+      normalizers.e164('+1 (555) 555-0100').should.equal('+15555550100');
+      normalizers.e164('0044 20 7946 0000').should.equal('+442079460000');
+      normalizers.e164('+15555550100').should.equal('+15555550100');
+    });
+    it('throws on phone numbers without a country code', async () => {
+      let err;
+      try {
+        normalizers.e164('555-0100');
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+    it('folds Gmail addresses', async () => {
+      normalizers.gmail('Alice.Smith+news@GoogleMail.com').should.equal(
+        'alicesmith@gmail.com');
+      normalizers.gmail('alice.smith+news@example.com').should.equal(
+        'alice.smith+news@example.com');
+    });
+    it('composes a pipeline', async () => {
+      const normalize = normalizers.createNormalizer(
+        ['trim', 'nfc', 'lowercase', 'gmail']);
+      normalize(' A.Lice+x@Gmail.com ').should.equal('alice@gmail.com');
+      // normalizers must be idempotent
+      normalize(normalize(' A.Lice+x@Gmail.com ')).should.equal(
+        'alice@gmail.com');
+    });
+    it('throws on an unknown normalizer', async () => {
+      let err;
+      try {
+        normalizers.createNormalizer(['unknown']);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.include('Unknown normalizer');
+    });
+  });
+
+  describe('unique fields', () => {
+    it('does not normalize email addresses by default', async () => {
+      const newAccount = helpers.createAccount(
+        'Erin.7c6b5a4f@Example.com');
+      await brAccount.insert({account: newAccount});
+
+      const proxyRecord = await helpers.getCollection('account-email')
+        .findOne({accountId: newAccount.id});
+      proxyRecord.email.should.equal('Erin.7c6b5a4f@Example.com');
+      (await brAccount.exists({email: 'erin.7c6b5a4f@example.com'}))
+        .should.be.false;
+    });
+    it('replaces values normalized by a previous pipeline on repair',
+      async () => {
+        const newAccount = helpers.createAccount(
+          '2e1d0c9b-8a7f-4e6d-9c5b-4a3f2e1d0c9b@example.com');
+        newAccount.username = 'Frank.2e1d0c9b';
+        await brAccount.insert({account: newAccount});
+        // simulate a mapping written before usernames were lowercased
+        await helpers.getCollection('account-username').updateOne(
+          {accountId: newAccount.id},
+          {$set: {username: 'Frank.2e1d0c9b'}});
+        (await brAccount.exists({username: newAccount.username}))
+          .should.be.false;
+
+        const report = await brAccount.verifyIntegrity({repair: true});
+        const {id} = newAccount;
+        const [missing] = report.missing.filter(m => m.recordId === id);
+        missing.uniqueValue.should.equal('frank.2e1d0c9b');
+        missing.repaired.should.equal(true);
+        const [orphaned] = report.orphaned.filter(o => o.recordId === id);
+        orphaned.uniqueValue.should.equal('Frank.2e1d0c9b');
+        orphaned.repaired.should.equal(true);
+        (await brAccount.exists({username: newAccount.username}))
+          .should.be.true;
+      });
+    it('stores normalized value in proxy collection only', async () => {
+      const newAccount = helpers.createAccount(
+        '4a3c2b1d-7e6f-4a5b-9c8d-1e2f3a4b5c6d@example.com');
+      newAccount.username = '  Alice.4a3c2b1d ';
+      await brAccount.insert({account: newAccount});
+
+      const record = await helpers.getCollection('account').findOne(
+        {'account.id': newAccount.id});
+      record.account.username.should.equal('  Alice.4a3c2b1d ');
+      const proxyRecord = await helpers.getCollection('account-username')
+        .findOne({accountId: newAccount.id});
+      should.exist(proxyRecord);
+      proxyRecord.username.should.equal('alice.4a3c2b1d');
+    });
+    it('throws duplicate error for values that normalize equally',
+      async () => {
+        const newAccount = helpers.createAccount(
+          '9e8d7c6b-5a4f-4e3d-8c2b-1a0f9e8d7c6b@example.com');
+        newAccount.username = 'bob.9e8d7c6b';
+        await brAccount.insert({account: newAccount});
+
+        const newAccount2 = helpers.createAccount(
+          '1f2e3d4c-5b6a-4798-8a6b-5c4d3e2f1a0b@example.com');
+        newAccount2.username = 'BOB.9e8d7c6b';
+        let err;
+        try {
+          await brAccount.insert({account: newAccount2});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DuplicateError');
+        err.details.uniqueField.should.equal('username');
+      });
+    it('gets and checks existence by any equivalent value', async () => {
+      const newAccount = helpers.createAccount(
+        '6b5a4f3e-2d1c-4b0a-9f8e-7d6c5b4a3f2e@example.com');
+      newAccount.phoneNumber = '+1 555 555 0140';
+      await brAccount.insert({account: newAccount});
+
+      const record = await brAccount.get({phoneNumber: '+1-555-555-0140'});
+      record.account.id.should.equal(newAccount.id);
+      // original display value is retained
+      record.account.phoneNumber.should.equal('+1 555 555 0140');
+
+      const exists = await brAccount.exists(
+        {id: newAccount.id, phoneNumber: '0015555550140'});
+      exists.should.be.true;
+    });
+    it('updates display value without changing proxy record', async () => {
+      const newAccount = helpers.createAccount(
+        '0a1b2c3d-4e5f-4061-8273-9485a6b7c8d9@example.com');
+      newAccount.username = 'carol.0a1b2c3d';
+      const newRecord = await brAccount.insert({account: newAccount});
+
+      const updatedAccount = {...newRecord.account};
+      updatedAccount.username = 'Carol.0a1b2c3d';
+      await brAccount.update({account: updatedAccount, sequence: 0});
+
+      const record = await brAccount.get({username: 'CAROL.0a1b2c3d'});
+      record.account.username.should.equal('Carol.0a1b2c3d');
+      const proxyRecord = await helpers.getCollection('account-username')
+        .findOne({accountId: newAccount.id});
+      proxyRecord.username.should.equal('carol.0a1b2c3d');
+    });
+    it('adds a unique field to an existing account', async () => {
+      const newAccount = helpers.createAccount(
+        '5e4d3c2b-1a09-4f8e-9d7c-6b5a4f3e2d1c@example.com');
+      const newRecord = await brAccount.insert({account: newAccount});
+
+      const updatedAccount = {...newRecord.account};
+      updatedAccount.username = 'dave.5e4d3c2b';
+      await brAccount.update({account: updatedAccount, sequence: 0});
+
+      const record = await brAccount.get({username: 'dave.5e4d3c2b'});
+      record.account.id.should.equal(newAccount.id);
+    });
+    it('throws on an invalid phone number before inserting', async () => {
+      const newAccount = helpers.createAccount(
+        '3d2c1b0a-9f8e-4d7c-8b6a-5f4e3d2c1b0a@example.com');
+      newAccount.phoneNumber = 'not a number';
+      let err;
+      try {
+        await brAccount.insert({account: newAccount});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      const exists = await brAccount.exists({id: newAccount.id});
+      exists.should.be.false;
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+
+describe('list', () => {
+  let start;
+  const ids = [];
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+    // ensure the mock accounts were created before `start`
+    await new Promise(resolve => setTimeout(resolve, 2));
+    start = Date.now();
+    for(let i = 0; i < 5; ++i) {
+      const newAccount = helpers.createAccount(
+        `list-${i}-0b6a3d4e-7f52-4c0e-9b3a-2f7e1d5c8a90@example.com`);
+      await brAccount.insert({account: newAccount});
+      ids.push(newAccount.id);
+    }
+  });
+
+  it('lists accounts in pages', async () => {
+    const filter = {created: {gte: start}};
+    const seen = [];
+    let result = await brAccount.list({filter, limit: 2});
+    result.records.length.should.equal(2);
+    should.exist(result.next);
+    seen.push(...result.records);
+    while(result.next) {
+      result = await brAccount.list({filter, limit: 2, after: result.next});
+      seen.push(...result.records);
+    }
+    seen.length.should.equal(5);
+    for(const record of seen) {
+      record.should.have.keys(['account', 'meta']);
+    }
+    seen.map(r => r.account.id).should.have.members(ids);
+
+    // records must be sorted by `meta.created`
+    const created = seen.map(r => r.meta.created);
+    created.should.deep.equal([...created].sort((a, b) => a - b));
+  });
+  it('lists accounts in descending order', async () => {
+    const filter = {created: {gte: start}};
+    const {records, next} = await brAccount.list(
+      {filter, sort: {created: -1}, limit: 10});
+    should.equal(next, null);
+    records.length.should.equal(5);
+    const created = records.map(r => r.meta.created);
+    created.should.deep.equal([...created].sort((a, b) => b - a));
+  });
+  it('lists accounts filtered by status', async () => {
+    const {records} = await brAccount.list(
+      {filter: {status: {in: ['active']}, created: {gte: start}}});
+    records.length.should.equal(5);
+    const result = await brAccount.list(
+      {filter: {status: 'deleted', created: {gte: start}}});
+    result.records.length.should.equal(0);
+    should.equal(result.next, null);
+  });
+  it('iterates over accounts', async () => {
+    const filter = {created: {gte: start}};
+    const seen = [];
+    for await (const record of brAccount.iterate({filter, limit: 2})) {
+      seen.push(record.account.id);
+    }
+    seen.should.have.members(ids);
+  });
+  it('throws error on a non-whitelisted filter field', async () => {
+    let err;
+    try {
+      await brAccount.list({filter: {'account.email': 'alpha@example.com'}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+  it('throws error on an unsupported filter operator', async () => {
+    let err;
+    try {
+      await brAccount.list({filter: {status: {$ne: 'deleted'}}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+  it('throws error on a non-whitelisted sort field', async () => {
+    let err;
+    try {
+      await brAccount.list({sort: {'account.email': 1}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+  it('throws error on a limit that is too large', async () => {
+    let err;
+    try {
+      await brAccount.list({limit: 1000000});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+  it('throws error on a token used with a different sort', async () => {
+    const filter = {created: {gte: start}};
+    const {next} = await brAccount.list({filter, limit: 2});
+    let err;
+    try {
+      await brAccount.list(
+        {filter, sort: {updated: 1}, limit: 2, after: next});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+  it('throws error on an invalid token', async () => {
+    let err;
+    try {
+      await brAccount.list({after: 'invalid'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+});
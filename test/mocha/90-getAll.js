@@ -0,0 +1,171 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+
+describe('getAll', () => {
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+  });
+
+  it('gets all accounts without internal fields', async () => {
+    const records = await brAccount.getAll();
+    records.length.should.be.gte(2);
+    for(const record of records) {
+      record.should.have.keys(['account', 'meta']);
+    }
+  });
+  it('gets accounts matching a query with a projection', async () => {
+    const {account} = mockData.accounts['alpha@example.com'];
+    const records = await brAccount.getAll({
+      query: {'account.email': account.email},
+      options: {projection: {_id: 0, 'account.email': 1}}
+    });
+    records.length.should.equal(1);
+    records[0].should.have.keys(['account']);
+    records[0].account.email.should.equal(account.email);
+  });
+  it('gets accounts matching a query with an exclusive projection',
+    async () => {
+      const {account} = mockData.accounts['alpha@example.com'];
+      const records = await brAccount.getAll({
+        query: {'account.email': account.email},
+        options: {projection: {meta: 0, 'account.id': 0, '_txn.id': 0}}
+      });
+      records.length.should.equal(1);
+      records[0].should.have.keys(['account']);
+      records[0].account.id.should.equal(account.id);
+    });
+  it('rejects an exclusive projection that excludes "account"', async () => {
+    let err;
+    try {
+      await brAccount.getAll({options: {projection: {account: 0}}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+
+  describe('transactions', () => {
+    it('excludes records with a pending insert txn', async () => {
+      const email = '6d1b5c2e-9e8a-4c4d-8b6f-3a2e1d0c9b8a@example.com';
+      const failedInsertAccount = helpers.createAccount(email);
+
+      // simulate failed transaction
+      await helpers.createFakeTransaction({
+        accountId: failedInsertAccount.id,
+        type: 'insert',
+        _pending: true,
+        ops: [{type: 'insert', email}]
+      });
+
+      const records = await brAccount.getAll(
+        {query: {'account.id': failedInsertAccount.id}});
+      records.length.should.equal(0);
+    });
+    it('excludes records with a committed delete txn', async () => {
+      const email = '8c7b6a5f-4e3d-4c2b-9a1f-0e9d8c7b6a5f@example.com';
+      const newAccount = helpers.createAccount(email);
+      await brAccount.insert({account: newAccount});
+
+      // simulate committed but incomplete transaction
+      await helpers.createFakeTransaction({
+        accountId: newAccount.id,
+        type: 'delete',
+        committed: true,
+        _pending: true,
+        ops: [{type: 'delete', email}]
+      });
+
+      const records = await brAccount.getAll(
+        {query: {'account.id': newAccount.id}});
+      records.length.should.equal(0);
+    });
+    it('rolls back an uncommitted update txn', async () => {
+      const email = '2a3b4c5d-6e7f-4081-9293-a4b5c6d7e8f9@example.com';
+      const newAccount = helpers.createAccount(email);
+      await brAccount.insert({account: newAccount});
+
+      // simulate failed transaction
+      await helpers.createFakeTransaction({
+        accountId: newAccount.id,
+        type: 'update',
+        ops: [
+          {type: 'insert', email: 'failed-2a3b4c5d@example.com'},
+          {type: 'delete', email}
+        ]
+      });
+
+      const records = await brAccount.getAll(
+        {query: {'account.id': newAccount.id}});
+      records.length.should.equal(1);
+      records[0].should.have.keys(['account', 'meta']);
+      records[0].account.email.should.equal(email);
+
+      // ensure transaction was rolled back
+      const record = await helpers.getCollection('account').findOne(
+        {'account.id': newAccount.id});
+      should.not.exist(record._txn);
+      const proxyRecord = await helpers.getCollection('account-email')
+        .findOne({email});
+      should.exist(proxyRecord);
+      proxyRecord.should.have.keys(['_id', 'accountId', 'email']);
+      const failedProxyRecord = await helpers.getCollection('account-email')
+        .findOne({email: 'failed-2a3b4c5d@example.com'});
+      should.not.exist(failedProxyRecord);
+    });
+    it('returns a record with a committed update txn', async () => {
+      const email = '9f8e7d6c-5b4a-4392-8180-7f6e5d4c3b2a@example.com';
+      const newAccount = helpers.createAccount(email);
+      await brAccount.insert({account: newAccount});
+
+      // simulate committed but incomplete transaction
+      await helpers.createFakeTransaction({
+        accountId: newAccount.id,
+        type: 'update',
+        committed: true
+      });
+
+      const records = await brAccount.getAll(
+        {query: {'account.id': newAccount.id}});
+      records.length.should.equal(1);
+      records[0].should.have.keys(['account', 'meta']);
+      records[0].account.email.should.equal(email);
+    });
+    it('resolves txns for records found via list', async () => {
+      const email = '1e2d3c4b-5a69-4788-97a6-b5c4d3e2f1a0@example.com';
+      const newAccount = helpers.createAccount(email);
+      const start = Date.now();
+      await brAccount.insert({account: newAccount});
+
+      // simulate failed transaction
+      await helpers.createFakeTransaction(
+        {accountId: newAccount.id, type: 'update'});
+
+      const {records} = await brAccount.list(
+        {filter: {created: {gte: start}}});
+      const record = records.find(r => r.account.id === newAccount.id);
+      should.exist(record);
+      record.should.have.keys(['account', 'meta']);
+    });
+    it('gets a record with a committed txn without internal fields',
+      async () => {
+        const email = '0f1e2d3c-4b5a-4697-a8b9-cadbecfd0e1f@example.com';
+        const newAccount = helpers.createAccount(email);
+        await brAccount.insert({account: newAccount});
+
+        // simulate committed but incomplete transaction
+        await helpers.createFakeTransaction({
+          accountId: newAccount.id,
+          type: 'update',
+          committed: true
+        });
+
+        const record = await brAccount.get({id: newAccount.id});
+        record.should.have.keys(['account', 'meta']);
+      });
+  });
+});
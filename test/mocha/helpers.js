@@ -1,8 +1,10 @@
 /*!
- * Copyright (c) 2018-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as brAccount from '@bedrock/account';
-import * as database from '@bedrock/mongodb';
+import {
+  getAccountStorage, MemoryStorageAdapter, MongoStorageAdapter
+} from '@bedrock/account/storage';
 import {randomUUID} from 'node:crypto';
 
 export function createAccount(email) {
@@ -27,7 +29,7 @@ export async function createFakeTransaction({
     if(_pending !== undefined) {
       update.$set._pending = _pending;
     }
-    const result = await database.collections.account.updateOne(
+    const result = await getCollection('account').updateOne(
       query, update, {upsert: true});
     (result.modifiedCount + result.upsertedCount).should.equal(1);
   }
@@ -37,12 +39,12 @@ export async function createFakeTransaction({
     if(op.type === 'insert') {
       const query = {email: op.email};
       const update = {$set: {accountId, email: op.email, _txn}};
-      await database.collections['account-email'].updateOne(
+      await getCollection('account-email').updateOne(
         query, update, {upsert: true});
     } else {
       const query = {email: op.email};
       const update = {$set: {_txn}};
-      const result = await database.collections['account-email'].updateOne(
+      const result = await getCollection('account-email').updateOne(
         query, update, {upsert: true});
       (result.modifiedCount + result.upsertedCount).should.equal(1);
     }
@@ -54,12 +56,36 @@ export async function prepareDatabase(mockData) {
   await insertTestData(mockData);
 }
 
+export function getCollection(collectionName) {
+  return getAccountStorage().getCollection(collectionName);
+}
+
+export function isMongoStorage() {
+  return getAccountStorage() instanceof MongoStorageAdapter;
+}
+
+// gets the storage backends to run storage tests against; MongoDB is only
+// used if accounts are stored in it
+export function getStorageBackends() {
+  const backends = [
+    {name: 'memory', createStorage: () => new MemoryStorageAdapter()}
+  ];
+  if(isMongoStorage()) {
+    backends.unshift(
+      {name: 'MongoDB', createStorage: () => new MongoStorageAdapter()});
+  }
+  return backends;
+}
+
 export async function removeCollections(collectionNames = [
-  'account', 'account-email'
+  'account', 'account-email', 'account-phoneNumber', 'account-username',
+  'account-history', 'account-batch', 'account-token', 'account-alias'
 ]) {
-  await database.openCollections(collectionNames);
+  const storage = getAccountStorage();
   for(const collectionName of collectionNames) {
-    await database.collections[collectionName].deleteMany({});
+    // opens the collection if it is not open yet
+    await storage.createIndexes({collectionName, indexes: []});
+    await getCollection(collectionName).deleteMany({});
   }
 }
 
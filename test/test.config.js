@@ -1,6 +1,10 @@
 /*!
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import {
+  MemoryStorageAdapter, MetricsRecorder, setAccountInstrumentation,
+  setAccountStorage
+} from '@bedrock/account/storage';
 import {config} from '@bedrock/core';
 import {fileURLToPath} from 'node:url';
 import path from 'node:path';
@@ -9,11 +13,28 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 config.mocha.tests.push(path.join(__dirname, 'mocha'));
 
-// mongodb config
-config.mongodb.name = 'bedrock_account_test';
-config.mongodb.host = 'localhost';
-config.mongodb.port = 27017;
-// drop all collections on initialization
-config.mongodb.dropCollections = {};
-config.mongodb.dropCollections.onInit = true;
-config.mongodb.dropCollections.collections = [];
+// account config
+config.account.uniqueFields = ['email', 'phoneNumber', 'username'];
+config.account.history.enabled = true;
+// extend account schema with an app-specific property
+config.account.schemas.account.properties.displayName = {type: 'string'};
+config.account.normalizers = {
+  phoneNumber: ['e164'],
+  username: ['trim', 'nfc', 'lowercase']
+};
+// record the metrics of account transactions
+setAccountInstrumentation({metrics: new MetricsRecorder()});
+
+// run the tests against in-memory account storage if requested
+if(process.env.ACCOUNT_STORAGE === 'memory') {
+  setAccountStorage({storage: new MemoryStorageAdapter()});
+} else {
+  // mongodb config
+  config.mongodb.name = 'bedrock_account_test';
+  config.mongodb.host = 'localhost';
+  config.mongodb.port = 27017;
+  // drop all collections on initialization
+  config.mongodb.dropCollections = {};
+  config.mongodb.dropCollections.onInit = true;
+  config.mongodb.dropCollections.collections = [];
+}
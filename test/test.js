@@ -3,7 +3,11 @@
  */
 import * as bedrock from '@bedrock/core';
 import '@bedrock/account';
-import '@bedrock/mongodb';
 import '@bedrock/test';
 
+// MongoDB is not needed to test in-memory account storage
+if(process.env.ACCOUNT_STORAGE !== 'memory') {
+  await import('@bedrock/mongodb');
+}
+
 bedrock.start();